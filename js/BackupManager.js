@@ -0,0 +1,425 @@
+/**
+ * BackupManager.js
+ * Full-life JSON export and import of all memories, goals and settings
+ *
+ * Backup file layout (version 1):
+ * {
+ *   format: 'momentry-backup',
+ *   version: 1,
+ *   exportedAt: ISO timestamp,
+ *   birthDate: 'YYYY-MM-DD' or null,
+ *   settings: { key: value, ... },     // every saved preference except the birth date
+ *   years: { '2024': [ week-data, ... ], ... }
+ * }
+ */
+
+const BACKUP_FORMAT = 'momentry-backup';
+const BACKUP_VERSION = 1;
+
+/**
+ * BackupManager Class
+ * Builds backup files, validates them and applies them in merge or replace mode
+ */
+class BackupManager {
+  constructor() {
+    this.modal = null;
+    this.statusEl = null;
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the backup button and the backup modal controls
+   */
+  setupListeners() {
+    this.modal = document.getElementById('backup-modal');
+    this.statusEl = document.getElementById('backup-status');
+
+    let backupBtn = document.getElementById('backup-btn');
+    if (backupBtn) {
+      backupBtn.addEventListener('click', () => this.open());
+    }
+
+    let exportBtn = document.getElementById('backup-export-btn');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => {
+        this.downloadBackup();
+        this.showStatus('Backup downloaded.');
+      });
+    }
+
+    let importBtn = document.getElementById('backup-import-btn');
+    if (importBtn) {
+      importBtn.addEventListener('click', () => this.handleImportClick());
+    }
+
+    let closeBtn = document.getElementById('backup-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    // Close when clicking the overlay outside the content
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+  }
+
+  /**
+   * open()
+   * Shows the backup modal (with the journal's year range up to date, see JournalExport.js)
+   */
+  open() {
+    if (!this.modal) return;
+    this.showStatus('');
+    journalExport.refreshYearOptions();
+    openAppModal(this.modal);
+  }
+
+  /**
+   * close()
+   * Hides the backup modal and clears the chosen file
+   */
+  close() {
+    if (!this.modal) return;
+    let fileInput = document.getElementById('backup-file-input');
+    if (fileInput) fileInput.value = '';
+    closeAppModal(this.modal);
+  }
+
+  /**
+   * showStatus()
+   * Shows a status or error line inside the modal
+   * @param {string} message - Text to show (empty hides the line)
+   * @param {boolean} isError - True to style as an error
+   */
+  showStatus(message, isError = false) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.style.display = message ? 'block' : 'none';
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * buildBackup()
+   * Gathers every stored year, the birth date and all settings
+   * @returns {Object} - Backup object in the version 1 layout
+   */
+  buildBackup() {
+    let years = {};
+    for (let year of getStoredYears()) {
+      years[year] = loadData(year);
+    }
+
+    let settings = {};
+    for (let [key, value] of storageManager.settingsCache) {
+      // Backups hold the data unencrypted, so the vault setting stays behind
+      if (key !== 'userBirthDate' && key !== VAULT_SETTING_KEY) {
+        settings[key] = value;
+      }
+    }
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      birthDate: getSetting('userBirthDate'),
+      settings: settings,
+      years: years
+    };
+  }
+
+  /**
+   * downloadBackup()
+   * Saves the backup as a JSON file through a temporary download link
+   */
+  downloadBackup() {
+    let json = JSON.stringify(this.buildBackup(), null, 2);
+    let blob = new Blob([json], { type: 'application/json' });
+    let url = URL.createObjectURL(blob);
+
+    let link = document.createElement('a');
+    link.href = url;
+    link.download = `momentry-backup-${formatDateForInput(new Date())}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * handleImportClick()
+   * Reads the chosen file and imports it with the selected mode
+   */
+  handleImportClick() {
+    let fileInput = document.getElementById('backup-file-input');
+    let file = fileInput && fileInput.files && fileInput.files[0];
+    if (!file) {
+      this.showStatus('Please choose a backup file first.', true);
+      return;
+    }
+
+    let modeInput = document.querySelector('input[name="backup-import-mode"]:checked');
+    let mode = modeInput ? modeInput.value : 'merge';
+
+    if (mode === 'replace' && !confirm('Replace mode deletes all current memories, goals and settings before importing. Continue?')) {
+      return;
+    }
+
+    file.text()
+      .then((text) => this.importBackup(text, mode))
+      .then((summary) => {
+        let message = summary.memories === 0
+          ? 'No new or changed entries to import.'
+          : `Imported ${summary.memories} ${summary.memories === 1 ? 'entry' : 'entries'} across ${summary.years} ${summary.years === 1 ? 'year' : 'years'}.`;
+        if (summary.skipped > 0) {
+          message += ` ${summary.skipped} ${summary.skipped === 1 ? 'entry was' : 'entries were'} already up to date.`;
+        }
+        this.showStatus(message);
+        fileInput.value = '';
+        reloadAppData();
+      })
+      .catch((error) => {
+        console.error('Error importing backup:', error);
+        this.showStatus(error.message, true);
+      });
+  }
+
+  /**
+   * importBackup()
+   * Validates and applies a backup
+   * @param {string} text - The backup file contents
+   * @param {string} mode - 'merge' (combine by memory id) or 'replace' (wipe then import)
+   * @returns {Promise<Object>} - Summary { years, memories, skipped }: the entries
+   * added or updated, the years they went into, and the entries left alone
+   * because the stored copy was the same or newer
+   */
+  async importBackup(text, mode) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error('This file is not valid JSON.');
+    }
+
+    let importedYears = validateBackup(backup);
+
+    if (mode === 'replace') {
+      return this.replaceAll(backup, importedYears);
+    }
+    return this.mergeAll(backup, importedYears);
+  }
+
+  /**
+   * replaceAll()
+   * Deletes every stored year and setting, then writes the backup contents
+   * @param {Object} backup - Validated backup object
+   * @param {Map<number, object[]>} importedYears - Normalized year data
+   * @returns {Promise<Object>} - Summary { years, memories, skipped } (every entry is imported)
+   */
+  async replaceAll(backup, importedYears) {
+    let writes = [];
+
+    for (let year of getStoredYears()) {
+      if (!importedYears.has(year)) {
+        writes.push(deleteData(year));
+      }
+    }
+    // The birth date is only replaced, never removed, so the app stays usable.
+    // The vault stays as it is: imported years are sealed with the current key.
+    for (let key of Array.from(storageManager.settingsCache.keys())) {
+      if (key !== 'userBirthDate' && key !== VAULT_SETTING_KEY) {
+        writes.push(removeSetting(key));
+      }
+    }
+
+    for (let [year, data] of importedYears) {
+      writes.push(saveData(data, year));
+    }
+    for (let key of Object.keys(backup.settings || {})) {
+      if (key !== VAULT_SETTING_KEY) {
+        writes.push(setSetting(key, backup.settings[key]));
+      }
+    }
+    if (backup.birthDate) {
+      writes.push(setSetting('userBirthDate', backup.birthDate));
+    }
+
+    await Promise.all(writes);
+
+    let memoryCount = 0;
+    for (let data of importedYears.values()) {
+      for (let week of data) {
+        memoryCount += week.memories.length;
+      }
+    }
+    return { years: importedYears.size, memories: memoryCount, skipped: 0 };
+  }
+
+  /**
+   * mergeAll()
+   * Combines the backup with stored data by memory id. When the same id
+   * exists on both sides the copy with the newer timestamp wins (and moves
+   * to that copy's week). Week reflections also go by the newer timestamp.
+   * Local settings win over imported ones.
+   * @param {Object} backup - Validated backup object
+   * @param {Map<number, object[]>} importedYears - Normalized year data
+   * @returns {Promise<Object>} - Summary { years, memories, skipped }: only the
+   * entries actually added or updated count as imported
+   */
+  async mergeAll(backup, importedYears) {
+    // Year arrays being modified, saved together at the end
+    let workingYears = new Map();
+    let getWorkingYear = function(year) {
+      if (!workingYears.has(year)) {
+        workingYears.set(year, loadData(year));
+      }
+      return workingYears.get(year);
+    };
+
+    // Index every existing memory by id so duplicates can be resolved across weeks and years
+    let existingById = new Map();
+    for (let year of getStoredYears()) {
+      getWorkingYear(year).forEach(function(week, weekIndex) {
+        for (let memory of week.memories || []) {
+          existingById.set(memory.id, { year, weekIndex, memory });
+        }
+      });
+    }
+
+    let changedYears = new Set();
+    let mergedYears = new Set();  // Years that received an added or updated entry
+    let mergedCount = 0;
+    let skippedCount = 0;
+
+    for (let [year, data] of importedYears) {
+      data.forEach(function(week, weekIndex) {
+        if (week.reflection) {
+          let targetYearData = getWorkingYear(year);
+          ensureWeekSlots(targetYearData, year);
+          let localReflection = targetYearData[weekIndex].reflection;
+          if (!localReflection || new Date(week.reflection.timestamp) > new Date(localReflection.timestamp)) {
+            targetYearData[weekIndex].reflection = week.reflection;
+            changedYears.add(year);
+          }
+        }
+
+        for (let memory of week.memories) {
+          let existing = existingById.get(memory.id);
+          if (existing) {
+            if (new Date(memory.timestamp) <= new Date(existing.memory.timestamp)) {
+              skippedCount++;
+              continue; // Local copy is the same or newer
+            }
+            // Remove the older local copy from wherever it lives
+            let existingWeek = getWorkingYear(existing.year)[existing.weekIndex];
+            existingWeek.memories = existingWeek.memories.filter(m => m.id !== memory.id);
+            changedYears.add(existing.year);
+          }
+
+          let targetYearData = getWorkingYear(year);
+          ensureWeekSlots(targetYearData, year);
+          targetYearData[weekIndex].memories.push(memory);
+          sortMemoriesByDate(targetYearData[weekIndex].memories);
+          existingById.set(memory.id, { year, weekIndex, memory });
+          changedYears.add(year);
+          mergedYears.add(year);
+          mergedCount++;
+        }
+      });
+    }
+
+    let writes = [];
+    for (let year of changedYears) {
+      writes.push(saveData(getWorkingYear(year), year));
+    }
+    for (let key of Object.keys(backup.settings || {})) {
+      if (getSetting(key) === null && key !== VAULT_SETTING_KEY) {
+        writes.push(setSetting(key, backup.settings[key]));
+      }
+    }
+    if (backup.birthDate && getSetting('userBirthDate') === null) {
+      writes.push(setSetting('userBirthDate', backup.birthDate));
+    }
+
+    await Promise.all(writes);
+    return { years: mergedYears.size, memories: mergedCount, skipped: skippedCount };
+  }
+}
+
+/**
+ * isValidBackupEntry()
+ * @param {*} memory - An item of a week's memories in a backup
+ * @returns {boolean} - True for an object with a string date (and, where
+ * present, a string id, a string or null title and a string text)
+ */
+function isValidBackupEntry(memory) {
+  return !!memory && typeof memory === 'object' && !Array.isArray(memory) &&
+    typeof memory.date === 'string' &&
+    (memory.id === undefined || typeof memory.id === 'string') &&
+    (memory.title === undefined || memory.title === null || typeof memory.title === 'string') &&
+    (memory.text === undefined || typeof memory.text === 'string');
+}
+
+/**
+ * validateBackup()
+ * Checks the structure of a parsed backup and normalizes its year data
+ * through migrateOldDataFormat()
+ * @param {Object} backup - Parsed backup file
+ * @returns {Map<number, object[]>} - Year to normalized week-data array
+ * @throws {Error} - With a user-readable message if the file is invalid
+ */
+function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a Momentry backup.');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error('The backup version is missing or invalid.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of Momentry.');
+  }
+  if (backup.birthDate !== null && backup.birthDate !== undefined &&
+      (typeof backup.birthDate !== 'string' || isNaN(new Date(backup.birthDate).getTime()))) {
+    throw new Error('The backup contains an invalid birth date.');
+  }
+  if (backup.settings !== undefined && (typeof backup.settings !== 'object' || Array.isArray(backup.settings))) {
+    throw new Error('The backup settings are invalid.');
+  }
+  if (!backup.years || typeof backup.years !== 'object' || Array.isArray(backup.years)) {
+    throw new Error('The backup does not contain any year data.');
+  }
+
+  let importedYears = new Map();
+  for (let key of Object.keys(backup.years)) {
+    let year = Number(key);
+    let data = backup.years[key];
+    if (!/^\d{4}$/.test(key) || !Array.isArray(data)) {
+      throw new Error(`The data for year "${key}" is invalid.`);
+    }
+    for (let week of data) {
+      if (!week || typeof week !== 'object' ||
+          (week.memories !== undefined && !Array.isArray(week.memories))) {
+        throw new Error(`The data for year ${key} contains an invalid week.`);
+      }
+      for (let memory of week.memories || []) {
+        if (!isValidBackupEntry(memory)) {
+          throw new Error(`The data for year ${key} contains an invalid entry.`);
+        }
+      }
+    }
+
+    let migrated = migrateOldDataFormat(data);
+    ensureWeekSlots(migrated, year);
+    importedYears.set(year, migrated);
+  }
+
+  return importedYears;
+}
+
+// Global backup manager instance
+let backupManager = new BackupManager();
@@ -0,0 +1,155 @@
+/**
+ * BirthDateMigration.js
+ * Puts every stored entry back into the week of its date after the birth
+ * date changes, and reports what moved
+ *
+ * Entries are stored per ISO week (one slot per week in momentryData_<year>),
+ * but the grid and the entry modal find a week through its weeks since birth
+ * (getYearAndWeekIndexFromWeeksSinceBirth()). Those numbers shift with the
+ * birth date, so an entry sitting in a slot that doesn't match its date
+ * would show up in, and be edited from, the wrong week. After a birth date
+ * change relocateMisplacedEntries() checks every entry against its date and
+ * moves the misplaced ones. Entries without a valid date stay where they are,
+ * and entries dated before the birth date are reported, since their weeks
+ * can't be opened from the grid. changeBirthDate() is the one way a birth
+ * date is set (the starting page and the settings modal both use it).
+ */
+
+/**
+ * compareEntrySlots()
+ * @param {Object} a - { year, weekIndex }
+ * @param {Object} b - { year, weekIndex }
+ * @returns {number} - Negative if a is the earlier week, 0 for the same week
+ */
+function compareEntrySlots(a, b) {
+  return a.year - b.year || a.weekIndex - b.weekIndex;
+}
+
+/**
+ * getEntrySlotLabel()
+ * @param {Object} slot - { year, weekIndex }
+ * @returns {string} - e.g. 'Week 10, 2025'
+ */
+function getEntrySlotLabel(slot) {
+  return `Week ${slot.weekIndex + 1}, ${slot.year}`;
+}
+
+/**
+ * describeRelocatedEntry()
+ * @param {Object} memory - The memory or goal
+ * @param {Object} from - { year, weekIndex } it was stored in
+ * @param {Object|null} to - { year, weekIndex } of its date, or null without a valid date
+ * @returns {Object} - Report line { id, title, type, date, from, to }
+ */
+function describeRelocatedEntry(memory, from, to) {
+  return {
+    id: memory.id,
+    title: memory.title || 'Untitled',
+    type: memory.type,
+    date: memory.date,
+    from: from,
+    to: to
+  };
+}
+
+/**
+ * relocateMisplacedEntries()
+ * Checks every stored memory and goal against its date and moves it into
+ * the ISO week of that date where it was stored in another week. The cache
+ * changes at once; the changed years are then saved together.
+ * @param {string} birthDateString - The birth date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Report { checked, moved, undated, beforeBirth }, each
+ * list holding describeRelocatedEntry() lines. Rejects if the vault is locked,
+ * or if a changed year could not be saved (it then stays unsaved in the cache,
+ * see StorageHealth.js).
+ */
+function relocateMisplacedEntries(birthDateString) {
+  if (isVaultLocked()) {
+    return Promise.reject(new Error('The vault is locked.'));
+  }
+
+  let report = { checked: 0, moved: [], undated: [], beforeBirth: [] };
+  let birthSlot = getYearAndWeekIndexFromDate(birthDateString);
+
+  // loadData() hands out a new array for years without data, so every year
+  // touched here is held on to until it has been saved
+  let yearDataByYear = new Map();
+  let getYearData = function(year) {
+    if (!yearDataByYear.has(year)) {
+      yearDataByYear.set(year, loadData(year));
+    }
+    return yearDataByYear.get(year);
+  };
+
+  // Find every misplaced entry before moving any, so none is checked twice
+  let misplaced = [];
+  for (let year of getStoredYears()) {
+    getYearData(year).forEach(function(week, weekIndex) {
+      for (let memory of (week && week.memories) || []) {
+        report.checked++;
+        let from = { year: year, weekIndex: weekIndex };
+        let to = getYearAndWeekIndexFromDate(memory.date);
+        if (!to) {
+          report.undated.push(describeRelocatedEntry(memory, from, null));
+          continue;
+        }
+        if (compareEntrySlots(from, to) !== 0) {
+          misplaced.push({ memory: memory, from: from, to: to });
+        }
+        if (birthSlot && compareEntrySlots(to, birthSlot) < 0) {
+          report.beforeBirth.push(describeRelocatedEntry(memory, to, to));
+        }
+      }
+    });
+  }
+
+  let changedYears = new Set();
+  for (let { memory, from, to } of misplaced) {
+    let sourceWeek = getYearData(from.year)[from.weekIndex];
+    sourceWeek.memories = sourceWeek.memories.filter(m => m !== memory);
+
+    let targetYearData = getYearData(to.year);
+    ensureWeekSlots(targetYearData, to.year);
+    let targetWeek = targetYearData[to.weekIndex];
+    if (!targetWeek.memories) {
+      targetWeek.memories = [];
+    }
+    targetWeek.memories.push(memory);
+    sortMemoriesByDate(targetWeek.memories);
+
+    changedYears.add(from.year);
+    changedYears.add(to.year);
+    report.moved.push(describeRelocatedEntry(memory, from, to));
+  }
+
+  let sortByDate = (a, b) => String(a.date).localeCompare(String(b.date));
+  report.moved.sort(sortByDate);
+  report.beforeBirth.sort(sortByDate);
+
+  if (changedYears.size === 0) {
+    return Promise.resolve(report);
+  }
+  // One write for every changed year, so no entry is ever stored twice or lost
+  let changedData = new Map(Array.from(changedYears, year => [year, getYearData(year)]));
+  return saveYears(changedData).then(function() {
+    storageHealth.handleSaveSuccess();
+    return report;
+  });
+}
+
+/**
+ * changeBirthDate()
+ * Saves a new birth date, moves every entry into the week of its date with
+ * relocateMisplacedEntries() and rebuilds everything counted from the birth date
+ * @param {string} dateString - The birth date (YYYY-MM-DD), already checked
+ * @returns {Promise<Object>} - The relocation report (rejects like relocateMisplacedEntries())
+ */
+function changeBirthDate(dateString) {
+  setSetting('userBirthDate', dateString).catch(function(error) {
+    console.error('Error saving birth date:', error);
+  });
+  // Entries are moved in the cache straight away, so the grid is rebuilt from their new weeks
+  let relocation = relocateMisplacedEntries(dateString);
+  reloadAppData();
+  return relocation;
+}
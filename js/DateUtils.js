@@ -32,6 +32,18 @@ function getISOWeekNumber(date) {
   };
 }
 
+/**
+ * getISOWeeksInYear()
+ * Returns the number of ISO weeks in a given ISO year (52 or 53).
+ * December 28th always falls in the last ISO week of its year,
+ * so its week number is the week count for that year.
+ * @param {number} year - The ISO year
+ * @returns {number} - 52 or 53
+ */
+function getISOWeeksInYear(year) {
+  return getISOWeekNumber(new Date(year, 11, 28)).weekNumber;
+}
+
 /**
  * calculateAgeAndWeeks()
  * Calculates user's age and total weeks lived
@@ -59,7 +71,7 @@ function calculateAgeAndWeeks(birthDate) {
 /**
  * getWeeksSinceBirth()
  * Calculates how many weeks have passed since birth for a given week
- * @param {number} weekIndex - The week index (0-51)
+ * @param {number} weekIndex - The week index (0-52)
  * @param {number} year - The year for this week
  * @param {Date} birthDate - The user's birth date
  * @returns {number} - Weeks since birth
@@ -81,7 +93,7 @@ function getWeeksSinceBirth(weekIndex, year, birthDate) {
  * getDateFromWeekIndex()
  * Gets the date (Thursday) for a given week index in a given year
  * Handles year boundaries correctly - week 0 might be in December of previous year
- * @param {number} weekIndex - The week index (0-51)
+ * @param {number} weekIndex - The week index (0-52)
  * @param {number} year - The year
  * @returns {Date} - The Thursday date of that week
  */
@@ -102,6 +114,27 @@ function getDateFromWeekIndex(weekIndex, year) {
   return weekDate;
 }
 
+/**
+ * getDateInWeek()
+ * Finds the day of another ISO week on the same weekday as a given date
+ * (used to move an entry into another week)
+ * @param {string} dateString - Date string in YYYY-MM-DD format (Monday if invalid)
+ * @param {number} weekIndex - The target week index (0-52)
+ * @param {number} year - The target ISO year
+ * @returns {string} - Date string in YYYY-MM-DD format
+ */
+function getDateInWeek(dateString, weekIndex, year) {
+  let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
+  let daysSinceMonday = match
+    ? (new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getDay() + 6) % 7
+    : 0;
+  
+  // Count from the Thursday of the target week, in UTC like getDateFromWeekIndex()
+  let date = getDateFromWeekIndex(weekIndex, year);
+  date.setUTCDate(date.getUTCDate() + daysSinceMonday - 3);
+  return date.toISOString().slice(0, 10);
+}
+
 /**
  * formatDateForInput()
  * Formats a Date object as YYYY-MM-DD in local timezone (not UTC)
@@ -120,7 +153,7 @@ function formatDateForInput(date) {
  * getWeekDateRange()
  * Gets the start (Monday) and end (Sunday) dates for a given week index
  * ISO 8601 weeks start on Monday (day 1) and end on Sunday (day 0)
- * @param {number} weekIndex - The week index (0-51)
+ * @param {number} weekIndex - The week index (0-52)
  * @param {number} year - The year
  * @returns {Object} - Object with startDate (Monday) and endDate (Sunday) as Date objects
  */
@@ -146,12 +179,13 @@ function getWeekDateRange(weekIndex, year) {
 
 /**
  * getYearAndWeekIndexFromWeeksSinceBirth()
- * Converts weeks since birth to the corresponding year and week index (0-51)
+ * Converts weeks since birth to the corresponding year and week index (0-52)
  * This is the inverse of getWeeksSinceBirth - given a week number in someone's life,
- * find which calendar year and week index (0-51) it falls in
+ * find which ISO year and week index it falls in. Week index 52 is only
+ * returned for 53-week ISO years (see getISOWeeksInYear())
  * @param {number} weeksSinceBirth - The number of weeks since birth (0, 1, 2, ...)
  * @param {Date} birthDate - The user's birth date
- * @returns {Object} - Object with year and weekIndex (0-51), or null if invalid
+ * @returns {Object} - Object with year and weekIndex (0-52), or null if invalid
  */
 function getYearAndWeekIndexFromWeeksSinceBirth(weeksSinceBirth, birthDate) {
   if (!birthDate || weeksSinceBirth < 0) {
@@ -178,6 +212,41 @@ function getYearAndWeekIndexFromWeeksSinceBirth(weeksSinceBirth, birthDate) {
   };
 }
 
+/**
+ * getYearAndWeekIndexFromDate()
+ * Finds the ISO year and week index (0-52) that a memory date belongs to
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @returns {Object} - Object with year and weekIndex (0-52), or null if the date is invalid
+ */
+function getYearAndWeekIndexFromDate(dateString) {
+  let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
+  if (!match) {
+    return null;
+  }
+  
+  // Build the date from its parts so the local timezone can't shift the day
+  let date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  let isoWeekInfo = getISOWeekNumber(date);
+  
+  return {
+    year: isoWeekInfo.year,
+    weekIndex: isoWeekInfo.weekNumber - 1
+  };
+}
+
+/**
+ * isWeekInFuture()
+ * Checks whether a week starts after today (the current week is not in the future)
+ * @param {number} weekIndex - The week index (0-52)
+ * @param {number} year - The ISO year
+ * @param {Date} [today] - The current date (defaults to now)
+ * @returns {boolean} - True if the week's Monday is after today
+ */
+function isWeekInFuture(weekIndex, year, today = new Date()) {
+  let weekStart = normalizeDateToStartOfDay(getWeekDateRange(weekIndex, year).startDate);
+  return weekStart > normalizeDateToStartOfDay(today);
+}
+
 /**
  * normalizeDateToStartOfDay()
  * Normalizes a date to the start of the day (00:00:00)
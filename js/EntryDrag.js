@@ -0,0 +1,250 @@
+/**
+ * EntryDrag.js
+ * Moving a memory or goal into another week by dragging it onto its circle
+ *
+ * Every entry in the week modal's list has a drag handle. Once the handle is
+ * pulled a few pixels the modal closes, the entry's title follows the
+ * pointer and the week circle under it lights up (see draw() in sketch.js).
+ * Dropping it on a week moves the entry there with moveMemoryToWeek(), which
+ * saves both years in one write, and opens that week. Holding it over one of
+ * the year navigation buttons turns the year, so entries can be moved into
+ * other years too. Dropping it anywhere else, or pressing Escape, leaves the
+ * entry where it was and reopens its week, and so does dropping a memory on
+ * a week where its date would be after today.
+ */
+
+const DRAG_START_DISTANCE = 8;    // Pixels the handle must move before the drag starts
+const DRAG_NAV_DWELL_TIME = 700;  // How long to hold an entry over a year button before the year turns (ms)
+
+/**
+ * EntryDrag Class
+ * The drag handles in the week modal's list and the drag itself
+ */
+class EntryDrag {
+  constructor() {
+    this.ghost = null;
+    this.drag = null;       // { source, memoryId, type, date, weeksSinceBirth, title, pointerId, startX, startY, lifted } while a handle is held
+    this.x = 0;             // Pointer position on the canvas while dragging
+    this.y = 0;
+    this.navButton = null;  // Year button the entry is held over
+    this.navTimer = null;
+  }
+
+  /**
+   * setupListeners()
+   * The drag follows the pointer anywhere on the page, since the modal it
+   * started in closes as soon as it begins
+   */
+  setupListeners() {
+    this.ghost = document.getElementById('entry-drag-ghost');
+
+    window.addEventListener('pointermove', (e) => this.move(e));
+    window.addEventListener('pointerup', (e) => this.release(e));
+    window.addEventListener('pointercancel', (e) => {
+      if (this.drag && e.pointerId === this.drag.pointerId) {
+        this.cancel();
+      }
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isDragging()) {
+        this.cancel();
+      }
+    });
+  }
+
+  /**
+   * isDragging()
+   * @returns {boolean} - True while an entry is being dragged over the grid
+   */
+  isDragging() {
+    return this.drag !== null && this.drag.lifted;
+  }
+
+  /**
+   * attachHandle()
+   * Adds a drag handle to an entry in the week modal's list
+   * @param {HTMLElement} item - The list item
+   * @param {Object} source - { year, weekIndex } the entry is stored in
+   * @param {Object} memory - The memory or goal
+   * @param {number} weeksSinceBirth - The week the modal shows
+   */
+  attachHandle(item, source, memory, weeksSinceBirth) {
+    let handle = document.createElement('button');
+    handle.type = 'button';
+    handle.className = 'memory-drag-handle';
+    handle.title = 'Drag to another week';
+    handle.setAttribute('aria-label', 'Drag to another week');
+    handle.textContent = '⠿';
+
+    // Holding the handle is not a tap on the item
+    handle.addEventListener('click', (e) => e.stopPropagation());
+    handle.addEventListener('touchend', (e) => e.stopPropagation());
+
+    handle.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || app.viewMode !== 'year') return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.drag = {
+        source: { year: source.year, weekIndex: source.weekIndex },
+        memoryId: memory.id,
+        type: memory.type,
+        date: memory.date,
+        weeksSinceBirth: weeksSinceBirth,
+        title: memory.title || 'Untitled',
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        lifted: false
+      };
+    });
+
+    let header = item.querySelector('.memory-item-header');
+    (header || item).appendChild(handle);
+  }
+
+  /**
+   * move()
+   * Starts the drag once the handle has moved far enough, then follows the pointer
+   * @param {PointerEvent} e - The pointer event
+   */
+  move(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+    if (!this.drag.lifted) {
+      if (Math.hypot(e.clientX - this.drag.startX, e.clientY - this.drag.startY) < DRAG_START_DISTANCE) return;
+      this.lift();
+    }
+
+    e.preventDefault();
+    this.updatePosition(e.clientX, e.clientY);
+    this.updateNavButton(document.elementFromPoint(e.clientX, e.clientY));
+  }
+
+  /**
+   * lift()
+   * Closes the week modal so the grid can be dropped on, and shows the dragged title
+   */
+  lift() {
+    this.drag.lifted = true;
+    hideModal();
+    if (this.ghost) {
+      this.ghost.textContent = this.drag.title;
+      this.ghost.style.display = 'block';
+    }
+  }
+
+  /**
+   * updatePosition()
+   * Moves the dragged title and records the position on the canvas, where
+   * draw() hovers the week under it
+   * @param {number} clientX - Pointer x in the window
+   * @param {number} clientY - Pointer y in the window
+   */
+  updatePosition(clientX, clientY) {
+    if (this.ghost) {
+      this.ghost.style.left = `${clientX}px`;
+      this.ghost.style.top = `${clientY}px`;
+    }
+    let rect = app.cachedCanvas ? app.cachedCanvas.getBoundingClientRect() : { left: 0, top: 0 };
+    this.x = clientX - rect.left;
+    this.y = clientY - rect.top;
+  }
+
+  /**
+   * updateNavButton()
+   * Turns the year while the entry is held over a year button (again every
+   * DRAG_NAV_DWELL_TIME while it stays there)
+   * @param {Element|null} element - The element under the pointer
+   */
+  updateNavButton(element) {
+    let button = element ? element.closest('#year-prev-btn, #year-next-btn') : null;
+    if (button === this.navButton) return;
+
+    this.clearNavButton();
+    if (!button) return;
+
+    this.navButton = button;
+    button.classList.add('drag-over');
+    let turn = () => {
+      button.click();
+      this.navTimer = setTimeout(turn, DRAG_NAV_DWELL_TIME);
+    };
+    this.navTimer = setTimeout(turn, DRAG_NAV_DWELL_TIME);
+  }
+
+  /**
+   * clearNavButton()
+   * Stops turning the year
+   */
+  clearNavButton() {
+    clearTimeout(this.navTimer);
+    this.navTimer = null;
+    if (this.navButton) {
+      this.navButton.classList.remove('drag-over');
+      this.navButton = null;
+    }
+  }
+
+  /**
+   * release()
+   * Drops the entry on the hovered week, or puts it back
+   * @param {PointerEvent} e - The pointer event
+   */
+  release(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+    if (!this.drag.lifted) {
+      this.drag = null;
+      return;
+    }
+
+    let week = app.viewMode === 'year' ? app.weeks.find(w => w.isHovered) : null;
+    let target = week ? getYearAndWeekIndexFromWeeksSinceBirth(week.weeksSinceBirth, app.birthDate) : null;
+    if (!target) {
+      this.cancel();
+      return;
+    }
+
+    // Memories can't be moved into the future, the same rule as adding one
+    let newDate = getDateInWeek(this.drag.date, target.weekIndex, target.year);
+    if (this.drag.type !== ENTRY_TYPE_GOAL && newDate > formatDateForInput(new Date())) {
+      this.cancel();
+      alert("Memories can only be dated today or earlier, so this one can't move to a later week.");
+      return;
+    }
+
+    let drag = this.end();
+    if (moveMemoryToWeek(drag.source, drag.memoryId, target) === null) {
+      console.error('Dragged entry not found:', drag.memoryId);
+    }
+    showWeekModal(week);
+  }
+
+  /**
+   * cancel()
+   * Ends the drag without moving the entry and reopens its week
+   */
+  cancel() {
+    let drag = this.end();
+    if (drag && drag.lifted) {
+      showWeekModal({ weeksSinceBirth: drag.weeksSinceBirth });
+    }
+  }
+
+  /**
+   * end()
+   * Clears the drag state and hides the dragged title
+   * @returns {Object|null} - The drag that ended
+   */
+  end() {
+    let drag = this.drag;
+    this.drag = null;
+    this.clearNavButton();
+    if (this.ghost) {
+      this.ghost.style.display = 'none';
+    }
+    return drag;
+  }
+}
+
+// Global entry drag instance
+let entryDrag = new EntryDrag();
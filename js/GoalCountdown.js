@@ -1,77 +1,255 @@
 /**
  * GoalCountdown.js
  * Handles the display of countdown timers for future goals
+ *
+ * How far ahead to look, how many goals to show and whether to group them
+ * by month or year are saved in the 'goalCountdown' setting and changed from
+ * the settings button next to the panel title. The goal list is cached and
+ * only rebuilt when stored data, the settings or the date change.
+ *
+ * Upcoming occurrences of recurring goals and anniversaries (see
+ * RecurringEntries.js) are listed between the goals, marked with ↻.
  */
 
+const GOAL_COUNTDOWN_SETTING_KEY = 'goalCountdown';
+const GOAL_HORIZON_OPTIONS = [3, 6, 12, 24, 60, 120, 240]; // Look-ahead choices, in months
+const GOAL_COUNT_MIN = 1;
+const GOAL_COUNT_MAX = 10;
+const GOAL_GROUPING_NONE = 'none';
+const GOAL_GROUPING_MONTH = 'month';
+const GOAL_GROUPING_YEAR = 'year';
+const DEFAULT_GOAL_COUNTDOWN = { horizonMonths: 120, count: 5, grouping: GOAL_GROUPING_NONE };
+
+/**
+ * getGoalCountdownSettings()
+ * @returns {Object} - { horizonMonths, count, grouping }, with defaults for anything missing
+ */
+function getGoalCountdownSettings() {
+  let saved = getSetting(GOAL_COUNTDOWN_SETTING_KEY, null) || {};
+  return {
+    horizonMonths: GOAL_HORIZON_OPTIONS.includes(saved.horizonMonths) ? saved.horizonMonths : DEFAULT_GOAL_COUNTDOWN.horizonMonths,
+    count: Number.isInteger(saved.count) && saved.count >= GOAL_COUNT_MIN && saved.count <= GOAL_COUNT_MAX
+      ? saved.count : DEFAULT_GOAL_COUNTDOWN.count,
+    grouping: [GOAL_GROUPING_MONTH, GOAL_GROUPING_YEAR].includes(saved.grouping) ? saved.grouping : GOAL_GROUPING_NONE
+  };
+}
+
+/**
+ * getHorizonLabel()
+ * @param {number} months - Look-ahead in months
+ * @returns {string} - e.g. '6 months' or '10 years'
+ */
+function getHorizonLabel(months) {
+  if (months < 12) return `${months} months`;
+  let years = months / 12;
+  return years === 1 ? '1 year' : `${years} years`;
+}
+
+/**
+ * getGoalGroup()
+ * Works out the month or year heading a goal is listed under
+ * @param {string} dateString - The goal's date (YYYY-MM-DD)
+ * @param {string} grouping - GOAL_GROUPING_MONTH or GOAL_GROUPING_YEAR
+ * @returns {Object} - { key, label }, e.g. { key: '2027-03', label: 'March 2027' }
+ */
+function getGoalGroup(dateString, grouping) {
+  let [year, month] = dateString.split('-').map(Number);
+  if (grouping === GOAL_GROUPING_YEAR) {
+    return { key: String(year), label: String(year) };
+  }
+  let label = new Date(year, month - 1, 1).toLocaleDateString(getDateLocale(), { month: 'long', year: 'numeric' });
+  return { key: dateString.slice(0, 7), label: label };
+}
+
+/**
+ * drawPanelCard()
+ * Draws one clickable card of the panel: a title and an italic detail
+ * line below it (also used by the "On this day" panel, see OnThisDay.js)
+ * @param {Object} bounds - { x, y, width, height }
+ * @param {boolean} isHovered - True while the pointer is over the card
+ * @param {string} title - First line (shortened if too long)
+ * @param {string} detail - Second line, e.g. the countdown
+ * @param {Object} sizes - { fontSize, countdownFontSize, countdownSpacing, cardPadding }
+ */
+function drawPanelCard(bounds, isHovered, title, detail, sizes) {
+  let { fontSize, countdownFontSize, countdownSpacing, cardPadding } = sizes;
+  
+  // Draw card background
+  push();
+  noStroke();
+  // Base fill color
+  let baseFillColor = color(245, 244, 227, 200); // Semi-transparent beige
+  
+  // Darken the fill color on hover (less darkening for cards)
+  if (isHovered) {
+    let r = red(baseFillColor);
+    let g = green(baseFillColor);
+    let b = blue(baseFillColor);
+    let a = alpha(baseFillColor);
+    // Darken by 10% towards black (less than circles)
+    r = max(0, r - r * 0.1);
+    g = max(0, g - g * 0.1);
+    b = max(0, b - b * 0.08);
+    baseFillColor = color(r, g, b, a);
+  }
+  
+  fill(baseFillColor);
+  rect(bounds.x, bounds.y, bounds.width, bounds.height, 8); // Rounded corners
+  pop();
+  
+  // Draw card border
+  push();
+  // Use orange border on hover (matching current week indicator), otherwise use base color
+  let borderColor = isHovered ? color("#ff914d") : color("#BFC0B1");
+  
+  stroke(borderColor);
+  strokeWeight(isHovered ? 2 : 1);
+  noFill();
+  rect(bounds.x, bounds.y, bounds.width, bounds.height, 8);
+  pop();
+  
+  // Truncate the title if too long
+  let maxTextLength = windowWidth < 600 ? 25 : 40;
+  let displayText = title.length > maxTextLength 
+    ? title.substring(0, maxTextLength) + '...' 
+    : title;
+  
+  // Position the title (adjusted for card padding)
+  push();
+  noStroke();
+  textAlign(LEFT, BOTTOM);
+  textSize(fontSize);
+  fill("#525349");
+  let titleY = bounds.y + bounds.height - countdownFontSize - countdownSpacing - cardPadding;
+  text(displayText, bounds.x + cardPadding, titleY);
+  pop();
+  
+  // Position the detail line below the title
+  push();
+  noStroke();
+  textAlign(LEFT, BOTTOM);
+  textSize(countdownFontSize);
+  fill(120);
+  textStyle(ITALIC);
+  text(detail, bounds.x + cardPadding, bounds.y + bounds.height - cardPadding);
+  pop();
+}
+
 class GoalCountdown {
   constructor() {
-    this.goals = [];              // Array of { title, weeksUntil, daysUntil, weekDate, goalDate }
+    this.goals = [];              // Array of { title, weeksUntil, daysUntil, weekDate, goalDate, group, occurrence? }
     this.hoverStates = new Map(); // Track hover state by goal key (memoryId + weeksSinceBirth)
+    this.settings = getGoalCountdownSettings();
+    this.cacheKey = null;         // What the cached goal list was built from (see update())
+    this.recurringEntries = null; // The recurring entries the list was built from
+    this.hasFutureGoals = false;  // True if any goal lies ahead, even beyond the horizon
+    this.settingsBounds = null;   // Settings button position, for click detection
+    this.settingsHovered = false;
+    this.panelTop = null;         // Top of the panel's title while it is shown (see OnThisDay.js)
   }
 
   /**
    * update()
-   * Updates the list of future goals and calculates countdowns
+   * Rebuilds the list of future goals if stored data, recurring entries,
+   * the settings or the date changed since the last build (called every frame)
    * @param {Date} birthDate - User's birth date
    * @param {number} currentDisplayYear - Currently displayed year
-   * @param {number} currentWeekIndex - Current week index (0-51)
+   * @param {number} currentWeekIndex - Current week index (0-52)
    * @param {Date} today - The current date (passed from draw() to avoid creating it every frame)
    */
   update(birthDate, currentDisplayYear, currentWeekIndex, today) {
     this.birthDate = birthDate; // Store for click detection
     if (!birthDate) {
       this.goals = [];
+      this.hasFutureGoals = false;
+      this.cacheKey = null;
       return;
     }
 
+    let settings = getGoalCountdownSettings();
+    let cacheKey = [
+      getDataRevision(),
+      formatDateForInput(today),
+      birthDate.getTime(),
+      settings.horizonMonths,
+      settings.count,
+      settings.grouping,
+      getDateLocale()
+    ].join('|');
+    let recurringEntries = getRecurringEntries();
+    if (cacheKey === this.cacheKey && recurringEntries === this.recurringEntries) return;
+
+    this.cacheKey = cacheKey;
+    this.recurringEntries = recurringEntries;
+    this.settings = settings;
+    this.rebuild(birthDate, today);
+  }
+
+  /**
+   * rebuild()
+   * Lists the goals within the horizon and calculates their countdowns
+   * @param {Date} birthDate - User's birth date
+   * @param {Date} today - The current date
+   */
+  rebuild(birthDate, today) {
     this.goals = [];
-    // Use passed today parameter instead of creating new Date() every frame
-    let currentYear = today.getFullYear();
-    
-    // Check current year and future years for goals
-    // We'll check up to 10 years in the future to keep it reasonable
-    let maxFutureYear = currentYear + 10;
-    
-    for (let year = currentYear; year <= maxFutureYear; year++) {
+    this.hasFutureGoals = false;
+
+    let todayStart = normalizeDateToStartOfDay(today);
+    let horizonEnd = new Date(todayStart);
+    horizonEnd.setMonth(horizonEnd.getMonth() + this.settings.horizonMonths);
+
+    // Only stored years can hold goals; earlier years are all in the past
+    // (years are ISO years, so early January may still be in last year's week 52 or 53)
+    let years = getStoredYears().filter(year => year >= getISOWeekNumber(today).year);
+
+    for (let year of years) {
       let yearData = loadData(year);
-      if (!yearData) continue;
-      
+
       for (let weekIndex = 0; weekIndex < yearData.length; weekIndex++) {
         let weekData = yearData[weekIndex];
         if (!weekData || !weekData.memories || weekData.memories.length === 0) {
           continue;
         }
-        
+
         // Get the week's date range
         let weekRange = getWeekDateRange(weekIndex, year);
-        let weekMonday = weekRange.startDate;
-        
-        // Check if this week is in the future
-        let weekStart = normalizeDateToStartOfDay(new Date(weekMonday));
-        let todayStart = normalizeDateToStartOfDay(today);
-        
+        let weekStart = normalizeDateToStartOfDay(new Date(weekRange.startDate));
+
         // Skip if this week is in the past or current week
         // We want to show goals that are in the future (weekStart > todayStart)
         if (weekStart <= todayStart) {
           continue;
         }
-        
-        // Future week with goals - add each memory as a goal
+
+        // Future week - add each goal still waiting for an outcome
+        // (memories dated in the future are not goals)
         for (let memory of weekData.memories) {
+          if (!isGoalPending(memory)) {
+            continue;
+          }
+          this.hasFutureGoals = true;
+
+          // Beyond the horizon - counted above, but not listed
+          if (weekStart > horizonEnd) {
+            continue;
+          }
+
           // Calculate time until this week
           let diffTime = weekStart.getTime() - todayStart.getTime();
           let diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
           let diffWeeks = Math.floor(diffDays / 7);
-          
+
           // Use the memory's date if available, otherwise use the week's Monday
           let goalDate = memory.date ? new Date(memory.date) : weekStart;
-          
+          let dateString = memory.date || formatDateForInput(weekStart);
+
           // Calculate weeks since birth for this goal (needed for opening the memory)
           let weeksSinceBirth = app.getWeeksSinceBirth(weekIndex, year, birthDate);
-          
+
           // Create unique key for this goal to track hover state
           let goalKey = `${memory.id}_${weeksSinceBirth}`;
-          
+
           this.goals.push({
             title: memory.title || memory.text || 'Untitled', // Use title, fallback to text, then "Untitled"
             memoryId: memory.id,                              // Store memory ID for opening
@@ -80,6 +258,7 @@ class GoalCountdown {
             daysUntil: diffDays,                              // Store days until goal
             weekDate: weekStart,                              // Store week date
             goalDate: goalDate,                               // Store goal date
+            group: this.settings.grouping === GOAL_GROUPING_NONE ? null : getGoalGroup(dateString, this.settings.grouping),
             goalKey: goalKey,                                  // Unique identifier for hover tracking
             // Store card bounds for click detection
             cardBounds: null                                   // Will be calculated in display()
@@ -87,12 +266,58 @@ class GoalCountdown {
         }
       }
     }
-    
+
+    this.addRecurringOccurrences(birthDate, today, todayStart, horizonEnd);
+
     // Sort goals by date (soonest first)
-    this.goals.sort((a, b) => a.weekDate.getTime() - b.weekDate.getTime());
-    
-    // Limit to first 5 goals to help focus (concept: focus on 5 at a time)
-    this.goals = this.goals.slice(0, 5);
+    this.goals.sort((a, b) => a.weekDate.getTime() - b.weekDate.getTime() || a.goalDate.getTime() - b.goalDate.getTime());
+
+    // Only show as many as the user chose, to help focus
+    this.goals = this.goals.slice(0, this.settings.count);
+  }
+
+  /**
+   * addRecurringOccurrences()
+   * Adds a card for every upcoming occurrence of a recurring goal or
+   * anniversary within the horizon (skipped occurrences are left out)
+   * @param {Date} birthDate - User's birth date
+   * @param {Date} today - The current date
+   * @param {Date} todayStart - Start of today
+   * @param {Date} horizonEnd - Last day of the horizon
+   */
+  addRecurringOccurrences(birthDate, today, todayStart, horizonEnd) {
+    let fromDate = formatDateForInput(today);
+    let toDate = formatDateForInput(horizonEnd);
+
+    // A series that hasn't ended keeps going past the horizon
+    if (this.recurringEntries.some(entry => !entry.endDate || entry.endDate > toDate)) {
+      this.hasFutureGoals = true;
+    }
+
+    for (let occurrence of getRecurringOccurrences(fromDate, toDate)) {
+      if (occurrence.skipped) continue;
+
+      // Like goals, from next week on
+      let yearWeekInfo = getYearAndWeekIndexFromDate(occurrence.date);
+      let weekRange = getWeekDateRange(yearWeekInfo.weekIndex, yearWeekInfo.year);
+      let weekStart = normalizeDateToStartOfDay(new Date(weekRange.startDate));
+      if (weekStart <= todayStart) continue;
+      this.hasFutureGoals = true;
+
+      let diffDays = Math.floor((weekStart.getTime() - todayStart.getTime()) / (1000 * 60 * 60 * 24));
+      this.goals.push({
+        title: `↻ ${occurrence.title || occurrence.text || 'Untitled'}`,
+        occurrence: occurrence,
+        weeksSinceBirth: app.getWeeksSinceBirth(yearWeekInfo.weekIndex, yearWeekInfo.year, birthDate),
+        weeksUntil: Math.floor(diffDays / 7) + 1,
+        daysUntil: diffDays,
+        weekDate: weekStart,
+        goalDate: new Date(occurrence.date),
+        group: this.settings.grouping === GOAL_GROUPING_NONE ? null : getGoalGroup(occurrence.date, this.settings.grouping),
+        goalKey: `${occurrence.entryId}_${occurrence.occurrenceDate}`,
+        cardBounds: null
+      });
+    }
   }
 
   /**
@@ -100,7 +325,10 @@ class GoalCountdown {
    * Displays the goal countdowns as clickable cards in the bottom left corner
    */
   display() {
-    if (this.goals.length === 0) {
+    // The panel stays (with its settings button) while goals lie beyond the horizon
+    if (!this.hasFutureGoals) {
+      this.settingsBounds = null;
+      this.panelTop = null;
       return;
     }
 
@@ -126,8 +354,36 @@ class GoalCountdown {
     let cardPadding = 12;
     let goalBlockHeight = fontSize + countdownSpacing + countdownFontSize + (cardPadding * 2);
     
-    // Calculate total height of all goal cards
-    let totalCardsHeight = (this.goals.length * goalBlockHeight) + ((this.goals.length - 1) * goalBlockSpacing);
+    let groupHeadingHeight = countdownFontSize + countdownSpacing;
+    
+    // Work out the bottom of every card and group heading, from the bottom up
+    let rowBottoms = new Map(); // goal -> bottom y of its card
+    let groupHeadings = [];     // { label, y }
+    let y = startY;
+    for (let i = this.goals.length - 1; i >= 0; i--) {
+      let goal = this.goals[i];
+      rowBottoms.set(goal, y);
+      y -= goalBlockHeight + goalBlockSpacing;
+      
+      // A heading above the first goal of each month or year
+      let previous = this.goals[i - 1];
+      if (goal.group && (!previous || previous.group.key !== goal.group.key)) {
+        groupHeadings.push({ label: goal.group.label, y: y });
+        y -= groupHeadingHeight + goalBlockSpacing;
+      }
+    }
+    
+    // Nothing within the horizon - say so under the title
+    if (this.goals.length === 0) {
+      push();
+      noStroke();
+      textSize(countdownFontSize);
+      fill(120);
+      textStyle(ITALIC);
+      text(`Nothing in the next ${getHorizonLabel(this.settings.horizonMonths)}`, startX, startY);
+      pop();
+      y = startY - countdownFontSize - goalBlockSpacing;
+    }
     
     // Title above the cards
     push();
@@ -136,15 +392,44 @@ class GoalCountdown {
     textSize(titleFontSize);
     fill("#525349");
     textStyle(BOLD);
-    let titleY = startY - totalCardsHeight - titleSpacing;
-    text("On the horizon...", startX, titleY);
+    let titleY = y + goalBlockSpacing - titleSpacing;
+    let title = "On the horizon...";
+    text(title, startX, titleY);
+    
+    // Settings button right of the title
+    let settingsX = startX + textWidth(title) + titleFontSize * 0.5;
+    textStyle(NORMAL);
+    this.settingsBounds = {
+      x: settingsX,
+      y: titleY - titleFontSize * 1.2,
+      width: titleFontSize * 1.2,
+      height: titleFontSize * 1.2
+    };
+    this.panelTop = this.settingsBounds.y;
+    let settingsHovered = this.isInBounds(mouseX, mouseY, this.settingsBounds);
+    if (settingsHovered && !this.settingsHovered && audioManager && typeof audioManager.playTick === 'function') {
+      audioManager.playTick();
+    }
+    this.settingsHovered = settingsHovered;
+    fill(settingsHovered ? "#ff914d" : "#8B8B8B");
+    text("⚙", settingsX, titleY);
     pop();
     
+    // Month or year headings between the cards
+    for (let heading of groupHeadings) {
+      push();
+      noStroke();
+      textSize(countdownFontSize);
+      fill("#525349");
+      textStyle(BOLD);
+      text(heading.label.toUpperCase(), startX, heading.y);
+      pop();
+    }
+    
     // Display all goals as cards (from bottom to top)
     for (let i = 0; i < this.goals.length; i++) {
       let goal = this.goals[i];
-      let goalIndex = this.goals.length - i - 1; // Reverse order (last goal at bottom)
-      let yPos = startY - (goalIndex * (goalBlockHeight + goalBlockSpacing));
+      let yPos = rowBottoms.get(goal);
       
       // Calculate card bounds for click detection
       let cardX = startX;
@@ -176,68 +461,12 @@ class GoalCountdown {
       // Store current hover state in Map for next frame (persists across goal array recreation)
       this.hoverStates.set(goal.goalKey, isHovered);
       
-      // Draw card background
-      push();
-      noStroke();
-      // Base fill color
-      let baseFillColor = color(245, 244, 227, 200); // Semi-transparent beige
-      
-      // Darken the fill color on hover (less darkening for cards)
-      if (isHovered) {
-        let r = red(baseFillColor);
-        let g = green(baseFillColor);
-        let b = blue(baseFillColor);
-        let a = alpha(baseFillColor);
-        // Darken by 10% towards black (less than circles)
-        r = max(0, r - r * 0.1);
-        g = max(0, g - g * 0.1);
-        b = max(0, b - b * 0.08);
-        baseFillColor = color(r, g, b, a);
-      }
-      
-      fill(baseFillColor);
-      rect(bounds.x, bounds.y, bounds.width, bounds.height, 8); // Rounded corners
-      pop();
-      
-      // Draw card border
-      push();
-      // Use orange border on hover (matching current week indicator), otherwise use base color
-      let borderColor = isHovered ? color("#ff914d") : color("#BFC0B1");
-      
-      stroke(borderColor);
-      strokeWeight(isHovered ? 2 : 1);
-      noFill();
-      rect(bounds.x, bounds.y, bounds.width, bounds.height, 8);
-      pop();
-      
       // Format: "X week left (x days left)"
       let weekText = goal.weeksUntil === 1 ? 'week' : 'weeks';
       let dayText = goal.daysUntil === 1 ? 'day' : 'days';
       let goalText = `${goal.weeksUntil} ${weekText} left (${goal.daysUntil} ${dayText} left)`;
       
-      // Truncate goal title if too long
-      let maxTextLength = windowWidth < 600 ? 25 : 40;
-      let displayText = goal.title.length > maxTextLength 
-        ? goal.title.substring(0, maxTextLength) + '...' 
-        : goal.title;
-      
-      // Position goal text (adjusted for card padding)
-      push();
-      noStroke();
-      textSize(fontSize);
-      fill("#525349");
-      let goalTextY = bounds.y + bounds.height - countdownFontSize - countdownSpacing - cardPadding;
-      text(displayText, bounds.x + cardPadding, goalTextY);
-      pop();
-      
-      // Position countdown below title
-      push();
-      noStroke();
-      textSize(countdownFontSize);
-      fill(120);
-      textStyle(ITALIC);
-      text(goalText, bounds.x + cardPadding, bounds.y + bounds.height - cardPadding);
-      pop();
+      drawPanelCard(bounds, isHovered, goal.title, goalText, { fontSize, countdownFontSize, countdownSpacing, cardPadding });
     }
     
     pop();
@@ -251,6 +480,8 @@ class GoalCountdown {
    * @returns {Object|null} - Goal object if clicked, null otherwise
    */
   checkClick(mouseX, mouseY) {
+    if (!this.hasFutureGoals) return null;
+
     // Check all goals for click detection
     for (let goal of this.goals) {
       if (goal.cardBounds) {
@@ -263,4 +494,135 @@ class GoalCountdown {
     }
     return null;
   }
-}
\ No newline at end of file
+  
+  /**
+   * checkSettingsClick()
+   * Checks if the settings button next to the title was clicked
+   * @param {number} mouseX - Mouse X position
+   * @param {number} mouseY - Mouse Y position
+   * @returns {boolean} - True if the settings button was clicked
+   */
+  checkSettingsClick(mouseX, mouseY) {
+    return this.hasFutureGoals && this.isInBounds(mouseX, mouseY, this.settingsBounds);
+  }
+  
+  /**
+   * isInBounds()
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {Object|null} bounds - { x, y, width, height }
+   * @returns {boolean} - True if the position is inside the bounds
+   */
+  isInBounds(x, y, bounds) {
+    return Boolean(bounds) && x >= bounds.x && x <= bounds.x + bounds.width &&
+           y >= bounds.y && y <= bounds.y + bounds.height;
+  }
+}
+
+/**
+ * GoalCountdownSettings Class
+ * The modal for the panel's horizon, goal count and grouping. Changes are
+ * saved and shown straight away.
+ */
+class GoalCountdownSettings {
+  constructor() {
+    this.modal = null;
+  }
+
+  /**
+   * setupListeners()
+   * Fills the horizon options and wires up the modal controls
+   */
+  setupListeners() {
+    this.modal = document.getElementById('goal-countdown-modal');
+
+    let horizonInput = document.getElementById('goal-horizon-input');
+    if (horizonInput) {
+      for (let months of GOAL_HORIZON_OPTIONS) {
+        let option = document.createElement('option');
+        option.value = months;
+        option.textContent = getHorizonLabel(months);
+        horizonInput.appendChild(option);
+      }
+    }
+
+    let countInput = document.getElementById('goal-count-input');
+    if (countInput) {
+      countInput.min = GOAL_COUNT_MIN;
+      countInput.max = GOAL_COUNT_MAX;
+    }
+
+    for (let id of ['goal-horizon-input', 'goal-count-input', 'goal-grouping-input']) {
+      let input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.save());
+      }
+    }
+
+    let closeBtn = document.getElementById('goal-countdown-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+  }
+
+  /**
+   * open()
+   * Shows the modal with the saved settings
+   */
+  open() {
+    if (!this.modal) return;
+    let settings = getGoalCountdownSettings();
+
+    let horizonInput = document.getElementById('goal-horizon-input');
+    let countInput = document.getElementById('goal-count-input');
+    let groupingInput = document.getElementById('goal-grouping-input');
+    if (horizonInput) horizonInput.value = settings.horizonMonths;
+    if (countInput) countInput.value = settings.count;
+    if (groupingInput) groupingInput.value = settings.grouping;
+
+    openAppModal(this.modal);
+  }
+
+  /**
+   * close()
+   * Hides the modal
+   */
+  close() {
+    if (!this.modal) return;
+    closeAppModal(this.modal);
+  }
+
+  /**
+   * save()
+   * Saves the form; the panel rebuilds on the next frame
+   */
+  save() {
+    let horizonInput = document.getElementById('goal-horizon-input');
+    let countInput = document.getElementById('goal-count-input');
+    let groupingInput = document.getElementById('goal-grouping-input');
+
+    let count = countInput ? Math.round(Number(countInput.value)) : DEFAULT_GOAL_COUNTDOWN.count;
+    count = Math.min(Math.max(count || DEFAULT_GOAL_COUNTDOWN.count, GOAL_COUNT_MIN), GOAL_COUNT_MAX);
+    if (countInput) countInput.value = count;
+
+    let settings = {
+      horizonMonths: horizonInput ? Number(horizonInput.value) : DEFAULT_GOAL_COUNTDOWN.horizonMonths,
+      count: count,
+      grouping: groupingInput ? groupingInput.value : DEFAULT_GOAL_COUNTDOWN.grouping
+    };
+    setSetting(GOAL_COUNTDOWN_SETTING_KEY, settings).catch(function(error) {
+      console.error('Error saving goal countdown settings:', error);
+    });
+  }
+}
+
+// Global goal countdown settings instance
+let goalCountdownSettings = new GoalCountdownSettings();
\ No newline at end of file
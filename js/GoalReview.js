@@ -0,0 +1,311 @@
+/**
+ * GoalReview.js
+ * Asks how a goal went once its week has passed: achieved, missed or
+ * rescheduled to a later week. Goals stay open (and keep being asked about)
+ * until they get an outcome.
+ */
+
+/**
+ * GoalReview Class
+ * Finds goals waiting for review and walks through them in the review modal
+ */
+class GoalReview {
+  constructor() {
+    this.modal = null;
+    this.statusEl = null;
+    this.queue = [];             // Goals still to review: { weeksSinceBirth, memoryId }
+    this.current = null;         // The goal shown in the modal
+    this.reviewedCount = 0;      // Position in the current round, for the "1 of 3" line
+    this.totalCount = 0;
+    this.lastCheckedDate = null; // Date string of the last check, so it runs once per day
+    this.onDone = null;          // Called when the modal closes (used by the entry modal)
+    this.movedTo = null;         // { year, weekIndex } of the last rescheduled goal, passed to onDone
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the review modal buttons
+   */
+  setupListeners() {
+    this.modal = document.getElementById('goal-review-modal');
+    this.statusEl = document.getElementById('goal-review-status');
+
+    let achievedBtn = document.getElementById('goal-review-achieved-btn');
+    if (achievedBtn) {
+      achievedBtn.addEventListener('click', () => this.resolve(GOAL_STATUS_ACHIEVED));
+    }
+
+    let missedBtn = document.getElementById('goal-review-missed-btn');
+    if (missedBtn) {
+      missedBtn.addEventListener('click', () => this.resolve(GOAL_STATUS_MISSED));
+    }
+
+    let rescheduleBtn = document.getElementById('goal-review-reschedule-btn');
+    if (rescheduleBtn) {
+      rescheduleBtn.addEventListener('click', () => this.showReschedule(true));
+    }
+
+    let confirmBtn = document.getElementById('goal-review-reschedule-confirm-btn');
+    if (confirmBtn) {
+      confirmBtn.addEventListener('click', () => this.reschedule());
+    }
+
+    let laterBtn = document.getElementById('goal-review-later-btn');
+    if (laterBtn) {
+      laterBtn.addEventListener('click', () => this.close());
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+  }
+
+  /**
+   * update()
+   * Called every frame on the main page. Checks for goals to review when the
+   * app opens and again whenever the date changes while it stays open.
+   * @param {Date} today - The current date (passed from draw())
+   */
+  update(today) {
+    let todayString = formatDateForInput(today);
+    if (todayString === this.lastCheckedDate || !app.birthDate) return;
+    this.lastCheckedDate = todayString;
+
+    let dueGoals = this.findDueGoals(today);
+    if (dueGoals.length > 0) {
+      this.open(dueGoals);
+    }
+  }
+
+  /**
+   * recheck()
+   * Makes the next update() look for due goals again (e.g. after a backup import)
+   */
+  recheck() {
+    this.lastCheckedDate = null;
+  }
+
+  /**
+   * findDueGoals()
+   * Lists open and rescheduled goals whose week has passed, oldest first
+   * @param {Date} today - The current date
+   * @returns {Object[]} - Array of { weeksSinceBirth, memoryId }
+   */
+  findDueGoals(today) {
+    let dueGoals = [];
+
+    for (let year of getStoredYears()) {
+      let yearData = loadData(year);
+      yearData.forEach(function(week, weekIndex) {
+        let goals = (week.memories || []).filter(isGoalPending);
+        if (goals.length === 0) return;
+
+        // Same rule as the grid: a week has passed once its Sunday is over
+        let state = WeekCircle.computeWeekState(weekIndex, year, app.birthDate, today);
+        if (!state.isPast || state.isBeforeBirth) return;
+
+        let weeksSinceBirth = app.getWeeksSinceBirth(weekIndex, year, app.birthDate);
+        for (let goal of goals) {
+          dueGoals.push({ weeksSinceBirth: weeksSinceBirth, memoryId: goal.id });
+        }
+      });
+    }
+
+    return dueGoals;
+  }
+
+  /**
+   * reviewFromEntryModal()
+   * Reviews a single goal opened in the entry modal, then returns to it
+   * @param {number} weeksSinceBirth - The goal's week
+   * @param {string} memoryId - The ID of the goal
+   */
+  reviewFromEntryModal(weeksSinceBirth, memoryId) {
+    this.open([{ weeksSinceBirth, memoryId }], function(movedTo) {
+      // A rescheduled goal has left this week, so go back to the week's list
+      if (movedTo) {
+        showMemoryInputSection(false);
+        displayMemoriesList(weeksSinceBirth);
+        modalManager.editingMemoryId = null;
+      } else {
+        viewMemory(weeksSinceBirth, memoryId);
+      }
+    });
+  }
+
+  /**
+   * open()
+   * Shows the review modal for a list of goals
+   * @param {Object[]} goals - Array of { weeksSinceBirth, memoryId }
+   * @param {Function|null} onDone - Called with the new week if the last goal was rescheduled
+   */
+  open(goals, onDone = null) {
+    if (!this.modal) return;
+    this.queue = goals.slice();
+    this.totalCount = goals.length;
+    this.reviewedCount = 0;
+    this.onDone = onDone;
+    this.movedTo = null;
+    openAppModal(this.modal);
+    this.showNext();
+  }
+
+  /**
+   * close()
+   * Hides the review modal. Goals left unreviewed are asked about again
+   * the next day (or the next time the app opens).
+   */
+  close() {
+    if (!this.modal) return;
+    closeAppModal(this.modal);
+    this.queue = [];
+    this.current = null;
+
+    let onDone = this.onDone;
+    this.onDone = null;
+    if (onDone) {
+      onDone(this.movedTo);
+    }
+  }
+
+  /**
+   * showStatus()
+   * Shows a status or error line inside the modal
+   * @param {string} message - Text to show (empty hides the line)
+   * @param {boolean} isError - True to style as an error
+   */
+  showStatus(message, isError = false) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.style.display = message ? 'block' : 'none';
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * findGoal()
+   * Looks up a queued goal in the stored data
+   * @param {Object} item - { weeksSinceBirth, memoryId }
+   * @returns {Object|null} - { goal, yearWeekInfo } or null if it no longer exists
+   */
+  findGoal(item) {
+    let result = getYearDataForWeek(item.weeksSinceBirth);
+    if (!result) return null;
+
+    let { yearData, yearWeekInfo } = result;
+    let memories = (yearData[yearWeekInfo.weekIndex] && yearData[yearWeekInfo.weekIndex].memories) || [];
+    let goal = memories.find(m => m.id === item.memoryId && m.type === ENTRY_TYPE_GOAL);
+    return goal ? { goal, yearWeekInfo } : null;
+  }
+
+  /**
+   * showNext()
+   * Shows the next goal in the queue, or closes the modal when done
+   */
+  showNext() {
+    let found = null;
+    while (!found && this.queue.length > 0) {
+      this.current = this.queue.shift();
+      this.reviewedCount++;
+      found = this.findGoal(this.current); // Skip goals deleted since the check
+    }
+
+    if (!found) {
+      this.close();
+      return;
+    }
+
+    let { goal, yearWeekInfo } = found;
+    this.showStatus('');
+    this.showReschedule(false);
+
+    let progressEl = document.getElementById('goal-review-progress');
+    if (progressEl) {
+      progressEl.textContent = this.totalCount > 1
+        ? `Goal ${this.reviewedCount} of ${this.totalCount}`
+        : 'This goal\'s week has passed.';
+    }
+
+    let titleEl = document.getElementById('goal-review-title');
+    if (titleEl) {
+      titleEl.textContent = goal.title || 'Untitled';
+    }
+
+    let dateEl = document.getElementById('goal-review-date');
+    if (dateEl) {
+      let dateText = `Week ${yearWeekInfo.weekIndex + 1}, ${formatDateForView(goal.date)}`;
+      if (goal.status === GOAL_STATUS_RESCHEDULED) {
+        dateText += ' (rescheduled)';
+      }
+      dateEl.textContent = dateText;
+    }
+
+    let textEl = document.getElementById('goal-review-text');
+    if (textEl) {
+      textEl.textContent = goal.text || '';
+    }
+  }
+
+  /**
+   * showReschedule()
+   * Shows or hides the new date picker
+   * @param {boolean} visible - True to show it
+   */
+  showReschedule(visible) {
+    let section = document.getElementById('goal-review-reschedule');
+    if (section) {
+      section.style.display = visible ? 'flex' : 'none';
+    }
+
+    let dateInput = document.getElementById('goal-review-date-input');
+    if (visible && dateInput) {
+      // Goals look ahead - suggest the same day next week
+      let today = new Date();
+      let nextWeek = new Date(today);
+      nextWeek.setDate(today.getDate() + 7);
+      dateInput.setAttribute('min', formatDateForInput(today));
+      dateInput.value = formatDateForInput(nextWeek);
+      dateInput.focus();
+    }
+  }
+
+  /**
+   * resolve()
+   * Records the outcome of the current goal and moves on
+   * @param {string} status - GOAL_STATUS_ACHIEVED or GOAL_STATUS_MISSED
+   */
+  resolve(status) {
+    if (!this.current) return;
+    setGoalStatus(this.current.weeksSinceBirth, this.current.memoryId, status);
+    this.movedTo = null;
+    this.showNext();
+  }
+
+  /**
+   * reschedule()
+   * Moves the current goal to the chosen date and moves on
+   */
+  reschedule() {
+    if (!this.current) return;
+
+    let dateInput = document.getElementById('goal-review-date-input');
+    let date = dateInput ? dateInput.value : '';
+    if (!date) {
+      this.showStatus('Please choose a new date.', true);
+      return;
+    }
+    if (date < formatDateForInput(new Date())) {
+      this.showStatus('Goals need a date from today onwards.', true);
+      return;
+    }
+
+    this.movedTo = rescheduleGoal(this.current.weeksSinceBirth, this.current.memoryId, date);
+    this.showNext();
+  }
+}
+
+// Global goal review instance
+let goalReview = new GoalReview();
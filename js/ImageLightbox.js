@@ -0,0 +1,160 @@
+/**
+ * ImageLightbox.js
+ * Full-size viewer for an entry's images. Opened from the thumbnail strips in
+ * the entry modal; the arrow buttons, arrow keys and horizontal swipes move
+ * between images.
+ */
+
+const LIGHTBOX_SWIPE_DISTANCE = 50; // Pixels a swipe must travel sideways to change image
+
+/**
+ * ImageLightbox Class
+ * Shows one image of a gallery at a time with its caption
+ */
+class ImageLightbox {
+  constructor() {
+    this.modal = null;
+    this.imageEl = null;
+    this.captionEl = null;
+    this.counterEl = null;
+    this.images = [];        // The gallery being shown: [{ imageData, caption }, ...]
+    this.index = 0;          // Index of the image on screen
+    this.touchStart = null;  // { x, y } where the current swipe started
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the arrow and close buttons, keyboard navigation and swipes
+   */
+  setupListeners() {
+    this.modal = document.getElementById('image-lightbox');
+    this.imageEl = document.getElementById('lightbox-image');
+    this.captionEl = document.getElementById('lightbox-caption');
+    this.counterEl = document.getElementById('lightbox-counter');
+    if (!this.modal) return;
+
+    let prevBtn = document.getElementById('lightbox-prev-btn');
+    if (prevBtn) {
+      prevBtn.addEventListener('click', () => this.step(-1));
+    }
+
+    let nextBtn = document.getElementById('lightbox-next-btn');
+    if (nextBtn) {
+      nextBtn.addEventListener('click', () => this.step(1));
+    }
+
+    let closeBtn = document.getElementById('lightbox-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    // Clicking the dark background closes the lightbox
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen()) return;
+      if (e.key === 'ArrowLeft') {
+        this.step(-1);
+      } else if (e.key === 'ArrowRight') {
+        this.step(1);
+      } else if (e.key === 'Escape') {
+        this.close();
+      }
+    });
+
+    this.modal.addEventListener('touchstart', (e) => {
+      if (e.touches.length !== 1) return;
+      this.touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    }, { passive: true });
+
+    this.modal.addEventListener('touchend', (e) => {
+      if (!this.touchStart || e.changedTouches.length === 0) return;
+      let dx = e.changedTouches[0].clientX - this.touchStart.x;
+      let dy = e.changedTouches[0].clientY - this.touchStart.y;
+      this.touchStart = null;
+
+      // Only mostly-horizontal swipes count, so vertical drags don't change image
+      if (Math.abs(dx) >= LIGHTBOX_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        this.step(dx < 0 ? 1 : -1);
+      }
+    });
+  }
+
+  /**
+   * isOpen()
+   * @returns {boolean} - True while the lightbox is showing
+   */
+  isOpen() {
+    return Boolean(this.modal && this.modal.classList.contains('show'));
+  }
+
+  /**
+   * open()
+   * Shows a gallery, starting at one of its images
+   * @param {Object[]} images - Array of { imageData, caption }
+   * @param {number} index - Index of the image to show first
+   */
+  open(images, index = 0) {
+    if (!this.modal || images.length === 0) return;
+    this.images = images;
+    this.index = Math.min(Math.max(index, 0), images.length - 1);
+    openAppModal(this.modal);
+    this.show();
+  }
+
+  /**
+   * close()
+   * Hides the lightbox
+   */
+  close() {
+    if (!this.modal) return;
+    closeAppModal(this.modal);
+    this.images = [];
+    if (this.imageEl) {
+      this.imageEl.removeAttribute('src');
+    }
+  }
+
+  /**
+   * show()
+   * Displays the current image, its caption and its position
+   */
+  show() {
+    let image = this.images[this.index];
+    if (!image) return;
+
+    if (this.imageEl) {
+      this.imageEl.src = image.imageData;
+      this.imageEl.alt = image.caption || `Image ${this.index + 1}`;
+    }
+    if (this.captionEl) {
+      this.captionEl.textContent = image.caption || '';
+      this.captionEl.style.display = image.caption ? 'block' : 'none';
+    }
+    if (this.counterEl) {
+      this.counterEl.textContent = `${this.index + 1} / ${this.images.length}`;
+    }
+
+    // Arrows only make sense with more than one image
+    let hasSeveral = this.images.length > 1;
+    this.modal.classList.toggle('single', !hasSeveral);
+  }
+
+  /**
+   * step()
+   * Moves to the previous or next image, wrapping around at the ends
+   * @param {number} offset - -1 for previous, 1 for next
+   */
+  step(offset) {
+    if (this.images.length < 2) return;
+    this.index = (this.index + offset + this.images.length) % this.images.length;
+    this.show();
+  }
+}
+
+// Global image lightbox instance
+let imageLightbox = new ImageLightbox();
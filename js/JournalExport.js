@@ -0,0 +1,313 @@
+/**
+ * JournalExport.js
+ * Human-readable journal of every memory in a range of years, as one
+ * print-ready HTML file (open it and use the browser's "Save as PDF")
+ *
+ * The journal walks every stored year (the momentryData_<year> entries),
+ * orders the memories by date and embeds their photos, so the file works on
+ * its own. It carries its own stylesheet (JOURNAL_STYLESHEET) laid out for
+ * paper: each year starts on a new page and entries are not split across
+ * pages where it can be avoided. Dates use formatDateForView(), as in the
+ * memory view.
+ */
+
+const JOURNAL_STYLESHEET = `
+  @page { size: A4; margin: 20mm 18mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0 auto; max-width: 170mm; padding: 24px 0; font-family: Georgia, 'Times New Roman', serif; font-size: 11pt; line-height: 1.55; color: #2B2C26; background: #FFFFFF; }
+  h1, h2, h3, h4, .journal-meta, .journal-toolbar { font-family: Inter, 'Helvetica Neue', Arial, sans-serif; }
+  .journal-toolbar { display: flex; justify-content: flex-end; margin-bottom: 24px; }
+  .journal-toolbar button { padding: 8px 18px; border: none; border-radius: 6px; background: #ff914d; color: #FFFFFF; font-size: 14px; cursor: pointer; }
+  .journal-cover { text-align: center; padding: 30vh 0 0; break-after: page; page-break-after: always; }
+  .journal-cover h1 { font-size: 32pt; margin: 0 0 8px; color: #525349; }
+  .journal-cover p { margin: 4px 0; color: #77786B; }
+  .journal-year { break-before: page; page-break-before: always; }
+  .journal-year h2 { font-size: 22pt; color: #525349; border-bottom: 2px solid #ff914d; padding-bottom: 6px; margin: 0 0 18px; }
+  .journal-month { font-size: 10pt; letter-spacing: 0.12em; text-transform: uppercase; color: #77786B; margin: 28px 0 10px; }
+  .journal-entry { margin: 0 0 22px; break-inside: avoid; page-break-inside: avoid; }
+  .journal-entry h4 { font-size: 13pt; margin: 0 0 2px; color: #2B2C26; }
+  .journal-meta { font-size: 9pt; color: #77786B; margin: 0 0 8px; }
+  .journal-entry p { margin: 0 0 8px; white-space: pre-wrap; }
+  .journal-images { display: flex; flex-wrap: wrap; gap: 8px; margin: 8px 0 0; }
+  .journal-images figure { margin: 0; flex: 1 1 45%; max-width: 100%; break-inside: avoid; page-break-inside: avoid; }
+  .journal-images img { display: block; width: 100%; max-height: 90mm; object-fit: contain; background: #F5F4E3; }
+  .journal-images figcaption { font-size: 9pt; font-style: italic; color: #77786B; margin-top: 2px; }
+  .journal-empty { color: #77786B; font-style: italic; }
+  @media print {
+    body { padding: 0; max-width: none; }
+    .journal-toolbar { display: none; }
+    .journal-cover { padding-top: 80mm; }
+  }
+`;
+
+/**
+ * collectJournalMemories()
+ * Gathers the memories (not goals) of a range of years, in date order within each year
+ * @param {number} fromYear - First ISO year
+ * @param {number} toYear - Last ISO year
+ * @returns {Object[]} - { memory, year } by year, then date
+ */
+function collectJournalMemories(fromYear, toYear) {
+  let found = [];
+  for (let year of getStoredYears()) {
+    if (year < fromYear || year > toYear) continue;
+    for (let week of loadData(year)) {
+      for (let memory of (week && week.memories) || []) {
+        if (memory.type === ENTRY_TYPE_MEMORY) {
+          found.push({ memory: memory, year: year });
+        }
+      }
+    }
+  }
+  found.sort((a, b) => a.year - b.year || a.memory.date.localeCompare(b.memory.date));
+  return found;
+}
+
+/**
+ * escapeJournalAttribute()
+ * escapeHtml() leaves quotes alone, which attribute values need escaped too
+ * @param {string} text - Attribute value
+ * @returns {string} - Value safe inside double quotes
+ */
+function escapeJournalAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * renderJournalEntry()
+ * @param {Object} memory - The memory
+ * @returns {string} - HTML of one journal entry
+ */
+function renderJournalEntry(memory) {
+  let meta = [escapeHtml(formatDateForView(memory.date))];
+  if (isValidMood(memory.mood)) {
+    meta.push(`${getMoodEmoji(memory.mood)} ${escapeHtml(getMoodLabel(memory.mood))}`);
+  }
+  if (memory.tags && memory.tags.length > 0) {
+    meta.push(memory.tags.map(tag => `#${escapeHtml(tag)}`).join(' '));
+  }
+
+  let html = `<article class="journal-entry">`;
+  html += `<h4>${escapeHtml(memory.title || 'Untitled')}</h4>`;
+  html += `<div class="journal-meta">${meta.join(' · ')}</div>`;
+  if (memory.text) {
+    html += `<p>${escapeHtml(memory.text)}</p>`;
+  }
+
+  let images = (memory.images || []).filter(image => image && image.imageData);
+  if (images.length > 0) {
+    html += `<div class="journal-images">`;
+    for (let image of images) {
+      html += `<figure><img src="${escapeJournalAttribute(image.imageData)}" alt="${escapeJournalAttribute(image.caption || memory.title || '')}">`;
+      if (image.caption) {
+        html += `<figcaption>${escapeHtml(image.caption)}</figcaption>`;
+      }
+      html += `</figure>`;
+    }
+    html += `</div>`;
+  }
+
+  return html + `</article>`;
+}
+
+/**
+ * buildJournalHtml()
+ * Builds the whole journal document
+ * @param {number} fromYear - First ISO year
+ * @param {number} toYear - Last ISO year
+ * @returns {Object} - { html, count } (count is the number of memories)
+ */
+function buildJournalHtml(fromYear, toYear) {
+  let memories = collectJournalMemories(fromYear, toYear);
+  let range = fromYear === toYear ? String(fromYear) : `${fromYear}–${toYear}`;
+  let title = `Momentry Journal ${range}`;
+
+  let body = `<div class="journal-toolbar"><button type="button" onclick="window.print()">Print or save as PDF</button></div>`;
+  body += `<section class="journal-cover"><h1>Momentry Journal</h1>`;
+  body += `<p>${range}</p>`;
+  body += `<p>${memories.length} ${memories.length === 1 ? 'memory' : 'memories'} · made on ${escapeHtml(formatDateForView(formatDateForInput(new Date())))}</p></section>`;
+
+  if (memories.length === 0) {
+    body += `<p class="journal-empty">There are no memories in ${range}.</p>`;
+  }
+
+  // One section per ISO year, with a heading for every month
+  let currentYear = null;
+  let currentMonth = null;
+  for (let found of memories) {
+    if (found.year !== currentYear) {
+      if (currentYear !== null) body += `</section>`;
+      body += `<section class="journal-year"><h2>${found.year}</h2>`;
+      currentYear = found.year;
+      currentMonth = null;
+    }
+    let month = new Date(found.memory.date).toLocaleDateString(getDateLocale(), { month: 'long', year: 'numeric' });
+    if (month !== currentMonth) {
+      body += `<h3 class="journal-month">${escapeHtml(month)}</h3>`;
+      currentMonth = month;
+    }
+    body += renderJournalEntry(found.memory);
+  }
+  if (currentYear !== null) body += `</section>`;
+
+  let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${JOURNAL_STYLESHEET}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  return { html: html, count: memories.length };
+}
+
+/**
+ * JournalExport Class
+ * The journal section of the backup modal
+ */
+class JournalExport {
+  constructor() {
+    this.statusEl = null;
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the journal buttons
+   */
+  setupListeners() {
+    this.statusEl = document.getElementById('journal-status');
+
+    let openBtn = document.getElementById('journal-open-btn');
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.openJournal());
+    }
+
+    let downloadBtn = document.getElementById('journal-download-btn');
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => this.downloadJournal());
+    }
+  }
+
+  /**
+   * refreshYearOptions()
+   * Lists the stored years in the range pickers (called when the backup
+   * modal opens), keeping the chosen range where possible
+   */
+  refreshYearOptions() {
+    let fromInput = document.getElementById('journal-from-input');
+    let toInput = document.getElementById('journal-to-input');
+    if (!fromInput || !toInput) return;
+
+    let years = getStoredYears();
+    if (years.length === 0) {
+      years = [getISOWeekNumber(new Date()).year];
+    }
+
+    let previousFrom = Number(fromInput.value);
+    let previousTo = Number(toInput.value);
+    for (let input of [fromInput, toInput]) {
+      input.innerHTML = '';
+      for (let year of years) {
+        let option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        input.appendChild(option);
+      }
+    }
+    fromInput.value = years.includes(previousFrom) ? previousFrom : years[0];
+    toInput.value = years.includes(previousTo) ? previousTo : years[years.length - 1];
+    this.showStatus('');
+  }
+
+  /**
+   * showStatus()
+   * Shows a status or error line below the journal buttons
+   * @param {string} message - Text to show (empty hides the line)
+   * @param {boolean} isError - True to style as an error
+   */
+  showStatus(message, isError = false) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.style.display = message ? 'block' : 'none';
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * getRange()
+   * @returns {Object|null} - { fromYear, toYear } from the pickers (swapped if
+   * given backwards), or null if the pickers are missing
+   */
+  getRange() {
+    let fromInput = document.getElementById('journal-from-input');
+    let toInput = document.getElementById('journal-to-input');
+    if (!fromInput || !toInput) return null;
+    let fromYear = Number(fromInput.value);
+    let toYear = Number(toInput.value);
+    return { fromYear: Math.min(fromYear, toYear), toYear: Math.max(fromYear, toYear) };
+  }
+
+  /**
+   * createJournalUrl()
+   * Builds the journal for the chosen range
+   * @returns {Object|null} - { url, fileName, count }, or null without a range
+   */
+  createJournalUrl() {
+    let range = this.getRange();
+    if (!range) return null;
+    let journal = buildJournalHtml(range.fromYear, range.toYear);
+    let blob = new Blob([journal.html], { type: 'text/html' });
+    let suffix = range.fromYear === range.toYear ? range.fromYear : `${range.fromYear}-${range.toYear}`;
+    return {
+      url: URL.createObjectURL(blob),
+      fileName: `momentry-journal-${suffix}.html`,
+      count: journal.count
+    };
+  }
+
+  /**
+   * openJournal()
+   * Opens the journal in a new tab, ready to print or save as PDF
+   */
+  openJournal() {
+    let journal = this.createJournalUrl();
+    if (!journal) return;
+
+    let journalWindow = window.open(journal.url, '_blank');
+    if (!journalWindow) {
+      URL.revokeObjectURL(journal.url);
+      this.showStatus('The journal could not open in a new tab. Allow pop-ups for this site, or download it instead.', true);
+      return;
+    }
+    // The tab keeps its own copy once loaded
+    setTimeout(() => URL.revokeObjectURL(journal.url), 60 * 1000);
+    this.showStatus(`Journal opened with ${journal.count} ${journal.count === 1 ? 'memory' : 'memories'}. Use "Print or save as PDF" at the top.`);
+  }
+
+  /**
+   * downloadJournal()
+   * Saves the journal as an HTML file through a temporary download link
+   */
+  downloadJournal() {
+    let journal = this.createJournalUrl();
+    if (!journal) return;
+
+    let link = document.createElement('a');
+    link.href = journal.url;
+    link.download = journal.fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(journal.url), 1000);
+    this.showStatus(`Journal downloaded with ${journal.count} ${journal.count === 1 ? 'memory' : 'memories'}.`);
+  }
+}
+
+// Global journal export instance
+let journalExport = new JournalExport();
@@ -0,0 +1,315 @@
+/**
+ * LifeView.js
+ * Zoomed-out "4,000 weeks" view: every week from birth to the chosen life
+ * expectancy, one row per ISO year. Uses the same colour rules as the
+ * yearly grid (see WeekCircle.getFillColour() and getRatingFillColour()).
+ */
+
+const DEFAULT_LIFE_EXPECTANCY = 80; // Years shown when no setting has been saved
+const MAX_LIFE_EXPECTANCY = 120;
+const LIFE_VIEW_COLUMNS = 53;       // Enough columns for 53-week ISO years
+
+class LifeView {
+  constructor() {
+    this.buffer = null;        // p5.Graphics with every week drawn, rebuilt only when needed
+    this.needsRebuild = true;
+    this.builtForDate = null;  // Date string the buffer was drawn for (weeks move from future to past)
+    this.layout = null;        // { originX, originY, cell, rows, firstYear }
+    this.totalWeeks = 0;       // Weeks from birth week to the end of the last row
+    this.hoveredYear = null;
+    this.controls = null;      // Life expectancy controls (DOM)
+    this.controlsVisible = false;
+    this.fadeStartTime = null; // millis() when the view was opened, for the fade-in
+    this.fadeDuration = 300;
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the life expectancy input
+   */
+  setupListeners() {
+    this.controls = document.getElementById('life-view-controls');
+
+    let input = document.getElementById('life-expectancy-input');
+    if (input) {
+      input.value = getLifeExpectancy();
+      input.addEventListener('change', () => setLifeExpectancy(input.value));
+    }
+  }
+
+  /**
+   * setControlsVisible()
+   * Called every frame with whether the life view is showing
+   * @param {boolean} visible - True to show the controls
+   */
+  setControlsVisible(visible) {
+    if (!this.controls || visible === this.controlsVisible) return;
+    this.controlsVisible = visible;
+    this.controls.style.display = visible ? 'flex' : 'none';
+
+    // The setting may have changed elsewhere (e.g. a backup import)
+    let input = document.getElementById('life-expectancy-input');
+    if (visible && input) {
+      input.value = getLifeExpectancy();
+    }
+  }
+
+  /**
+   * startFadeIn()
+   * Fades the grid in when switching to the life view
+   */
+  startFadeIn() {
+    this.fadeStartTime = getAnimationStartTime(this.fadeDuration);
+  }
+
+  /**
+   * invalidate()
+   * Marks the cached drawing as stale (data, size or settings changed)
+   */
+  invalidate() {
+    this.needsRebuild = true;
+  }
+
+  /**
+   * calculateLayout()
+   * Fits one row per year and 53 columns into the space below the header
+   * @param {Date} birthDate - The user's birth date
+   * @returns {Object} - { originX, originY, cell, rows, firstYear, labelWidth }
+   */
+  calculateLayout(birthDate) {
+    let rows = getLifeExpectancy();
+    let firstYear = getISOWeekNumber(birthDate).year;
+
+    // Responsive margins (header at the top, goal-free space at the bottom)
+    let top = windowWidth < 600 ? 80 : windowWidth < 900 ? 110 : 150;
+    let bottom = windowWidth < 600 ? 20 : 40;
+    let side = windowWidth < 600 ? 10 : 40;
+    let labelWidth = windowWidth < 600 ? 22 : 34;
+
+    let availableWidth = width - side * 2 - labelWidth;
+    let availableHeight = height - top - bottom;
+    let cell = Math.max(2, Math.min(availableWidth / LIFE_VIEW_COLUMNS, availableHeight / rows));
+
+    let gridWidth = cell * LIFE_VIEW_COLUMNS;
+    let gridHeight = cell * rows;
+
+    return {
+      originX: (width - gridWidth + labelWidth) / 2,
+      originY: top + (availableHeight - gridHeight) / 2,
+      cell: cell,
+      rows: rows,
+      firstYear: firstYear,
+      labelWidth: labelWidth
+    };
+  }
+
+  /**
+   * rebuild()
+   * Draws every week of the life into the offscreen buffer
+   * @param {Date} birthDate - The user's birth date
+   * @param {Date} today - The current date
+   */
+  rebuild(birthDate, today) {
+    if (!this.buffer || this.buffer.width !== width || this.buffer.height !== height) {
+      if (this.buffer) {
+        this.buffer.remove();
+      }
+      this.buffer = createGraphics(width, height);
+    }
+
+    let layout = this.calculateLayout(birthDate);
+    let g = this.buffer;
+    g.clear();
+
+    let todayInfo = getISOWeekNumber(today);
+    let dotSize = layout.cell * 0.78;
+    let labelSize = Math.max(7, Math.min(12, layout.cell * 1.4));
+
+    // Draw the outline only when dots are big enough for it to be visible
+    if (dotSize >= 6) {
+      g.stroke(WEEK_COLOURS.border);
+      g.strokeWeight(0.5);
+    } else {
+      g.noStroke();
+    }
+
+    this.totalWeeks = 0;
+    let colourMode = getWeekColourMode();
+
+    for (let row = 0; row < layout.rows; row++) {
+      let year = layout.firstYear + row;
+      let yearData = loadData(year);
+      let weeksInYear = getISOWeeksInYear(year);
+      let y = layout.originY + row * layout.cell + layout.cell / 2;
+
+      for (let weekIndex = 0; weekIndex < weeksInYear; weekIndex++) {
+        let state = WeekCircle.computeWeekState(weekIndex, year, birthDate, today);
+        let contentType = WeekCircle.getContentType(yearData[weekIndex]);
+        let goalOutcome = WeekCircle.getGoalOutcome(yearData[weekIndex]);
+        let fillColour;
+        if (colourMode === WEEK_COLOUR_MODE_RATING) {
+          fillColour = WeekCircle.getRatingFillColour(state.isBeforeBirth, WeekCircle.getRating(yearData[weekIndex]), state.isPast);
+        } else if (colourMode === WEEK_COLOUR_MODE_MOOD) {
+          fillColour = WeekCircle.getMoodFillColour(state.isBeforeBirth, WeekCircle.getAverageMood(yearData[weekIndex]), state.isPast);
+        } else {
+          fillColour = WeekCircle.getFillColour(state.isBeforeBirth, contentType, state.isPast, goalOutcome);
+        }
+        let isCurrent = (year === todayInfo.year && weekIndex === todayInfo.weekNumber - 1);
+
+        if (!state.isBeforeBirth) {
+          this.totalWeeks++;
+        }
+
+        let x = layout.originX + weekIndex * layout.cell + layout.cell / 2;
+        g.fill(isCurrent ? color(WEEK_COLOURS.currentWeek) : fillColour);
+        g.circle(x, y, isCurrent ? layout.cell * 0.95 : dotSize);
+      }
+
+      // Age label every 10 years
+      if (row % 10 === 0) {
+        g.push();
+        g.noStroke();
+        g.fill(WEEK_COLOURS.memory);
+        g.textFont('Inter');
+        g.textSize(labelSize);
+        g.textAlign(RIGHT, CENTER);
+        g.text(row, layout.originX - layout.cell * 0.6, y);
+        g.pop();
+      }
+    }
+
+    this.layout = layout;
+    this.builtForDate = formatDateForInput(today);
+    this.needsRebuild = false;
+  }
+
+  /**
+   * getYearAt()
+   * Finds the year row at a canvas position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number|null} - The ISO year, or null if not over the grid
+   */
+  getYearAt(x, y) {
+    if (!this.layout) return null;
+    let { originX, originY, cell, rows, firstYear, labelWidth } = this.layout;
+
+    // Include the age labels so the whole row is a target
+    if (x < originX - labelWidth || x > originX + cell * LIFE_VIEW_COLUMNS) return null;
+    if (y < originY || y >= originY + cell * rows) return null;
+
+    return firstYear + Math.floor((y - originY) / cell);
+  }
+
+  /**
+   * checkHover()
+   * Tracks the hovered year row and plays the hover tick on change
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   */
+  checkHover(x, y) {
+    let year = this.getYearAt(x, y);
+    if (year !== null && year !== this.hoveredYear) {
+      audioManager.playTick();
+    }
+    this.hoveredYear = year;
+  }
+
+  /**
+   * display()
+   * Draws the cached life grid plus the hovered row highlight
+   * @param {Date} birthDate - The user's birth date
+   * @param {Date} today - The current date (passed from draw())
+   * @param {number} alpha - Opacity (0-255) for the main page fade-in
+   */
+  display(birthDate, today, alpha = 255) {
+    if (!birthDate) return;
+
+    if (this.needsRebuild || this.builtForDate !== formatDateForInput(today)) {
+      this.rebuild(birthDate, today);
+    }
+
+    // Combine the main page fade-in with the view switch fade-in
+    if (this.fadeStartTime !== null) {
+      let fadeAlpha = map(millis() - this.fadeStartTime, 0, this.fadeDuration, 0, 255, true);
+      alpha = Math.min(alpha, fadeAlpha);
+      if (fadeAlpha >= 255) {
+        this.fadeStartTime = null;
+      }
+    }
+
+    push();
+    drawingContext.globalAlpha = alpha / 255;
+    image(this.buffer, 0, 0, width, height);
+    pop();
+
+    if (this.hoveredYear === null) return;
+
+    let { originX, originY, cell, firstYear } = this.layout;
+    let row = this.hoveredYear - firstYear;
+    let rowY = originY + row * cell;
+
+    push();
+    noFill();
+    stroke(WEEK_COLOURS.currentWeek);
+    strokeWeight(2);
+    rect(originX - 2, rowY, cell * LIFE_VIEW_COLUMNS + 4, cell, Math.min(4, cell / 2));
+
+    // Label the hovered row with its year and age (above the row, or below it near the top)
+    let label = `${this.hoveredYear} · age ${row}`;
+    let labelSize = windowWidth < 600 ? 11 : 13;
+    textSize(labelSize);
+    textStyle(ITALIC);
+    let labelPadding = 4;
+    let labelWidth = textWidth(label) + labelPadding * 2;
+    let labelHeight = labelSize + labelPadding * 2;
+    let labelX = originX + cell * LIFE_VIEW_COLUMNS - labelWidth;
+    let labelY = rowY > originY + labelHeight ? rowY - labelHeight - 2 : rowY + cell + 2;
+
+    noStroke();
+    fill(245, 244, 227, 230); // Semi-transparent beige, like the goal cards
+    rect(labelX, labelY, labelWidth, labelHeight, 4);
+    fill(WEEK_COLOURS.memory);
+    textAlign(LEFT, TOP);
+    text(label, labelX + labelPadding, labelY + labelPadding);
+    pop();
+  }
+}
+
+/**
+ * getLifeExpectancy()
+ * @returns {number} - Life expectancy in years (saved setting or the default)
+ */
+function getLifeExpectancy() {
+  let value = parseInt(getSetting('lifeExpectancy', DEFAULT_LIFE_EXPECTANCY), 10);
+  if (isNaN(value) || value < 1) {
+    return DEFAULT_LIFE_EXPECTANCY;
+  }
+  return Math.min(MAX_LIFE_EXPECTANCY, value);
+}
+
+/**
+ * setLifeExpectancy()
+ * Saves a life expectancy typed into an input (from the life view or the
+ * settings modal) and redraws the life view
+ * @param {string|number} input - Years as entered
+ * @returns {number} - The years saved (kept between 1 and MAX_LIFE_EXPECTANCY)
+ */
+function setLifeExpectancy(input) {
+  let value = parseInt(input, 10);
+  if (isNaN(value)) {
+    value = getLifeExpectancy();
+  }
+  value = Math.min(MAX_LIFE_EXPECTANCY, Math.max(1, value));
+  setSetting('lifeExpectancy', value).catch(function(error) {
+    console.error('Error saving life expectancy:', error);
+  });
+  let lifeViewInput = document.getElementById('life-expectancy-input');
+  if (lifeViewInput) {
+    lifeViewInput.value = value;
+  }
+  if (app.lifeView) {
+    app.lifeView.invalidate();
+  }
+  return value;
+}
@@ -4,6 +4,10 @@
  * Encapsulates modal state and functionality in a class structure
  */
 
+const MAX_IMAGES_PER_ENTRY = 20;
+const MAX_IMAGE_FILE_SIZE = 10 * 1024 * 1024; // 10MB, checked before resizing
+const MAX_IMAGE_CAPTION_LENGTH = 200;
+
 /**
  * ModalManager Class
  * Encapsulates all modal state and functionality
@@ -13,10 +17,17 @@ class ModalManager {
     // Modal state
     this.selectedWeeksSinceBirth = null; // Weeks since birth for the selected week (universal identifier)
     this.editingMemoryId = null;         // ID of memory being edited, null if adding new
+    this.entryType = ENTRY_TYPE_MEMORY;  // Type selected in the form ('memory' or 'goal')
+    this.entryTypeLocked = false;        // True while editing - an entry's type can't change
+    this.listFilter = 'all';             // Entries shown in the list: 'all', 'memory' or 'goal'
+    this.entryTags = [];                 // Tags chosen in the form
+    this.entryMood = null;               // Mood chosen in the form (1-5), null for none
+    this.entryRepeat = 'none';           // Repeat chosen in the form: 'none' or a RECURRENCE_* frequency
     
-    // Image data (base64 data URLs)
-    this.modalImageDataURL = null;     // For image edit section
-    this.modalImageDataURLNew = null;  // For new memory input section
+    // Gallery in the form: [{ imageData, caption }, ...] (base64 data URLs)
+    this.entryImages = [];
+    this.pendingImageCount = 0;  // Chosen images still being resized
+    this.imageUploadId = 0;      // Bumped when the form resets, so late uploads are dropped
     
     // Reference to birthDate (set via setBirthDate method)
     this.birthDate = null;
@@ -45,7 +56,7 @@ class ModalManager {
   
   // Helper methods for date formatting (static utility methods)
   static formatDateForDisplay(dateString) {
-    return new Date(dateString).toLocaleDateString('en-US', {
+    return new Date(dateString).toLocaleDateString(getDateLocale(), {
       year: 'numeric',
       month: 'short',
       day: 'numeric'
@@ -53,7 +64,7 @@ class ModalManager {
   }
   
   static formatDateForView(dateString) {
-    return new Date(dateString).toLocaleDateString('en-US', {
+    return new Date(dateString).toLocaleDateString(getDateLocale(), {
       year: 'numeric',
       month: 'long',
       day: 'numeric'
@@ -85,7 +96,6 @@ class ModalManager {
         
         // Reset form fields using shared helper
         resetFormToInitialState({ resetDate: false, resetButtons: false, clearImageData: true });
-        this.modalImageDataURL = undefined; // Explicitly set to undefined for editing
         
         // Restore the memory's date to avoid invalid date state
         const dateInput = document.getElementById('memory-date-input');
@@ -101,17 +111,87 @@ class ModalManager {
       }
     }.bind(this));
     
-    // Image input handlers (for image edit section)
-    const imageInput = document.getElementById('memory-image-input');
-    const imagePreview = document.getElementById('memory-image-preview');
-    const imageClearBtn = document.getElementById('memory-image-clear-btn');
-    setupImageInputHandler(imageInput, imagePreview, imageClearBtn, 'modalImageDataURL');
-
-    // Image input handlers (for input section - used for both new and editing)
-    const imageInputNew = document.getElementById('memory-image-input-new');
-    const imagePreviewNew = document.getElementById('memory-image-preview-new');
-    const imageClearBtnNew = document.getElementById('memory-image-clear-btn-new');
-    setupImageInputHandler(imageInputNew, imagePreviewNew, imageClearBtnNew, 'modalImageDataURLNew');
+    // Entry type toggle (memory or goal)
+    document.querySelectorAll('input[name="entry-type"]').forEach(function(radio) {
+      radio.addEventListener('change', function() {
+        if (radio.checked) {
+          setEntryTypeInput(radio.value);
+        }
+      });
+    });
+    
+    // List filter buttons (all, memories, goals)
+    document.querySelectorAll('.entry-filter-btn').forEach(function(button) {
+      button.addEventListener('click', function() {
+        this.listFilter = button.dataset.filter;
+        document.querySelectorAll('.entry-filter-btn').forEach(function(other) {
+          other.classList.toggle('active', other === button);
+        });
+        if (this.selectedWeeksSinceBirth !== null) {
+          displayMemoriesList(this.selectedWeeksSinceBirth);
+        }
+      }.bind(this));
+    }.bind(this));
+    
+    // Mood picker - one button per mood, clicking the chosen mood again clears it
+    let moodInput = document.getElementById('memory-mood-input');
+    if (moodInput) {
+      for (let mood = MOOD_MIN; mood <= MOOD_MAX; mood++) {
+        let button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'mood-btn';
+        button.dataset.mood = mood;
+        button.title = getMoodLabel(mood);
+        button.style.setProperty('--mood-colour', MOOD_COLOURS[mood - MOOD_MIN]);
+        button.textContent = getMoodEmoji(mood);
+        button.addEventListener('click', function() {
+          setEntryMood(this.entryMood === mood ? null : mood);
+        }.bind(this));
+        moodInput.appendChild(button);
+      }
+    }
+    
+    // Repeat picker (new entries only) - the week interval only shows for "every few weeks"
+    let repeatInput = document.getElementById('memory-repeat-input');
+    if (repeatInput) {
+      repeatInput.addEventListener('change', function() {
+        setEntryRepeat(repeatInput.value);
+      });
+    }
+    let repeatIntervalInput = document.getElementById('memory-repeat-interval-input');
+    if (repeatIntervalInput) {
+      repeatIntervalInput.min = RECURRENCE_INTERVAL_MIN;
+      repeatIntervalInput.max = RECURRENCE_INTERVAL_MAX;
+    }
+    
+    // Tag input - Enter or comma adds the typed tag
+    let tagInput = document.getElementById('memory-tags-input');
+    if (tagInput) {
+      tagInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter' || e.key === ',') {
+          e.preventDefault();
+          addEntryTag(tagInput.value);
+          tagInput.value = '';
+        } else if (e.key === 'Backspace' && tagInput.value === '' && this.entryTags.length > 0) {
+          // Backspace in an empty input removes the last tag
+          setEntryTags(this.entryTags.slice(0, -1));
+        }
+      }.bind(this));
+      // Picking a suggestion (or leaving the field) also adds the tag
+      tagInput.addEventListener('change', function() {
+        addEntryTag(tagInput.value);
+        tagInput.value = '';
+      });
+    }
+    
+    // Image input - every chosen image is resized and added to the gallery
+    const imageInput = document.getElementById('memory-images-input');
+    if (imageInput) {
+      imageInput.addEventListener('change', function() {
+        addEntryImageFiles(Array.from(imageInput.files || []));
+        imageInput.value = '';
+      });
+    }
 
     // View memory close button
     let closeViewBtn = document.getElementById('memory-close-view-btn');
@@ -137,6 +217,16 @@ class ModalManager {
       }.bind(this));
     }
 
+    // Review goal button (shown for goals whose week has passed)
+    let reviewBtn = document.getElementById('memory-review-btn');
+    if (reviewBtn) {
+      reviewBtn.addEventListener('click', function() {
+        if (this.editingMemoryId !== null && this.selectedWeeksSinceBirth !== null) {
+          goalReview.reviewFromEntryModal(this.selectedWeeksSinceBirth, this.editingMemoryId);
+        }
+      }.bind(this));
+    }
+
     // Delete memory button
     let deleteBtn = document.getElementById('memory-delete-btn');
     if (deleteBtn) {
@@ -168,7 +258,7 @@ class ModalManager {
         }
         
         if (!text) {
-          alert('Please enter a memory or goal.');
+          alert(this.entryType === ENTRY_TYPE_GOAL ? 'Please describe your goal.' : 'Please describe your memory.');
           return;
         }
         
@@ -177,6 +267,11 @@ class ModalManager {
           return;
         }
         
+        if (this.pendingImageCount > 0) {
+          alert('Please wait until your images have been added.');
+          return;
+        }
+        
         // Convert weeks since birth to year and week index
         let yearWeekInfo = getYearAndWeekIndexFromWeeksSinceBirth(this.selectedWeeksSinceBirth, this.birthDate);
         if (!yearWeekInfo) {
@@ -184,33 +279,88 @@ class ModalManager {
           return;
         }
         
-        // Validate that the date is within the selected week's range
-        let weekRange = getWeekDateRange(yearWeekInfo.weekIndex, yearWeekInfo.year);
-        let selectedDate = new Date(date);
+        // New entries are added to the selected week; an edited date may move the entry to another week
+        if (this.editingMemoryId === null) {
+          let weekRange = getWeekDateRange(yearWeekInfo.weekIndex, yearWeekInfo.year);
+          let selectedDate = new Date(date);
+          if (selectedDate < weekRange.startDate || selectedDate > weekRange.endDate) {
+            alert('The date must be within Week ' + (yearWeekInfo.weekIndex + 1) + ' (Monday to Sunday).');
+            return;
+          }
+        } else {
+          let targetInfo = getYearAndWeekIndexFromDate(date);
+          let birthWeekInfo = getYearAndWeekIndexFromWeeksSinceBirth(0, this.birthDate);
+          if (!targetInfo) {
+            alert('Please select a valid date.');
+            return;
+          }
+          if (targetInfo.year < birthWeekInfo.year ||
+              (targetInfo.year === birthWeekInfo.year && targetInfo.weekIndex < birthWeekInfo.weekIndex)) {
+            alert("The date can't be before the week you were born.");
+            return;
+          }
+        }
         
-        if (selectedDate < weekRange.startDate || selectedDate > weekRange.endDate) {
-          alert('The date must be within Week ' + (yearWeekInfo.weekIndex + 1) + ' (Monday to Sunday).');
-          return;
+        // New memories look back, new goals look ahead (existing entries keep their date rules)
+        if (this.editingMemoryId === null) {
+          let todayString = formatDateForInput(new Date());
+          if (this.entryType === ENTRY_TYPE_MEMORY && date > todayString) {
+            alert('Memories can only be dated today or earlier. Choose "Goal" to plan something for the future.');
+            return;
+          }
+          if (this.entryType === ENTRY_TYPE_GOAL && date < todayString) {
+            alert('Goals need a date from today onwards. Choose "Memory" to record something that already happened.');
+            return;
+          }
         }
         
-        if (this.editingMemoryId !== null) {
-          // Editing existing memory (title, text, date, and image)
-          // modalImageDataURL is set when user selects/changes image during edit
+        // A tag still being typed counts too
+        let pendingTagInput = document.getElementById('memory-tags-input');
+        if (pendingTagInput && pendingTagInput.value.trim()) {
+          addEntryTag(pendingTagInput.value);
+          pendingTagInput.value = '';
+        }
+        let tags = this.entryTags.slice();
+        let images = this.entryImages.slice();
+        // Goals have no mood
+        let mood = this.entryType === ENTRY_TYPE_GOAL ? null : this.entryMood;
+        
+        if (this.editingMemoryId === null && this.entryRepeat !== RECURRENCE_NONE) {
+          // Adding a recurring entry - saved once, not in the week's data
+          let intervalInput = document.getElementById('memory-repeat-interval-input');
+          addRecurringEntry({
+            type: this.entryType,
+            title: title,
+            text: text,
+            tags: tags,
+            startDate: date,
+            frequency: this.entryRepeat,
+            interval: normalizeRecurrenceInterval(intervalInput ? intervalInput.value : RECURRENCE_INTERVAL_MIN)
+          });
+          resetFormToInitialState({ resetDate: true, resetButtons: false, clearImageData: true });
+        } else if (this.editingMemoryId !== null) {
+          // Editing existing memory (title, text, date, tags, images and mood)
           let savedMemoryId = this.editingMemoryId; // Store ID before clearing
-          editMemory(this.selectedWeeksSinceBirth, this.editingMemoryId, title, text, date, this.modalImageDataURL);
+          let savedTo = editMemory(this.selectedWeeksSinceBirth, this.editingMemoryId, title, text, date, images, tags, mood);
           
           // Clear editing state
           this.editingMemoryId = null;
-          this.modalImageDataURL = null; // Clear image data after saving
           
           // Clear form and reset to initial state
           resetFormToInitialState({ resetDate: true, resetButtons: true, clearImageData: true });
           
-          // Return to view mode showing the edited memory
-          viewMemory(this.selectedWeeksSinceBirth, savedMemoryId);
+          // Return to view mode showing the edited memory, in its new week if the date moved it
+          let savedWeeksSinceBirth = savedTo
+            ? app.getWeeksSinceBirth(savedTo.weekIndex, savedTo.year, this.birthDate)
+            : this.selectedWeeksSinceBirth;
+          if (savedWeeksSinceBirth !== this.selectedWeeksSinceBirth) {
+            openMemoryView(savedWeeksSinceBirth, savedMemoryId);
+          } else {
+            viewMemory(this.selectedWeeksSinceBirth, savedMemoryId);
+          }
         } else {
-          // Adding new memory (with optional image)
-          addMemory(this.selectedWeeksSinceBirth, title, text, date, this.modalImageDataURLNew);
+          // Adding new memory (with optional images)
+          addMemory(this.selectedWeeksSinceBirth, title, text, date, images, this.entryType, tags, mood);
           // Keep modal open, just refresh list and clear form
           displayMemoriesList(this.selectedWeeksSinceBirth);
           
@@ -253,7 +403,7 @@ let modalManager = new ModalManager();
  * @returns {string} - Formatted date string
  */
 function formatDateForDisplay(dateString) {
-  return new Date(dateString).toLocaleDateString('en-US', {
+  return new Date(dateString).toLocaleDateString(getDateLocale(), {
     year: 'numeric',
     month: 'short',
     day: 'numeric'
@@ -267,7 +417,7 @@ function formatDateForDisplay(dateString) {
  * @returns {string} - Formatted date string
  */
 function formatDateForView(dateString) {
-  return new Date(dateString).toLocaleDateString('en-US', {
+  return new Date(dateString).toLocaleDateString(getDateLocale(), {
     year: 'numeric',
     month: 'long',
     day: 'numeric'
@@ -279,9 +429,10 @@ function formatDateForView(dateString) {
  * Resizes an image to a maximum dimension while maintaining aspect ratio
  * @param {string} dataURL - Base64 image data URL
  * @param {number} maxDimension - Maximum width or height in pixels (default: 1080)
+ * @param {number} quality - JPEG quality used when the image is resized (default: 0.9)
  * @returns {Promise<string>} - Resized image as base64 data URL
  */
-function resizeImage(dataURL, maxDimension = 1080) {
+function resizeImage(dataURL, maxDimension = 1080, quality = 0.9) {
   return new Promise((resolve, reject) => {
     const img = new Image();
     img.onload = function() {
@@ -313,8 +464,8 @@ function resizeImage(dataURL, maxDimension = 1080) {
       // Draw resized image
       ctx.drawImage(img, 0, 0, newWidth, newHeight);
       
-      // Convert to data URL (use JPEG for smaller file size, quality 0.9)
-      const resizedDataURL = canvas.toDataURL('image/jpeg', 0.9);
+      // Convert to data URL (use JPEG for smaller file size)
+      const resizedDataURL = canvas.toDataURL('image/jpeg', quality);
       resolve(resizedDataURL);
     };
     img.onerror = function() {
@@ -325,99 +476,178 @@ function resizeImage(dataURL, maxDimension = 1080) {
 }
 
 /**
- * setupImageInputHandler()
- * Sets up event listeners for an image input element
- * @param {HTMLElement} imageInput - The file input element
- * @param {HTMLElement} imagePreview - The preview image element
- * @param {HTMLElement} imageClearBtn - The clear button element
- * @param {string} dataURLVar - Variable name to store the data URL ('modalImageDataURL' or 'modalImageDataURLNew')
+ * addEntryImageFiles()
+ * Reads, resizes and appends chosen image files to the form's gallery,
+ * one after another so they keep the order they were picked in
+ * @param {File[]} files - Files from the image input
+ * @returns {Promise<void>}
  */
-function setupImageInputHandler(imageInput, imagePreview, imageClearBtn, dataURLVar) {
-  if (!imageInput) return;
+async function addEntryImageFiles(files) {
+  let room = MAX_IMAGES_PER_ENTRY - modalManager.entryImages.length - modalManager.pendingImageCount;
+  if (files.length > room) {
+    alert(`An entry can hold up to ${MAX_IMAGES_PER_ENTRY} images.`);
+    files = files.slice(0, Math.max(0, room));
+  }
+  if (files.length === 0) return;
   
-  imageInput.addEventListener('change', function(e) {
-    const file = e.target.files && e.target.files[0];
-    if (!file) {
-      return;
-    }
-    
-    // Check file size (10MB = 10 * 1024 * 1024 bytes)
-    const maxSize = 10 * 1024 * 1024;
-    if (file.size > maxSize) {
-      alert('Image file is too large. Maximum size is 10MB. Please choose a smaller image.');
-      imageInput.value = '';
-      return;
-    }
-    
-    const reader = new FileReader();
-    reader.onload = function(evt) {
-      // Resize image to max 1080px on longest side
-      resizeImage(evt.target.result, 1080)
-        .then(function(resizedDataURL) {
-          // Store in appropriate variable using modalManager instance
-          if (dataURLVar === 'modalImageDataURL') {
-            modalManager.modalImageDataURL = resizedDataURL;
-          } else if (dataURLVar === 'modalImageDataURLNew') {
-            if (modalManager.editingMemoryId !== null) {
-              modalManager.modalImageDataURL = resizedDataURL;    // For editing
-            } else {
-              modalManager.modalImageDataURLNew = resizedDataURL; // For new memory
-            }
-          }
-          
-          if (imagePreview) {
-            imagePreview.src = resizedDataURL;
-            imagePreview.style.display = 'block';
-          }
-          if (imageClearBtn) {
-            imageClearBtn.style.display = 'inline-block';
-          }
-        })
-        .catch(function(error) {
-          console.error('Error resizing image:', error);
-          alert('Error processing image. Please try again.');
-          imageInput.value = '';
-        });
-    };
-    reader.onerror = function() {
-      alert('Error reading image file. Please try again.');
-      imageInput.value = '';
-    };
-    reader.readAsDataURL(file);
-  });
+  let uploadId = modalManager.imageUploadId;
+  modalManager.pendingImageCount += files.length;
+  updateImageUploadStatus();
   
-  if (imageClearBtn) {
-    imageClearBtn.addEventListener('click', function() {
-      if (dataURLVar === 'modalImageDataURL') {
-        modalManager.modalImageDataURL = null;
-      } else if (dataURLVar === 'modalImageDataURLNew') {
-        if (modalManager.editingMemoryId !== null) {
-          modalManager.modalImageDataURL = null;     // null means "remove image" when editing
-        } else {
-          modalManager.modalImageDataURLNew = null;  // For new memory
-        }
+  for (let file of files) {
+    try {
+      if (file.size > MAX_IMAGE_FILE_SIZE) {
+        alert(`"${file.name}" is too large. Maximum size is 10MB. Please choose a smaller image.`);
+        continue;
       }
       
-      clearImagePreviewControls(imagePreview, imageInput, imageClearBtn);
-    });
+      // Resize image to max 1080px on longest side
+      let dataURL = await blobToDataURL(file);
+      let resizedDataURL = await resizeImage(dataURL, 1080);
+      
+      // The form was reset (saved, cancelled or closed) while resizing
+      if (uploadId !== modalManager.imageUploadId) return;
+      setEntryImages(modalManager.entryImages.concat({ imageData: resizedDataURL, caption: '' }));
+    } catch (error) {
+      console.error('Error processing image:', error);
+      alert(`Error processing "${file.name}". Please try again.`);
+    } finally {
+      if (uploadId === modalManager.imageUploadId) {
+        modalManager.pendingImageCount--;
+        updateImageUploadStatus();
+      }
+    }
   }
 }
 
 /**
- * clearImagePreviewControls()
- * Helper to hide preview, reset input value, and hide clear button
+ * updateImageUploadStatus()
+ * Shows how many chosen images are still being added
  */
-function clearImagePreviewControls(imagePreview, imageInput, imageClearBtn) {
-  if (imagePreview) {
-    imagePreview.removeAttribute('src');
-    imagePreview.style.display = 'none';
-  }
-  if (imageInput) {
-    imageInput.value = '';
-  }
-  if (imageClearBtn) {
-    imageClearBtn.style.display = 'none';
-  }
+function updateImageUploadStatus() {
+  let statusEl = document.getElementById('memory-images-status');
+  if (!statusEl) return;
+  let count = modalManager.pendingImageCount;
+  statusEl.textContent = count > 0 ? `Adding ${count} ${count === 1 ? 'image' : 'images'}...` : '';
+  statusEl.style.display = count > 0 ? 'block' : 'none';
+}
+
+/**
+ * setEntryImages()
+ * Sets the form's gallery and redraws its thumbnail strip, where each image
+ * has a caption field and buttons to move or remove it
+ * @param {Object[]} images - Array of { imageData, caption }
+ */
+function setEntryImages(images) {
+  modalManager.entryImages = images;
+  
+  let strip = document.getElementById('memory-gallery-editor');
+  if (!strip) return;
+  strip.innerHTML = '';
+  strip.style.display = images.length > 0 ? 'flex' : 'none';
+  
+  images.forEach(function(image, index) {
+    let item = document.createElement('div');
+    item.className = 'gallery-edit-item';
+    
+    let thumb = document.createElement('img');
+    thumb.className = 'gallery-thumb';
+    thumb.src = image.imageData;
+    thumb.alt = image.caption || `Image ${index + 1}`;
+    thumb.addEventListener('click', function() {
+      imageLightbox.open(modalManager.entryImages, index);
+    });
+    
+    let captionInput = document.createElement('input');
+    captionInput.type = 'text';
+    captionInput.className = 'gallery-caption-input';
+    captionInput.placeholder = 'Caption';
+    captionInput.maxLength = MAX_IMAGE_CAPTION_LENGTH;
+    captionInput.value = image.caption || '';
+    captionInput.addEventListener('input', function() {
+      image.caption = captionInput.value;
+      thumb.alt = image.caption || `Image ${index + 1}`;
+    });
+    
+    let actions = document.createElement('div');
+    actions.className = 'gallery-edit-actions';
+    actions.appendChild(createGalleryButton('‹', 'Move earlier', index === 0, function() {
+      moveEntryImage(index, index - 1);
+    }));
+    actions.appendChild(createGalleryButton('×', 'Remove image', false, function() {
+      setEntryImages(modalManager.entryImages.filter((other, i) => i !== index));
+    }));
+    actions.appendChild(createGalleryButton('›', 'Move later', index === images.length - 1, function() {
+      moveEntryImage(index, index + 1);
+    }));
+    
+    item.appendChild(thumb);
+    item.appendChild(captionInput);
+    item.appendChild(actions);
+    strip.appendChild(item);
+  });
+}
+
+/**
+ * createGalleryButton()
+ * Builds one of the small buttons under a gallery thumbnail
+ * @param {string} label - Button text
+ * @param {string} title - Tooltip
+ * @param {boolean} disabled - True to disable the button
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLElement} - The button
+ */
+function createGalleryButton(label, title, disabled, onClick) {
+  let button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'gallery-edit-btn';
+  button.textContent = label;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * moveEntryImage()
+ * Moves an image to another position in the form's gallery
+ * @param {number} from - Current index
+ * @param {number} to - New index
+ */
+function moveEntryImage(from, to) {
+  let images = modalManager.entryImages.slice();
+  let [image] = images.splice(from, 1);
+  images.splice(to, 0, image);
+  setEntryImages(images);
+}
+
+/**
+ * renderGalleryStrip()
+ * Fills a read-only thumbnail strip; clicking a thumbnail opens the lightbox
+ * @param {HTMLElement} strip - The strip element
+ * @param {Object[]} images - Array of { imageData, caption }
+ */
+function renderGalleryStrip(strip, images) {
+  strip.innerHTML = '';
+  strip.style.display = images.length > 0 ? 'flex' : 'none';
+  
+  images.forEach(function(image, index) {
+    let thumbButton = document.createElement('button');
+    thumbButton.type = 'button';
+    thumbButton.className = 'gallery-thumb-btn';
+    thumbButton.title = image.caption || `Image ${index + 1} of ${images.length}`;
+    
+    let thumb = document.createElement('img');
+    thumb.className = 'gallery-thumb';
+    thumb.src = image.imageData;
+    thumb.alt = image.caption || `Image ${index + 1}`;
+    
+    thumbButton.appendChild(thumb);
+    thumbButton.addEventListener('click', function() {
+      imageLightbox.open(images, index);
+    });
+    strip.appendChild(thumbButton);
+  });
 }
 
 /**
@@ -426,7 +656,7 @@ function clearImagePreviewControls(imagePreview, imageInput, imageClearBtn) {
  * @param {Object} options - Configuration options
  * @param {boolean} options.resetDate - If true, reset date to default within week range
  * @param {boolean} options.resetButtons - If true, reset button texts to "Add" and "Close"
- * @param {boolean} options.clearImageData - If true, clear image data variables
+ * @param {boolean} options.clearImageData - If true, empty the form's gallery
  */
 function resetFormToInitialState(options = {}) {
   const {
@@ -443,30 +673,42 @@ function resetFormToInitialState(options = {}) {
   if (titleInput) titleInput.value = '';
   if (textInput) textInput.value = '';
   
+  // Clear tags
+  const tagInput = document.getElementById('memory-tags-input');
+  if (tagInput) tagInput.value = '';
+  setEntryTags([]);
+  setEntryMood(null);
+  setEntryRepeat(RECURRENCE_NONE);
+  
+  let yearWeekInfo = modalManager.selectedWeeksSinceBirth !== null && modalManager.birthDate
+    ? getYearAndWeekIndexFromWeeksSinceBirth(modalManager.selectedWeeksSinceBirth, modalManager.birthDate)
+    : null;
+  let weekRange = yearWeekInfo ? getWeekDateRange(yearWeekInfo.weekIndex, yearWeekInfo.year) : null;
+  
+  // New entries are limited to the week again (editing lifts the limit)
+  if (dateInput && weekRange) {
+    dateInput.setAttribute('min', formatDateForInput(weekRange.startDate));
+    dateInput.setAttribute('max', formatDateForInput(weekRange.endDate));
+  }
+  
   // Reset date if requested
-  if (resetDate && dateInput && modalManager.selectedWeeksSinceBirth !== null && modalManager.birthDate) {
-    let yearWeekInfo = getYearAndWeekIndexFromWeeksSinceBirth(modalManager.selectedWeeksSinceBirth, modalManager.birthDate);
-    if (yearWeekInfo) {
-      let weekRange = getWeekDateRange(yearWeekInfo.weekIndex, yearWeekInfo.year);
-      // Always use the first day of the week (Monday) as default
-      let defaultDate = weekRange.startDate;
-      dateInput.value = formatDateForInput(defaultDate);
-    }
+  if (resetDate && dateInput && weekRange) {
+    // Always use the first day of the week (Monday) as default
+    let defaultDate = weekRange.startDate;
+    dateInput.value = formatDateForInput(defaultDate);
   } else if (dateInput) {
     dateInput.value = '';
   }
   
-  // Clear image preview and inputs
-  const imagePreviewNew = document.getElementById('memory-image-preview-new');
-  const imageInputNew = document.getElementById('memory-image-input-new');
-  const imageClearBtnNew = document.getElementById('memory-image-clear-btn-new');
+  // Clear the image input and gallery if requested (uploads still resizing are dropped)
+  const imageInput = document.getElementById('memory-images-input');
+  if (imageInput) imageInput.value = '';
   
-  clearImagePreviewControls(imagePreviewNew, imageInputNew, imageClearBtnNew);
-  
-  // Clear image data variables if requested
   if (clearImageData) {
-    modalManager.modalImageDataURL = null;
-    modalManager.modalImageDataURLNew = null;
+    modalManager.imageUploadId++;
+    modalManager.pendingImageCount = 0;
+    updateImageUploadStatus();
+    setEntryImages([]);
   }
   
   // Reset button texts if requested
@@ -497,19 +739,223 @@ function hideModal() {
   
   // Reset form to initial state
   resetFormToInitialState({ resetDate: false, resetButtons: true, clearImageData: true });
-  
-  // Also clear the old image edit section controls (if they exist)
-  const imageInput = document.getElementById('memory-image-input');
-  const imagePreview = document.getElementById('memory-image-preview');
-  const imageClearBtn = document.getElementById('memory-image-clear-btn');
-  
-  clearImagePreviewControls(imagePreview, imageInput, imageClearBtn);
 
-  // Show input section, hide view and image edit sections
+  // Show input section, hide view section
   showMemoryInputSection(false);
   
   modalManager.selectedWeeksSinceBirth = null;
   modalManager.editingMemoryId = null;
+  weekReflection.reset();
+}
+
+/**
+ * openAppModal()
+ * Shows one of the secondary .app-modal dialogs (backup, ...) and disables
+ * canvas interaction the same way showModal() does for the entry modal
+ * @param {HTMLElement} modal - The .app-modal element
+ */
+function openAppModal(modal) {
+  modal.style.display = 'flex';
+  modal.classList.add('show');
+  clearAllHoverStates();
+  
+  let canvas = document.querySelector('canvas');
+  if (canvas) {
+    canvas.style.pointerEvents = 'none';
+  }
+}
+
+/**
+ * closeAppModal()
+ * Hides a secondary .app-modal dialog and re-enables canvas interaction
+ * (unless another modal is still open)
+ * @param {HTMLElement} modal - The .app-modal element
+ */
+function closeAppModal(modal) {
+  modal.style.display = 'none';
+  modal.classList.remove('show');
+  
+  let canvas = document.querySelector('canvas');
+  if (canvas && !document.querySelector('#entry-modal.show, .app-modal.show')) {
+    canvas.style.pointerEvents = 'auto';
+  }
+}
+
+/**
+ * getDefaultEntryType()
+ * New entries in future weeks default to goals, everything else to memories
+ * @param {number} weeksSinceBirth - The selected week
+ * @returns {string} - ENTRY_TYPE_GOAL or ENTRY_TYPE_MEMORY
+ */
+function getDefaultEntryType(weeksSinceBirth) {
+  let yearWeekInfo = modalManager.birthDate
+    ? getYearAndWeekIndexFromWeeksSinceBirth(weeksSinceBirth, modalManager.birthDate)
+    : null;
+  if (!yearWeekInfo) {
+    return ENTRY_TYPE_MEMORY;
+  }
+  return isWeekInFuture(yearWeekInfo.weekIndex, yearWeekInfo.year) ? ENTRY_TYPE_GOAL : ENTRY_TYPE_MEMORY;
+}
+
+/**
+ * setEntryTypeInput()
+ * Selects an entry type in the form and updates the wording to match
+ * @param {string} type - ENTRY_TYPE_MEMORY or ENTRY_TYPE_GOAL
+ * @param {boolean} locked - True to disable the toggle (while editing)
+ */
+function setEntryTypeInput(type, locked = false) {
+  modalManager.entryType = type;
+  modalManager.entryTypeLocked = locked;
+  
+  document.querySelectorAll('input[name="entry-type"]').forEach(function(radio) {
+    radio.checked = (radio.value === type);
+    radio.disabled = locked;
+  });
+  
+  let isGoal = (type === ENTRY_TYPE_GOAL);
+  let textLabel = document.getElementById('modal-text-label');
+  let textInput = document.getElementById('modal-text-input');
+  if (textLabel) textLabel.textContent = isGoal ? 'Goal:' : 'Memory:';
+  if (textInput) textInput.placeholder = isGoal ? 'What do you want to achieve?' : 'What happened?';
+  
+  // Only memories have a mood (and recurring ones don't)
+  let moodField = document.getElementById('memory-mood-field');
+  if (moodField) moodField.style.display = isGoal || modalManager.entryRepeat !== RECURRENCE_NONE ? 'none' : 'flex';
+}
+
+/**
+ * applyDefaultEntryType()
+ * Resets the form's entry type to the default for the selected week
+ */
+function applyDefaultEntryType() {
+  setEntryTypeInput(getDefaultEntryType(modalManager.selectedWeeksSinceBirth));
+}
+
+/**
+ * getEntryTypeLabel()
+ * @param {string} type - ENTRY_TYPE_MEMORY or ENTRY_TYPE_GOAL
+ * @returns {string} - 'Goal' or 'Memory'
+ */
+function getEntryTypeLabel(type) {
+  return type === ENTRY_TYPE_GOAL ? 'Goal' : 'Memory';
+}
+
+/**
+ * getGoalStatusLabel()
+ * @param {string} status - One of the GOAL_STATUS_* values
+ * @returns {string} - Display label, e.g. 'Achieved'
+ */
+function getGoalStatusLabel(status) {
+  switch (status) {
+    case GOAL_STATUS_ACHIEVED: return 'Achieved';
+    case GOAL_STATUS_MISSED: return 'Missed';
+    case GOAL_STATUS_RESCHEDULED: return 'Rescheduled';
+    default: return 'Open';
+  }
+}
+
+/**
+ * setEntryTags()
+ * Sets the tags chosen in the form and redraws the tag chips
+ * @param {string[]} tags - Tag names
+ */
+function setEntryTags(tags) {
+  modalManager.entryTags = tags;
+  
+  let chipList = document.getElementById('memory-tags-list');
+  if (chipList) {
+    chipList.innerHTML = '';
+    tags.forEach(function(tag) {
+      let chip = document.createElement('span');
+      chip.className = 'tag-chip selected';
+      chip.style.setProperty('--tag-colour', getTagColour(tag));
+      chip.textContent = tag;
+      
+      let removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'tag-chip-remove';
+      removeBtn.title = `Remove "${tag}"`;
+      removeBtn.textContent = '×';
+      removeBtn.addEventListener('click', function() {
+        setEntryTags(modalManager.entryTags.filter(t => t !== tag));
+      });
+      
+      chip.appendChild(removeBtn);
+      chipList.appendChild(chip);
+    });
+  }
+  
+  // Suggest known tags that aren't chosen yet
+  let suggestions = document.getElementById('memory-tags-suggestions');
+  if (suggestions) {
+    suggestions.innerHTML = '';
+    for (let tag of getTags()) {
+      if (tags.includes(tag.name)) continue;
+      let option = document.createElement('option');
+      option.value = tag.name;
+      suggestions.appendChild(option);
+    }
+  }
+}
+
+/**
+ * setEntryMood()
+ * Sets the mood chosen in the form and selects its button
+ * @param {number|null} mood - Mood from 1 to 5, or null for none
+ */
+function setEntryMood(mood) {
+  modalManager.entryMood = mood;
+  document.querySelectorAll('.mood-btn').forEach(function(button) {
+    button.classList.toggle('selected', Number(button.dataset.mood) === mood);
+  });
+}
+
+/**
+ * setEntryRepeat()
+ * Sets how a new entry repeats. Recurring entries have no mood or images,
+ * so those fields are hidden while one is chosen.
+ * @param {string} frequency - RECURRENCE_NONE or one of the RECURRENCE_* frequencies
+ */
+function setEntryRepeat(frequency) {
+  modalManager.entryRepeat = isValidRecurrence(frequency) ? frequency : RECURRENCE_NONE;
+  let isRepeating = modalManager.entryRepeat !== RECURRENCE_NONE;
+  
+  let repeatInput = document.getElementById('memory-repeat-input');
+  if (repeatInput) repeatInput.value = modalManager.entryRepeat;
+  let intervalField = document.getElementById('memory-repeat-interval');
+  if (intervalField) intervalField.style.display = modalManager.entryRepeat === RECURRENCE_WEEKS ? 'flex' : 'none';
+  
+  let moodField = document.getElementById('memory-mood-field');
+  if (moodField) moodField.style.display = isRepeating || modalManager.entryType === ENTRY_TYPE_GOAL ? 'none' : 'flex';
+  let imageArea = document.getElementById('image-upload-area-input');
+  if (imageArea) imageArea.style.display = isRepeating ? 'none' : '';
+}
+
+/**
+ * addEntryTag()
+ * Adds a typed tag to the form (new tags get a colour straight away)
+ * @param {string} name - Tag as typed
+ */
+function addEntryTag(name) {
+  let tag = normalizeTagName(name);
+  if (!tag || modalManager.entryTags.includes(tag)) return;
+  
+  ensureTags([tag]).catch(function(error) {
+    console.error('Error saving tags:', error);
+  });
+  setEntryTags(modalManager.entryTags.concat(tag));
+}
+
+/**
+ * renderTagChips()
+ * Builds read-only tag chips for the list and view mode
+ * @param {string[]} tags - Tag names
+ * @returns {string} - HTML (tag names are escaped)
+ */
+function renderTagChips(tags) {
+  return (tags || []).map(function(tag) {
+    return `<span class="tag-chip" style="--tag-colour: ${getTagColour(tag)}">${escapeHtml(tag)}</span>`;
+  }).join('');
 }
 
 /**
@@ -540,9 +986,17 @@ function getYearDataForWeek(weeksSinceBirth) {
  * Helper function to save year data and refresh circles
  * @param {Object[]} yearData - The year data to save
  * @param {number} year - The year
+ * @param {Object|null} draft - The memory that was just added or edited, kept as a draft if the save fails
  */
-function saveYearDataAndRefresh(yearData, year) {
-  saveData(yearData, year);
+function saveYearDataAndRefresh(yearData, year, draft = null) {
+  saveData(yearData, year)
+    .then(function() {
+      storageHealth.handleSaveSuccess();
+    })
+    .catch(function(error) {
+      console.error(`Error saving data for year ${year}:`, error);
+      storageHealth.handleSaveFailure(error, year, draft);
+    });
   
   // Use the callback from modalManager if available
   if (modalManager.refreshCircleDataCallback) {
@@ -550,6 +1004,79 @@ function saveYearDataAndRefresh(yearData, year) {
   }
 }
 
+/**
+ * saveYearsDataAndRefresh()
+ * Saves the two years a memory was moved between in one write, so it is
+ * never stored in both or lost, and refreshes their circles
+ * @param {Map<number, Object[]>} dataByYear - Year -> year data (one entry if both weeks are in the same year)
+ * @param {number} draftYear - The year the memory was moved to
+ * @param {Object} draft - The moved memory, kept as a draft if the save fails
+ */
+function saveYearsDataAndRefresh(dataByYear, draftYear, draft) {
+  saveYears(dataByYear)
+    .then(function() {
+      storageHealth.handleSaveSuccess();
+    })
+    .catch(function(error) {
+      console.error(`Error saving years ${Array.from(dataByYear.keys()).join(', ')}:`, error);
+      storageHealth.handleSaveFailure(error, draftYear, draft);
+    });
+  
+  if (modalManager.refreshCircleDataCallback) {
+    for (let year of dataByYear.keys()) {
+      modalManager.refreshCircleDataCallback(year);
+    }
+  }
+}
+
+/**
+ * relocateMemory()
+ * Moves a memory from its week slot into another week (and year) and saves
+ * both years together
+ * @param {Object} memory - The memory or goal, with its new date already set
+ * @param {Object[]} yearData - Data of the year it is stored in
+ * @param {Object} from - { year, weekIndex } it is stored in
+ * @param {Object} to - { year, weekIndex } to move it to
+ */
+function relocateMemory(memory, yearData, from, to) {
+  yearData[from.weekIndex].memories = yearData[from.weekIndex].memories.filter(m => m.id !== memory.id);
+  
+  let targetYearData = to.year === from.year ? yearData : loadData(to.year);
+  ensureWeekSlots(targetYearData, to.year);
+  if (!targetYearData[to.weekIndex].memories) {
+    targetYearData[to.weekIndex].memories = [];
+  }
+  targetYearData[to.weekIndex].memories.push(memory);
+  sortMemoriesByDate(targetYearData[to.weekIndex].memories);
+  searchIndex.updateEntry(memory, to.year, to.weekIndex);
+  
+  let dataByYear = new Map([[from.year, yearData], [to.year, targetYearData]]);
+  saveYearsDataAndRefresh(dataByYear, to.year, memory);
+}
+
+/**
+ * moveMemoryToWeek()
+ * Moves a memory or goal into another week (e.g. dropped on another week
+ * circle). An entry is stored in the week of its date, so the date moves
+ * along to the same weekday of the new week.
+ * @param {Object} from - { year, weekIndex } the entry is stored in
+ * @param {string} memoryId - The ID of the memory or goal
+ * @param {Object} to - { year, weekIndex } of the new week
+ * @returns {string|null} - The entry's new date, or null if it was not found
+ */
+function moveMemoryToWeek(from, memoryId, to) {
+  let yearData = loadData(from.year);
+  let week = yearData[from.weekIndex];
+  let memory = week && week.memories ? week.memories.find(m => m.id === memoryId) : null;
+  if (!memory) return null;
+  if (from.year === to.year && from.weekIndex === to.weekIndex) return memory.date;
+  
+  memory.date = getDateInWeek(memory.date, to.weekIndex, to.year);
+  memory.timestamp = new Date().toISOString();
+  relocateMemory(memory, yearData, from, to);
+  return memory.date;
+}
+
 /**
  * sortMemoriesByDate()
  * Helper function to sort memories by date (newest first)
@@ -566,9 +1093,12 @@ function sortMemoriesByDate(memories) {
  * @param {string} title - The memory title
  * @param {string} text - The memory text
  * @param {string} date - The memory date (YYYY-MM-DD)
- * @param {string|null} imageDataURL - Optional image data URL
+ * @param {Object[]} images - Gallery: array of { imageData, caption }
+ * @param {string} type - ENTRY_TYPE_MEMORY or ENTRY_TYPE_GOAL
+ * @param {string[]} tags - Tag names
+ * @param {number|null} mood - Mood from 1 to 5, or null for none (memories only)
  */
-function addMemory(weeksSinceBirth, title, text, date, imageDataURL) {
+function addMemory(weeksSinceBirth, title, text, date, images = [], type = ENTRY_TYPE_MEMORY, tags = [], mood = null) {
   let result = getYearDataForWeek(weeksSinceBirth);
   if (!result) return;
   
@@ -580,41 +1110,52 @@ function addMemory(weeksSinceBirth, title, text, date, imageDataURL) {
   
   let newMemory = {
     id: generateMemoryId(),
+    type: type,
     title: title,
     text: text,
     date: date,
+    tags: tags,
+    mood: type === ENTRY_TYPE_GOAL ? null : mood,
     timestamp: new Date().toISOString(),
-    imageData: imageDataURL || null
+    images: images
   };
+  if (type === ENTRY_TYPE_GOAL) {
+    newMemory.status = GOAL_STATUS_OPEN;
+  }
   
   yearData[yearWeekInfo.weekIndex].memories.push(newMemory);
   sortMemoriesByDate(yearData[yearWeekInfo.weekIndex].memories);
+  searchIndex.updateEntry(newMemory, yearWeekInfo.year, yearWeekInfo.weekIndex);
   
-  saveYearDataAndRefresh(yearData, yearWeekInfo.year);
+  saveYearDataAndRefresh(yearData, yearWeekInfo.year, newMemory);
 }
 
 /**
  * editMemory()
- * Edits an existing memory
+ * Edits an existing memory. If the new date falls in another week, the
+ * memory is moved to that week (and year) and both years are saved together.
  * @param {number} weeksSinceBirth - The weeks since birth for this week (universal identifier)
  * @param {string} memoryId - The ID of the memory to edit
  * @param {string|null} title - The memory title (null to skip update)
  * @param {string|null} text - The memory text (null to skip update)
  * @param {string|null} date - The memory date (null to skip update)
- * @param {string|null|undefined} imageDataURL - Image data URL (undefined to skip, null to clear)
+ * @param {Object[]|undefined} images - Gallery: array of { imageData, caption } (undefined to skip)
+ * @param {string[]|undefined} tags - Tag names (undefined to skip)
+ * @param {number|null|undefined} mood - Mood from 1 to 5 or null for none (undefined to skip)
+ * @returns {Object|null} - { year, weekIndex } the memory is stored in after the edit, or null if not found
  */
-function editMemory(weeksSinceBirth, memoryId, title, text, date, imageDataURL) {
+function editMemory(weeksSinceBirth, memoryId, title, text, date, images, tags, mood) {
   let result = getYearDataForWeek(weeksSinceBirth);
-  if (!result) return;
+  if (!result) return null;
   
   let { yearData, yearWeekInfo } = result;
   
   if (!yearData[yearWeekInfo.weekIndex].memories) {
-    return;
+    return null;
   }
   
   let memory = yearData[yearWeekInfo.weekIndex].memories.find(m => m.id === memoryId);
-  if (!memory) return;
+  if (!memory) return null;
   
   // Only update fields that are provided (not null)
   if (title !== null && title !== undefined) {
@@ -627,13 +1168,74 @@ function editMemory(weeksSinceBirth, memoryId, title, text, date, imageDataURL)
     memory.date = date;
   }
   // Only update image if argument is explicitly provided (undefined = skip, null = clear)
-  if (imageDataURL !== undefined) {
-    memory.imageData = imageDataURL;
+  if (images !== undefined) {
+    memory.images = images;
+  }
+  if (tags !== undefined) {
+    memory.tags = tags;
+  }
+  if (mood !== undefined && memory.type !== ENTRY_TYPE_GOAL) {
+    memory.mood = mood;
   }
   
   memory.timestamp = new Date().toISOString();
+  
+  // Move the memory if its date now belongs to a different week
+  let targetInfo = getYearAndWeekIndexFromDate(memory.date);
+  if (targetInfo && (targetInfo.year !== yearWeekInfo.year || targetInfo.weekIndex !== yearWeekInfo.weekIndex)) {
+    relocateMemory(memory, yearData, yearWeekInfo, targetInfo);
+    return targetInfo;
+  }
+  
   sortMemoriesByDate(yearData[yearWeekInfo.weekIndex].memories);
-  saveYearDataAndRefresh(yearData, yearWeekInfo.year);
+  searchIndex.updateEntry(memory, yearWeekInfo.year, yearWeekInfo.weekIndex);
+  saveYearDataAndRefresh(yearData, yearWeekInfo.year, memory);
+  return yearWeekInfo;
+}
+
+/**
+ * setGoalStatus()
+ * Records the outcome of a goal (achieved or missed, or open again)
+ * @param {number} weeksSinceBirth - The weeks since birth for the goal's week
+ * @param {string} memoryId - The ID of the goal
+ * @param {string} status - One of the GOAL_STATUS_* values
+ */
+function setGoalStatus(weeksSinceBirth, memoryId, status) {
+  let result = getYearDataForWeek(weeksSinceBirth);
+  if (!result) return;
+  
+  let { yearData, yearWeekInfo } = result;
+  let memories = yearData[yearWeekInfo.weekIndex].memories || [];
+  let goal = memories.find(m => m.id === memoryId);
+  if (!goal || goal.type !== ENTRY_TYPE_GOAL) return;
+  
+  goal.status = status;
+  goal.timestamp = new Date().toISOString();
+  saveYearDataAndRefresh(yearData, yearWeekInfo.year, goal);
+}
+
+/**
+ * rescheduleGoal()
+ * Moves a goal to a new date through editMemory() and marks it rescheduled.
+ * The dates it was planned for before are kept in rescheduledFrom.
+ * @param {number} weeksSinceBirth - The weeks since birth for the goal's current week
+ * @param {string} memoryId - The ID of the goal
+ * @param {string} newDate - The new date (YYYY-MM-DD)
+ * @returns {Object|null} - { year, weekIndex } of the goal's new week, or null if not found
+ */
+function rescheduleGoal(weeksSinceBirth, memoryId, newDate) {
+  let result = getYearDataForWeek(weeksSinceBirth);
+  if (!result) return null;
+  
+  let { yearData, yearWeekInfo } = result;
+  let memories = yearData[yearWeekInfo.weekIndex].memories || [];
+  let goal = memories.find(m => m.id === memoryId);
+  if (!goal || goal.type !== ENTRY_TYPE_GOAL) return null;
+  
+  // loadData() returns the cached copy, so editMemory() saves these changes too
+  goal.rescheduledFrom = (goal.rescheduledFrom || []).concat(goal.date);
+  goal.status = GOAL_STATUS_RESCHEDULED;
+  return editMemory(weeksSinceBirth, memoryId, null, null, newDate, undefined);
 }
 
 /**
@@ -643,10 +1245,6 @@ function editMemory(weeksSinceBirth, memoryId, title, text, date, imageDataURL)
  * @param {string} memoryId - The ID of the memory to delete
  */
 function deleteMemory(weeksSinceBirth, memoryId) {
-  if (!confirm('Are you sure you want to delete this memory?')) {
-    return;
-  }
-  
   let result = getYearDataForWeek(weeksSinceBirth);
   if (!result) return;
   
@@ -656,8 +1254,15 @@ function deleteMemory(weeksSinceBirth, memoryId) {
     return;
   }
   
+  let memory = yearData[yearWeekInfo.weekIndex].memories.find(m => m.id === memoryId);
+  let typeName = getEntryTypeLabel(memory && memory.type).toLowerCase();
+  if (!confirm(`Are you sure you want to delete this ${typeName}?`)) {
+    return;
+  }
+  
   yearData[yearWeekInfo.weekIndex].memories = 
     yearData[yearWeekInfo.weekIndex].memories.filter(m => m.id !== memoryId);
+  searchIndex.removeEntry(memoryId);
   
   saveYearDataAndRefresh(yearData, yearWeekInfo.year);
   displayMemoriesList(weeksSinceBirth);
@@ -690,13 +1295,51 @@ function displayMemoriesList(weeksSinceBirth) {
   // Load the correct year's data
   let yearDataForWeek = loadData(yearWeekInfo.year);
   
-  if (!yearDataForWeek[yearWeekInfo.weekIndex] || !yearDataForWeek[yearWeekInfo.weekIndex].memories || yearDataForWeek[yearWeekInfo.weekIndex].memories.length === 0) {
-    memoriesList.innerHTML = '<div class="empty-memories">No memories yet. Add your first memory below!</div>';
+  let weekMemories = (yearDataForWeek[yearWeekInfo.weekIndex] && yearDataForWeek[yearWeekInfo.weekIndex].memories) || [];
+  
+  // Apply the list filter (all, memories or goals)
+  let filter = modalManager.listFilter;
+  let visibleMemories = filter === 'all' ? weekMemories : weekMemories.filter(m => m.type === filter);
+  
+  // Occurrences of recurring goals and anniversaries come first
+  let visibleOccurrences = getRecurringOccurrencesForWeek(yearWeekInfo.weekIndex, yearWeekInfo.year)
+    .filter(occurrence => filter === 'all' || occurrence.type === filter);
+  
+  if (visibleMemories.length === 0 && visibleOccurrences.length === 0) {
+    let emptyText = filter === ENTRY_TYPE_GOAL ? 'No goals in this week.'
+      : filter === ENTRY_TYPE_MEMORY ? 'No memories in this week.'
+      : 'Nothing here yet. Add your first memory or goal below!';
+    memoriesList.innerHTML = `<div class="empty-memories">${emptyText}</div>`;
     return;
   }
   
+  visibleOccurrences.forEach(occurrence => {
+    let occurrenceItem = document.createElement('div');
+    occurrenceItem.className = 'memory-item recurring-item' + (occurrence.skipped ? ' skipped' : '');
+    occurrenceItem.style.cursor = 'pointer';
+    
+    occurrenceItem.innerHTML = `
+      <div class="memory-item-header">
+        <span class="memory-item-title" style="font-weight: bold; font-size: 1.1em;">${escapeHtml(occurrence.title || 'Untitled')}</span>
+        <span class="memory-item-date">${formatDateForDisplay(occurrence.date)}</span>
+      </div>
+      <div class="memory-item-badges">
+        <span class="entry-type-badge ${occurrence.type}">${getRecurringLabel(occurrence.type)}</span>
+        <span class="recurring-badge">↻ ${getRecurrenceLabel(occurrence.entry)}</span>
+        ${occurrence.skipped ? '<span class="goal-status-badge">Skipped</span>' : ''}
+        ${renderTagChips(occurrence.tags)}
+      </div>
+    `;
+    
+    addListItemTapListener(occurrenceItem, function() {
+      recurringPanel.openOccurrence(occurrence.entryId, occurrence.occurrenceDate);
+    });
+    
+    memoriesList.appendChild(occurrenceItem);
+  });
+  
   // Memories are already sorted by date when added/edited, so use them directly
-  yearDataForWeek[yearWeekInfo.weekIndex].memories.forEach(memory => {
+  visibleMemories.forEach(memory => {
     let memoryItem = document.createElement('div');
     memoryItem.className = 'memory-item';
     memoryItem.style.cursor = 'pointer';
@@ -712,60 +1355,81 @@ function displayMemoriesList(weeksSinceBirth) {
         <span class="memory-item-title" style="font-weight: bold; font-size: 1.1em;">${escapeHtml(displayTitle)}</span>
         <span class="memory-item-date">${displayDate}</span>
       </div>
+      <div class="memory-item-badges">
+        <span class="entry-type-badge ${memory.type}">${getEntryTypeLabel(memory.type)}</span>
+        ${memory.type === ENTRY_TYPE_GOAL ? `<span class="goal-status-badge ${memory.status}">${getGoalStatusLabel(memory.status)}</span>` : ''}
+        ${renderMoodBadge(memory.mood)}
+        ${renderTagChips(memory.tags)}
+      </div>
     `;
     
     // Entire item is clickable to view memory
-    // Handle both click and touch events for better mobile support
-    // Use touchend with movement detection to allow scrolling without accidental taps
-    let viewMemoryHandler = function(e) {
-      e.preventDefault();
-      e.stopPropagation();
+    addListItemTapListener(memoryItem, function() {
       viewMemory(weeksSinceBirth, memory.id);
-    };
-    
-    memoryItem.addEventListener('click', viewMemoryHandler);
-    
-    // Track touch start position to detect scrolling vs tapping
-    let touchStartX = null;
-    let touchStartY = null;
-    const MOVEMENT_THRESHOLD = 10; // pixels - if moved more than this, treat as scroll
-    
-    memoryItem.addEventListener('touchstart', function(e) {
-      // Store touch start position
-      if (e.touches && e.touches.length > 0) {
-        touchStartX = e.touches[0].clientX;
-        touchStartY = e.touches[0].clientY;
-      }
-    }, { passive: true }); // passive: true allows smooth scrolling
-    
-    memoryItem.addEventListener('touchend', function(e) {
-      // Only trigger if touch didn't move much (tap, not scroll)
-      if (touchStartX !== null && touchStartY !== null && e.changedTouches && e.changedTouches.length > 0) {
-        let touchEndX = e.changedTouches[0].clientX;
-        let touchEndY = e.changedTouches[0].clientY;
-        
-        // Calculate distance moved
-        let deltaX = Math.abs(touchEndX - touchStartX);
-        let deltaY = Math.abs(touchEndY - touchStartY);
-        let distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
-        
-        // If moved less than threshold, treat as tap
-        if (distance < MOVEMENT_THRESHOLD) {
-          e.preventDefault();
-          e.stopPropagation();
-          viewMemory(weeksSinceBirth, memory.id);
-        }
-      }
-      
-      // Reset touch start position
-      touchStartX = null;
-      touchStartY = null;
-    }, { passive: false }); // passive: false allows preventDefault for taps
-    
+    });
+
+    // ...or dragged onto another week (see EntryDrag.js)
+    entryDrag.attachHandle(memoryItem, yearWeekInfo, memory, weeksSinceBirth);
+
     memoriesList.appendChild(memoryItem);
   });
 }
 
+/**
+ * addListItemTapListener()
+ * Makes a whole list item clickable
+ * @param {HTMLElement} item - The list item
+ * @param {Function} onTap - Called when the item is clicked or tapped
+ */
+function addListItemTapListener(item, onTap) {
+  // Handle both click and touch events for better mobile support
+  // Use touchend with movement detection to allow scrolling without accidental taps
+  let tapHandler = function(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    onTap();
+  };
+  
+  item.addEventListener('click', tapHandler);
+  
+  // Track touch start position to detect scrolling vs tapping
+  let touchStartX = null;
+  let touchStartY = null;
+  const MOVEMENT_THRESHOLD = 10; // pixels - if moved more than this, treat as scroll
+  
+  item.addEventListener('touchstart', function(e) {
+    // Store touch start position
+    if (e.touches && e.touches.length > 0) {
+      touchStartX = e.touches[0].clientX;
+      touchStartY = e.touches[0].clientY;
+    }
+  }, { passive: true }); // passive: true allows smooth scrolling
+  
+  item.addEventListener('touchend', function(e) {
+    // Only trigger if touch didn't move much (tap, not scroll)
+    if (touchStartX !== null && touchStartY !== null && e.changedTouches && e.changedTouches.length > 0) {
+      let touchEndX = e.changedTouches[0].clientX;
+      let touchEndY = e.changedTouches[0].clientY;
+      
+      // Calculate distance moved
+      let deltaX = Math.abs(touchEndX - touchStartX);
+      let deltaY = Math.abs(touchEndY - touchStartY);
+      let distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+      
+      // If moved less than threshold, treat as tap
+      if (distance < MOVEMENT_THRESHOLD) {
+        e.preventDefault();
+        e.stopPropagation();
+        onTap();
+      }
+    }
+    
+    // Reset touch start position
+    touchStartX = null;
+    touchStartY = null;
+  }, { passive: false }); // passive: false allows preventDefault for taps
+}
+
 /**
  * viewMemory()
  * Displays a memory in view mode
@@ -797,27 +1461,52 @@ function viewMemory(weeksSinceBirth, memoryId) {
     return;
   }
   
-  // Set editingMemoryId so we can edit the image later
+  // Set editingMemoryId so the Edit, Review and Delete buttons know the entry
   modalManager.editingMemoryId = memoryId;
   
   // Hide input section and memories list, show view section
   let inputSection = document.getElementById('memory-input-section');
   let viewSection = document.getElementById('memory-view-section');
-  let imageEditSection = document.getElementById('image-edit-section');
   let memoriesListContainer = document.getElementById('memories-list-container');
   
   if (inputSection) inputSection.style.display = 'none';
-  if (imageEditSection) imageEditSection.style.display = 'none';
   if (memoriesListContainer) memoriesListContainer.style.display = 'none'; // Hide the list when viewing
   if (viewSection) {
     viewSection.style.display = 'block';
     
     // Populate view with memory data
+    let viewType = document.getElementById('memory-view-type');
+    let viewStatus = document.getElementById('memory-view-status');
+    let viewMood = document.getElementById('memory-view-mood');
+    let reviewBtn = document.getElementById('memory-review-btn');
     let viewTitle = document.getElementById('memory-view-title');
     let viewDate = document.getElementById('memory-view-date');
+    let viewTags = document.getElementById('memory-view-tags');
     let viewText = document.getElementById('memory-view-text');
-    let viewImageWrapper = document.getElementById('memory-view-image-wrapper');
-    let viewImage = document.getElementById('memory-view-image');
+    let viewGallery = document.getElementById('memory-view-gallery');
+    
+    if (viewType) {
+      viewType.textContent = getEntryTypeLabel(memory.type);
+      viewType.className = `entry-type-badge ${memory.type}`;
+    }
+    
+    let isGoal = memory.type === ENTRY_TYPE_GOAL;
+    if (viewStatus) {
+      viewStatus.textContent = isGoal ? getGoalStatusLabel(memory.status) : '';
+      viewStatus.className = `goal-status-badge ${memory.status || ''}`;
+      viewStatus.style.display = isGoal ? 'inline-block' : 'none';
+    }
+    
+    if (viewMood) {
+      viewMood.innerHTML = renderMoodBadge(memory.mood);
+      viewMood.style.display = isValidMood(memory.mood) ? 'inline-block' : 'none';
+    }
+    
+    // Goals can be reviewed (or their outcome changed) once their week has passed
+    if (reviewBtn) {
+      let weekPassed = WeekCircle.computeWeekState(yearWeekInfo.weekIndex, yearWeekInfo.year, modalManager.birthDate, new Date()).isPast;
+      reviewBtn.style.display = isGoal && weekPassed ? 'inline-block' : 'none';
+    }
     
     if (viewTitle) {
       viewTitle.textContent = memory.title || 'Untitled';
@@ -832,34 +1521,46 @@ function viewMemory(weeksSinceBirth, memoryId) {
       viewText.textContent = memory.text || '';
     }
     
-    // Show image if it exists
-    if (memory.imageData && viewImage && viewImageWrapper) {
-      viewImage.src = memory.imageData;
-      viewImageWrapper.style.display = 'flex'; // Use flex to center the image
-    } else if (viewImageWrapper) {
-      viewImageWrapper.style.display = 'none';
+    if (viewTags) {
+      viewTags.innerHTML = renderTagChips(memory.tags);
+      viewTags.style.display = memory.tags && memory.tags.length > 0 ? 'flex' : 'none';
+    }
+    
+    // Show the gallery's thumbnails (hidden when there are no images)
+    if (viewGallery) {
+      renderGalleryStrip(viewGallery, memory.images || []);
     }
   }
 }
 
 /**
  * showMemoryInputSection()
- * Shows the input section and hides view/image edit sections
+ * Shows the input section and hides the view section
  * @param {boolean} hideList - If true, hide the memories list (e.g., when editing)
  */
 function showMemoryInputSection(hideList) {
   let inputSection = document.getElementById('memory-input-section');
   let viewSection = document.getElementById('memory-view-section');
-  let imageEditSection = document.getElementById('image-edit-section');
   let memoriesListContainer = document.getElementById('memories-list-container');
   
   if (inputSection) inputSection.style.display = 'block';
   if (viewSection) viewSection.style.display = 'none';
-  if (imageEditSection) imageEditSection.style.display = 'none';
+  
+  // Back to adding after editing - the type toggle is usable again
+  if (!hideList && modalManager.entryTypeLocked) {
+    applyDefaultEntryType();
+  }
+  
   // Hide list when editing, show when adding new
   if (memoriesListContainer) {
     memoriesListContainer.style.display = hideList ? 'none' : 'block';
   }
+  
+  // Only new entries can be made recurring
+  let repeatField = document.getElementById('memory-repeat-field');
+  if (repeatField) {
+    repeatField.style.display = hideList ? 'none' : 'flex';
+  }
 }
 
 /**
@@ -895,6 +1596,9 @@ function startEditingMemory(weeksSinceBirth, memoryId) {
   
   modalManager.editingMemoryId = memoryId;
   
+  // An entry keeps its type - show it, but don't allow changing it
+  setEntryTypeInput(memory.type, true);
+  
   // Update save button text to "Save" when editing
   let saveBtn = document.getElementById('modal-save-btn');
   if (saveBtn) {
@@ -919,48 +1623,18 @@ function startEditingMemory(weeksSinceBirth, memoryId) {
     textInput.value = memory.text || '';
   }
   
+  setEntryTags((memory.tags || []).slice());
+  setEntryMood(isValidMood(memory.mood) ? memory.mood : null);
+  
   if (dateInput) {
-    // Get the week's date range (Monday to Sunday) for the correct year
-    let weekRange = getWeekDateRange(yearWeekInfo.weekIndex, yearWeekInfo.year);
-    
-    // Format dates as YYYY-MM-DD for input min/max
-    let minDate = formatDateForInput(weekRange.startDate);
-    let maxDate = formatDateForInput(weekRange.endDate);
-    
-    // Set min and max to limit date selection to the week
-    dateInput.setAttribute('min', minDate);
-    dateInput.setAttribute('max', maxDate);
-    
-    // Set the memory's date (but ensure it's within the week range)
-    let memoryDate = new Date(memory.date);
-    if (memoryDate < weekRange.startDate) {
-      dateInput.value = minDate;
-    } else if (memoryDate > weekRange.endDate) {
-      dateInput.value = maxDate;
-    } else {
-      dateInput.value = memory.date;
-    }
+    // Any date can be picked - saving moves the entry to that date's week
+    dateInput.removeAttribute('min');
+    dateInput.removeAttribute('max');
+    dateInput.value = memory.date;
   }
   
-  // Load current image into preview if it exists
-  const imagePreviewNew = document.getElementById('memory-image-preview-new');
-  const imageInputNew = document.getElementById('memory-image-input-new');
-  const imageClearBtnNew = document.getElementById('memory-image-clear-btn-new');
-  
-  // Reset modalImageDataURL to null initially (user can change it by selecting a new image)
-  modalManager.modalImageDataURL = undefined; // undefined means "don't change", null means "remove"
-  
-  if (memory.imageData && imagePreviewNew) {
-    // Show existing image in preview
-    imagePreviewNew.src = memory.imageData;
-    imagePreviewNew.style.display = 'block';
-    if (imageClearBtnNew) {
-      imageClearBtnNew.style.display = 'inline-block';
-    }
-  } else {
-    // No existing image, clear preview
-    clearImagePreviewControls(imagePreviewNew, imageInputNew, imageClearBtnNew);
-  }
+  // Load the gallery into the form (copies, so captions typed here only count after saving)
+  setEntryImages((memory.images || []).map(image => Object.assign({}, image)));
   
   // Show input section and hide view section (hide list when editing)
   showMemoryInputSection(true);
@@ -0,0 +1,127 @@
+/**
+ * MoodHeatmap.js
+ * Moods on memories (1 = very low to 5 = very good, picked in the entry form)
+ * and the heatmap colour mode that colours each week by the average mood of
+ * its memories. The legend explains the colour scale while the mode is on.
+ */
+
+// Index 0 is mood 1
+const MOOD_LABELS = ['Very low', 'Low', 'Neutral', 'Good', 'Very good'];
+const MOOD_EMOJIS = ['😞', '🙁', '😐', '🙂', '😄'];
+
+/**
+ * getMoodLabel()
+ * @param {number} mood - Mood from 1 to 5
+ * @returns {string} - e.g. 'Good'
+ */
+function getMoodLabel(mood) {
+  return MOOD_LABELS[mood - MOOD_MIN] || '';
+}
+
+/**
+ * getMoodEmoji()
+ * @param {number} mood - Mood from 1 to 5
+ * @returns {string} - e.g. '🙂'
+ */
+function getMoodEmoji(mood) {
+  return MOOD_EMOJIS[mood - MOOD_MIN] || '';
+}
+
+/**
+ * getMoodColour()
+ * Maps a mood onto the MOOD_COLOURS scale (see WeekCircle.js). Averages
+ * between two moods blend the colours on either side.
+ * @param {number} mood - Mood between 1 and 5 (may be fractional)
+ * @returns {p5.Color} - The colour for the mood
+ */
+function getMoodColour(mood) {
+  let position = constrain(mood, MOOD_MIN, MOOD_MAX) - MOOD_MIN;
+  let lower = Math.floor(position);
+  let upper = Math.min(lower + 1, MOOD_COLOURS.length - 1);
+  return lerpColor(color(MOOD_COLOURS[lower]), color(MOOD_COLOURS[upper]), position - lower);
+}
+
+/**
+ * renderMoodBadge()
+ * Builds a read-only mood badge for the list and view mode
+ * @param {number|null} mood - Mood from 1 to 5, or null for none
+ * @returns {string} - HTML (empty when there is no mood)
+ */
+function renderMoodBadge(mood) {
+  if (!isValidMood(mood)) return '';
+  return `<span class="mood-badge" style="--mood-colour: ${MOOD_COLOURS[mood - MOOD_MIN]}" title="Mood: ${getMoodLabel(mood)}">${getMoodEmoji(mood)} ${getMoodLabel(mood)}</span>`;
+}
+
+/**
+ * MoodHeatmap Class
+ * The mood heatmap toggle and its legend
+ */
+class MoodHeatmap {
+  constructor() {
+    this.legend = null;
+    this.legendAllowed = false;  // Only on the main page
+  }
+
+  /**
+   * setupListeners()
+   * Builds the legend and wires up the heatmap toggle
+   */
+  setupListeners() {
+    this.legend = document.getElementById('mood-legend');
+
+    let scale = document.getElementById('mood-legend-scale');
+    if (scale) {
+      for (let mood = MOOD_MIN; mood <= MOOD_MAX; mood++) {
+        let step = document.createElement('span');
+        step.className = 'mood-legend-step';
+        step.style.setProperty('--mood-colour', MOOD_COLOURS[mood - MOOD_MIN]);
+        step.title = getMoodLabel(mood);
+        step.textContent = getMoodEmoji(mood);
+        scale.appendChild(step);
+      }
+    }
+
+    let gradient = document.getElementById('mood-legend-gradient');
+    if (gradient) {
+      gradient.style.background = `linear-gradient(to right, ${MOOD_COLOURS.join(', ')})`;
+    }
+
+    let toggleBtn = document.getElementById('mood-toggle-btn');
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => {
+        let isOn = getWeekColourMode() === WEEK_COLOUR_MODE_MOOD;
+        setWeekColourMode(isOn ? WEEK_COLOUR_MODE_ENTRIES : WEEK_COLOUR_MODE_MOOD);
+      });
+    }
+  }
+
+  /**
+   * updateToggle()
+   * Highlights the toggle and shows the legend while the heatmap is on
+   * (also called after storage loads or a backup import changes settings)
+   */
+  updateToggle() {
+    let isOn = getWeekColourMode() === WEEK_COLOUR_MODE_MOOD;
+    let toggleBtn = document.getElementById('mood-toggle-btn');
+    if (toggleBtn) {
+      toggleBtn.classList.toggle('active', isOn);
+    }
+    if (this.legend) {
+      this.legend.style.display = isOn && this.legendAllowed ? 'flex' : 'none';
+    }
+  }
+
+  /**
+   * setLegendAllowed()
+   * Called every frame with whether the legend may show
+   * @param {boolean} allowed - True on the main page
+   */
+  setLegendAllowed(allowed) {
+    if (allowed === this.legendAllowed) return;
+    this.legendAllowed = allowed;
+    this.updateToggle();
+  }
+}
+
+// Global mood heatmap instance
+let moodHeatmap = new MoodHeatmap();
@@ -34,8 +34,8 @@ class MouseTrail {
         }
         let isModalOpen = this._cachedModal && this._cachedModal.classList.contains('show');
         
-        if (isModalOpen) {
-        // Clear trail when modal opens
+        if (isModalOpen || isReducedMotion()) {
+        // Clear trail when modal opens (and keep it off with reduced motion)
         this.trail = [];
         return;
         }
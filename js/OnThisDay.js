@@ -0,0 +1,210 @@
+/**
+ * OnThisDay.js
+ * Resurfaces past memories in the bottom right corner of the year view:
+ * memories from the same ISO week in earlier years, plus one "memory of
+ * the day" picked from every stored year
+ *
+ * The cards look like the goal countdown cards (see drawPanelCard() in
+ * GoalCountdown.js) and open the memory when clicked. The list is cached
+ * and only rebuilt when stored data or the date change. The memory of the
+ * day is picked from the date, so it stays the same all day.
+ */
+
+const ON_THIS_DAY_MAX_CARDS = 3; // Same-week memories shown at most (the most recent years)
+
+/**
+ * getDailyPickIndex()
+ * Picks an index that stays the same for a whole day
+ * @param {string} dateString - Today's date (YYYY-MM-DD)
+ * @param {number} count - Number of choices
+ * @returns {number} - Index from 0 to count - 1
+ */
+function getDailyPickIndex(dateString, count) {
+  let hash = 0;
+  for (let i = 0; i < dateString.length; i++) {
+    hash = (hash * 31 + dateString.charCodeAt(i)) >>> 0;
+  }
+  return hash % count;
+}
+
+/**
+ * getYearsAgoLabel()
+ * @param {number} years - Number of years
+ * @returns {string} - e.g. '1 year ago' or '5 years ago'
+ */
+function getYearsAgoLabel(years) {
+  return years === 1 ? '1 year ago' : `${years} years ago`;
+}
+
+class OnThisDay {
+  constructor() {
+    this.cards = [];              // Array of { title, detail, memoryId, weeksSinceBirth, key, cardBounds }
+    this.hoverStates = new Map(); // Hover state by card key, kept across rebuilds
+    this.cacheKey = null;         // What the cached cards were built from (see update())
+  }
+
+  /**
+   * update()
+   * Rebuilds the cards if stored data or the date changed since the last
+   * build (called every frame)
+   * @param {Date} birthDate - User's birth date
+   * @param {Date} today - The current date
+   */
+  update(birthDate, today) {
+    if (!birthDate) {
+      this.cards = [];
+      this.cacheKey = null;
+      return;
+    }
+
+    let cacheKey = [getDataRevision(), formatDateForInput(today), birthDate.getTime(), getDateLocale()].join('|');
+    if (cacheKey === this.cacheKey) return;
+
+    this.cacheKey = cacheKey;
+    this.rebuild(birthDate, today);
+  }
+
+  /**
+   * rebuild()
+   * Scans every stored year for memories from this ISO week in earlier
+   * years and picks the memory of the day
+   * @param {Date} birthDate - User's birth date
+   * @param {Date} today - The current date
+   */
+  rebuild(birthDate, today) {
+    this.cards = [];
+
+    let todayInfo = getISOWeekNumber(today);
+    let weekIndex = todayInfo.weekNumber - 1;
+    let todayString = formatDateForInput(today);
+
+    let sameWeek = [];  // { memory, year, weekIndex }
+    let allPast = [];   // Every memory dated up to today, in any year
+
+    for (let year of getStoredYears()) {
+      if (year > todayInfo.year) continue; // Only goals can lie ahead
+
+      loadData(year).forEach(function(week, index) {
+        for (let memory of (week && week.memories) || []) {
+          if (memory.type !== ENTRY_TYPE_MEMORY || memory.date > todayString) continue;
+          let found = { memory: memory, year: year, weekIndex: index };
+          allPast.push(found);
+          if (index === weekIndex && year < todayInfo.year) {
+            sameWeek.push(found);
+          }
+        }
+      });
+    }
+
+    // The most recent years first; week 53 only exists in some years, so it is simply absent in others
+    sameWeek.sort((a, b) => b.year - a.year || b.memory.date.localeCompare(a.memory.date));
+    for (let found of sameWeek.slice(0, ON_THIS_DAY_MAX_CARDS)) {
+      let yearsAgo = todayInfo.year - found.year;
+      this.cards.push(this.buildCard(found, birthDate, `${getYearsAgoLabel(yearsAgo)} · ${formatDateForDisplay(found.memory.date)}`));
+    }
+
+    // Memory of the day - any memory not already shown above
+    let shownIds = new Set(sameWeek.slice(0, ON_THIS_DAY_MAX_CARDS).map(found => found.memory.id));
+    let candidates = allPast.filter(found => !shownIds.has(found.memory.id));
+    if (candidates.length > 0) {
+      let found = candidates[getDailyPickIndex(todayString, candidates.length)];
+      this.cards.push(this.buildCard(found, birthDate, `Memory of the day · ${formatDateForDisplay(found.memory.date)}`));
+    }
+  }
+
+  /**
+   * buildCard()
+   * @param {Object} found - { memory, year, weekIndex }
+   * @param {Date} birthDate - User's birth date
+   * @param {string} detail - Second line of the card
+   * @returns {Object} - Card { title, detail, memoryId, weeksSinceBirth, key, cardBounds }
+   */
+  buildCard(found, birthDate, detail) {
+    let weeksSinceBirth = app.getWeeksSinceBirth(found.weekIndex, found.year, birthDate);
+    return {
+      title: found.memory.title || found.memory.text || 'Untitled',
+      detail: detail,
+      memoryId: found.memory.id,
+      weeksSinceBirth: weeksSinceBirth,
+      key: `${found.memory.id}_${weeksSinceBirth}`,
+      cardBounds: null  // Calculated in display()
+    };
+  }
+
+  /**
+   * display()
+   * Draws the cards in the bottom right corner. Phones have no room next
+   * to the goal countdown, so the panel sits above it there.
+   * @param {number|null} goalPanelTop - Top of the goal countdown panel, or null if it isn't shown
+   */
+  display(goalPanelTop) {
+    if (this.cards.length === 0) return;
+
+    push();
+    textAlign(LEFT, BOTTOM);
+
+    // Same sizes as the goal countdown
+    let padding = 20;
+    let bottomPadding = windowWidth < 600 ? 30 : windowWidth < 900 ? 40 : 50;
+    let fontSize = windowWidth < 600 ? 12 : windowWidth < 900 ? 14 : 16;
+    let countdownFontSize = windowWidth < 600 ? 9 : windowWidth < 900 ? 11 : 13;
+    let titleFontSize = windowWidth < 600 ? 14 : windowWidth < 900 ? 16 : 18;
+    let countdownSpacing = fontSize * 0.2;
+    let cardSpacing = fontSize * 0.6;
+    let titleSpacing = fontSize * 0.8;
+    let cardPadding = 12;
+
+    let isPhone = windowWidth < 600;
+    let cardWidth = isPhone ? width - 60 : 280;
+    let cardHeight = fontSize + countdownSpacing + countdownFontSize + (cardPadding * 2);
+    let startX = isPhone ? padding : width - padding - cardWidth;
+    let startY = isPhone && goalPanelTop !== null ? goalPanelTop - titleSpacing : height - bottomPadding;
+
+    // Cards from the bottom up, in list order top to bottom
+    let y = startY;
+    for (let i = this.cards.length - 1; i >= 0; i--) {
+      let card = this.cards[i];
+      let bounds = { x: startX, y: y - cardHeight, width: cardWidth, height: cardHeight };
+      card.cardBounds = bounds;
+
+      // Tick when the pointer enters a card (same as the goal cards)
+      let wasHovered = this.hoverStates.get(card.key) || false;
+      let isHovered = mouseX >= bounds.x && mouseX <= bounds.x + bounds.width &&
+                      mouseY >= bounds.y && mouseY <= bounds.y + bounds.height;
+      if (isHovered && !wasHovered && audioManager && typeof audioManager.playTick === 'function') {
+        audioManager.playTick();
+      }
+      this.hoverStates.set(card.key, isHovered);
+
+      drawPanelCard(bounds, isHovered, card.title, card.detail, { fontSize, countdownFontSize, countdownSpacing, cardPadding });
+      y -= cardHeight + cardSpacing;
+    }
+
+    // Title above the cards
+    noStroke();
+    textSize(titleFontSize);
+    fill("#525349");
+    textStyle(BOLD);
+    text("On this day...", startX, y + cardSpacing - titleSpacing);
+
+    pop();
+  }
+
+  /**
+   * checkClick()
+   * Checks if a card was clicked
+   * @param {number} mouseX - Mouse X position
+   * @param {number} mouseY - Mouse Y position
+   * @returns {Object|null} - The clicked card, or null
+   */
+  checkClick(mouseX, mouseY) {
+    for (let card of this.cards) {
+      let bounds = card.cardBounds;
+      if (bounds && mouseX >= bounds.x && mouseX <= bounds.x + bounds.width &&
+          mouseY >= bounds.y && mouseY <= bounds.y + bounds.height) {
+        return card;
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * PosterExport.js
+ * Prints a year's honeycomb as a poster: the grid is redrawn offscreen at
+ * print resolution (300 DPI on A4 or A3 paper) with the header text and,
+ * optionally, the titles of each week's entries, and saved as a PNG.
+ *
+ * The poster is laid out from the paper size alone (see
+ * getHoneycombPositions() in sketch.js), so it looks the same whatever the
+ * size of the window it was made in. Weeks use the same colour rules as the
+ * grid, in the colour mode that is switched on.
+ */
+
+const POSTER_DPI = 300;
+const POSTER_PAPER_SIZES = {
+  a4: { label: 'A4 (210 × 297 mm)', widthMm: 210, heightMm: 297 },
+  a3: { label: 'A3 (297 × 420 mm)', widthMm: 297, heightMm: 420 }
+};
+const DEFAULT_POSTER_PAPER = 'a3';
+const POSTER_MAX_TITLES = 3;       // Entry titles printed per week, then "+N more"
+const POSTER_X_SPACING = 1.3;      // Row spacing relative to the circle size (as on large screens)
+
+/**
+ * getPosterPixelSize()
+ * @param {string} paper - Key of POSTER_PAPER_SIZES
+ * @param {string} orientation - 'portrait' or 'landscape'
+ * @returns {Object} - { width, height } in pixels at POSTER_DPI
+ */
+function getPosterPixelSize(paper, orientation) {
+  let size = POSTER_PAPER_SIZES[paper] || POSTER_PAPER_SIZES[DEFAULT_POSTER_PAPER];
+  let shortSide = Math.round(size.widthMm / 25.4 * POSTER_DPI);
+  let longSide = Math.round(size.heightMm / 25.4 * POSTER_DPI);
+  return orientation === 'landscape'
+    ? { width: longSide, height: shortSide }
+    : { width: shortSide, height: longSide };
+}
+
+/**
+ * fitPosterText()
+ * Shortens a line with an ellipsis until it fits
+ * @param {p5.Graphics} g - Buffer with the text size already set
+ * @param {string} line - Text to fit
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} - The line, shortened if needed
+ */
+function fitPosterText(g, line, maxWidth) {
+  if (g.textWidth(line) <= maxWidth) return line;
+  let shortened = line;
+  while (shortened.length > 1 && g.textWidth(shortened + '…') > maxWidth) {
+    shortened = shortened.slice(0, -1);
+  }
+  return shortened.trimEnd() + '…';
+}
+
+/**
+ * renderPoster()
+ * Draws a year's poster into a new offscreen buffer
+ * @param {number} year - The ISO year
+ * @param {Object} options - { paper, orientation, includeTitles }
+ * @param {Date} birthDate - User's birth date
+ * @param {Date} today - The current date
+ * @returns {p5.Graphics} - The poster (remove() it once saved)
+ */
+function renderPoster(year, options, birthDate, today) {
+  let size = getPosterPixelSize(options.paper, options.orientation);
+
+  // Created small and then resized, so the full size is never allocated at
+  // the screen's pixel density (4 times the memory on high-density screens)
+  let g = createGraphics(1, 1);
+  g.pixelDensity(1);
+  g.resizeCanvas(size.width, size.height);
+
+  let unit = Math.min(size.width, size.height) / 100;  // 1% of the short side
+  let margin = unit * 6;
+
+  g.background(app.backgroundColour);
+  g.textFont('Inter');
+  g.noStroke();
+
+  // Header, as on screen (see drawHeader())
+  let ageTextSize = unit * 2.4;
+  let yearTextSize = unit * 4.5;
+  g.fill("#525349");
+  g.textAlign(CENTER, TOP);
+  g.textStyle(ITALIC);
+  g.textSize(ageTextSize);
+  g.text(getAgeHeaderText(), size.width / 2, margin);
+  g.textStyle(BOLD);
+  g.textSize(yearTextSize);
+  g.text(`Year ${year}`, size.width / 2, margin + ageTextSize * 1.8);
+
+  // Fit the honeycomb between the header and the footer
+  let numRows = app.numRows;
+  let top = margin + ageTextSize * 1.8 + yearTextSize * 1.2 + unit * 4;
+  let bottom = size.height - margin - unit * 4;
+  let availableWidth = size.width - margin * 2;
+  let availableHeight = bottom - top;
+  let circleSize = Math.min(availableWidth / (8 * POSTER_X_SPACING), availableHeight / numRows);
+  let gridWidth = 8 * POSTER_X_SPACING * circleSize;
+  let gridHeight = numRows * circleSize;
+  let originX = (size.width - gridWidth) / 2;
+  let originY = top + (availableHeight - gridHeight) / 2 + circleSize / 2;
+
+  let yearData = loadData(year);
+  let todayInfo = getISOWeekNumber(today);
+  let currentWeekIndex = year === todayInfo.year ? todayInfo.weekNumber - 1 : -1;
+  let positions = getHoneycombPositions(getISOWeeksInYear(year), numRows, POSTER_X_SPACING * circleSize, circleSize);
+
+  positions.forEach(function(position, weekIndex) {
+    drawPosterWeek(g, {
+      weekIndex: weekIndex,
+      year: year,
+      x: originX + position.x,
+      y: originY + position.y,
+      size: circleSize,
+      data: yearData[weekIndex],
+      isCurrent: weekIndex === currentWeekIndex
+    }, birthDate, today, options.includeTitles);
+  });
+
+  // Footer
+  g.noStroke();
+  g.fill(WEEK_COLOURS.emptyPast);
+  g.textAlign(CENTER, BOTTOM);
+  g.textStyle(ITALIC);
+  g.textSize(unit * 1.6);
+  g.text(`Made with Momentry · ${formatDateForDisplay(formatDateForInput(today))}`, size.width / 2, size.height - margin);
+
+  return g;
+}
+
+/**
+ * drawPosterWeek()
+ * Draws one week like WeekCircle.display() does on screen, without hover
+ * or breathing, plus its week number and (optionally) its entry titles
+ * @param {p5.Graphics} g - The poster buffer
+ * @param {Object} week - { weekIndex, year, x, y, size, data, isCurrent }
+ * @param {Date} birthDate - User's birth date
+ * @param {Date} today - The current date
+ * @param {boolean} includeTitles - True to print the entry titles
+ */
+function drawPosterWeek(g, week, birthDate, today, includeTitles) {
+  let state = WeekCircle.computeWeekState(week.weekIndex, week.year, birthDate, today);
+  let contentType = WeekCircle.getContentType(week.data);
+  let colourMode = getWeekColourMode();
+  let scale = week.size / 100;  // Stroke widths are tuned for 100px circles
+
+  let fillColour;
+  if (colourMode === WEEK_COLOUR_MODE_RATING) {
+    fillColour = WeekCircle.getRatingFillColour(state.isBeforeBirth, WeekCircle.getRating(week.data), state.isPast);
+  } else if (colourMode === WEEK_COLOUR_MODE_MOOD) {
+    fillColour = WeekCircle.getMoodFillColour(state.isBeforeBirth, WeekCircle.getAverageMood(week.data), state.isPast);
+  } else {
+    fillColour = WeekCircle.getFillColour(state.isBeforeBirth, contentType, state.isPast, WeekCircle.getGoalOutcome(week.data));
+  }
+
+  g.fill(fillColour);
+  if (week.isCurrent && !state.isBeforeBirth) {
+    g.stroke(WEEK_COLOURS.currentWeek);
+    g.strokeWeight(6 * scale);
+  } else {
+    g.stroke(state.isBeforeBirth ? color(150, 150, 150, 255) : color(WEEK_COLOURS.border));
+    g.strokeWeight(2 * scale);
+  }
+  g.circle(week.x, week.y, week.size);
+
+  if (state.isBeforeBirth) return;
+
+  // Recurring goals and anniversaries get an inner ring
+  if (WeekCircle.getRecurringCount(week.weekIndex, week.year) > 0) {
+    g.noFill();
+    g.stroke(WEEK_COLOURS.recurring);
+    g.strokeWeight(2 * scale);
+    g.circle(week.x, week.y, week.size * 0.72);
+  }
+
+  // Light text on memory weeks, dark text everywhere else (see drawWeekNumber())
+  let isDark = contentType === ENTRY_TYPE_MEMORY && colourMode === WEEK_COLOUR_MODE_ENTRIES;
+  g.noStroke();
+  g.fill(isDark ? WEEK_COLOURS.empty : WEEK_COLOURS.memory);
+
+  // Week number in the top left, as on hover
+  g.textAlign(LEFT, TOP);
+  g.textStyle(ITALIC);
+  g.textSize(week.size * 0.12);
+  g.text(week.weekIndex + 1, week.x - week.size / 2 + week.size * 0.15, week.y - week.size / 2 + week.size * 0.2);
+
+  let entries = (week.data && week.data.memories) || [];
+  if (includeTitles && entries.length > 0) {
+    let lines = entries.slice(0, POSTER_MAX_TITLES).map(entry => entry.title || entry.text || 'Untitled');
+    if (entries.length > POSTER_MAX_TITLES) {
+      lines[POSTER_MAX_TITLES - 1] = `+${entries.length - POSTER_MAX_TITLES + 1} more`;
+    }
+
+    let titleSize = week.size * 0.09;
+    let lineHeight = titleSize * 1.3;
+    g.textAlign(CENTER, CENTER);
+    g.textStyle(NORMAL);
+    g.textSize(titleSize);
+    let firstY = week.y + week.size * 0.06 - (lines.length - 1) * lineHeight / 2;
+    lines.forEach(function(line, i) {
+      g.text(fitPosterText(g, line, week.size * 0.74), week.x, firstY + i * lineHeight);
+    });
+  } else if (week.isCurrent) {
+    // Weeks since birth in the centre, as on the current week on screen
+    g.textAlign(CENTER, CENTER);
+    g.textSize(week.size * 0.25);
+    g.text(app.getWeeksSinceBirth(week.weekIndex, week.year, birthDate).toLocaleString(), week.x, week.y);
+  }
+}
+
+/**
+ * PosterExport Class
+ * The poster options modal, opened from the year in review
+ */
+class PosterExport {
+  constructor() {
+    this.modal = null;
+    this.statusEl = null;
+    this.year = null;
+  }
+
+  /**
+   * setupListeners()
+   * Fills the paper sizes and wires up the poster button and modal
+   */
+  setupListeners() {
+    this.modal = document.getElementById('poster-modal');
+    this.statusEl = document.getElementById('poster-status');
+
+    let paperInput = document.getElementById('poster-paper-input');
+    if (paperInput) {
+      for (let [key, size] of Object.entries(POSTER_PAPER_SIZES)) {
+        let option = document.createElement('option');
+        option.value = key;
+        option.textContent = size.label;
+        paperInput.appendChild(option);
+      }
+      paperInput.value = DEFAULT_POSTER_PAPER;
+    }
+
+    let posterBtn = document.getElementById('poster-btn');
+    if (posterBtn) {
+      posterBtn.addEventListener('click', () => this.open(app.currentDisplayYear));
+    }
+
+    let downloadBtn = document.getElementById('poster-download-btn');
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => this.download());
+    }
+
+    let closeBtn = document.getElementById('poster-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+  }
+
+  /**
+   * open()
+   * Shows the poster options for a year (the last choices are kept)
+   * @param {number} year - The ISO year
+   */
+  open(year) {
+    if (!this.modal || !app.birthDate) return;
+    this.year = year;
+
+    let title = document.getElementById('poster-title');
+    if (title) {
+      title.textContent = `Poster of ${year}`;
+    }
+    this.showStatus('');
+    openAppModal(this.modal);
+  }
+
+  /**
+   * close()
+   * Hides the modal
+   */
+  close() {
+    if (!this.modal) return;
+    closeAppModal(this.modal);
+  }
+
+  /**
+   * showStatus()
+   * Shows a status or error line inside the modal
+   * @param {string} message - Text to show (empty hides the line)
+   * @param {boolean} isError - True to style as an error
+   */
+  showStatus(message, isError = false) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.style.display = message ? 'block' : 'none';
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * download()
+   * Draws the poster with the chosen options and saves it as a PNG
+   */
+  download() {
+    let paperInput = document.getElementById('poster-paper-input');
+    let orientationInput = document.getElementById('poster-orientation-input');
+    let titlesInput = document.getElementById('poster-titles-input');
+    let options = {
+      paper: paperInput ? paperInput.value : DEFAULT_POSTER_PAPER,
+      orientation: orientationInput ? orientationInput.value : 'portrait',
+      includeTitles: Boolean(titlesInput && titlesInput.checked)
+    };
+
+    let poster;
+    try {
+      poster = renderPoster(this.year, options, app.birthDate, new Date());
+      saveCanvas(poster, `momentry-${this.year}-poster-${options.paper}`, 'png');
+    } catch (error) {
+      console.error('Error drawing poster:', error);
+      this.showStatus('The poster could not be drawn. Try a smaller paper size.', true);
+      return;
+    } finally {
+      // The PNG is encoded from the canvas element, which stays alive until then
+      if (poster) {
+        poster.remove();
+      }
+    }
+
+    let size = getPosterPixelSize(options.paper, options.orientation);
+    this.showStatus(`Poster saved (${size.width} × ${size.height} pixels).`);
+  }
+}
+
+// Global poster export instance
+let posterExport = new PosterExport();
@@ -0,0 +1,378 @@
+/**
+ * Profiles.js
+ * Named profiles, so several people can keep their own life in weeks on
+ * one device
+ *
+ * Every profile has its own storage namespace (see StorageBackends.js), and
+ * with it its own birth date, years, settings and vault. The list of
+ * profiles and the active one are kept in localStorage under
+ * PROFILES_STORAGE_KEY, outside every namespace, since they are needed
+ * before any profile's data is opened. The default profile uses the
+ * original namespace, so data saved before profiles existed becomes the
+ * default profile's data as it is.
+ *
+ * Profiles are switched from the button on the starting page. With more
+ * than one profile, Momentry asks whose profile to open when it starts.
+ */
+
+const PROFILES_STORAGE_KEY = 'momentryProfiles';
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'Me';
+const MAX_PROFILE_NAME_LENGTH = 30;
+
+/**
+ * getProfileNamespace()
+ * @param {string} profileId - Profile id
+ * @returns {string} - Storage namespace of the profile
+ */
+function getProfileNamespace(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? DEFAULT_STORAGE_NAMESPACE : `${DEFAULT_STORAGE_NAMESPACE}-${profileId}`;
+}
+
+/**
+ * generateProfileId()
+ * Ids only use letters and digits, since they become part of storage key names
+ * @returns {string} - A new profile id
+ */
+function generateProfileId() {
+  return 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * loadProfileRegistry()
+ * Reads the profile list, starting with just the default profile
+ * @returns {Object} - { profiles: [{ id, name }], activeId }
+ */
+function loadProfileRegistry() {
+  let registry = null;
+  try {
+    registry = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+  } catch (error) {
+    console.error('Error reading profiles:', error);
+  }
+
+  let profiles = registry && Array.isArray(registry.profiles)
+    ? registry.profiles.filter(profile => profile && /^[a-z0-9]+$/.test(profile.id) && typeof profile.name === 'string')
+    : [];
+  if (profiles.length === 0) {
+    profiles = [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME }];
+  }
+
+  let activeId = registry && profiles.some(profile => profile.id === registry.activeId)
+    ? registry.activeId
+    : profiles[0].id;
+  return { profiles, activeId };
+}
+
+/**
+ * deleteProfileData()
+ * Removes every year and setting a profile has stored, in both backends
+ * @param {string} profileId - Profile id
+ * @returns {Promise<void>}
+ */
+function deleteProfileData(profileId) {
+  let namespace = getProfileNamespace(profileId);
+  new LocalStorageBackend(namespace).removeAll();
+  return IndexedDBBackend.isSupported() ? IndexedDBBackend.deleteDatabase(namespace) : Promise.resolve();
+}
+
+/**
+ * ProfileManager Class
+ * The profile list and the profile modal
+ */
+class ProfileManager {
+  constructor() {
+    this.registry = loadProfileRegistry();
+    this.modal = null;
+    this.statusEl = null;
+    this.startingBtn = null;
+    this.chooseResolve = null;   // Set while the startup chooser waits for a pick
+    this.busy = false;           // A profile is being switched or deleted
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the starting page button and the profile modal
+   */
+  setupListeners() {
+    this.modal = document.getElementById('profile-modal');
+    this.statusEl = document.getElementById('profile-status');
+    this.startingBtn = document.getElementById('profile-btn');
+
+    if (this.startingBtn) {
+      this.startingBtn.addEventListener('click', () => this.open());
+    }
+
+    let addForm = document.getElementById('profile-add-form');
+    if (addForm) {
+      addForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.addProfile();
+      });
+    }
+
+    let closeBtn = document.getElementById('profile-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    // Close on overlay click (not while choosing at startup)
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+  }
+
+  /**
+   * getActiveProfile()
+   * @returns {Object} - { id, name } of the active profile
+   */
+  getActiveProfile() {
+    return this.registry.profiles.find(profile => profile.id === this.registry.activeId);
+  }
+
+  /**
+   * getActiveNamespace()
+   * @returns {string} - Storage namespace of the active profile
+   */
+  getActiveNamespace() {
+    return getProfileNamespace(this.registry.activeId);
+  }
+
+  /**
+   * saveRegistry()
+   * Writes the profile list and the active profile to localStorage
+   */
+  saveRegistry() {
+    try {
+      localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(this.registry));
+    } catch (error) {
+      console.error('Error saving profiles:', error);
+    }
+  }
+
+  /**
+   * setActive()
+   * Makes a profile the one opened from now on (the caller reloads storage)
+   * @param {string} profileId - Profile id
+   */
+  setActive(profileId) {
+    this.registry.activeId = profileId;
+    this.saveRegistry();
+    this.updateButton();
+  }
+
+  /**
+   * chooseAtStartup()
+   * With more than one profile, asks whose profile to open before any data is loaded
+   * @returns {Promise<void>} - Resolves once the active profile is settled
+   */
+  chooseAtStartup() {
+    this.updateButton();
+    if (this.registry.profiles.length < 2 || !this.modal) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.chooseResolve = resolve;
+      this.open();
+    });
+  }
+
+  /**
+   * setStartingButtonVisible()
+   * Called every frame: the profile button is only shown on the starting page
+   * @param {boolean} visible - True on the starting page once storage has loaded
+   */
+  setStartingButtonVisible(visible) {
+    if (this.startingBtn) {
+      this.startingBtn.style.display = visible ? 'flex' : 'none';
+    }
+  }
+
+  /**
+   * updateButton()
+   * Shows the active profile's name on the starting page button
+   */
+  updateButton() {
+    let nameEl = document.getElementById('profile-btn-name');
+    if (nameEl) {
+      nameEl.textContent = this.getActiveProfile().name;
+    }
+  }
+
+  /**
+   * open()
+   * Shows the profile list
+   */
+  open() {
+    if (!this.modal) return;
+    let choosing = this.chooseResolve !== null;
+    document.getElementById('profile-modal-title').textContent = choosing ? 'Who is here?' : 'Profiles';
+    document.getElementById('profile-close-btn').style.display = choosing ? 'none' : '';
+    document.getElementById('profile-name-input').value = '';
+    this.showStatus('');
+    this.renderList();
+    openAppModal(this.modal);
+  }
+
+  /**
+   * close()
+   * Closes the profile modal (the startup chooser stays until a profile is picked)
+   */
+  close() {
+    if (this.modal && this.chooseResolve === null && !this.busy) {
+      closeAppModal(this.modal);
+    }
+  }
+
+  /**
+   * showStatus()
+   * Shows a status or error line in the profile modal
+   * @param {string} message - Text to show (empty hides the line)
+   * @param {boolean} isError - True to style as an error
+   */
+  showStatus(message, isError = false) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.style.display = message ? 'block' : 'none';
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * renderList()
+   * One row per profile: open it, or delete it (except the active one)
+   */
+  renderList() {
+    let list = document.getElementById('profile-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    let choosing = this.chooseResolve !== null;
+    for (let profile of this.registry.profiles) {
+      let isActive = profile.id === this.registry.activeId;
+      let row = document.createElement('div');
+      row.className = 'profile-row' + (isActive ? ' active' : '');
+
+      let name = document.createElement('span');
+      name.className = 'profile-row-name';
+      name.textContent = profile.name;
+      row.appendChild(name);
+
+      if (isActive && !choosing) {
+        let current = document.createElement('span');
+        current.className = 'profile-row-current';
+        current.textContent = 'Current';
+        row.appendChild(current);
+      } else {
+        let openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'primary-btn';
+        openBtn.textContent = 'Open';
+        openBtn.addEventListener('click', () => this.openProfile(profile.id));
+        row.appendChild(openBtn);
+      }
+
+      if (!isActive) {
+        let deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'secondary-btn';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => this.deleteProfile(profile.id));
+        row.appendChild(deleteBtn);
+      }
+
+      list.appendChild(row);
+    }
+  }
+
+  /**
+   * openProfile()
+   * Switches to a profile (or, at startup, picks the one to load)
+   * @param {string} profileId - Profile id
+   */
+  async openProfile(profileId) {
+    if (this.busy) return;
+
+    if (this.chooseResolve !== null) {
+      let resolve = this.chooseResolve;
+      this.chooseResolve = null;
+      this.setActive(profileId);
+      closeAppModal(this.modal);
+      resolve();
+      return;
+    }
+
+    this.busy = true;
+    this.showStatus('Opening...');
+    try {
+      let switched = await switchProfile(profileId);
+      this.busy = false;
+      if (switched) {
+        this.close();
+      } else {
+        this.showStatus('');
+      }
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      this.showStatus(`The profile could not be opened: ${error.message}`, true);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * addProfile()
+   * Creates a profile from the name field and opens it (its starting page asks for a birth date)
+   */
+  async addProfile() {
+    let input = document.getElementById('profile-name-input');
+    let name = input.value.trim().slice(0, MAX_PROFILE_NAME_LENGTH);
+    if (!name) {
+      this.showStatus('Enter a name for the new profile.', true);
+      return;
+    }
+    if (this.registry.profiles.some(profile => profile.name.toLowerCase() === name.toLowerCase())) {
+      this.showStatus(`There is already a profile called "${name}".`, true);
+      return;
+    }
+
+    let profile = { id: generateProfileId(), name: name };
+    this.registry.profiles.push(profile);
+    this.saveRegistry();
+    input.value = '';
+    await this.openProfile(profile.id);
+  }
+
+  /**
+   * deleteProfile()
+   * Deletes a profile that is not open, with all of its data
+   * @param {string} profileId - Profile id
+   */
+  async deleteProfile(profileId) {
+    if (this.busy || profileId === this.registry.activeId) return;
+    let profile = this.registry.profiles.find(p => p.id === profileId);
+    if (!profile || !confirm(`Delete the profile "${profile.name}" with all of its memories, goals and settings? This can't be undone.`)) {
+      return;
+    }
+
+    this.busy = true;
+    try {
+      await deleteProfileData(profileId);
+      this.registry.profiles = this.registry.profiles.filter(p => p.id !== profileId);
+      this.saveRegistry();
+      this.renderList();
+      this.showStatus(`"${profile.name}" was deleted.`);
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+      this.showStatus(`"${profile.name}" could not be deleted: ${error.message}`, true);
+    } finally {
+      this.busy = false;
+    }
+  }
+}
+
+// Global profile manager instance
+let profileManager = new ProfileManager();
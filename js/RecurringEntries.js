@@ -0,0 +1,749 @@
+/**
+ * RecurringEntries.js
+ * Recurring goals and anniversaries: birthdays, yearly anniversaries,
+ * monthly or every-few-weeks habits, defined once and repeated
+ *
+ * A recurring entry is saved once in the 'recurringEntries' setting, never
+ * in the per-year data. Its occurrences are worked out from the start date
+ * and frequency whenever they are needed: the week circles get an inner
+ * ring, the entry list shows them next to the week's own entries and
+ * upcoming ones appear as cards on the goal countdown. A single occurrence
+ * can be skipped or changed (title, text or date); those exceptions are
+ * kept on the entry, keyed by the date the occurrence would have had.
+ *
+ * Entry: { id, type ('memory' = anniversary, 'goal' = recurring goal), title,
+ *          text, tags, startDate, frequency, interval (weeks), endDate|null,
+ *          exceptions: { 'YYYY-MM-DD': { skipped?, title?, text?, date? } }, timestamp }
+ */
+
+const RECURRING_SETTING_KEY = 'recurringEntries';
+const RECURRENCE_NONE = 'none';
+const RECURRENCE_YEARLY = 'yearly';
+const RECURRENCE_MONTHLY = 'monthly';
+const RECURRENCE_WEEKS = 'weeks';         // Every `interval` weeks
+const RECURRENCE_INTERVAL_MIN = 1;
+const RECURRENCE_INTERVAL_MAX = 52;
+const RECURRENCE_DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_STRING_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Normalised copy of the setting, rebuilt only when the setting is replaced
+let recurringEntriesCache = { source: null, entries: [] };
+
+// Occurrences per ISO week, per year (see getRecurringOccurrencesByWeek())
+let recurringWeekCache = { entries: null, years: new Map() };
+
+/**
+ * isValidRecurrence()
+ * @param {string} frequency - Value to check
+ * @returns {boolean} - True for one of the RECURRENCE_* frequencies (not 'none')
+ */
+function isValidRecurrence(frequency) {
+  return [RECURRENCE_YEARLY, RECURRENCE_MONTHLY, RECURRENCE_WEEKS].includes(frequency);
+}
+
+/**
+ * normalizeRecurrenceInterval()
+ * @param {*} interval - Number of weeks as typed or stored
+ * @returns {number} - Whole number of weeks between 1 and 52
+ */
+function normalizeRecurrenceInterval(interval) {
+  let weeks = Math.round(Number(interval));
+  if (!Number.isFinite(weeks)) return RECURRENCE_INTERVAL_MIN;
+  return Math.min(Math.max(weeks, RECURRENCE_INTERVAL_MIN), RECURRENCE_INTERVAL_MAX);
+}
+
+/**
+ * normalizeRecurringEntry()
+ * Checks a stored (or imported) recurring entry and fills in defaults
+ * @param {Object} entry - Entry as stored
+ * @returns {Object|null} - Usable entry, or null if it can't be used
+ */
+function normalizeRecurringEntry(entry) {
+  if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string') return null;
+  if (!DATE_STRING_PATTERN.test(entry.startDate) || !isValidRecurrence(entry.frequency)) return null;
+
+  let exceptions = {};
+  if (entry.exceptions && typeof entry.exceptions === 'object') {
+    for (let [originalDate, exception] of Object.entries(entry.exceptions)) {
+      if (DATE_STRING_PATTERN.test(originalDate) && exception && typeof exception === 'object') {
+        exceptions[originalDate] = exception;
+      }
+    }
+  }
+
+  return {
+    id: entry.id,
+    type: entry.type === ENTRY_TYPE_GOAL ? ENTRY_TYPE_GOAL : ENTRY_TYPE_MEMORY,
+    title: typeof entry.title === 'string' ? entry.title : '',
+    text: typeof entry.text === 'string' ? entry.text : '',
+    tags: Array.isArray(entry.tags) ? entry.tags.filter(tag => typeof tag === 'string') : [],
+    startDate: entry.startDate,
+    frequency: entry.frequency,
+    interval: entry.frequency === RECURRENCE_WEEKS ? normalizeRecurrenceInterval(entry.interval) : 1,
+    endDate: DATE_STRING_PATTERN.test(entry.endDate) && entry.endDate >= entry.startDate ? entry.endDate : null,
+    exceptions: exceptions,
+    timestamp: entry.timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * getRecurringEntries()
+ * The returned array stays the same object until the setting changes, so
+ * callers can compare it to tell whether their cached results are stale.
+ * @returns {Object[]} - Every usable recurring entry (don't modify)
+ */
+function getRecurringEntries() {
+  let source = getSetting(RECURRING_SETTING_KEY, null);
+  if (source !== recurringEntriesCache.source) {
+    recurringEntriesCache = {
+      source: source,
+      entries: (Array.isArray(source) ? source : []).map(normalizeRecurringEntry).filter(Boolean)
+    };
+  }
+  return recurringEntriesCache.entries;
+}
+
+/**
+ * getRecurringEntry()
+ * @param {string} id - The recurring entry's ID
+ * @returns {Object|null} - The entry, or null if there is none with that ID
+ */
+function getRecurringEntry(id) {
+  return getRecurringEntries().find(entry => entry.id === id) || null;
+}
+
+/**
+ * getRecurringLabel()
+ * @param {string} type - ENTRY_TYPE_MEMORY or ENTRY_TYPE_GOAL
+ * @returns {string} - 'Anniversary' or 'Recurring goal'
+ */
+function getRecurringLabel(type) {
+  return type === ENTRY_TYPE_GOAL ? 'Recurring goal' : 'Anniversary';
+}
+
+/**
+ * getRecurrenceLabel()
+ * @param {Object} entry - A recurring entry (frequency and interval are used)
+ * @returns {string} - e.g. 'Every year' or 'Every 2 weeks'
+ */
+function getRecurrenceLabel(entry) {
+  switch (entry.frequency) {
+    case RECURRENCE_YEARLY: return 'Every year';
+    case RECURRENCE_MONTHLY: return 'Every month';
+    default: return entry.interval === 1 ? 'Every week' : `Every ${entry.interval} weeks`;
+  }
+}
+
+/**
+ * dateStringToDayNumber()
+ * Counts days in UTC so daylight saving changes can't shift a date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {number} - Days since 1970-01-01
+ */
+function dateStringToDayNumber(dateString) {
+  let [year, month, day] = dateString.split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / RECURRENCE_DAY_MS);
+}
+
+/**
+ * dayNumberToDateString()
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function dayNumberToDateString(dayNumber) {
+  return new Date(dayNumber * RECURRENCE_DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * buildMonthDateString()
+ * A day of a month, moved back to the month's last day if it has fewer
+ * days (an entry on the 31st repeats on the 30th in April, Feb 29 on Feb 28)
+ * @param {number} year - The year
+ * @param {number} monthIndex - Month (0-11, may run past 11 into later years)
+ * @param {number} day - Day of the month (1-31)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function buildMonthDateString(year, monthIndex, day) {
+  let daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, monthIndex, Math.min(day, daysInMonth))).toISOString().slice(0, 10);
+}
+
+/**
+ * listOccurrenceDates()
+ * Lists the dates an entry repeats on within a range, before exceptions
+ * @param {Object} entry - A recurring entry
+ * @param {string} fromDate - First date of the range (YYYY-MM-DD)
+ * @param {string} toDate - Last date of the range (YYYY-MM-DD)
+ * @returns {string[]} - Dates in YYYY-MM-DD format, earliest first
+ */
+function listOccurrenceDates(entry, fromDate, toDate) {
+  let from = fromDate > entry.startDate ? fromDate : entry.startDate;
+  let to = entry.endDate && entry.endDate < toDate ? entry.endDate : toDate;
+  if (from > to) return [];
+
+  let dates = [];
+  let [startYear, startMonth, startDay] = entry.startDate.split('-').map(Number);
+
+  if (entry.frequency === RECURRENCE_WEEKS) {
+    let step = entry.interval * 7;
+    let start = dateStringToDayNumber(entry.startDate);
+    let first = start + Math.ceil((dateStringToDayNumber(from) - start) / step) * step;
+    for (let day = first; day <= dateStringToDayNumber(to); day += step) {
+      dates.push(dayNumberToDateString(day));
+    }
+    return dates;
+  }
+
+  let [fromYear, fromMonth] = from.split('-').map(Number);
+  let [toYear, toMonth] = to.split('-').map(Number);
+
+  if (entry.frequency === RECURRENCE_YEARLY) {
+    for (let year = Math.max(fromYear, startYear); year <= toYear; year++) {
+      let date = buildMonthDateString(year, startMonth - 1, startDay);
+      if (date >= from && date <= to) dates.push(date);
+    }
+    return dates;
+  }
+
+  // Monthly - count months from January of the first year
+  let lastMonth = toYear * 12 + toMonth - 1;
+  for (let month = fromYear * 12 + fromMonth - 1; month <= lastMonth; month++) {
+    let date = buildMonthDateString(Math.floor(month / 12), month % 12, startDay);
+    if (date >= from && date <= to) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * isOccurrenceDate()
+ * @param {Object} entry - A recurring entry
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {boolean} - True if the entry repeats on that date (before exceptions)
+ */
+function isOccurrenceDate(entry, date) {
+  return listOccurrenceDates(entry, date, date).length === 1;
+}
+
+/**
+ * buildOccurrence()
+ * Applies an occurrence's exception (if any) to the entry's details
+ * @param {Object} entry - A recurring entry
+ * @param {string} occurrenceDate - The date the occurrence would have (YYYY-MM-DD)
+ * @returns {Object} - { entryId, occurrenceDate, date, type, title, text, tags, skipped, edited, entry }
+ */
+function buildOccurrence(entry, occurrenceDate) {
+  let exception = entry.exceptions[occurrenceDate] || {};
+  return {
+    entryId: entry.id,
+    occurrenceDate: occurrenceDate,
+    date: exception.date || occurrenceDate,
+    type: entry.type,
+    title: typeof exception.title === 'string' ? exception.title : entry.title,
+    text: typeof exception.text === 'string' ? exception.text : entry.text,
+    tags: entry.tags,
+    skipped: exception.skipped === true,
+    edited: ['title', 'text', 'date'].some(key => key in exception),
+    entry: entry
+  };
+}
+
+/**
+ * getRecurringOccurrences()
+ * Lists every occurrence dated within a range, including skipped ones
+ * (check `skipped`). Moved occurrences are listed under their new date.
+ * @param {string} fromDate - First date of the range (YYYY-MM-DD)
+ * @param {string} toDate - Last date of the range (YYYY-MM-DD)
+ * @returns {Object[]} - Occurrences (see buildOccurrence()), earliest first
+ */
+function getRecurringOccurrences(fromDate, toDate) {
+  let occurrences = [];
+  for (let entry of getRecurringEntries()) {
+    for (let occurrenceDate of listOccurrenceDates(entry, fromDate, toDate)) {
+      let occurrence = buildOccurrence(entry, occurrenceDate);
+      if (occurrence.date >= fromDate && occurrence.date <= toDate) {
+        occurrences.push(occurrence);
+      }
+    }
+
+    // Occurrences moved into the range from outside it
+    for (let [occurrenceDate, exception] of Object.entries(entry.exceptions)) {
+      if (!exception.date || exception.date < fromDate || exception.date > toDate) continue;
+      if (occurrenceDate >= fromDate && occurrenceDate <= toDate) continue; // Listed above
+      if (isOccurrenceDate(entry, occurrenceDate)) {
+        occurrences.push(buildOccurrence(entry, occurrenceDate));
+      }
+    }
+  }
+
+  occurrences.sort((a, b) => a.date.localeCompare(b.date));
+  return occurrences;
+}
+
+/**
+ * getRecurringOccurrencesByWeek()
+ * Groups the occurrences of an ISO year by week. Cached per year until the
+ * recurring entries change.
+ * @param {number} year - The ISO year
+ * @returns {Map<number, Object[]>} - Week index (0-52) to its occurrences
+ */
+function getRecurringOccurrencesByWeek(year) {
+  let entries = getRecurringEntries();
+  if (recurringWeekCache.entries !== entries) {
+    recurringWeekCache = { entries: entries, years: new Map() };
+  }
+  if (recurringWeekCache.years.has(year)) {
+    return recurringWeekCache.years.get(year);
+  }
+
+  let byWeek = new Map();
+  if (entries.length > 0) {
+    let fromDate = formatDateForInput(getWeekDateRange(0, year).startDate);
+    let toDate = formatDateForInput(getWeekDateRange(getISOWeeksInYear(year) - 1, year).endDate);
+    for (let occurrence of getRecurringOccurrences(fromDate, toDate)) {
+      let weekIndex = getYearAndWeekIndexFromDate(occurrence.date).weekIndex;
+      if (!byWeek.has(weekIndex)) byWeek.set(weekIndex, []);
+      byWeek.get(weekIndex).push(occurrence);
+    }
+  }
+
+  recurringWeekCache.years.set(year, byWeek);
+  return byWeek;
+}
+
+/**
+ * getRecurringOccurrencesForWeek()
+ * @param {number} weekIndex - The week index (0-52)
+ * @param {number} year - The ISO year
+ * @returns {Object[]} - The week's occurrences, including skipped ones
+ */
+function getRecurringOccurrencesForWeek(weekIndex, year) {
+  return getRecurringOccurrencesByWeek(year).get(weekIndex) || [];
+}
+
+/**
+ * saveRecurringEntries()
+ * Saves the whole list and redraws everything that shows occurrences
+ * @param {Object[]} entries - The new list (a new array, not the cached one)
+ * @returns {Promise<boolean>} - Resolves to false if the list could not be stored
+ */
+function saveRecurringEntries(entries) {
+  let saving = setSetting(RECURRING_SETTING_KEY, entries).then(() => true, function(error) {
+    console.error('Error saving recurring entries:', error);
+    alert('The recurring entry could not be saved.');
+    return false;
+  });
+
+  applyRecurringToWeeks();
+  if (modalManager.selectedWeeksSinceBirth !== null) {
+    displayMemoriesList(modalManager.selectedWeeksSinceBirth);
+  }
+  return saving;
+}
+
+/**
+ * addRecurringEntry()
+ * @param {Object} details - { type, title, text, tags, startDate, frequency, interval, endDate }
+ * @returns {Promise<boolean>} - Resolves to false if the details are unusable or could not be saved
+ */
+function addRecurringEntry(details) {
+  let entry = normalizeRecurringEntry(Object.assign({}, details, {
+    id: generateMemoryId(),
+    exceptions: {},
+    timestamp: new Date().toISOString()
+  }));
+  if (!entry) return Promise.resolve(false);
+  return saveRecurringEntries(getRecurringEntries().concat(entry));
+}
+
+/**
+ * updateRecurringEntry()
+ * Changes a whole series. Exceptions for dates the series no longer
+ * repeats on are dropped.
+ * @param {string} id - The recurring entry's ID
+ * @param {Object} changes - Any of { title, text, startDate, frequency, interval, endDate }
+ * @returns {Promise<boolean>} - Resolves to false, without saving, if there is no
+ * entry with that ID or the changes leave it unusable (see normalizeRecurringEntry())
+ */
+function updateRecurringEntry(id, changes) {
+  let entry = getRecurringEntry(id);
+  let updated = entry && normalizeRecurringEntry(Object.assign({}, entry, changes, { timestamp: new Date().toISOString() }));
+  if (!updated) return Promise.resolve(false);
+
+  for (let occurrenceDate of Object.keys(updated.exceptions)) {
+    if (!isOccurrenceDate(updated, occurrenceDate)) {
+      delete updated.exceptions[occurrenceDate];
+    }
+  }
+  return saveRecurringEntries(getRecurringEntries().map(other => other.id === id ? updated : other));
+}
+
+/**
+ * deleteRecurringEntry()
+ * Removes a series with all its occurrences
+ * @param {string} id - The recurring entry's ID
+ * @returns {Promise<boolean>} - Resolves to false if it could not be saved
+ */
+function deleteRecurringEntry(id) {
+  return saveRecurringEntries(getRecurringEntries().filter(entry => entry.id !== id));
+}
+
+/**
+ * setOccurrenceException()
+ * Skips, restores or changes a single occurrence
+ * @param {string} id - The recurring entry's ID
+ * @param {string} occurrenceDate - The date the occurrence would have (YYYY-MM-DD)
+ * @param {Object|null} exception - { skipped?, title?, text?, date? }, or null to undo all changes
+ * @returns {Promise<boolean>} - Resolves to false if it could not be saved
+ */
+function setOccurrenceException(id, occurrenceDate, exception) {
+  let entries = getRecurringEntries().map(function(entry) {
+    if (entry.id !== id) return entry;
+    let exceptions = Object.assign({}, entry.exceptions);
+    if (exception && Object.keys(exception).length > 0) {
+      exceptions[occurrenceDate] = exception;
+    } else {
+      delete exceptions[occurrenceDate];
+    }
+    return Object.assign({}, entry, { exceptions: exceptions, timestamp: new Date().toISOString() });
+  });
+  return saveRecurringEntries(entries);
+}
+
+/**
+ * RecurringPanel Class
+ * The modal for one occurrence of a recurring entry: view it, skip it,
+ * change just this occurrence or the whole series, or delete the series
+ */
+class RecurringPanel {
+  constructor() {
+    this.modal = null;
+    this.statusEl = null;
+    this.entryId = null;          // The shown occurrence's series
+    this.occurrenceDate = null;   // The shown occurrence's original date
+    this.editMode = null;         // null (viewing), 'occurrence' or 'series'
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the modal buttons
+   */
+  setupListeners() {
+    this.modal = document.getElementById('recurring-modal');
+    this.statusEl = document.getElementById('recurring-status');
+
+    let intervalInput = document.getElementById('recurring-interval-input');
+    if (intervalInput) {
+      intervalInput.min = RECURRENCE_INTERVAL_MIN;
+      intervalInput.max = RECURRENCE_INTERVAL_MAX;
+    }
+
+    let frequencyInput = document.getElementById('recurring-frequency-input');
+    if (frequencyInput) {
+      frequencyInput.addEventListener('change', () => this.updateIntervalField());
+    }
+
+    let buttons = {
+      'recurring-edit-occurrence-btn': () => this.startEditing('occurrence'),
+      'recurring-edit-series-btn': () => this.startEditing('series'),
+      'recurring-skip-btn': () => this.toggleSkipped(),
+      'recurring-reset-btn': () => this.resetOccurrence(),
+      'recurring-delete-btn': () => this.deleteSeries(),
+      'recurring-save-btn': () => this.save(),
+      'recurring-cancel-btn': () => this.stopEditing(),
+      'recurring-close-btn': () => this.close()
+    };
+    for (let [id, handler] of Object.entries(buttons)) {
+      let button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', handler);
+      }
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+  }
+
+  /**
+   * openOccurrence()
+   * Shows one occurrence (from the entry list or a goal countdown card)
+   * @param {string} entryId - The recurring entry's ID
+   * @param {string} occurrenceDate - The occurrence's original date (YYYY-MM-DD)
+   */
+  openOccurrence(entryId, occurrenceDate) {
+    if (!this.modal || !getRecurringEntry(entryId)) return;
+    this.entryId = entryId;
+    this.occurrenceDate = occurrenceDate;
+    this.editMode = null;
+    this.showStatus('');
+    this.render();
+    openAppModal(this.modal);
+  }
+
+  /**
+   * close()
+   * Hides the modal
+   */
+  close() {
+    if (!this.modal) return;
+    this.entryId = null;
+    this.editMode = null;
+    closeAppModal(this.modal);
+  }
+
+  /**
+   * showStatus()
+   * Shows a status or error line inside the modal
+   * @param {string} message - Text to show (empty hides the line)
+   * @param {boolean} isError - True to style as an error
+   */
+  showStatus(message, isError = false) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.style.display = message ? 'block' : 'none';
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * getOccurrence()
+   * @returns {Object|null} - The shown occurrence, or null if its series is gone
+   */
+  getOccurrence() {
+    let entry = this.entryId ? getRecurringEntry(this.entryId) : null;
+    return entry ? buildOccurrence(entry, this.occurrenceDate) : null;
+  }
+
+  /**
+   * render()
+   * Fills the modal with the occurrence, or the form while editing
+   */
+  render() {
+    let occurrence = this.getOccurrence();
+    if (!occurrence) {
+      this.close();
+      return;
+    }
+    let entry = occurrence.entry;
+    let editing = this.editMode !== null;
+
+    let setText = function(id, text) {
+      let el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    let setShown = function(id, shown, display = 'block') {
+      let el = document.getElementById(id);
+      if (el) el.style.display = shown ? display : 'none';
+    };
+
+    setText('recurring-modal-title', getRecurringLabel(entry.type));
+    setShown('recurring-view', !editing);
+    setShown('recurring-form', editing, 'grid');
+    setShown('recurring-view-buttons', !editing, 'flex');
+    setShown('recurring-form-buttons', editing, 'flex');
+    if (editing) return;
+
+    let typeBadge = document.getElementById('recurring-view-type');
+    if (typeBadge) {
+      typeBadge.className = `entry-type-badge ${entry.type}`;
+      typeBadge.textContent = getEntryTypeLabel(entry.type);
+    }
+    let since = `since ${formatDateForDisplay(entry.startDate)}`;
+    let until = entry.endDate ? `, until ${formatDateForDisplay(entry.endDate)}` : '';
+    setText('recurring-view-repeat', `↻ ${getRecurrenceLabel(entry)} ${since}${until}`);
+    setText('recurring-view-state', occurrence.skipped ? 'Skipped' : 'Changed');
+    setShown('recurring-view-state', occurrence.skipped || occurrence.edited, 'inline-block');
+
+    setText('recurring-view-title', occurrence.title || 'Untitled');
+    let moved = occurrence.date !== occurrence.occurrenceDate ? ` (moved from ${formatDateForDisplay(occurrence.occurrenceDate)})` : '';
+    setText('recurring-view-date', formatDateForView(occurrence.date) + moved);
+    setText('recurring-view-text', occurrence.text);
+
+    let tagsEl = document.getElementById('recurring-view-tags');
+    if (tagsEl) {
+      tagsEl.innerHTML = renderTagChips(occurrence.tags);
+      tagsEl.style.display = occurrence.tags.length > 0 ? 'flex' : 'none';
+    }
+
+    setText('recurring-skip-btn', occurrence.skipped ? 'Restore' : 'Skip');
+    setShown('recurring-reset-btn', occurrence.edited, 'inline-block');
+  }
+
+  /**
+   * startEditing()
+   * Opens the form for this occurrence or for the whole series
+   * @param {string} mode - 'occurrence' or 'series'
+   */
+  startEditing(mode) {
+    let occurrence = this.getOccurrence();
+    if (!occurrence) return;
+    let entry = occurrence.entry;
+    let isSeries = mode === 'series';
+
+    let values = {
+      'recurring-title-input': isSeries ? entry.title : occurrence.title,
+      'recurring-text-input': isSeries ? entry.text : occurrence.text,
+      'recurring-date-input': isSeries ? entry.startDate : occurrence.date,
+      'recurring-frequency-input': entry.frequency,
+      'recurring-interval-input': entry.interval,
+      'recurring-end-input': entry.endDate || ''
+    };
+    for (let [id, value] of Object.entries(values)) {
+      let input = document.getElementById(id);
+      if (input) input.value = value;
+    }
+
+    let dateLabel = document.getElementById('recurring-date-label');
+    if (dateLabel) dateLabel.textContent = isSeries ? 'Starts' : 'Date';
+    document.querySelectorAll('.recurring-series-field').forEach(function(field) {
+      field.style.display = isSeries ? '' : 'none';
+    });
+
+    this.editMode = mode;
+    this.showStatus(isSeries ? 'Changes apply to every occurrence.' : 'Changes apply to this occurrence only.');
+    this.render();
+    this.updateIntervalField();
+  }
+
+  /**
+   * stopEditing()
+   * Leaves the form without saving
+   */
+  stopEditing() {
+    this.editMode = null;
+    this.showStatus('');
+    this.render();
+  }
+
+  /**
+   * updateIntervalField()
+   * Shows the week interval only for series that repeat every few weeks
+   */
+  updateIntervalField() {
+    let frequencyInput = document.getElementById('recurring-frequency-input');
+    let showInterval = this.editMode === 'series' && frequencyInput && frequencyInput.value === RECURRENCE_WEEKS;
+    document.querySelectorAll('.recurring-interval-field').forEach(function(field) {
+      field.style.display = showInterval ? '' : 'none';
+    });
+  }
+
+  /**
+   * save()
+   * Saves the form for the occurrence or the series
+   */
+  async save() {
+    let occurrence = this.getOccurrence();
+    if (!occurrence) return;
+    let getValue = function(id) {
+      let input = document.getElementById(id);
+      return input ? input.value.trim() : '';
+    };
+
+    let title = getValue('recurring-title-input');
+    let text = getValue('recurring-text-input');
+    let date = getValue('recurring-date-input');
+    if (!title) {
+      this.showStatus('Please enter a title.', true);
+      return;
+    }
+    if (!DATE_STRING_PATTERN.test(date)) {
+      this.showStatus('Please select a date.', true);
+      return;
+    }
+
+    if (this.editMode === 'series') {
+      let endDate = getValue('recurring-end-input') || null;
+      if (endDate && endDate < date) {
+        this.showStatus('The series can\'t end before it starts.', true);
+        return;
+      }
+      let frequency = getValue('recurring-frequency-input');
+      if (!isValidRecurrence(frequency)) {
+        this.showStatus('Please choose how often it repeats.', true);
+        return;
+      }
+      let saved = await updateRecurringEntry(this.entryId, {
+        title: title,
+        text: text,
+        startDate: date,
+        frequency: frequency,
+        interval: normalizeRecurrenceInterval(getValue('recurring-interval-input')),
+        endDate: endDate
+      });
+      if (!saved) {
+        this.showStatus('The series could not be saved.', true);
+        return;
+      }
+      // The shown occurrence may no longer exist - show the first one instead
+      let entry = getRecurringEntry(this.entryId);
+      if (entry && !isOccurrenceDate(entry, this.occurrenceDate)) {
+        this.occurrenceDate = entry.startDate;
+      }
+    } else {
+      // Only what differs from the series is kept
+      let entry = occurrence.entry;
+      let exception = {};
+      if (occurrence.skipped) exception.skipped = true;
+      if (title !== entry.title) exception.title = title;
+      if (text !== entry.text) exception.text = text;
+      if (date !== this.occurrenceDate) exception.date = date;
+      if (!await setOccurrenceException(this.entryId, this.occurrenceDate, exception)) {
+        this.showStatus('This occurrence could not be saved.', true);
+        return;
+      }
+    }
+
+    this.editMode = null;
+    this.showStatus('Saved.');
+    this.render();
+  }
+
+  /**
+   * toggleSkipped()
+   * Skips the occurrence, or brings a skipped one back
+   */
+  async toggleSkipped() {
+    let occurrence = this.getOccurrence();
+    if (!occurrence) return;
+    let exception = Object.assign({}, occurrence.entry.exceptions[this.occurrenceDate]);
+    if (occurrence.skipped) {
+      delete exception.skipped;
+    } else {
+      exception.skipped = true;
+    }
+    await setOccurrenceException(this.entryId, this.occurrenceDate, exception);
+    this.showStatus(occurrence.skipped ? 'Occurrence restored.' : 'This occurrence is skipped.');
+    this.render();
+  }
+
+  /**
+   * resetOccurrence()
+   * Undoes the changes made to just this occurrence (a skip is kept)
+   */
+  async resetOccurrence() {
+    let occurrence = this.getOccurrence();
+    if (!occurrence) return;
+    await setOccurrenceException(this.entryId, this.occurrenceDate, occurrence.skipped ? { skipped: true } : null);
+    this.showStatus('Occurrence reset to match the series.');
+    this.render();
+  }
+
+  /**
+   * deleteSeries()
+   * Deletes the whole series after confirming
+   */
+  async deleteSeries() {
+    let occurrence = this.getOccurrence();
+    if (!occurrence) return;
+    let label = getRecurringLabel(occurrence.type).toLowerCase();
+    if (!confirm(`Delete this ${label} and all of its occurrences?`)) return;
+    await deleteRecurringEntry(this.entryId);
+    this.close();
+  }
+}
+
+// Global recurring entry panel instance
+let recurringPanel = new RecurringPanel();
@@ -0,0 +1,242 @@
+/**
+ * SearchIndex.js
+ * In-memory full-text index of every memory and goal across all years
+ * (title, text, tags and date)
+ *
+ * The index is built from the storage cache the first time a search runs.
+ * After that addMemory(), editMemory() and deleteMemory() keep it up to date
+ * one entry at a time; anything that rewrites whole years (e.g. a backup
+ * import) calls invalidate() so it is rebuilt on the next search.
+ */
+
+// How much a match counts, by field
+const SEARCH_FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  date: 2,
+  text: 1
+};
+const SEARCH_PREFIX_FACTOR = 0.5;  // A prefix match ("hol" for "holiday") counts half
+const SEARCH_MAX_RESULTS = 50;
+const SEARCH_SNIPPET_RADIUS = 60;  // Characters shown around the first match
+
+/**
+ * SearchIndex Class
+ * Inverted index from tokens to entries, with ranked lookups
+ */
+class SearchIndex {
+  constructor() {
+    this.entries = new Map();   // memoryId -> { memory, year, weekIndex, tokens }
+    this.postings = new Map();  // token -> Map(memoryId -> weight)
+    this.built = false;
+  }
+
+  /**
+   * invalidate()
+   * Drops the index so the next search rebuilds it from storage
+   */
+  invalidate() {
+    this.entries.clear();
+    this.postings.clear();
+    this.built = false;
+  }
+
+  /**
+   * ensureBuilt()
+   * Indexes every stored entry if the index is empty or stale
+   */
+  ensureBuilt() {
+    if (this.built) return;
+
+    this.entries.clear();
+    this.postings.clear();
+    for (let year of getStoredYears()) {
+      loadData(year).forEach((week, weekIndex) => {
+        for (let memory of (week && week.memories) || []) {
+          this.addEntry(memory, year, weekIndex);
+        }
+      });
+    }
+    this.built = true;
+  }
+
+  /**
+   * addEntry()
+   * Indexes an entry, replacing any earlier version of it
+   * @param {Object} memory - The memory or goal
+   * @param {number} year - The ISO year it is stored in
+   * @param {number} weekIndex - The week index (0-52) it is stored in
+   */
+  addEntry(memory, year, weekIndex) {
+    this.removeEntry(memory.id);
+
+    let weights = new Map();
+    let addField = function(value, weight) {
+      for (let token of tokenizeSearchText(value)) {
+        weights.set(token, (weights.get(token) || 0) + weight);
+      }
+    };
+    addField(memory.title, SEARCH_FIELD_WEIGHTS.title);
+    addField(memory.text, SEARCH_FIELD_WEIGHTS.text);
+    addField((memory.tags || []).join(' '), SEARCH_FIELD_WEIGHTS.tags);
+    // Dates can be found as "2024", "03" or "march"
+    if (memory.date) {
+      addField(memory.date + ' ' + formatDateForView(memory.date), SEARCH_FIELD_WEIGHTS.date);
+    }
+
+    for (let [token, weight] of weights) {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Map());
+      }
+      this.postings.get(token).set(memory.id, weight);
+    }
+
+    this.entries.set(memory.id, { memory, year, weekIndex, tokens: Array.from(weights.keys()) });
+  }
+
+  /**
+   * updateEntry()
+   * Keeps the index in step with a single add or edit. Does nothing until
+   * the index has been built (the build will pick the change up).
+   * @param {Object} memory - The memory or goal
+   * @param {number} year - The ISO year it is stored in
+   * @param {number} weekIndex - The week index (0-52) it is stored in
+   */
+  updateEntry(memory, year, weekIndex) {
+    if (this.built) {
+      this.addEntry(memory, year, weekIndex);
+    }
+  }
+
+  /**
+   * removeEntry()
+   * Removes an entry from the index
+   * @param {string} memoryId - The ID of the entry
+   */
+  removeEntry(memoryId) {
+    let entry = this.entries.get(memoryId);
+    if (!entry) return;
+
+    for (let token of entry.tokens) {
+      let posting = this.postings.get(token);
+      if (!posting) continue;
+      posting.delete(memoryId);
+      if (posting.size === 0) {
+        this.postings.delete(token);
+      }
+    }
+    this.entries.delete(memoryId);
+  }
+
+  /**
+   * search()
+   * Finds entries matching every word of the query. Whole-word matches rank
+   * above prefix matches and title matches above text matches; ties go to
+   * the most recent date.
+   * @param {string} query - The search text
+   * @returns {Object[]} - Array of { memory, year, weekIndex, score, snippet }
+   */
+  search(query) {
+    let queryTokens = tokenizeSearchText(query);
+    if (queryTokens.length === 0) return [];
+
+    this.ensureBuilt();
+
+    let scores = null; // memoryId -> score, narrowed down by each query word
+    for (let queryToken of queryTokens) {
+      let tokenScores = new Map();
+      for (let [token, posting] of this.postings) {
+        let factor = token === queryToken ? 1 : token.startsWith(queryToken) ? SEARCH_PREFIX_FACTOR : 0;
+        if (factor === 0) continue;
+        for (let [memoryId, weight] of posting) {
+          // Keep the best match for this word (e.g. exact beats prefix)
+          tokenScores.set(memoryId, Math.max(tokenScores.get(memoryId) || 0, weight * factor));
+        }
+      }
+
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        let combined = new Map();
+        for (let [memoryId, score] of scores) {
+          if (tokenScores.has(memoryId)) {
+            combined.set(memoryId, score + tokenScores.get(memoryId));
+          }
+        }
+        scores = combined;
+      }
+      if (scores.size === 0) return [];
+    }
+
+    let results = [];
+    for (let [memoryId, score] of scores) {
+      let entry = this.entries.get(memoryId);
+      results.push({
+        memory: entry.memory,
+        year: entry.year,
+        weekIndex: entry.weekIndex,
+        score: score,
+        snippet: buildSearchSnippet(entry.memory.text || '', queryTokens)
+      });
+    }
+
+    results.sort((a, b) => b.score - a.score || new Date(b.memory.date) - new Date(a.memory.date));
+    return results.slice(0, SEARCH_MAX_RESULTS);
+  }
+}
+
+/**
+ * tokenizeSearchText()
+ * Splits text into lowercase words (letters and digits in any language)
+ * @param {string} text - The text to split
+ * @returns {string[]} - The words, in order (may repeat)
+ */
+function tokenizeSearchText(text) {
+  if (!text) return [];
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 0);
+}
+
+/**
+ * buildSearchSnippet()
+ * Cuts the part of a text around the first matching word and marks every
+ * match with <mark>. The text is escaped, so the result is safe as HTML.
+ * @param {string} text - The full entry text
+ * @param {string[]} queryTokens - The lowercase query words
+ * @returns {string} - HTML snippet
+ */
+function buildSearchSnippet(text, queryTokens) {
+  let lowerText = text.toLowerCase();
+  let firstMatch = -1;
+  for (let token of queryTokens) {
+    let index = lowerText.indexOf(token);
+    if (index !== -1 && (firstMatch === -1 || index < firstMatch)) {
+      firstMatch = index;
+    }
+  }
+
+  // No match in the text (the title or date matched) - show the beginning
+  let start = firstMatch === -1 ? 0 : Math.max(0, firstMatch - SEARCH_SNIPPET_RADIUS);
+  let end = Math.min(text.length, start + SEARCH_SNIPPET_RADIUS * 3);
+  let excerpt = text.substring(start, end);
+
+  let pattern = new RegExp(`(${queryTokens.map(escapeRegExp).join('|')})`, 'gi');
+  let html = excerpt.split(pattern).map(function(part, i) {
+    // split() with a capture group puts the matches at odd indexes
+    return i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+  }).join('');
+
+  return (start > 0 ? '…' : '') + html + (end < text.length ? '…' : '');
+}
+
+/**
+ * escapeRegExp()
+ * Escapes characters that have a meaning in regular expressions
+ * @param {string} text - Literal text
+ * @returns {string} - Text safe to use inside a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Global search index instance
+let searchIndex = new SearchIndex();
@@ -0,0 +1,157 @@
+/**
+ * SearchPanel.js
+ * Search modal: type to search every memory and goal, click a result to
+ * open it in its week (see SearchIndex.js for the ranking)
+ */
+
+/**
+ * SearchPanel Class
+ * Wires the search button, input and result list
+ */
+class SearchPanel {
+  constructor() {
+    this.modal = null;
+    this.input = null;
+    this.resultsEl = null;
+    this.results = [];
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the search button, the search input and the "/" shortcut
+   */
+  setupListeners() {
+    this.modal = document.getElementById('search-modal');
+    this.input = document.getElementById('search-input');
+    this.resultsEl = document.getElementById('search-results');
+
+    let searchBtn = document.getElementById('search-btn');
+    if (searchBtn) {
+      searchBtn.addEventListener('click', () => this.open());
+    }
+
+    if (this.input) {
+      this.input.addEventListener('input', () => this.runSearch());
+      this.input.addEventListener('keydown', (e) => {
+        // Enter opens the best match
+        if (e.key === 'Enter' && this.results.length > 0) {
+          e.preventDefault();
+          this.openResult(this.results[0]);
+        }
+      });
+    }
+
+    let closeBtn = document.getElementById('search-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+
+    // "/" opens search from the main page (unless typing somewhere)
+    document.addEventListener('keydown', (e) => {
+      let typing = e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA');
+      if (e.key === '/' && !typing && !app.showStartingPage && !isModalOpen()) {
+        e.preventDefault();
+        this.open();
+      }
+    });
+  }
+
+  /**
+   * open()
+   * Shows the search modal and focuses the input
+   */
+  open() {
+    if (!this.modal) return;
+    openAppModal(this.modal);
+    if (this.input) {
+      this.input.focus();
+      this.input.select();
+    }
+    this.runSearch();
+  }
+
+  /**
+   * close()
+   * Hides the search modal (the query is kept for next time)
+   */
+  close() {
+    if (!this.modal) return;
+    closeAppModal(this.modal);
+  }
+
+  /**
+   * runSearch()
+   * Searches for the current input and shows the results
+   */
+  runSearch() {
+    let query = this.input ? this.input.value.trim() : '';
+    this.results = query ? searchIndex.search(query) : [];
+    this.renderResults(query);
+  }
+
+  /**
+   * renderResults()
+   * Fills the result list
+   * @param {string} query - The search text (for the empty message)
+   */
+  renderResults(query) {
+    if (!this.resultsEl) return;
+    this.resultsEl.innerHTML = '';
+
+    if (!query) {
+      this.resultsEl.innerHTML = '<div class="empty-memories">Search titles, text, tags and dates of every memory and goal.</div>';
+      return;
+    }
+    if (this.results.length === 0) {
+      this.resultsEl.innerHTML = `<div class="empty-memories">No memories or goals match "${escapeHtml(query)}".</div>`;
+      return;
+    }
+
+    for (let result of this.results) {
+      let memory = result.memory;
+      let item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'search-result';
+      item.innerHTML = `
+        <div class="memory-item-header">
+          <span class="search-result-title">${escapeHtml(memory.title || 'Untitled')}</span>
+          <span class="memory-item-date">${formatDateForDisplay(memory.date)}</span>
+        </div>
+        <div class="search-result-meta">
+          <span class="entry-type-badge ${memory.type}">${getEntryTypeLabel(memory.type)}</span>
+          <span>Week ${result.weekIndex + 1}, ${result.year}</span>
+          ${renderTagChips(memory.tags)}
+        </div>
+        ${result.snippet ? `<div class="search-result-snippet">${result.snippet}</div>` : ''}
+      `;
+      item.addEventListener('click', () => this.openResult(result));
+      this.resultsEl.appendChild(item);
+    }
+  }
+
+  /**
+   * openResult()
+   * Goes to the result's year and opens the entry in view mode
+   * @param {Object} result - A result from searchIndex.search()
+   */
+  openResult(result) {
+    if (!app.birthDate) return;
+
+    this.close();
+    navigateToYear(result.year);
+
+    let weeksSinceBirth = app.getWeeksSinceBirth(result.weekIndex, result.year, app.birthDate);
+    openMemoryView(weeksSinceBirth, result.memory.id);
+  }
+}
+
+// Global search panel instance
+let searchPanel = new SearchPanel();
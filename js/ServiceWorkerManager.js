@@ -0,0 +1,153 @@
+/**
+ * ServiceWorkerManager.js
+ * Registers the service worker (service-worker.js) that makes Momentry work
+ * offline and installable, and tells the user when a new version is ready
+ *
+ * A new version installs in the background and waits. The update banner
+ * offers to reload; the waiting worker then takes over and the page reloads
+ * once, so the app never runs half old and half new files.
+ */
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // How often an open tab looks for a new version (ms)
+
+/**
+ * ServiceWorkerManager Class
+ * Service worker registration and the "new version available" banner
+ */
+class ServiceWorkerManager {
+  constructor() {
+    this.registration = null;
+    this.registrationPromise = null;  // Resolves to the registration, or null if it failed
+    this.waitingWorker = null;        // Installed new version, waiting for the user
+    this.reloading = false;           // True once the user asked for the new version
+    this.banner = null;
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the update banner and registers the service worker
+   */
+  setupListeners() {
+    this.banner = document.getElementById('update-banner');
+
+    let reloadBtn = document.getElementById('update-reload-btn');
+    if (reloadBtn) {
+      reloadBtn.addEventListener('click', () => this.applyUpdate());
+    }
+
+    let dismissBtn = document.getElementById('update-dismiss-btn');
+    if (dismissBtn) {
+      dismissBtn.addEventListener('click', () => this.hideUpdateBanner());
+    }
+
+    this.register();
+  }
+
+  /**
+   * register()
+   * Registers the worker and watches for new versions
+   */
+  register() {
+    if (!('serviceWorker' in navigator)) {
+      this.registrationPromise = Promise.resolve(null);
+      return;
+    }
+
+    // The new worker took over after "Reload" - load the new files
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!this.reloading) return;
+      window.location.reload();
+    });
+
+    this.registrationPromise = navigator.serviceWorker.register('service-worker.js').then((registration) => {
+      this.registration = registration;
+
+      // A new version finished installing while the app was closed
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.showUpdateBanner(registration.waiting);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        let worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            this.showUpdateBanner(worker);
+          }
+        });
+      });
+
+      // Look for new versions while the app stays open
+      setInterval(() => this.checkForUpdate(), UPDATE_CHECK_INTERVAL);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+          this.checkForUpdate();
+        }
+      });
+
+      return registration;
+    }).catch(function(error) {
+      console.error('Service worker registration failed:', error);
+      return null;
+    });
+  }
+
+  /**
+   * whenActive()
+   * @returns {Promise<ServiceWorkerRegistration|null>} - The registration once its
+   * worker is active, or null if there is no service worker
+   */
+  whenActive() {
+    if (!this.registrationPromise) return Promise.resolve(null);
+    return this.registrationPromise.then(registration => registration ? navigator.serviceWorker.ready : null);
+  }
+
+  /**
+   * checkForUpdate()
+   * Asks the browser to fetch service-worker.js again and compare it
+   */
+  checkForUpdate() {
+    if (!this.registration) return;
+    this.registration.update().catch(function(error) {
+      // Offline or the server is unreachable - try again later
+      console.warn('Update check failed:', error);
+    });
+  }
+
+  /**
+   * showUpdateBanner()
+   * Offers the new version to the user
+   * @param {ServiceWorker} worker - The installed, waiting worker
+   */
+  showUpdateBanner(worker) {
+    this.waitingWorker = worker;
+    if (this.banner) {
+      this.banner.style.display = 'flex';
+    }
+  }
+
+  /**
+   * hideUpdateBanner()
+   * Hides the banner (the new version is used the next time the app starts)
+   */
+  hideUpdateBanner() {
+    if (this.banner) {
+      this.banner.style.display = 'none';
+    }
+  }
+
+  /**
+   * applyUpdate()
+   * Lets the waiting worker take over; the page reloads on controllerchange
+   */
+  applyUpdate() {
+    if (!this.waitingWorker) return;
+    this.reloading = true;
+    this.hideUpdateBanner();
+    this.waitingWorker.postMessage({ type: 'skip-waiting' });
+  }
+}
+
+// Global service worker manager instance
+let serviceWorkerManager = new ServiceWorkerManager();
@@ -0,0 +1,463 @@
+/**
+ * SettingsPanel.js
+ * The settings modal (⚙): birth date, life expectancy and preferences
+ *
+ * Preferences are saved as settings of the current profile and apply as
+ * soon as they change. The birth date is applied with its own button, since
+ * date inputs report every partial year while it is being typed; every entry
+ * is then checked against the week of its date (see BirthDateMigration.js),
+ * and the grid, the panels and anything else that counts weeks since birth
+ * is rebuilt through reloadAppData().
+ *
+ * The first day of the week only changes how weeks are shown: weekdays are
+ * listed from it (see getWeekdayOrder()). Week numbering and the weeks of
+ * the grid stay ISO (Monday to Sunday), as stored entries are kept per ISO
+ * week.
+ */
+
+const MUSIC_VOLUME_SETTING_KEY = 'musicVolume';
+const REDUCED_MOTION_SETTING_KEY = 'reducedMotion';
+const PARTICLE_DENSITY_SETTING_KEY = 'particleDensity';
+const DATE_LOCALE_SETTING_KEY = 'dateLocale';
+const WEEK_START_SETTING_KEY = 'weekStart';
+
+const DEFAULT_MUSIC_VOLUME = 0.1;  // 10% volume
+const REDUCED_MOTION_SYSTEM = 'system';   // Follow the operating system's setting
+const REDUCED_MOTION_ON = 'on';
+const REDUCED_MOTION_OFF = 'off';
+const PARTICLE_DENSITIES = { off: 0, low: 0.25, medium: 0.5, full: 1 }; // Share of the rain particles drawn
+const DEFAULT_PARTICLE_DENSITY = 'full';
+const DEFAULT_DATE_LOCALE = 'en-US';
+const DATE_LOCALE_OPTIONS = [
+  { value: '', label: 'Browser default' },
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'de-DE', label: 'Deutsch' },
+  { value: 'es-ES', label: 'Español' },
+  { value: 'fr-FR', label: 'Français' },
+  { value: 'it-IT', label: 'Italiano' },
+  { value: 'nl-NL', label: 'Nederlands' },
+  { value: 'pt-BR', label: 'Português (Brasil)' },
+  { value: 'sv-SE', label: 'Svenska' },
+  { value: 'ja-JP', label: '日本語' },
+  { value: 'zh-CN', label: '中文' }
+];
+
+const WEEK_START_OPTIONS = [  // Weekday numbers as in the reminder schedule (0 = Monday)
+  { value: 0, label: 'Monday' },
+  { value: 6, label: 'Sunday' },
+  { value: 5, label: 'Saturday' }
+];
+const DEFAULT_WEEK_START = 0;
+
+// Checked every frame, so the media query is only created once
+const REDUCED_MOTION_QUERY = typeof window !== 'undefined' && window.matchMedia
+  ? window.matchMedia('(prefers-reduced-motion: reduce)')
+  : null;
+
+/**
+ * getMusicVolume()
+ * @returns {number} - Background music volume from 0 to 1
+ */
+function getMusicVolume() {
+  let volume = Number(getSetting(MUSIC_VOLUME_SETTING_KEY, DEFAULT_MUSIC_VOLUME));
+  return isNaN(volume) ? DEFAULT_MUSIC_VOLUME : Math.min(1, Math.max(0, volume));
+}
+
+/**
+ * getReducedMotionMode()
+ * @returns {string} - REDUCED_MOTION_SYSTEM, REDUCED_MOTION_ON or REDUCED_MOTION_OFF
+ */
+function getReducedMotionMode() {
+  let mode = getSetting(REDUCED_MOTION_SETTING_KEY, REDUCED_MOTION_SYSTEM);
+  return [REDUCED_MOTION_ON, REDUCED_MOTION_OFF].includes(mode) ? mode : REDUCED_MOTION_SYSTEM;
+}
+
+/**
+ * isReducedMotion()
+ * With reduced motion, transitions finish at once and the rain, the mouse
+ * trail and the drifting of the week circles are switched off
+ * @returns {boolean} - True if motion should be kept to a minimum
+ */
+function isReducedMotion() {
+  let mode = getReducedMotionMode();
+  if (mode === REDUCED_MOTION_SYSTEM) {
+    return Boolean(REDUCED_MOTION_QUERY && REDUCED_MOTION_QUERY.matches);
+  }
+  return mode === REDUCED_MOTION_ON;
+}
+
+/**
+ * getAnimationStartTime()
+ * Start time for a timed animation: now, or far enough in the past that it
+ * is already finished when motion is reduced
+ * @param {number} duration - Animation length in ms
+ * @returns {number} - Start time in millis()
+ */
+function getAnimationStartTime(duration) {
+  return isReducedMotion() ? millis() - duration : millis();
+}
+
+/**
+ * getParticleDensity()
+ * @returns {string} - One of the PARTICLE_DENSITIES keys
+ */
+function getParticleDensity() {
+  let density = getSetting(PARTICLE_DENSITY_SETTING_KEY, DEFAULT_PARTICLE_DENSITY);
+  return Object.prototype.hasOwnProperty.call(PARTICLE_DENSITIES, density) ? density : DEFAULT_PARTICLE_DENSITY;
+}
+
+/**
+ * getDateLocale()
+ * Locale used to write out dates (e.g. 'Mar 5, 2025' or '5 Mar 2025')
+ * @returns {string} - A BCP 47 locale tag
+ */
+function getDateLocale() {
+  let locale = getSetting(DATE_LOCALE_SETTING_KEY, DEFAULT_DATE_LOCALE);
+  if (locale === '') {
+    return (typeof navigator !== 'undefined' && navigator.language) || DEFAULT_DATE_LOCALE;
+  }
+  return DATE_LOCALE_OPTIONS.some(option => option.value === locale) ? locale : DEFAULT_DATE_LOCALE;
+}
+
+/**
+ * getWeekStart()
+ * @returns {number} - The preferred first day of the week (0 = Monday, 6 = Sunday)
+ */
+function getWeekStart() {
+  let weekStart = Number(getSetting(WEEK_START_SETTING_KEY, DEFAULT_WEEK_START));
+  return WEEK_START_OPTIONS.some(option => option.value === weekStart) ? weekStart : DEFAULT_WEEK_START;
+}
+
+/**
+ * getWeekdayOrder()
+ * @returns {number[]} - Every weekday number (0 = Monday), starting with the
+ * preferred first day of the week
+ */
+function getWeekdayOrder() {
+  let weekStart = getWeekStart();
+  return [0, 1, 2, 3, 4, 5, 6].map(offset => (weekStart + offset) % 7);
+}
+
+/**
+ * SettingsPanel Class
+ * The settings modal
+ */
+class SettingsPanel {
+  constructor() {
+    this.modal = null;
+    this.statusEl = null;
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the settings button and every field (saved as soon as they change)
+   */
+  setupListeners() {
+    this.modal = document.getElementById('settings-modal');
+    this.statusEl = document.getElementById('settings-status');
+
+    let localeInput = document.getElementById('settings-locale-input');
+    if (localeInput) {
+      for (let option of DATE_LOCALE_OPTIONS) {
+        let element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.label;
+        localeInput.appendChild(element);
+      }
+      localeInput.addEventListener('change', () => this.saveDateLocale(localeInput.value));
+    }
+
+    let weekStartInput = document.getElementById('settings-week-start-input');
+    if (weekStartInput) {
+      for (let option of WEEK_START_OPTIONS) {
+        let element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.label;
+        weekStartInput.appendChild(element);
+      }
+      weekStartInput.addEventListener('change', () => {
+        this.saveSetting(WEEK_START_SETTING_KEY, Number(weekStartInput.value));
+      });
+    }
+
+    let settingsBtn = document.getElementById('settings-btn');
+    if (settingsBtn) {
+      settingsBtn.addEventListener('click', () => this.open());
+    }
+
+    let birthDateBtn = document.getElementById('settings-birth-date-btn');
+    if (birthDateBtn) {
+      birthDateBtn.addEventListener('click', () => this.saveBirthDate());
+    }
+
+    let lifeExpectancyInput = document.getElementById('settings-life-expectancy-input');
+    if (lifeExpectancyInput) {
+      lifeExpectancyInput.addEventListener('change', () => {
+        lifeExpectancyInput.value = setLifeExpectancy(lifeExpectancyInput.value);
+      });
+    }
+
+    let volumeInput = document.getElementById('settings-volume-input');
+    if (volumeInput) {
+      // 'input' follows the slider while it moves; the value is saved once it is let go
+      volumeInput.addEventListener('input', () => this.previewVolume(volumeInput.value / 100));
+      volumeInput.addEventListener('change', () => this.saveSetting(MUSIC_VOLUME_SETTING_KEY, volumeInput.value / 100));
+    }
+
+    let motionInput = document.getElementById('settings-motion-input');
+    if (motionInput) {
+      motionInput.addEventListener('change', () => {
+        this.saveSetting(REDUCED_MOTION_SETTING_KEY, motionInput.value);
+      });
+    }
+
+    let particleInput = document.getElementById('settings-particles-input');
+    if (particleInput) {
+      particleInput.addEventListener('change', () => {
+        this.saveSetting(PARTICLE_DENSITY_SETTING_KEY, particleInput.value);
+        updateRainParticles();
+      });
+    }
+
+    let closeBtn = document.getElementById('settings-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+  }
+
+  /**
+   * open()
+   * Shows the modal with the current values
+   */
+  open() {
+    if (!this.modal) return;
+
+    let birthDateInput = document.getElementById('settings-birth-date-input');
+    if (birthDateInput) {
+      birthDateInput.value = getSetting('userBirthDate', '');
+      birthDateInput.max = formatDateForInput(new Date());
+    }
+    let lifeExpectancyInput = document.getElementById('settings-life-expectancy-input');
+    if (lifeExpectancyInput) {
+      lifeExpectancyInput.max = MAX_LIFE_EXPECTANCY;
+      lifeExpectancyInput.value = getLifeExpectancy();
+    }
+    let volumeInput = document.getElementById('settings-volume-input');
+    if (volumeInput) volumeInput.value = Math.round(getMusicVolume() * 100);
+    this.updateVolumeLabel(getMusicVolume());
+
+    let motionInput = document.getElementById('settings-motion-input');
+    if (motionInput) motionInput.value = getReducedMotionMode();
+    let particleInput = document.getElementById('settings-particles-input');
+    if (particleInput) particleInput.value = getParticleDensity();
+    let localeInput = document.getElementById('settings-locale-input');
+    if (localeInput) localeInput.value = getSetting(DATE_LOCALE_SETTING_KEY, DEFAULT_DATE_LOCALE);
+    let weekStartInput = document.getElementById('settings-week-start-input');
+    if (weekStartInput) weekStartInput.value = getWeekStart();
+
+    this.showStatus('');
+    this.renderReport(null);
+    openAppModal(this.modal);
+  }
+
+  /**
+   * close()
+   * Hides the modal
+   */
+  close() {
+    if (!this.modal) return;
+    closeAppModal(this.modal);
+  }
+
+  /**
+   * showStatus()
+   * Shows a status or error line in the settings modal
+   * @param {string} message - Text to show (empty hides the line)
+   * @param {boolean} isError - True to style as an error
+   */
+  showStatus(message, isError = false) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.style.display = message ? 'block' : 'none';
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * saveSetting()
+   * @param {string} key - Setting name
+   * @param {*} value - New value
+   */
+  saveSetting(key, value) {
+    setSetting(key, value).catch(function(error) {
+      console.error(`Error saving setting ${key}:`, error);
+    });
+  }
+
+  /**
+   * saveBirthDate()
+   * Checks the date like the starting page does, moves entries stored in
+   * the wrong week and rebuilds everything that depends on the birth date
+   */
+  async saveBirthDate() {
+    let input = document.getElementById('settings-birth-date-input');
+    let dateString = input ? input.value : '';
+    let date = new Date(dateString);
+
+    if (!dateString || isNaN(date.getTime())) {
+      this.showStatus('Please enter a valid date.', true);
+      return;
+    }
+    if (date >= new Date()) {
+      this.showStatus('Please enter a past date.', true);
+      return;
+    }
+    if (dateString === getSetting('userBirthDate')) {
+      this.showStatus('That is already your birth date.');
+      return;
+    }
+
+    await this.reportBirthDateChange(dateString, changeBirthDate(dateString));
+  }
+
+  /**
+   * showBirthDateReport()
+   * Opens the modal with the report of a birth date entered on the starting
+   * page, if it found any entries to list
+   * @param {string} dateString - The new birth date (YYYY-MM-DD)
+   * @param {Promise<Object>} relocation - What changeBirthDate() returned
+   */
+  async showBirthDateReport(dateString, relocation) {
+    let hasEntries = await relocation.then(
+      report => report.moved.length + report.beforeBirth.length + report.undated.length > 0,
+      () => true
+    );
+    if (!hasEntries) return;
+
+    this.open();
+    await this.reportBirthDateChange(dateString, relocation);
+  }
+
+  /**
+   * reportBirthDateChange()
+   * Shows the status line and report for a birth date change
+   * @param {string} dateString - The new birth date (YYYY-MM-DD)
+   * @param {Promise<Object>} relocation - What changeBirthDate() returned
+   */
+  async reportBirthDateChange(dateString, relocation) {
+    let changed = `Birth date changed to ${formatDateForView(dateString)}.`;
+    this.showStatus(`${changed} Checking your entries...`);
+    try {
+      this.renderReport(await relocation);
+      this.showStatus(changed);
+    } catch (error) {
+      console.error('Error moving entries to the week of their date:', error);
+      storageHealth.updateWarning();
+      this.renderReport(null);
+      this.showStatus(`${changed} Some entries were moved to the week of their date but could not be saved (${error.message}). They are kept for now - retry from the storage warning.`, true);
+    }
+  }
+
+  /**
+   * renderReport()
+   * Lists what relocateMisplacedEntries() found below the birth date
+   * @param {Object|null} report - Its report, or null to hide the list
+   */
+  renderReport(report) {
+    let container = document.getElementById('settings-report');
+    if (!container) return;
+    container.innerHTML = '';
+    container.style.display = report ? 'block' : 'none';
+    if (!report) return;
+
+    let countEntries = count => `${count} ${count === 1 ? 'entry' : 'entries'}`;
+    let addSection = function(summary, entries, describe) {
+      let paragraph = document.createElement('p');
+      paragraph.textContent = summary;
+      container.appendChild(paragraph);
+      if (entries.length === 0) return;
+
+      let list = document.createElement('ul');
+      for (let entry of entries) {
+        let item = document.createElement('li');
+        let date = getYearAndWeekIndexFromDate(entry.date) ? ` (${formatDateForDisplay(entry.date)})` : '';
+        item.textContent = `${entry.title}${date}: ${describe(entry)}`;
+        list.appendChild(item);
+      }
+      container.appendChild(list);
+    };
+
+    if (report.moved.length === 0) {
+      addSection(`All ${countEntries(report.checked)} were already in the week of their date.`, [], null);
+    } else {
+      addSection(`Moved ${report.moved.length} of ${countEntries(report.checked)} to the week of their date:`,
+        report.moved, entry => `${getEntrySlotLabel(entry.from)} → ${getEntrySlotLabel(entry.to)}`);
+    }
+    if (report.beforeBirth.length > 0) {
+      addSection(`${countEntries(report.beforeBirth.length)} dated before this birth date can't be opened from the grid:`,
+        report.beforeBirth, entry => getEntrySlotLabel(entry.to));
+    }
+    if (report.undated.length > 0) {
+      addSection(`${countEntries(report.undated.length)} without a valid date stayed where they were:`,
+        report.undated, entry => getEntrySlotLabel(entry.from));
+    }
+  }
+
+  /**
+   * previewVolume()
+   * Sets the music volume while the slider moves
+   * @param {number} volume - From 0 to 1
+   */
+  previewVolume(volume) {
+    app.musicVolume = volume;
+    if (app.bgMusic) {
+      app.bgMusic.setVolume(volume);
+    }
+    this.updateVolumeLabel(volume);
+  }
+
+  /**
+   * updateVolumeLabel()
+   * @param {number} volume - From 0 to 1
+   */
+  updateVolumeLabel(volume) {
+    let label = document.getElementById('settings-volume-value');
+    if (label) {
+      label.textContent = `${Math.round(volume * 100)}%`;
+    }
+  }
+
+  /**
+   * saveDateLocale()
+   * Saves the date locale. Lists showing dates rebuild on their own; the
+   * search index holds written-out dates, so it is rebuilt too.
+   * @param {string} locale - One of the DATE_LOCALE_OPTIONS values
+   */
+  saveDateLocale(locale) {
+    this.saveSetting(DATE_LOCALE_SETTING_KEY, locale);
+    searchIndex.invalidate();
+  }
+
+  /**
+   * applyPreferences()
+   * Applies the saved preferences of the profile that was just loaded
+   */
+  applyPreferences() {
+    app.musicVolume = getMusicVolume();
+    if (app.bgMusic) {
+      app.bgMusic.setVolume(app.musicVolume);
+    }
+    updateRainParticles();
+  }
+}
+
+// Global settings panel instance
+let settingsPanel = new SettingsPanel();
@@ -36,6 +36,7 @@ class StartingPage {
     this.dobSubmitBtn = null;
     this.dobErrorMsg = null;
     this.dobFormVisible = false;
+    this.birthDateChange = null;   // { dateString, relocation } from changeBirthDate(), reported after the transition
     
     // Skip button
     this.skipButtonVisible = true;
@@ -530,8 +531,10 @@ class StartingPage {
       return;
     }
     
-    // Save birth date
-    localStorage.setItem('userBirthDate', dateString);
+    // Save birth date (entries already stored, e.g. after going home, may move to other weeks)
+    let relocation = changeBirthDate(dateString);
+    relocation.catch(function() {}); // Reported once the transition is over
+    this.birthDateChange = { dateString: dateString, relocation: relocation };
     
     // Hide form
     let formContainer = document.getElementById('dob-entry-form');
@@ -541,7 +544,7 @@ class StartingPage {
     
     // Start transition
     this.state = 'transitioning';
-    this.transitionStartTime = millis();
+    this.transitionStartTime = getAnimationStartTime(this.transitionDuration);
     this.maxRadius = sqrt(width * width + height * height) / 2;
   }
 
@@ -586,6 +589,10 @@ class StartingPage {
       if (formContainer) {
         formContainer.remove();
       }
+      if (this.birthDateChange) {
+        settingsPanel.showBirthDateReport(this.birthDateChange.dateString, this.birthDateChange.relocation);
+        this.birthDateChange = null;
+      }
     }
   }
 
@@ -710,7 +717,7 @@ class StartingPage {
    */
   startTransitionFromExisting() {
     this.state = 'transitioning';
-    this.transitionStartTime = millis();
+    this.transitionStartTime = getAnimationStartTime(this.transitionDuration);
     this.maxRadius = sqrt(width * width + height * height) / 2;
     this.skipButtonVisible = false;
   }
@@ -730,7 +737,7 @@ class StartingPage {
    * @returns {boolean} - True if birth date exists
    */
   static checkIfBirthDateExists() {
-    let savedBirthDate = localStorage.getItem('userBirthDate');
+    let savedBirthDate = getSetting('userBirthDate');
     return savedBirthDate !== null;
   }
 
@@ -740,7 +747,7 @@ class StartingPage {
    * @returns {Date|null} - The saved birth date or null
    */
   static getSavedBirthDate() {
-    let savedBirthDate = localStorage.getItem('userBirthDate');
+    let savedBirthDate = getSetting('userBirthDate');
     return savedBirthDate ? new Date(savedBirthDate) : null;
   }
 }
\ No newline at end of file
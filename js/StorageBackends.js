@@ -0,0 +1,633 @@
+/**
+ * StorageBackends.js
+ * Persistence backends used by the StorageManager (storage.js)
+ *
+ * Every backend implements the same asynchronous interface:
+ * - open()                   Prepares the backend for use
+ * - loadAll()                Resolves to { years: Map<year, data>, settings: Map<key, value> }
+ * - putYear(year, data)      Persists one year's week-data array
+ * - putYears(entries)        Persists several years ([{ year, data }]) all together or not at all
+ * - deleteYear(year)         Removes one year's data
+ * - putSetting(key, value)   Persists a single setting
+ * - deleteSetting(key)       Removes a single setting
+ * - close()                  Releases the backend when switching away from it
+ *
+ * Each profile (see Profiles.js) has its own namespace: the IndexedDB
+ * database name, and the prefix of the localStorage keys. The default
+ * namespace 'momentry' is the original, pre-profile layout.
+ */
+
+const DEFAULT_STORAGE_NAMESPACE = 'momentry';
+
+/**
+ * LocalStorageBackend Class
+ * Original storage format: one JSON blob per year under `momentryData_<year>`
+ * with images inlined as base64 data URLs. Used when IndexedDB is unavailable
+ * and as the migration source for the IndexedDB backend. Other namespaces
+ * use the same layout with their own prefix (`<namespace>Data_<year>`).
+ */
+class LocalStorageBackend {
+  constructor(namespace = DEFAULT_STORAGE_NAMESPACE) {
+    this.name = 'localStorage';
+    this.namespace = namespace;
+    this.settingsKey = `${namespace}Settings`;
+    this.settings = {};  // In-memory copy of the `momentrySettings` object
+  }
+
+  /**
+   * getYearKey()
+   * @param {number} year - The year
+   * @returns {string} - localStorage key of the year, e.g. `momentryData_2025`
+   */
+  getYearKey(year) {
+    return `${this.namespace}Data_${year}`;
+  }
+
+  /**
+   * isDefaultNamespace()
+   * @returns {boolean} - True for the original layout, which may still hold legacy keys
+   */
+  isDefaultNamespace() {
+    return this.namespace === DEFAULT_STORAGE_NAMESPACE;
+  }
+
+  /**
+   * open()
+   * localStorage needs no setup, resolves immediately
+   * @returns {Promise<void>}
+   */
+  open() {
+    return Promise.resolve();
+  }
+
+  /**
+   * loadAll()
+   * Reads every `momentryData_<year>` key and the settings object.
+   * In the default namespace it also folds in the pre-year `momentryData`
+   * key and the legacy `userBirthDate` key so callers only ever see the
+   * current layout.
+   * @returns {Promise<Object>} - { years: Map, settings: Map }
+   */
+  loadAll() {
+    let years = new Map();
+    // Namespaces are 'momentry' or 'momentry-<profile id>' (letters and digits only)
+    let yearKeyPattern = new RegExp(`^${this.namespace}Data_(-?\\d+)$`);
+
+    for (let i = 0; i < localStorage.length; i++) {
+      let key = localStorage.key(i);
+      let match = yearKeyPattern.exec(key);
+      if (!match) continue;
+
+      let year = parseInt(match[1], 10);
+      try {
+        years.set(year, JSON.parse(localStorage.getItem(key)));
+      } catch (error) {
+        console.error(`Error parsing data for year ${year}:`, error);
+      }
+    }
+
+    // Oldest format: a single array stored without a year, assigned to the current year
+    // (merged into that year if it has data too; the old key is only removed once it is saved)
+    let oldData = this.isDefaultNamespace() ? localStorage.getItem('momentryData') : null;
+    if (oldData) {
+      try {
+        let currentYear = new Date().getFullYear();
+        let parsedData = JSON.parse(oldData);
+        let currentData = years.get(currentYear);
+        if (currentData === undefined || Array.isArray(currentData)) {
+          if (currentData !== undefined) {
+            parsedData = mergeYearEntries(currentData, parsedData);
+          }
+          localStorage.setItem(this.getYearKey(currentYear), JSON.stringify(parsedData));
+          years.set(currentYear, parsedData);
+          localStorage.removeItem('momentryData');
+        }
+      } catch (error) {
+        console.error('Error moving old data format:', error);
+      }
+    }
+
+    // Settings object
+    try {
+      this.settings = JSON.parse(localStorage.getItem(this.settingsKey)) || {};
+    } catch (error) {
+      console.error('Error parsing settings:', error);
+      this.settings = {};
+    }
+
+    // Birth date used to be stored on its own key
+    let legacyBirthDate = this.isDefaultNamespace() ? localStorage.getItem('userBirthDate') : null;
+    if (legacyBirthDate !== null && this.settings.userBirthDate === undefined) {
+      this.settings.userBirthDate = legacyBirthDate;
+    }
+
+    return Promise.resolve({
+      years: years,
+      settings: new Map(Object.entries(this.settings))
+    });
+  }
+
+  /**
+   * putYear()
+   * Writes a year's data. Rejects (e.g. with QuotaExceededError) if the write fails.
+   * @param {number} year - The year
+   * @param {object[]} data - The week-data array
+   * @returns {Promise<void>}
+   */
+  putYear(year, data) {
+    return new Promise((resolve) => {
+      localStorage.setItem(this.getYearKey(year), JSON.stringify(data));
+      resolve();
+    });
+  }
+
+  /**
+   * putYears()
+   * Writes several years. If one of them fails, the years already written
+   * are put back as they were, so either every year changes or none does.
+   * @param {Object[]} entries - [{ year, data }]
+   * @returns {Promise<void>}
+   */
+  putYears(entries) {
+    return new Promise((resolve) => {
+      let previous = entries.map(entry => localStorage.getItem(this.getYearKey(entry.year)));
+      let written = 0;
+      try {
+        for (let entry of entries) {
+          localStorage.setItem(this.getYearKey(entry.year), JSON.stringify(entry.data));
+          written++;
+        }
+      } catch (error) {
+        for (let i = 0; i < written; i++) {
+          let key = this.getYearKey(entries[i].year);
+          if (previous[i] === null) {
+            localStorage.removeItem(key);
+          } else {
+            localStorage.setItem(key, previous[i]);
+          }
+        }
+        throw error;
+      }
+      resolve();
+    });
+  }
+
+  /**
+   * deleteYear()
+   * @param {number} year - The year to remove
+   * @returns {Promise<void>}
+   */
+  deleteYear(year) {
+    localStorage.removeItem(this.getYearKey(year));
+    return Promise.resolve();
+  }
+
+  /**
+   * putSetting()
+   * @param {string} key - Setting name
+   * @param {*} value - JSON-serialisable value
+   * @returns {Promise<void>}
+   */
+  putSetting(key, value) {
+    return new Promise((resolve) => {
+      let updated = Object.assign({}, this.settings, { [key]: value });
+      localStorage.setItem(this.settingsKey, JSON.stringify(updated));
+      this.settings = updated;
+      resolve();
+    });
+  }
+
+  /**
+   * deleteSetting()
+   * @param {string} key - Setting name
+   * @returns {Promise<void>}
+   */
+  deleteSetting(key) {
+    return new Promise((resolve) => {
+      let updated = Object.assign({}, this.settings);
+      delete updated[key];
+      localStorage.setItem(this.settingsKey, JSON.stringify(updated));
+      this.settings = updated;
+      resolve();
+    });
+  }
+
+  /**
+   * close()
+   * Nothing to release for localStorage
+   */
+  close() {}
+
+  /**
+   * removeAll()
+   * Removes every key of this namespace from localStorage (used after
+   * migrating away, or when its profile is deleted)
+   */
+  removeAll() {
+    let yearKeyPattern = new RegExp(`^${this.namespace}Data_-?\\d+$`);
+    let keysToRemove = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      let key = localStorage.key(i);
+      if (yearKeyPattern.test(key) || key === this.settingsKey) {
+        keysToRemove.push(key);
+      } else if (this.isDefaultNamespace() && (key === 'momentryData' || key === 'userBirthDate')) {
+        keysToRemove.push(key);
+      }
+    }
+    for (let key of keysToRemove) {
+      localStorage.removeItem(key);
+    }
+    this.settings = {};
+  }
+}
+
+/**
+ * IndexedDBBackend Class
+ * Stores each year as a structured record and every image as a Blob in a
+ * separate object store, so photos no longer count against the small
+ * localStorage quota. Images are referenced from the year record by key.
+ */
+class IndexedDBBackend {
+  constructor(dbName = DEFAULT_STORAGE_NAMESPACE) {
+    this.name = 'indexedDB';
+    this.dbName = dbName;
+    this.db = null;
+  }
+
+  /**
+   * isSupported()
+   * @returns {boolean} - True if the browser exposes IndexedDB
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * open()
+   * Opens (and if needed creates) the database
+   * @returns {Promise<void>}
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      let request = indexedDB.open(this.dbName, IndexedDBBackend.VERSION);
+
+      request.onupgradeneeded = function() {
+        let db = request.result;
+        for (let storeName of IndexedDBBackend.STORES) {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName);
+          }
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = function() {
+        reject(request.error);
+      };
+      request.onblocked = function() {
+        reject(new Error('IndexedDB upgrade blocked by another open tab'));
+      };
+    });
+  }
+
+  /**
+   * close()
+   * Closes the database connection (so the database can be deleted later)
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * deleteDatabase()
+   * Deletes a whole database, e.g. the data of a deleted profile
+   * @param {string} dbName - Database name
+   * @returns {Promise<void>}
+   */
+  static deleteDatabase(dbName) {
+    return new Promise(function(resolve, reject) {
+      let request = indexedDB.deleteDatabase(dbName);
+      request.onsuccess = function() {
+        resolve();
+      };
+      request.onerror = function() {
+        reject(request.error);
+      };
+      request.onblocked = function() {
+        reject(new Error('The data is still open in another tab'));
+      };
+    });
+  }
+
+  /**
+   * runTransaction()
+   * Runs work inside a transaction and resolves once it has committed
+   * @param {string[]} storeNames - Object stores to include
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Called with an object of stores keyed by name; its return value is resolved
+   * @returns {Promise<*>}
+   */
+  runTransaction(storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+      let transaction = this.db.transaction(storeNames, mode);
+      let stores = {};
+      for (let storeName of storeNames) {
+        stores[storeName] = transaction.objectStore(storeName);
+      }
+
+      let result;
+      transaction.oncomplete = function() {
+        resolve(result);
+      };
+      transaction.onerror = function() {
+        reject(transaction.error);
+      };
+      transaction.onabort = function() {
+        reject(transaction.error || new Error('IndexedDB transaction aborted'));
+      };
+
+      try {
+        result = work(stores);
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * loadAll()
+   * Reads all years, images and settings, converting image Blobs back into
+   * data URLs so the rest of the app keeps working with `imageData` strings
+   * @returns {Promise<Object>} - { years: Map, settings: Map }
+   */
+  async loadAll() {
+    let raw = await this.runTransaction(['years', 'images', 'settings'], 'readonly', function(stores) {
+      let requests = {
+        yearKeys: stores.years.getAllKeys(),
+        yearValues: stores.years.getAll(),
+        imageKeys: stores.images.getAllKeys(),
+        imageValues: stores.images.getAll(),
+        settingKeys: stores.settings.getAllKeys(),
+        settingValues: stores.settings.getAll()
+      };
+      return requests;
+    });
+
+    // Convert every stored Blob into a data URL
+    let dataURLsByKey = new Map();
+    await Promise.all(raw.imageKeys.result.map(function(key, i) {
+      return blobToDataURL(raw.imageValues.result[i]).then(function(dataURL) {
+        dataURLsByKey.set(key, dataURL);
+      });
+    }));
+
+    let years = new Map();
+    raw.yearKeys.result.forEach(function(year, i) {
+      years.set(year, restoreImageRefs(raw.yearValues.result[i], dataURLsByKey));
+    });
+
+    let settings = new Map();
+    raw.settingKeys.result.forEach(function(key, i) {
+      settings.set(key, raw.settingValues.result[i]);
+    });
+
+    return { years, settings };
+  }
+
+  /**
+   * putYear()
+   * Writes a year record and replaces that year's image Blobs in one transaction
+   * @param {number} year - The year
+   * @param {object[]} data - The week-data array
+   * @returns {Promise<void>}
+   */
+  putYear(year, data) {
+    return this.putYears([{ year: year, data: data }]);
+  }
+
+  /**
+   * putYears()
+   * Writes several year records and their image Blobs in one transaction,
+   * so either every year changes or none does
+   * @param {Object[]} entries - [{ year, data }]
+   * @returns {Promise<void>}
+   */
+  putYears(entries) {
+    let records = entries.map(function(entry) {
+      let images = [];
+      let record = mapImageStrings(entry.data, function(dataURL) {
+        let key = `${entry.year}:${images.length}`;
+        images.push({ key: key, blob: dataURLToBlob(dataURL) });
+        return { imageBlobKey: key };
+      });
+      return { year: entry.year, record: record, images: images };
+    });
+
+    return this.runTransaction(['years', 'images'], 'readwrite', function(stores) {
+      for (let { year, record, images } of records) {
+        stores.images.delete(IndexedDBBackend.imageKeyRange(year));
+        for (let image of images) {
+          stores.images.put(image.blob, image.key);
+        }
+        stores.years.put(record, year);
+      }
+    });
+  }
+
+  /**
+   * deleteYear()
+   * Removes a year record and its images
+   * @param {number} year - The year to remove
+   * @returns {Promise<void>}
+   */
+  deleteYear(year) {
+    return this.runTransaction(['years', 'images'], 'readwrite', function(stores) {
+      stores.images.delete(IndexedDBBackend.imageKeyRange(year));
+      stores.years.delete(year);
+    });
+  }
+
+  /**
+   * putSetting()
+   * @param {string} key - Setting name
+   * @param {*} value - Structured-cloneable value
+   * @returns {Promise<void>}
+   */
+  putSetting(key, value) {
+    return this.runTransaction(['settings'], 'readwrite', function(stores) {
+      stores.settings.put(value, key);
+    });
+  }
+
+  /**
+   * deleteSetting()
+   * @param {string} key - Setting name
+   * @returns {Promise<void>}
+   */
+  deleteSetting(key) {
+    return this.runTransaction(['settings'], 'readwrite', function(stores) {
+      stores.settings.delete(key);
+    });
+  }
+
+  /**
+   * getMeta()
+   * Reads an internal bookkeeping value (e.g. migration flags)
+   * @param {string} key - Meta key
+   * @returns {Promise<*>}
+   */
+  async getMeta(key) {
+    let request = await this.runTransaction(['meta'], 'readonly', function(stores) {
+      return stores.meta.get(key);
+    });
+    return request.result;
+  }
+
+  /**
+   * putMeta()
+   * @param {string} key - Meta key
+   * @param {*} value - Value to store
+   * @returns {Promise<void>}
+   */
+  putMeta(key, value) {
+    return this.runTransaction(['meta'], 'readwrite', function(stores) {
+      stores.meta.put(value, key);
+    });
+  }
+
+  /**
+   * imageKeyRange()
+   * Key range covering all image keys of one year (`<year>:<n>`)
+   * @param {number} year - The year
+   * @returns {IDBKeyRange}
+   */
+  static imageKeyRange(year) {
+    return IDBKeyRange.bound(`${year}:`, `${year}:\uffff`);
+  }
+}
+
+IndexedDBBackend.VERSION = 1;
+IndexedDBBackend.STORES = ['years', 'images', 'settings', 'meta'];
+
+/**
+ * mergeYearEntries()
+ * Combines two stored arrays of the same year week by week: every entry
+ * of either is kept (once, by id), and a week's reflection comes from the
+ * first array if it has one
+ * @param {object[]} data - Stored year data
+ * @param {object[]} otherData - Stored year data to add
+ * @returns {object[]} - The merged year data, in the current format
+ */
+function mergeYearEntries(data, otherData) {
+  let merged = migrateOldDataFormat(data);
+  let ids = new Set();
+  merged.forEach(week => week.memories.forEach(memory => ids.add(memory.id)));
+
+  migrateOldDataFormat(otherData).forEach(function(week, weekIndex) {
+    let memories = week.memories.filter(memory => !ids.has(memory.id));
+    if (!merged[weekIndex]) {
+      merged[weekIndex] = Object.assign(week, { memories: memories });
+      return;
+    }
+    let target = merged[weekIndex];
+    target.memories = target.memories.concat(memories);
+    if (!target.reflection && week.reflection) {
+      target.reflection = week.reflection;
+    }
+  });
+  return merged;
+}
+
+/**
+ * mapImageStrings()
+ * Returns a deep copy of a value with every image data URL string replaced
+ * by the result of replaceString(dataURL)
+ * @param {*} value - Any JSON-like value
+ * @param {Function} replaceString - Called with each `data:image/...` string
+ * @returns {*} - The transformed copy
+ */
+function mapImageStrings(value, replaceString) {
+  if (typeof value === 'string') {
+    return value.startsWith('data:image/') ? replaceString(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapImageStrings(item, replaceString));
+  }
+  if (value && typeof value === 'object') {
+    let copy = {};
+    for (let key of Object.keys(value)) {
+      copy[key] = mapImageStrings(value[key], replaceString);
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * restoreImageRefs()
+ * Inverse of mapImageStrings() for IndexedDB records: replaces every
+ * { imageBlobKey } reference with the matching data URL
+ * @param {*} value - A stored year record
+ * @param {Map<string, string>} dataURLsByKey - Image key to data URL
+ * @returns {*} - The restored copy
+ */
+function restoreImageRefs(value, dataURLsByKey) {
+  if (Array.isArray(value)) {
+    return value.map(item => restoreImageRefs(item, dataURLsByKey));
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.imageBlobKey === 'string') {
+      return dataURLsByKey.get(value.imageBlobKey) || null;
+    }
+    let copy = {};
+    for (let key of Object.keys(value)) {
+      copy[key] = restoreImageRefs(value[key], dataURLsByKey);
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * dataURLToBlob()
+ * Decodes a base64 data URL into a Blob
+ * @param {string} dataURL - e.g. "data:image/jpeg;base64,..."
+ * @returns {Blob}
+ */
+function dataURLToBlob(dataURL) {
+  let commaIndex = dataURL.indexOf(',');
+  let header = dataURL.substring(0, commaIndex);
+  let mimeType = header.substring(5).split(';')[0] || 'application/octet-stream';
+  let payload = dataURL.substring(commaIndex + 1);
+  let binary = header.endsWith(';base64') ? atob(payload) : decodeURIComponent(payload);
+  let bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * blobToDataURL()
+ * Encodes a Blob as a base64 data URL
+ * @param {Blob} blob - The blob to read
+ * @returns {Promise<string>}
+ */
+function blobToDataURL(blob) {
+  return new Promise(function(resolve, reject) {
+    let reader = new FileReader();
+    reader.onload = function() {
+      resolve(reader.result);
+    };
+    reader.onerror = function() {
+      reject(reader.error);
+    };
+    reader.readAsDataURL(blob);
+  });
+}
@@ -0,0 +1,693 @@
+/**
+ * StorageHealth.js
+ * Monitors how much browser storage Momentry uses, warns before the quota is
+ * reached and helps recover when a save fails (e.g. QuotaExceededError)
+ *
+ * A failed save never loses the entry: the in-memory cache keeps it (see
+ * storageManager.unsavedYears) and a copy of each entry that failed is kept
+ * in sessionStorage, by entry id, so it survives a reload of the tab until
+ * it has been written. With the vault on (see Vault.js) no copy is kept,
+ * since sessionStorage can't be sealed: the entry is only in the cache then.
+ */
+
+const LOCAL_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024; // Typical per-site localStorage limit
+const STORAGE_WARNING_RATIO = 0.8;                  // Show the warning from 80% usage
+const STORAGE_CRITICAL_RATIO = 0.95;                // Highlight the warning from 95% usage
+const UNSAVED_DRAFTS_KEY = 'momentryUnsavedDrafts'; // sessionStorage key for the unsaved entries, by id
+
+// Recompression settings (uploads are stored at 1080px, quality 0.9)
+const RECOMPRESS_MAX_DIMENSION = 720;
+const RECOMPRESS_QUALITY = 0.7;
+
+/**
+ * StorageHealth Class
+ * Usage estimates, the quota warning and the storage recovery modal
+ */
+class StorageHealth {
+  constructor() {
+    this.modal = null;
+    this.statusEl = null;
+    this.warningEl = null;
+    this.warningRatio = null;   // Latest usage ratio at or above the warning level, null if fine
+    this.warningAllowed = false; // The warning is only shown on the main page
+    this.isBusy = false;         // True while recompressing or retrying
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the warning button and the storage modal controls
+   */
+  setupListeners() {
+    this.modal = document.getElementById('storage-modal');
+    this.statusEl = document.getElementById('storage-status');
+    this.warningEl = document.getElementById('storage-warning');
+
+    if (this.warningEl) {
+      this.warningEl.addEventListener('click', () => this.open());
+    }
+
+    // The backup modal links here so usage can be checked at any time
+    let backupStorageBtn = document.getElementById('backup-storage-btn');
+    if (backupStorageBtn) {
+      backupStorageBtn.addEventListener('click', () => {
+        backupManager.close();
+        this.open();
+      });
+    }
+
+    let recompressBtn = document.getElementById('storage-recompress-btn');
+    if (recompressBtn) {
+      recompressBtn.addEventListener('click', () => this.recompressImages());
+    }
+
+    let exportBtn = document.getElementById('storage-export-btn');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => {
+        // The backup is built from the cache, so it includes unsaved changes
+        backupManager.downloadBackup();
+        this.showStatus('Backup downloaded. It includes any changes that could not be saved.');
+      });
+    }
+
+    let retryBtn = document.getElementById('storage-retry-btn');
+    if (retryBtn) {
+      retryBtn.addEventListener('click', () => this.retrySave());
+    }
+
+    let closeBtn = document.getElementById('storage-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+  }
+
+  /**
+   * open()
+   * Shows the storage modal and fills in the current usage
+   */
+  open() {
+    if (!this.modal) return;
+    this.showStatus('');
+    this.updateRetryButton();
+    openAppModal(this.modal);
+    this.renderUsage();
+  }
+
+  /**
+   * close()
+   * Hides the storage modal
+   */
+  close() {
+    if (!this.modal) return;
+    closeAppModal(this.modal);
+  }
+
+  /**
+   * showStatus()
+   * Shows a status or error line inside the modal
+   * @param {string} message - Text to show (empty hides the line)
+   * @param {boolean} isError - True to style as an error
+   */
+  showStatus(message, isError = false) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.style.display = message ? 'block' : 'none';
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * updateRetryButton()
+   * Shows the retry button only while some changes are unsaved
+   */
+  updateRetryButton() {
+    let retryBtn = document.getElementById('storage-retry-btn');
+    if (retryBtn) {
+      retryBtn.style.display = getUnsavedYears().length > 0 ? 'inline-block' : 'none';
+    }
+  }
+
+  /**
+   * getQuotaStatus()
+   * Quick usage check used after every save
+   * @returns {Promise<Object>} - { usage, quota } in bytes (quota is null if unknown)
+   */
+  async getQuotaStatus() {
+    if (storageManager.backend && storageManager.backend.name === 'localStorage') {
+      // localStorage has a fixed limit the browser doesn't report, so measure the keys
+      let usage = 0;
+      for (let i = 0; i < localStorage.length; i++) {
+        let key = localStorage.key(i);
+        usage += key.length + (localStorage.getItem(key) || '').length;
+      }
+      return { usage: usage, quota: LOCAL_STORAGE_QUOTA_BYTES };
+    }
+
+    if (navigator.storage && navigator.storage.estimate) {
+      let estimate = await navigator.storage.estimate();
+      return { usage: estimate.usage || 0, quota: estimate.quota || null };
+    }
+
+    return { usage: estimateAllYears().totalBytes, quota: null };
+  }
+
+  /**
+   * checkQuota()
+   * Updates the warning after a save. Never rejects.
+   * @returns {Promise<void>}
+   */
+  checkQuota() {
+    return this.getQuotaStatus()
+      .then((status) => {
+        let ratio = status.quota ? status.usage / status.quota : 0;
+        this.warningRatio = ratio >= STORAGE_WARNING_RATIO ? ratio : null;
+        this.updateWarning();
+      })
+      .catch(function(error) {
+        console.error('Error checking storage usage:', error);
+      });
+  }
+
+  /**
+   * setWarningAllowed()
+   * Called every frame with whether the main page is showing
+   * @param {boolean} allowed - True if the warning may be shown
+   */
+  setWarningAllowed(allowed) {
+    if (allowed !== this.warningAllowed) {
+      this.warningAllowed = allowed;
+      this.updateWarning();
+    }
+  }
+
+  /**
+   * updateWarning()
+   * Shows, updates or hides the "storage almost full" button
+   */
+  updateWarning() {
+    if (!this.warningEl) return;
+
+    // Unsaved changes are always worth pointing out, even below the warning level
+    let hasUnsaved = getUnsavedYears().length > 0;
+    let visible = this.warningAllowed && (this.warningRatio !== null || hasUnsaved);
+    this.warningEl.style.display = visible ? 'flex' : 'none';
+    if (!visible) return;
+
+    if (hasUnsaved) {
+      this.warningEl.textContent = 'Unsaved changes';
+    } else {
+      this.warningEl.textContent = `Storage ${Math.round(this.warningRatio * 100)}% full`;
+    }
+    this.warningEl.classList.toggle('critical', hasUnsaved || this.warningRatio >= STORAGE_CRITICAL_RATIO);
+  }
+
+  /**
+   * renderUsage()
+   * Fills the usage section of the modal with the total and a per-year breakdown
+   * @returns {Promise<void>}
+   */
+  async renderUsage() {
+    let container = document.getElementById('storage-usage');
+    if (!container) return;
+
+    let breakdown = estimateAllYears();
+    let status;
+    try {
+      status = await this.getQuotaStatus();
+    } catch (error) {
+      console.error('Error checking storage usage:', error);
+      status = { usage: breakdown.totalBytes, quota: null };
+    }
+
+    container.innerHTML = '';
+
+    let summary = document.createElement('p');
+    summary.className = 'storage-summary';
+    if (status.quota) {
+      let percent = Math.min(100, Math.round((status.usage / status.quota) * 100));
+      summary.textContent = `${formatBytes(status.usage)} of ${formatBytes(status.quota)} used (${percent}%)`;
+
+      let bar = document.createElement('div');
+      bar.className = 'storage-bar';
+      let fill = document.createElement('div');
+      fill.className = 'storage-bar-fill';
+      if (percent >= STORAGE_CRITICAL_RATIO * 100) {
+        fill.classList.add('critical');
+      } else if (percent >= STORAGE_WARNING_RATIO * 100) {
+        fill.classList.add('warning');
+      }
+      fill.style.width = `${percent}%`;
+      bar.appendChild(fill);
+
+      container.appendChild(summary);
+      container.appendChild(bar);
+    } else {
+      summary.textContent = `About ${formatBytes(status.usage)} used`;
+      container.appendChild(summary);
+    }
+
+    let totals = document.createElement('p');
+    totals.className = 'app-modal-hint';
+    totals.textContent = `Entries: ${formatBytes(breakdown.dataBytes)} · Images: ${formatBytes(breakdown.imageBytes)} (${breakdown.imageCount} ${breakdown.imageCount === 1 ? 'image' : 'images'})`;
+    container.appendChild(totals);
+
+    if (breakdown.years.length === 0) {
+      return;
+    }
+
+    let list = document.createElement('ul');
+    list.className = 'storage-year-list';
+    // Largest years first, they are the best candidates for freeing space
+    let years = breakdown.years.slice().sort((a, b) => (b.dataBytes + b.imageBytes) - (a.dataBytes + a.imageBytes));
+    for (let entry of years) {
+      let item = document.createElement('li');
+      let label = document.createElement('span');
+      label.textContent = entry.year;
+      let size = document.createElement('span');
+      size.textContent = formatBytes(entry.dataBytes + entry.imageBytes);
+      if (storageManager.unsavedYears.has(entry.year)) {
+        size.textContent += ' (unsaved)';
+        item.classList.add('unsaved');
+      }
+      item.appendChild(label);
+      item.appendChild(size);
+      list.appendChild(item);
+    }
+    container.appendChild(list);
+  }
+
+  /**
+   * handleSaveSuccess()
+   * Called after a year has been written. Drops the kept drafts whose
+   * years are saved now and refreshes the warning.
+   */
+  handleSaveSuccess() {
+    clearSavedDrafts();
+    this.checkQuota();
+  }
+
+  /**
+   * handleSaveFailure()
+   * Keeps the entry that couldn't be saved and opens the recovery modal
+   * @param {Error} error - The error from the failed write
+   * @param {number} year - The year that failed to save
+   * @param {Object|null} draft - The memory that was just added or edited
+   */
+  handleSaveFailure(error, year, draft) {
+    if (draft) {
+      keepUnsavedDraft(year, draft);
+    }
+
+    this.updateWarning();
+    this.open();
+
+    let what = draft && draft.title ? `"${draft.title}"` : 'Your latest change';
+    // With the vault on no copy survives a reload (see keepUnsavedDraft())
+    let kept = isVaultEnabled() ? 'It is kept until this tab is closed or reloaded' : 'It is kept for now';
+    if (isQuotaExceededError(error)) {
+      this.showStatus(`Your browser's storage is full, so ${what} could not be saved. ${kept} - free up space below, then retry.`, true);
+    } else {
+      this.showStatus(`${what} could not be saved (${error && error.message ? error.message : 'unknown error'}). ${kept} - try saving again.`, true);
+    }
+  }
+
+  /**
+   * retrySave()
+   * Writes every year with unsaved changes again
+   * @returns {Promise<void>}
+   */
+  async retrySave() {
+    if (this.isBusy) return;
+    this.isBusy = true;
+    this.showStatus('Saving...');
+
+    try {
+      await retryUnsavedWrites();
+      clearSavedDrafts();
+      this.showStatus('All changes saved.');
+    } catch (error) {
+      console.error('Error retrying save:', error);
+      this.showStatus(isQuotaExceededError(error)
+        ? 'Storage is still full. Recompress images or export a backup and delete old entries, then retry.'
+        : `Saving failed again (${error.message}).`, true);
+    } finally {
+      this.isBusy = false;
+      this.updateRetryButton();
+      this.updateWarning();
+      this.checkQuota();
+      this.renderUsage();
+    }
+  }
+
+  /**
+   * recompressImages()
+   * Re-encodes every stored image at a smaller size and lower quality,
+   * keeping the new version only if it is smaller, then saves the
+   * affected years (and any other unsaved years)
+   * @returns {Promise<void>}
+   */
+  async recompressImages() {
+    if (this.isBusy) return;
+    this.isBusy = true;
+    this.showStatus('Recompressing images...');
+
+    let imageCount = 0;
+    let bytesSaved = 0;
+    let changedYears = [];
+
+    try {
+      for (let year of getStoredYears()) {
+        let yearData = loadData(year);
+        let yearChanged = false;
+
+        for (let week of yearData) {
+          for (let memory of week.memories || []) {
+            for (let image of memory.images || []) {
+              let smaller;
+              try {
+                smaller = await resizeImage(image.imageData, RECOMPRESS_MAX_DIMENSION, RECOMPRESS_QUALITY);
+              } catch (error) {
+                console.error('Error recompressing image:', error);
+                continue;
+              }
+
+              if (smaller.length < image.imageData.length) {
+                bytesSaved += estimateDataURLBytes(image.imageData) - estimateDataURLBytes(smaller);
+                image.imageData = smaller;
+                imageCount++;
+                yearChanged = true;
+              }
+            }
+          }
+        }
+
+        if (yearChanged) {
+          changedYears.push(year);
+        }
+      }
+
+      // Write the smaller years first so the space is free for the unsaved ones
+      for (let year of changedYears) {
+        await saveData(loadData(year), year);
+      }
+      await retryUnsavedWrites();
+      clearSavedDrafts();
+
+      this.showStatus(imageCount > 0
+        ? `Recompressed ${imageCount} ${imageCount === 1 ? 'image' : 'images'}, freeing about ${formatBytes(bytesSaved)}. All changes saved.`
+        : 'Images are already as small as they can be. All changes saved.');
+    } catch (error) {
+      console.error('Error saving recompressed images:', error);
+      this.showStatus(isQuotaExceededError(error)
+        ? 'Storage is still full after recompressing. Export a backup and delete old entries, then retry.'
+        : `Saving failed (${error.message}).`, true);
+    } finally {
+      this.isBusy = false;
+      this.updateRetryButton();
+      this.updateWarning();
+      this.checkQuota();
+      this.renderUsage();
+    }
+  }
+
+  /**
+   * restoreDrafts()
+   * Called once storage has loaded. If the tab was reloaded while entries
+   * were still unsaved, puts each of them back into its week and tries to
+   * save them (in one write).
+   */
+  restoreDrafts() {
+    let drafts = readUnsavedDrafts();
+    if (drafts.length === 0) return;
+
+    // loadData() hands out a new array for years without data, so every
+    // year touched here is held on to until it has been saved
+    let yearDataByYear = new Map();
+    let getYearData = function(year) {
+      if (!yearDataByYear.has(year)) {
+        yearDataByYear.set(year, loadData(year));
+      }
+      return yearDataByYear.get(year);
+    };
+
+    let changedData = new Map();
+    let restored = [];
+    for (let draft of drafts) {
+      // The draft may predate a schema change, so bring it up to date like stored data
+      let memory = migrateOldDataFormat([{ memories: [draft.memory] }])[0].memories[0];
+      let slot = getYearAndWeekIndexFromDate(memory.date);
+      if (!slot) {
+        clearUnsavedDraft(memory.id);
+        continue;
+      }
+
+      // Find any older copy (the draft may have been an edit, or a move from another year)
+      let copies = [];
+      let savedAfterAll = false;
+      for (let year of getStoredYears()) {
+        for (let week of getYearData(year)) {
+          let existing = (week.memories || []).find(m => m.id === memory.id);
+          if (!existing) continue;
+          if (new Date(existing.timestamp) >= new Date(memory.timestamp)) {
+            savedAfterAll = true;
+          }
+          copies.push({ year: year, week: week });
+        }
+      }
+      if (savedAfterAll) {
+        clearUnsavedDraft(memory.id);
+        continue;
+      }
+
+      // Replace the copies with the draft
+      for (let copy of copies) {
+        copy.week.memories = copy.week.memories.filter(m => m.id !== memory.id);
+        changedData.set(copy.year, getYearData(copy.year));
+      }
+      let targetYearData = getYearData(slot.year);
+      ensureWeekSlots(targetYearData, slot.year);
+      targetYearData[slot.weekIndex].memories.push(memory);
+      sortMemoriesByDate(targetYearData[slot.weekIndex].memories);
+      searchIndex.updateEntry(memory, slot.year, slot.weekIndex);
+      changedData.set(slot.year, targetYearData);
+      restored.push({ year: slot.year, memory: memory });
+    }
+
+    if (restored.length === 0) return;
+    saveYears(changedData)
+      .then(() => this.handleSaveSuccess())
+      .catch((error) => {
+        console.error('Error saving restored drafts:', error);
+        // The drafts stay kept; name the entry if there is just one
+        let single = restored.length === 1 ? restored[0] : null;
+        this.handleSaveFailure(error, single ? single.year : null, single ? single.memory : null);
+      });
+  }
+}
+
+/**
+ * estimateDataURLBytes()
+ * Estimates the decoded size of a data URL (base64 stores 3 bytes in 4 characters)
+ * @param {string} dataURL - The data URL
+ * @returns {number} - Approximate size in bytes
+ */
+function estimateDataURLBytes(dataURL) {
+  if (!dataURL) return 0;
+  let commaIndex = dataURL.indexOf(',');
+  let payload = commaIndex === -1 ? dataURL : dataURL.slice(commaIndex + 1);
+  return dataURL.indexOf(';base64,') !== -1 ? Math.floor(payload.length * 3 / 4) : payload.length;
+}
+
+/**
+ * estimateYearBytes()
+ * Estimates how much space a year uses, with images counted separately
+ * @param {object[]} yearData - The year's week-data array
+ * @returns {Object} - { dataBytes, imageBytes, imageCount }
+ */
+function estimateYearBytes(yearData) {
+  let imageBytes = 0;
+  let imageCount = 0;
+
+  let json = JSON.stringify(yearData, function(key, value) {
+    if (key === 'imageData' && value) {
+      imageBytes += estimateDataURLBytes(value);
+      imageCount++;
+      return null;
+    }
+    return value;
+  });
+
+  return { dataBytes: json.length, imageBytes, imageCount };
+}
+
+/**
+ * estimateAllYears()
+ * Estimates usage for every stored year
+ * @returns {Object} - { years: [{ year, dataBytes, imageBytes, imageCount }], dataBytes, imageBytes, imageCount, totalBytes }
+ */
+function estimateAllYears() {
+  let result = { years: [], dataBytes: 0, imageBytes: 0, imageCount: 0, totalBytes: 0 };
+
+  for (let year of getStoredYears()) {
+    let entry = estimateYearBytes(loadData(year));
+    entry.year = year;
+    result.years.push(entry);
+    result.dataBytes += entry.dataBytes;
+    result.imageBytes += entry.imageBytes;
+    result.imageCount += entry.imageCount;
+  }
+
+  result.totalBytes = result.dataBytes + result.imageBytes;
+  return result;
+}
+
+/**
+ * formatBytes()
+ * Formats a byte count for display (e.g. "1.4 MB")
+ * @param {number} bytes - Number of bytes
+ * @returns {string} - Human readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+/**
+ * loadUnsavedDrafts()
+ * @returns {Object} - Every kept draft by entry id ({ namespace, year, memory })
+ */
+function loadUnsavedDrafts() {
+  let drafts = {};
+  try {
+    drafts = JSON.parse(sessionStorage.getItem(UNSAVED_DRAFTS_KEY)) || {};
+  } catch (error) {
+    console.error('Error reading unsaved drafts:', error);
+  }
+  return drafts;
+}
+
+/**
+ * storeUnsavedDrafts()
+ * @param {Object} drafts - Every kept draft by entry id
+ * @throws {Error} - If sessionStorage is full
+ */
+function storeUnsavedDrafts(drafts) {
+  if (Object.keys(drafts).length === 0) {
+    sessionStorage.removeItem(UNSAVED_DRAFTS_KEY);
+  } else {
+    sessionStorage.setItem(UNSAVED_DRAFTS_KEY, JSON.stringify(drafts));
+  }
+}
+
+/**
+ * keepUnsavedDraft()
+ * Stores a copy of an entry that failed to save in sessionStorage, next to
+ * the other entries still waiting (a newer copy of the same entry replaces
+ * the older one). Nothing is stored while the vault is on, so the entry's
+ * text and photos are never written unencrypted.
+ * @param {number} year - The year the entry belongs to
+ * @param {Object} memory - The memory object
+ */
+function keepUnsavedDraft(year, memory) {
+  if (isVaultEnabled()) return;
+  let drafts = loadUnsavedDrafts();
+  try {
+    drafts[memory.id] = { namespace: storageManager.namespace, year: year, memory: memory };
+    storeUnsavedDrafts(drafts);
+  } catch (error) {
+    // sessionStorage may be full as well - try again without the images
+    try {
+      let withoutImages = Object.assign({}, memory, { images: [] });
+      drafts[memory.id] = { namespace: storageManager.namespace, year: year, memory: withoutImages };
+      storeUnsavedDrafts(drafts);
+    } catch (innerError) {
+      console.error('Could not keep unsaved draft:', innerError);
+    }
+  }
+}
+
+/**
+ * isOwnDraft()
+ * @param {Object} draft - A kept draft
+ * @returns {boolean} - True if it belongs to the open profile (a draft of
+ * another profile waits until that profile is open again)
+ */
+function isOwnDraft(draft) {
+  return draft.namespace === undefined || draft.namespace === storageManager.namespace;
+}
+
+/**
+ * readUnsavedDrafts()
+ * @returns {Object[]} - The valid drafts ({ year, memory }) of the open profile
+ */
+function readUnsavedDrafts() {
+  return Object.values(loadUnsavedDrafts()).filter(function(draft) {
+    return draft && isOwnDraft(draft) && Number.isInteger(draft.year) && draft.memory && draft.memory.id;
+  });
+}
+
+/**
+ * clearUnsavedDraft()
+ * Removes the kept draft of one entry
+ * @param {string} memoryId - The entry's id
+ */
+function clearUnsavedDraft(memoryId) {
+  let drafts = loadUnsavedDrafts();
+  delete drafts[memoryId];
+  try {
+    storeUnsavedDrafts(drafts);
+  } catch (error) {
+    console.error('Error clearing unsaved draft:', error);
+  }
+}
+
+/**
+ * clearOwnDrafts()
+ * Removes every kept draft of the open profile (when the vault is turned
+ * on; the entries themselves stay in the cache until they are saved)
+ */
+function clearOwnDrafts() {
+  let drafts = loadUnsavedDrafts();
+  for (let id of Object.keys(drafts)) {
+    if (!drafts[id] || isOwnDraft(drafts[id])) {
+      delete drafts[id];
+    }
+  }
+  try {
+    storeUnsavedDrafts(drafts);
+  } catch (error) {
+    console.error('Error clearing unsaved drafts:', error);
+  }
+}
+
+/**
+ * clearSavedDrafts()
+ * Removes the kept drafts of the open profile whose years have been
+ * written since (the entry was saved along with its year)
+ */
+function clearSavedDrafts() {
+  let unsavedYears = getUnsavedYears();
+  let drafts = loadUnsavedDrafts();
+  for (let id of Object.keys(drafts)) {
+    let draft = drafts[id];
+    if (!draft || (isOwnDraft(draft) && !unsavedYears.includes(draft.year))) {
+      delete drafts[id];
+    }
+  }
+  try {
+    storeUnsavedDrafts(drafts);
+  } catch (error) {
+    console.error('Error clearing unsaved drafts:', error);
+  }
+}
+
+// Global storage health instance
+let storageHealth = new StorageHealth();
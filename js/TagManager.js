@@ -0,0 +1,292 @@
+/**
+ * TagManager.js
+ * User-defined tags (e.g. "travel", "family", "work") and the grid tag filter
+ *
+ * Memories store their tags by name in memory.tags. The colour of each tag
+ * is kept once in the 'tags' setting: [{ name, colour }, ...]. A tag gets
+ * the next palette colour the first time it is used and can be recoloured
+ * from the filter panel.
+ */
+
+const TAGS_SETTING_KEY = 'tags';
+const MAX_TAG_LENGTH = 30;
+const TAG_PALETTE = ['#E07A5F', '#3D7EA6', '#81B29A', '#F2A541', '#9B5DE5', '#D96C9D', '#4F9D69', '#8D6A9F'];
+const TAG_FILTER_DIM_ALPHA = 0.2; // Opacity of weeks that don't match the tag filter
+
+/**
+ * getTags()
+ * @returns {Object[]} - Every known tag: [{ name, colour }, ...]
+ */
+function getTags() {
+  let tags = getSetting(TAGS_SETTING_KEY, []);
+  return Array.isArray(tags) ? tags : [];
+}
+
+/**
+ * getTagColour()
+ * @param {string} name - Tag name
+ * @returns {string} - The tag's hex colour (grey if the tag is unknown)
+ */
+function getTagColour(name) {
+  let tag = getTags().find(t => t.name === name);
+  return tag ? tag.colour : '#8B8B8B';
+}
+
+/**
+ * normalizeTagName()
+ * Tags are matched case-insensitively, so they are stored in lower case
+ * @param {string} name - Tag as typed
+ * @returns {string} - Trimmed, lower case tag (empty if nothing usable)
+ */
+function normalizeTagName(name) {
+  return String(name || '').trim().replace(/^#/, '').replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * ensureTags()
+ * Adds any new tag names to the tag list with a colour from the palette
+ * @param {string[]} names - Normalized tag names
+ * @returns {Promise<void>}
+ */
+function ensureTags(names) {
+  let tags = getTags().slice();
+  let added = false;
+  for (let name of names) {
+    if (tags.some(t => t.name === name)) continue;
+    // Prefer a palette colour no tag uses yet
+    let usedColours = tags.map(t => t.colour);
+    let colour = TAG_PALETTE.find(c => !usedColours.includes(c)) || TAG_PALETTE[tags.length % TAG_PALETTE.length];
+    tags.push({ name: name, colour: colour });
+    added = true;
+  }
+  return added ? setSetting(TAGS_SETTING_KEY, tags) : Promise.resolve();
+}
+
+/**
+ * setTagColour()
+ * Changes the colour of a tag
+ * @param {string} name - Tag name
+ * @param {string} colour - Hex colour
+ * @returns {Promise<void>}
+ */
+function setTagColour(name, colour) {
+  let tags = getTags().map(t => t.name === name ? { name: t.name, colour: colour } : t);
+  return setSetting(TAGS_SETTING_KEY, tags);
+}
+
+/**
+ * countTagUsage()
+ * Counts how many entries use each tag, across every stored year
+ * @returns {Map<string, number>} - Tag name to number of entries
+ */
+function countTagUsage() {
+  let counts = new Map();
+  for (let year of getStoredYears()) {
+    for (let week of loadData(year)) {
+      for (let memory of (week && week.memories) || []) {
+        for (let tag of memory.tags || []) {
+          counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * getWeekTagMatch()
+ * Checks a week against the selected tags. The dominant tag is the selected
+ * tag used by most of the week's entries (ties go to the tag selected first).
+ * @param {object} data - The week's data object
+ * @param {string[]} selectedTags - Tags chosen in the filter
+ * @returns {Object} - { matches, dominantTag }
+ */
+function getWeekTagMatch(data, selectedTags) {
+  let counts = new Map();
+  for (let memory of (data && data.memories) || []) {
+    for (let tag of memory.tags || []) {
+      if (selectedTags.includes(tag)) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+  }
+
+  let dominantTag = null;
+  for (let tag of selectedTags) {
+    if ((counts.get(tag) || 0) > (counts.get(dominantTag) || 0)) {
+      dominantTag = tag;
+    }
+  }
+  return { matches: dominantTag !== null, dominantTag: dominantTag };
+}
+
+/**
+ * TagFilter Class
+ * The filter panel: pick tags to highlight in the year grid and set tag colours
+ */
+class TagFilter {
+  constructor() {
+    this.selected = [];         // Selected tag names, in the order they were picked
+    this.panel = null;
+    this.listEl = null;
+    this.panelOpen = false;     // Toggled by the tag button
+    this.panelAllowed = false;  // Only on the main page's year view
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the tag filter button and the panel's clear button
+   */
+  setupListeners() {
+    this.panel = document.getElementById('tag-filter-panel');
+    this.listEl = document.getElementById('tag-filter-list');
+
+    let filterBtn = document.getElementById('tag-filter-btn');
+    if (filterBtn) {
+      filterBtn.addEventListener('click', () => {
+        this.panelOpen = !this.panelOpen;
+        if (this.panelOpen) {
+          this.render();
+        }
+        this.updatePanel();
+      });
+    }
+
+    let clearBtn = document.getElementById('tag-filter-clear-btn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        this.selected = [];
+        this.render();
+        this.apply();
+      });
+    }
+  }
+
+  /**
+   * setPanelAllowed()
+   * Called every frame with whether the panel may show (main page, year view)
+   * @param {boolean} allowed - True on the main page's year view
+   */
+  setPanelAllowed(allowed) {
+    if (allowed === this.panelAllowed) return;
+    this.panelAllowed = allowed;
+    this.updatePanel();
+  }
+
+  /**
+   * updatePanel()
+   * Shows the panel when it is open and allowed, and highlights the button
+   */
+  updatePanel() {
+    if (this.panel) {
+      this.panel.style.display = this.panelOpen && this.panelAllowed ? 'flex' : 'none';
+    }
+    let filterBtn = document.getElementById('tag-filter-btn');
+    if (filterBtn) {
+      filterBtn.classList.toggle('active', this.selected.length > 0);
+    }
+  }
+
+  /**
+   * isActive()
+   * @returns {boolean} - True while at least one tag is selected
+   */
+  isActive() {
+    return this.selected.length > 0;
+  }
+
+  /**
+   * render()
+   * Lists every tag in use with its colour and entry count
+   */
+  render() {
+    if (!this.listEl) return;
+    this.listEl.innerHTML = '';
+
+    let counts = countTagUsage();
+    // Tags can arrive without a colour (e.g. from a backup), so give them one
+    ensureTags(Array.from(counts.keys())).catch(function(error) {
+      console.error('Error saving tags:', error);
+    });
+    let tags = getTags().filter(t => counts.has(t.name));
+
+    // Forget selected tags that are no longer used
+    this.selected = this.selected.filter(name => counts.has(name));
+
+    if (tags.length === 0) {
+      this.listEl.innerHTML = '<div class="empty-memories">No tags yet. Add tags to a memory or goal to filter by them.</div>';
+      return;
+    }
+
+    for (let tag of tags) {
+      let row = document.createElement('div');
+      row.className = 'tag-filter-row';
+
+      let chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'tag-chip' + (this.selected.includes(tag.name) ? ' selected' : '');
+      chip.style.setProperty('--tag-colour', tag.colour);
+      chip.textContent = `${tag.name} (${counts.get(tag.name)})`;
+      chip.addEventListener('click', () => this.toggle(tag.name));
+
+      let colourInput = document.createElement('input');
+      colourInput.type = 'color';
+      colourInput.className = 'tag-colour-input';
+      colourInput.value = tag.colour;
+      colourInput.title = `Colour for "${tag.name}"`;
+      colourInput.addEventListener('change', () => {
+        setTagColour(tag.name, colourInput.value).catch(function(error) {
+          console.error('Error saving tag colour:', error);
+        });
+        chip.style.setProperty('--tag-colour', colourInput.value);
+        this.apply();
+      });
+
+      row.appendChild(chip);
+      row.appendChild(colourInput);
+      this.listEl.appendChild(row);
+    }
+  }
+
+  /**
+   * toggle()
+   * Selects or deselects a tag and updates the grid
+   * @param {string} name - Tag name
+   */
+  toggle(name) {
+    if (this.selected.includes(name)) {
+      this.selected = this.selected.filter(t => t !== name);
+    } else {
+      this.selected.push(name);
+    }
+    this.render();
+    this.apply();
+  }
+
+  /**
+   * apply()
+   * Re-evaluates every week circle against the selected tags
+   */
+  apply() {
+    this.updatePanel();
+    applyTagFilterToWeeks();
+  }
+
+  /**
+   * getHighlight()
+   * Works out how a week circle is shown under the current filter
+   * @param {object} data - The week's data object
+   * @returns {Object|null} - { matches, colour } or null when no tag is selected
+   */
+  getHighlight(data) {
+    if (!this.isActive()) return null;
+    let match = getWeekTagMatch(data, this.selected);
+    return {
+      matches: match.matches,
+      colour: match.matches ? getTagColour(match.dominantTag) : null
+    };
+  }
+}
+
+// Global tag filter instance
+let tagFilter = new TagFilter();
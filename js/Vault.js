@@ -0,0 +1,423 @@
+/**
+ * Vault.js
+ * Optional passphrase encryption of everything written to storage
+ *
+ * With the vault on, every year (its entries and their photos) is stored as
+ * a sealed record instead of plain JSON: AES-GCM with a 256-bit key derived
+ * from the passphrase with PBKDF2 (SHA-256). The passphrase and key are never
+ * stored. The 'vault' setting keeps what is needed to derive the key again -
+ * the salt, the iteration count and a sealed check value - so a wrong
+ * passphrase is recognised before any data is touched.
+ *
+ * Settings (the birth date, preferences, ...) stay readable, since the
+ * starting page needs the birth date before the vault is unlocked. The
+ * exceptions are the settings in VAULT_SEALED_SETTING_KEYS, which hold
+ * entry titles and text of their own: they are sealed like the years. The
+ * StorageManager (storage.js) seals and opens both; VaultManager below
+ * is the unlock prompt shown after the starting page and the modal that
+ * turns the vault on and off.
+ */
+
+const VAULT_SETTING_KEY = 'vault';
+const VAULT_FORMAT_VERSION = 1;
+const VAULT_PBKDF2_ITERATIONS = 310000;
+const VAULT_SALT_BYTES = 16;
+const VAULT_IV_BYTES = 12;                 // Recommended AES-GCM nonce size
+const VAULT_CHECK_VALUE = 'momentry-vault'; // Sealed in the 'vault' setting to verify passphrases
+const VAULT_MIN_PASSPHRASE_LENGTH = 8;
+const VAULT_SEALED_SETTING_KEYS = ['recurringEntries']; // Settings sealed like the years (see RecurringEntries.js)
+
+/**
+ * VaultPassphraseError Class
+ * Thrown when a passphrase does not open the vault
+ */
+class VaultPassphraseError extends Error {
+  constructor() {
+    super('Wrong passphrase. Nothing was changed - your memories are still encrypted.');
+    this.name = 'VaultPassphraseError';
+  }
+}
+
+/**
+ * isVaultSupported()
+ * @returns {boolean} - True if WebCrypto is available (it needs a secure context: https or localhost)
+ */
+function isVaultSupported() {
+  return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+/**
+ * bytesToBase64()
+ * @param {Uint8Array} bytes - Binary data
+ * @returns {string} - Base64 text
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Convert in chunks - spreading a large array into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * base64ToBytes()
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array} - Binary data
+ */
+function base64ToBytes(base64) {
+  let binary = atob(base64);
+  let bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * deriveVaultKey()
+ * @param {string} passphrase - The passphrase
+ * @param {Uint8Array} salt - Random salt from the 'vault' setting
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
+ */
+async function deriveVaultKey(passphrase, salt, iterations) {
+  let baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * isSealedRecord()
+ * @param {*} value - A stored year record
+ * @returns {boolean} - True if it was written by sealVaultValue()
+ */
+function isSealedRecord(value) {
+  return Boolean(value) && !Array.isArray(value) && typeof value === 'object' &&
+         value.vault === VAULT_FORMAT_VERSION && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * isVaultSealedSetting()
+ * @param {string} key - Setting name
+ * @returns {boolean} - True if the setting is stored sealed while the vault is on
+ */
+function isVaultSealedSetting(key) {
+  return VAULT_SEALED_SETTING_KEYS.includes(key);
+}
+
+/**
+ * sealVaultValue()
+ * Encrypts a JSON value with a fresh random IV
+ * @param {*} value - JSON-serialisable value (image data URLs included)
+ * @param {CryptoKey} key - Key from deriveVaultKey()
+ * @returns {Promise<Object>} - Sealed record { vault, iv, data }
+ */
+async function sealVaultValue(value, key) {
+  let iv = crypto.getRandomValues(new Uint8Array(VAULT_IV_BYTES));
+  let plaintext = new TextEncoder().encode(JSON.stringify(value));
+  let ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, plaintext);
+  return { vault: VAULT_FORMAT_VERSION, iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * openVaultValue()
+ * Decrypts a sealed record. AES-GCM authenticates the data, so a wrong key
+ * or a damaged record rejects instead of returning garbage.
+ * @param {Object} record - Sealed record from sealVaultValue()
+ * @param {CryptoKey} key - Key from deriveVaultKey()
+ * @returns {Promise<*>} - The original value
+ */
+async function openVaultValue(record, key) {
+  let plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.iv) }, key, base64ToBytes(record.data));
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * createVaultSettings()
+ * Derives a key for a new passphrase
+ * @param {string} passphrase - The new passphrase
+ * @returns {Promise<Object>} - { settings, key } where settings is the value of the 'vault' setting
+ */
+async function createVaultSettings(passphrase) {
+  let salt = crypto.getRandomValues(new Uint8Array(VAULT_SALT_BYTES));
+  let key = await deriveVaultKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+  let settings = {
+    version: VAULT_FORMAT_VERSION,
+    salt: bytesToBase64(salt),
+    iterations: VAULT_PBKDF2_ITERATIONS,
+    check: await sealVaultValue(VAULT_CHECK_VALUE, key)
+  };
+  return { settings, key };
+}
+
+/**
+ * openVaultKey()
+ * Derives the key for a passphrase and checks it against the 'vault' setting
+ * @param {string} passphrase - The passphrase to try
+ * @param {Object} settings - The 'vault' setting
+ * @returns {Promise<CryptoKey>} - The key; rejects with VaultPassphraseError if the passphrase is wrong
+ */
+async function openVaultKey(passphrase, settings) {
+  let key = await deriveVaultKey(passphrase, base64ToBytes(settings.salt), settings.iterations);
+  let check;
+  try {
+    check = await openVaultValue(settings.check, key);
+  } catch (error) {
+    throw new VaultPassphraseError();
+  }
+  if (check !== VAULT_CHECK_VALUE) {
+    throw new VaultPassphraseError();
+  }
+  return key;
+}
+
+/**
+ * VaultManager Class
+ * The unlock prompt and the vault settings modal (opened from the backup modal)
+ */
+class VaultManager {
+  constructor() {
+    this.unlockModal = null;
+    this.unlockStatusEl = null;
+    this.modal = null;
+    this.statusEl = null;
+    this.busy = false;   // A key is being derived or data re-saved
+  }
+
+  /**
+   * setupListeners()
+   * Wires up both vault modals
+   */
+  setupListeners() {
+    this.unlockModal = document.getElementById('vault-unlock-modal');
+    this.unlockStatusEl = document.getElementById('vault-unlock-status');
+    this.modal = document.getElementById('vault-modal');
+    this.statusEl = document.getElementById('vault-status');
+
+    let unlockForm = document.getElementById('vault-unlock-form');
+    if (unlockForm) {
+      unlockForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.unlock();
+      });
+    }
+
+    let openBtn = document.getElementById('backup-vault-btn');
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.open());
+    }
+
+    let enableBtn = document.getElementById('vault-enable-btn');
+    if (enableBtn) {
+      enableBtn.addEventListener('click', () => this.enable());
+    }
+
+    let disableBtn = document.getElementById('vault-disable-btn');
+    if (disableBtn) {
+      disableBtn.addEventListener('click', () => this.disable());
+    }
+
+    let closeBtn = document.getElementById('vault-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    // Close on overlay click (the unlock prompt can't be dismissed)
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+  }
+
+  /**
+   * showUnlockPrompt()
+   * Asks for the passphrase (called every frame once the starting page has
+   * finished while the vault is still locked)
+   */
+  showUnlockPrompt() {
+    if (!this.unlockModal || this.unlockModal.classList.contains('show')) return;
+    openAppModal(this.unlockModal);
+    this.showStatus(this.unlockStatusEl, '');
+    let input = document.getElementById('vault-unlock-input');
+    if (input) {
+      input.value = '';
+      input.focus();
+    }
+  }
+
+  /**
+   * hideUnlockPrompt()
+   * Closes the unlock prompt without unlocking (when switching to another profile)
+   */
+  hideUnlockPrompt() {
+    if (this.unlockModal && this.unlockModal.classList.contains('show')) {
+      closeAppModal(this.unlockModal);
+    }
+  }
+
+  /**
+   * unlock()
+   * Opens the vault with the entered passphrase. A wrong passphrase only
+   * shows an error - the stored data is left exactly as it was.
+   */
+  async unlock() {
+    if (this.busy) return;
+    let input = document.getElementById('vault-unlock-input');
+    let passphrase = input ? input.value : '';
+    if (!passphrase) {
+      this.showStatus(this.unlockStatusEl, 'Enter your passphrase.', true);
+      return;
+    }
+
+    this.busy = true;
+    this.showStatus(this.unlockStatusEl, 'Unlocking...');
+    try {
+      let unreadableYears = await unlockVault(passphrase);
+      if (input) input.value = '';
+      closeAppModal(this.unlockModal);
+
+      // Put back entries that failed to save before the tab was reloaded (they wait for the years)
+      storageHealth.restoreDrafts();
+
+      if (unreadableYears.length > 0) {
+        alert(`The data for ${unreadableYears.join(', ')} could not be decrypted and is left untouched. Restore it from a backup if you have one.`);
+      }
+    } catch (error) {
+      if (!(error instanceof VaultPassphraseError)) {
+        console.error('Error unlocking the vault:', error);
+      }
+      this.showStatus(this.unlockStatusEl, error.message, true);
+      if (input) input.select();
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * open()
+   * Shows the vault settings for the current state (on or off)
+   */
+  open() {
+    if (!this.modal) return;
+    let enabled = isVaultEnabled();
+
+    document.getElementById('vault-off-section').style.display = enabled ? 'none' : 'block';
+    document.getElementById('vault-on-section').style.display = enabled ? 'block' : 'none';
+    for (let id of ['vault-new-input', 'vault-confirm-input', 'vault-current-input']) {
+      document.getElementById(id).value = '';
+    }
+
+    let supported = isVaultSupported();
+    document.getElementById('vault-enable-btn').disabled = !supported;
+    this.showStatus(this.statusEl, supported ? '' : 'This browser can only encrypt data on pages served over https.', !supported);
+
+    openAppModal(this.modal);
+  }
+
+  /**
+   * close()
+   * Closes the vault settings
+   */
+  close() {
+    if (this.modal && !this.busy) {
+      closeAppModal(this.modal);
+    }
+  }
+
+  /**
+   * showStatus()
+   * Shows a status or error line in one of the vault modals
+   * @param {HTMLElement} statusEl - The modal's status element
+   * @param {string} message - Text to show (empty hides the line)
+   * @param {boolean} isError - True to style as an error
+   */
+  showStatus(statusEl, message, isError = false) {
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.style.display = message ? 'block' : 'none';
+    statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * enable()
+   * Turns the vault on and re-saves every year encrypted
+   */
+  async enable() {
+    if (this.busy) return;
+    let passphrase = document.getElementById('vault-new-input').value;
+    let confirmation = document.getElementById('vault-confirm-input').value;
+
+    if (passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+      this.showStatus(this.statusEl, `Use at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters.`, true);
+      return;
+    }
+    if (passphrase !== confirmation) {
+      this.showStatus(this.statusEl, 'The passphrases do not match.', true);
+      return;
+    }
+
+    this.busy = true;
+    this.showStatus(this.statusEl, 'Encrypting your memories...');
+    try {
+      await enableVault(passphrase);
+      this.busy = false;
+      this.open();
+      this.showStatus(this.statusEl, 'The vault is on. You will be asked for the passphrase every time Momentry starts.');
+    } catch (error) {
+      console.error('Error turning the vault on:', error);
+      this.showStatus(this.statusEl, isVaultEnabled()
+        ? `The vault is on, but some years could not be encrypted yet (${error.message}). They are saved again with your next change.`
+        : `The vault could not be turned on: ${error.message}`, true);
+    } finally {
+      this.busy = false;
+      // Drafts of unsaved entries are plain text; the entries stay in the cache
+      if (isVaultEnabled()) {
+        clearOwnDrafts();
+      }
+      storageHealth.updateWarning();
+    }
+  }
+
+  /**
+   * disable()
+   * Turns the vault off after checking the passphrase, re-saving every year unencrypted
+   */
+  async disable() {
+    if (this.busy) return;
+    let passphrase = document.getElementById('vault-current-input').value;
+    if (!passphrase) {
+      this.showStatus(this.statusEl, 'Enter your passphrase to turn the vault off.', true);
+      return;
+    }
+
+    this.busy = true;
+    this.showStatus(this.statusEl, 'Decrypting your memories...');
+    try {
+      await disableVault(passphrase);
+      this.busy = false;
+      this.open();
+      this.showStatus(this.statusEl, 'The vault is off. Your memories are stored unencrypted again.');
+    } catch (error) {
+      if (!(error instanceof VaultPassphraseError)) {
+        console.error('Error turning the vault off:', error);
+      }
+      this.showStatus(this.statusEl, error instanceof VaultPassphraseError
+        ? error.message
+        : `The vault is still on: ${error.message}`, true);
+    } finally {
+      this.busy = false;
+    }
+  }
+}
+
+// Global vault manager instance
+let vaultManager = new VaultManager();
@@ -1,8 +1,42 @@
+// Colour palette shared by the yearly grid and the life view
+const WEEK_COLOURS = {
+    empty: "#F5F4E3",
+    emptyPast: "#BFC0B1",
+    memory: "#525349",
+    goal: "#F4CD7F",
+    goalAchieved: "#A3B98C",
+    goalMissed: "#D9A28F",
+    currentWeek: "#ff914d",
+    recurring: "#C9852C",
+    border: "#0B0D07B3"
+};
+
+// Week reflection ratings from 1 (hard) to 5 (great), used when shading by rating
+const RATING_COLOURS = ["#C8553D", "#E89F71", "#EAD7A0", "#A8C686", "#5E9E6E"];
+
+// Memory moods from 1 (very low) to 5 (very good), used by the mood heatmap
+const MOOD_COLOURS = ["#6C8EBF", "#A9C4E0", "#E6E1C5", "#F4B860", "#E8744F"];
+
+// How the year grid and the life view colour weeks (see getWeekColourMode())
+const WEEK_COLOUR_MODE_SETTING_KEY = 'weekColourMode';
+const WEEK_COLOUR_MODE_ENTRIES = 'entries';  // By content and goal outcome (default)
+const WEEK_COLOUR_MODE_RATING = 'rating';    // By the week reflection's rating
+const WEEK_COLOUR_MODE_MOOD = 'mood';        // By the average mood of the week's memories
+
+/**
+ * getWeekColourMode()
+ * @returns {string} - One of the WEEK_COLOUR_MODE_* values
+ */
+function getWeekColourMode() {
+    let mode = getSetting(WEEK_COLOUR_MODE_SETTING_KEY, WEEK_COLOUR_MODE_ENTRIES);
+    return [WEEK_COLOUR_MODE_RATING, WEEK_COLOUR_MODE_MOOD].includes(mode) ? mode : WEEK_COLOUR_MODE_ENTRIES;
+}
+
 class WeekCircle {
     /**
      * @param {number} x - The x-coordinate of the circle's center.
      * @param {number} y - The y-coordinate of the circle's center.
-     * @param {number} id - The week number (0-51).
+     * @param {number} id - The week number (0-52).
      * @param {object} data - A reference to the data object for this week (e.g., yearData[id]).
      */
     constructor(x, y, size, id, weeksSinceBirth, data) {
@@ -12,12 +46,12 @@ class WeekCircle {
         this.id = id;
         this.weeksSinceBirth = weeksSinceBirth;
         this.data = data;                                           // A *reference* to the data in sketch.js
-        this.emptyColour = "#F5F4E3";
-        this.emptyColourPast = "#BFC0B1";
-        this.filledColourMemory = "#525349";
-        this.filledColourGoal = "#F4CD7F";
-        this.currentWeekColour = "#ff914d";
-        this.borderColour = "#0B0D07B3";
+        this.emptyColour = WEEK_COLOURS.empty;
+        this.emptyColourPast = WEEK_COLOURS.emptyPast;
+        this.filledColourMemory = WEEK_COLOURS.memory;
+        this.filledColourGoal = WEEK_COLOURS.goal;
+        this.currentWeekColour = WEEK_COLOURS.currentWeek;
+        this.borderColour = WEEK_COLOURS.border;
     
         // --- State & Animation ---
         this.isHovered = false;
@@ -36,6 +70,12 @@ class WeekCircle {
         this.isPast = false;
         this.weekRange = null;                                      // Cached week date range
         this.hasData = false;                                       // Cached data check
+        this.contentType = null;                                    // Cached 'memory', 'goal' or null (see getContentType())
+        this.goalOutcome = null;                                    // Cached 'achieved', 'missed' or null (see getGoalOutcome())
+        this.tagHighlight = null;                                   // Cached { matches, colour } while the tag filter is on
+        this.rating = null;                                         // Cached week reflection rating (1-5) or null
+        this.averageMood = null;                                    // Cached average memory mood (1-5) or null
+        this.recurringCount = 0;                                    // Cached number of recurring occurrences (not skipped)
     }
     
     /**
@@ -59,22 +99,112 @@ class WeekCircle {
      * @param {Date} today - The current date (for isPast calculation)
      */
     updateState(currentDisplayYear, birthDate, today) {
+        let state = WeekCircle.computeWeekState(this.id, currentDisplayYear, birthDate, today);
+        this.weekRange = state.weekRange;
+        this.isBeforeBirth = state.isBeforeBirth;
+        this.isPast = state.isPast;
+        
+        // Cache hasData check and the type of content shown
+        this.hasData = this.checkHasData();
+        this.contentType = WeekCircle.getContentType(this.data);
+        this.goalOutcome = WeekCircle.getGoalOutcome(this.data);
+        this.tagHighlight = tagFilter.getHighlight(this.data);
+        this.rating = WeekCircle.getRating(this.data);
+        this.averageMood = WeekCircle.getAverageMood(this.data);
+        this.recurringCount = WeekCircle.getRecurringCount(this.id, currentDisplayYear);
+    }
+    
+    /**
+     * getRecurringCount()
+     * Counts the recurring goals and anniversaries falling in a week
+     * (see RecurringEntries.js - they are not part of the week's data)
+     * @param {number} weekIndex - The week index (0-52)
+     * @param {number} year - The ISO year
+     * @returns {number} - Occurrences in the week, skipped ones not counted
+     */
+    static getRecurringCount(weekIndex, year) {
+        return getRecurringOccurrencesForWeek(weekIndex, year).filter(o => !o.skipped).length;
+    }
+    
+    /**
+     * getRating()
+     * @param {object} data - The week's data object
+     * @returns {number|null} - The week reflection's rating (1-5), or null if not rated
+     */
+    static getRating(data) {
+        return (data && data.reflection && data.reflection.rating) || null;
+    }
+    
+    /**
+     * getAverageMood()
+     * Averages the moods of a week's memories (goals have no mood)
+     * @param {object} data - The week's data object
+     * @returns {number|null} - Average mood between 1 and 5, or null if no memory has a mood
+     */
+    static getAverageMood(data) {
+        let moods = ((data && data.memories) || [])
+            .map(m => m.mood)
+            .filter(mood => isValidMood(mood));
+        if (moods.length === 0) return null;
+        return moods.reduce((sum, mood) => sum + mood, 0) / moods.length;
+    }
+    
+    /**
+     * getContentType()
+     * Decides which entry type a week is coloured as. A week with at least
+     * one memory shows as a memory, a week with only goals shows as a goal.
+     * @param {object} data - The week's data object
+     * @returns {string|null} - ENTRY_TYPE_MEMORY, ENTRY_TYPE_GOAL or null if empty
+     */
+    static getContentType(data) {
+        if (!data || !data.memories || data.memories.length === 0) {
+            return null;
+        }
+        return data.memories.some(m => m.type !== ENTRY_TYPE_GOAL) ? ENTRY_TYPE_MEMORY : ENTRY_TYPE_GOAL;
+    }
+    
+    /**
+     * getGoalOutcome()
+     * Decides how a goals-only week shows its goals' outcome. While any goal
+     * still waits for review the week stays a plain goal week; otherwise it
+     * shows as achieved if at least one goal was achieved, or else missed.
+     * @param {object} data - The week's data object
+     * @returns {string|null} - GOAL_STATUS_ACHIEVED, GOAL_STATUS_MISSED or null
+     */
+    static getGoalOutcome(data) {
+        if (!data || !data.memories) {
+            return null;
+        }
+        let goals = data.memories.filter(m => m.type === ENTRY_TYPE_GOAL);
+        if (goals.length === 0 || goals.some(isGoalPending)) {
+            return null;
+        }
+        return goals.some(m => m.status === GOAL_STATUS_ACHIEVED) ? GOAL_STATUS_ACHIEVED : GOAL_STATUS_MISSED;
+    }
+    
+    /**
+     * computeWeekState()
+     * Works out the time-based state of a week. Shared with the life view,
+     * which needs the same rules without creating a WeekCircle per week.
+     * @param {number} weekIndex - The week index (0-52)
+     * @param {number} year - The ISO year
+     * @param {Date} birthDate - The user's birth date
+     * @param {Date} today - The current date
+     * @returns {Object} - { weekRange, isBeforeBirth, isPast }
+     */
+    static computeWeekState(weekIndex, year, birthDate, today) {
         // Calculate week range ONCE
-        this.weekRange = getWeekDateRange(this.id, currentDisplayYear);
-        let weekMonday = this.weekRange.startDate;
-        let weekMondayStart = new Date(weekMonday);
-        weekMondayStart.setUTCHours(0, 0, 0, 0);
+        let weekRange = getWeekDateRange(weekIndex, year);
         
         // Calculate isBeforeBirth ONCE
-        let weekSundayEnd = new Date(this.weekRange.endDate);
+        let weekSundayEnd = new Date(weekRange.endDate);
         weekSundayEnd.setUTCHours(0, 0, 0, 0);
+        let isBeforeBirth = false;
         if (birthDate) {
             let birthDateStart = new Date(birthDate);
             birthDateStart.setUTCHours(0, 0, 0, 0);
             // Consider week "before birth" only if the entire week ends before birth date
-            this.isBeforeBirth = weekSundayEnd < birthDateStart;
-        } else {
-            this.isBeforeBirth = false;
+            isBeforeBirth = weekSundayEnd < birthDateStart;
         }
         
         // Calculate isPast ONCE
@@ -82,10 +212,81 @@ class WeekCircle {
         // This ensures the current week stays as "future" until the week is completely over
         let todayStart = new Date(today);
         todayStart.setUTCHours(0, 0, 0, 0);
-        this.isPast = weekSundayEnd < todayStart;
+        let isPast = weekSundayEnd < todayStart;
         
-        // Cache hasData check
-        this.hasData = this.checkHasData();
+        return { weekRange, isBeforeBirth, isPast };
+    }
+    
+    /**
+     * getFillColour()
+     * The colour rules for a week, shared by the yearly grid and the life view
+     * @param {boolean} isBeforeBirth - The whole week is before the birth date
+     * @param {string|null} contentType - The week's content type (see getContentType())
+     * @param {boolean} isPast - The week has ended
+     * @param {string|null} goalOutcome - The outcome of a goals-only week (see getGoalOutcome())
+     * @returns {p5.Color} - The fill colour (before any hover adjustment)
+     */
+    static getFillColour(isBeforeBirth, contentType, isPast, goalOutcome = null) {
+        // If week is before birth, grey it out regardless of data
+        if (isBeforeBirth) {
+            // Grey out weeks before birth - use a muted grey color (fully opaque)
+            return color(180, 180, 180, 255); // Light grey, fully opaque
+        }
+        
+        // The entry type decides the colour, so a goal stays a goal once its week has passed
+        if (contentType === ENTRY_TYPE_MEMORY) {
+            return color(WEEK_COLOURS.memory);
+        }
+        if (contentType === ENTRY_TYPE_GOAL) {
+            // Reviewed goals show whether they happened
+            if (goalOutcome === GOAL_STATUS_ACHIEVED) {
+                return color(WEEK_COLOURS.goalAchieved);
+            }
+            if (goalOutcome === GOAL_STATUS_MISSED) {
+                return color(WEEK_COLOURS.goalMissed);
+            }
+            return color(WEEK_COLOURS.goal);
+        }
+        
+        // No data - different colors for past, current, and future
+        if (isPast) {
+            // Empty past weeks = lighter color with soft transparency to indicate missing memory
+            return color(WEEK_COLOURS.emptyPast + "99");
+        }
+        // Empty future weeks = original empty color with transparency
+        return color(WEEK_COLOURS.empty + "66"); // Hex '66' ~ 40% alpha
+    }
+
+    /**
+     * getRatingFillColour()
+     * The colour of a week while the grid is shaded by rating: rated weeks
+     * take their rating's colour, all others look empty
+     * @param {boolean} isBeforeBirth - The whole week is before the birth date
+     * @param {number|null} rating - The week's rating (see getRating())
+     * @param {boolean} isPast - The week has ended
+     * @returns {p5.Color} - The fill colour (before any hover adjustment)
+     */
+    static getRatingFillColour(isBeforeBirth, rating, isPast) {
+        if (rating !== null && !isBeforeBirth) {
+            return color(getRatingColour(rating));
+        }
+        return WeekCircle.getFillColour(isBeforeBirth, null, isPast);
+    }
+
+    /**
+     * getMoodFillColour()
+     * The colour of a week in the mood heatmap: weeks with moods take the
+     * colour of their average mood, all others look empty
+     * @param {boolean} isBeforeBirth - The whole week is before the birth date
+     * @param {number|null} averageMood - The week's average mood (see getAverageMood())
+     * @param {boolean} isPast - The week has ended
+     * @returns {p5.Color} - The fill colour (before any hover adjustment)
+     */
+    static getMoodFillColour(isBeforeBirth, averageMood, isPast) {
+        if (averageMood !== null && !isBeforeBirth) {
+            return getMoodColour(averageMood);
+        }
+        return WeekCircle.getFillColour(isBeforeBirth, null, isPast);
     }
 
     /**
@@ -141,6 +342,11 @@ class WeekCircle {
      * The core interaction coordinates remain fixed at (this.x, this.y).
      */
     updateBreathing() {
+        // Circles hold still with reduced motion
+        if (isReducedMotion()) {
+            this.visualOffsetY = 0;
+            return;
+        }
         const t = millis() * 0.001; // Convert to seconds for easier tuning
         this.visualOffsetY = sin(t * this.breathSpeed + this.breathPhase) * this.breathAmplitude;
     }
@@ -195,33 +401,28 @@ class WeekCircle {
         // Use cached state (calculated once, not every frame)
         // isBeforeBirth, isPast, and weekRange are already calculated in updateState()
         // Use passed today parameter instead of creating new Date() every frame
-        let isCurrent = (this.id === currentWeekIndex && currentDisplayYear === today.getFullYear());
+        // currentWeekIndex is already -1 unless the displayed year is the current ISO year
+        // (comparing against today.getFullYear() would miss week 53 in early January)
+        let isCurrent = (this.id === currentWeekIndex);
 
-        // Rule 1: Set fill colour based on data and time
-        // If week is before birth, grey it out regardless of data
+        // Rule 1: Set fill colour based on data and time (see getFillColour()),
+        // or on the week's rating or average mood in those colour modes
+        let colourMode = getWeekColourMode();
         let baseFillColor;
-        if (this.isBeforeBirth) {
-            // Grey out weeks before birth - use a muted grey color (fully opaque)
-            baseFillColor = color(180, 180, 180, 255); // Light grey, fully opaque
-        } else if (hasData) {
-            if (this.isPast) {
-                // Data in the past = Memory
-                baseFillColor = color(this.filledColourMemory);
-            } else if (isCurrent) {
-                // Data in current week = Memory (same as past)
-                baseFillColor = color(this.filledColourMemory);
-            } else {
-                // Data in the future = Goal
-                baseFillColor = color(this.filledColourGoal);
-            }
+        if (colourMode === WEEK_COLOUR_MODE_RATING) {
+            baseFillColor = WeekCircle.getRatingFillColour(this.isBeforeBirth, this.rating, this.isPast);
+        } else if (colourMode === WEEK_COLOUR_MODE_MOOD) {
+            baseFillColor = WeekCircle.getMoodFillColour(this.isBeforeBirth, this.averageMood, this.isPast);
         } else {
-            // No data - different colors for past, current, and future
-            if (this.isPast) {
-                // Empty past weeks = lighter color with soft transparency to indicate missing memory
-                baseFillColor = color(this.emptyColourPast + "99");
+            baseFillColor = WeekCircle.getFillColour(this.isBeforeBirth, this.contentType, this.isPast, this.goalOutcome);
+        }
+        
+        // Tag filter: matching weeks take their dominant tag's colour, the rest fade back
+        if (this.tagHighlight && !this.isBeforeBirth) {
+            if (this.tagHighlight.matches) {
+                baseFillColor = color(this.tagHighlight.colour);
             } else {
-                // Empty future weeks = original empty color with transparency
-                baseFillColor = color(this.emptyColour + "66"); // Hex '66' ~ 40% alpha
+                drawingContext.globalAlpha = (this.alpha / 255) * TAG_FILTER_DIM_ALPHA;
             }
         }
         
@@ -233,7 +434,7 @@ class WeekCircle {
             let a = alpha(baseFillColor);
             
             // Different hover effects based on circle type
-            if (hasData && !this.isPast && !isCurrent) {
+            if (this.contentType === ENTRY_TYPE_GOAL) {
                 // Goals (golden circles) - darken and increase saturation
                 // First darken slightly
                 r = max(0, r - r * 0.05);
@@ -244,7 +445,7 @@ class WeekCircle {
                 r = min(255, r + (r - avg) * 0.4);
                 g = min(255, g + (g - avg) * 0.4);
                 b = max(0, b - (avg - b) * 0.2); // Reduce blue to make it more golden
-            } else if (hasData && (this.isPast || isCurrent)) {
+            } else if (this.contentType === ENTRY_TYPE_MEMORY) {
                 // Filled memories - darken more (40%)
                 r = max(0, r - r * 0.4);
                 g = max(0, g - g * 0.4);
@@ -301,6 +502,16 @@ class WeekCircle {
         // Draw the circle
         circle(this.x, drawY, this.currentSize);
         
+        // Recurring goals and anniversaries get an inner ring
+        if (this.recurringCount > 0 && !this.isBeforeBirth) {
+            push();
+            noFill();
+            stroke(WEEK_COLOURS.recurring);
+            strokeWeight(2);
+            circle(this.x, drawY, this.currentSize * 0.72);
+            pop();
+        }
+        
         // Draw week number text
         this.drawWeekNumber(currentWeekIndex, drawY);
         
@@ -343,11 +554,11 @@ class WeekCircle {
             noStroke();
             
             // Use cached hasData (calculated once in updateState, not every frame)
-            let hasData = this.hasData;
-            let isCurrent = (this.id === currentWeekIndex);
+            // Rating and mood colours are all light enough for dark text
+            let hasData = this.hasData && getWeekColourMode() === WEEK_COLOUR_MODE_ENTRIES;
             
-            // Determine if this is a goal week (has data, future week, yellow background)
-            let isGoalWeek = hasData && !this.isPast && !isCurrent;
+            // Determine if this is a goal week (yellow background)
+            let isGoalWeek = this.contentType === ENTRY_TYPE_GOAL;
             
             // Set text color based on week type:
             // - Goal weeks (yellow background): use dark text for visibility
@@ -0,0 +1,293 @@
+/**
+ * WeekReflection.js
+ * A short summary and a 1-5 rating of how a week went overall, kept on the
+ * week slot next to its entries (see migrateWeekReflection() in storage.js).
+ * Edited at the top of the entry modal; the year grid can be shaded by
+ * rating to show good and hard stretches at a glance.
+ */
+
+// Index 0 is rating 1
+const REFLECTION_RATING_LABELS = ['Hard', 'Tough', 'Okay', 'Good', 'Great'];
+
+/**
+ * getReflectionRatingLabel()
+ * @param {number} rating - Rating from 1 to 5
+ * @returns {string} - e.g. 'Good'
+ */
+function getReflectionRatingLabel(rating) {
+  return REFLECTION_RATING_LABELS[rating - REFLECTION_RATING_MIN] || '';
+}
+
+/**
+ * getRatingColour()
+ * @param {number} rating - Rating from 1 to 5
+ * @returns {string} - Hex colour from RATING_COLOURS (see WeekCircle.js)
+ */
+function getRatingColour(rating) {
+  return RATING_COLOURS[rating - REFLECTION_RATING_MIN];
+}
+
+/**
+ * setWeekReflection()
+ * Saves (or removes) the reflection of a week
+ * @param {number} weeksSinceBirth - The week (universal identifier)
+ * @param {string} summary - How the week went, in a few words
+ * @param {number|null} rating - Rating from 1 to 5, or null for none
+ */
+function setWeekReflection(weeksSinceBirth, summary, rating) {
+  let result = getYearDataForWeek(weeksSinceBirth);
+  if (!result) return;
+
+  let { yearData, yearWeekInfo } = result;
+  let week = yearData[yearWeekInfo.weekIndex];
+
+  // An empty reflection is the same as none
+  if (!summary && rating === null) {
+    delete week.reflection;
+  } else {
+    week.reflection = {
+      summary: summary,
+      rating: rating,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  saveYearDataAndRefresh(yearData, yearWeekInfo.year);
+}
+
+/**
+ * WeekReflection Class
+ * The reflection section of the entry modal and the rating shading toggle
+ */
+class WeekReflection {
+  constructor() {
+    this.section = null;
+    this.weeksSinceBirth = null;  // The week shown in the section
+    this.editing = false;
+    this.draftRating = null;      // Rating picked in the form, before saving
+  }
+
+  /**
+   * setupListeners()
+   * Builds the rating buttons and wires up the section and the shading toggle
+   */
+  setupListeners() {
+    this.section = document.getElementById('week-reflection-section');
+
+    let ratingInput = document.getElementById('week-reflection-rating-input');
+    if (ratingInput) {
+      for (let rating = REFLECTION_RATING_MIN; rating <= REFLECTION_RATING_MAX; rating++) {
+        let button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'reflection-rating-btn';
+        button.dataset.rating = rating;
+        button.style.setProperty('--rating-colour', getRatingColour(rating));
+        button.textContent = getReflectionRatingLabel(rating);
+        button.addEventListener('click', () => {
+          // Clicking the chosen rating again clears it
+          this.setDraftRating(this.draftRating === rating ? null : rating);
+        });
+        ratingInput.appendChild(button);
+      }
+    }
+
+    let editBtn = document.getElementById('week-reflection-edit-btn');
+    if (editBtn) {
+      editBtn.addEventListener('click', () => this.startEditing());
+    }
+
+    let saveBtn = document.getElementById('week-reflection-save-btn');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.save());
+    }
+
+    let removeBtn = document.getElementById('week-reflection-remove-btn');
+    if (removeBtn) {
+      removeBtn.addEventListener('click', () => this.remove());
+    }
+
+    let cancelBtn = document.getElementById('week-reflection-cancel-btn');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => {
+        this.editing = false;
+        this.render();
+      });
+    }
+
+    let shadeBtn = document.getElementById('rating-shade-btn');
+    if (shadeBtn) {
+      shadeBtn.addEventListener('click', () => {
+        let isShading = getWeekColourMode() === WEEK_COLOUR_MODE_RATING;
+        setWeekColourMode(isShading ? WEEK_COLOUR_MODE_ENTRIES : WEEK_COLOUR_MODE_RATING);
+      });
+    }
+  }
+
+  /**
+   * updateShadeButton()
+   * Highlights the shading toggle while the grid is shaded by rating
+   * (also called after storage loads or a backup import changes settings)
+   */
+  updateShadeButton() {
+    let shadeBtn = document.getElementById('rating-shade-btn');
+    if (shadeBtn) {
+      shadeBtn.classList.toggle('active', getWeekColourMode() === WEEK_COLOUR_MODE_RATING);
+    }
+  }
+
+  /**
+   * show()
+   * Shows the reflection section for a week. Weeks that haven't started yet
+   * have nothing to reflect on, so the section is hidden for them.
+   * @param {number} weeksSinceBirth - The week (universal identifier)
+   */
+  show(weeksSinceBirth) {
+    this.weeksSinceBirth = weeksSinceBirth;
+    this.editing = false;
+    this.render();
+  }
+
+  /**
+   * getReflection()
+   * @returns {Object|null} - The shown week's reflection, or null if it has none
+   */
+  getReflection() {
+    let result = this.weeksSinceBirth !== null ? getYearDataForWeek(this.weeksSinceBirth) : null;
+    if (!result) return null;
+    let week = result.yearData[result.yearWeekInfo.weekIndex];
+    return (week && week.reflection) || null;
+  }
+
+  /**
+   * hasWeekStarted()
+   * @returns {boolean} - True if the shown week is the current week or in the past
+   */
+  hasWeekStarted() {
+    let yearWeekInfo = getYearAndWeekIndexFromWeeksSinceBirth(this.weeksSinceBirth, modalManager.birthDate);
+    return Boolean(yearWeekInfo) && !isWeekInFuture(yearWeekInfo.weekIndex, yearWeekInfo.year);
+  }
+
+  /**
+   * render()
+   * Fills the section with the saved reflection or the edit form
+   */
+  render() {
+    if (!this.section) return;
+    if (this.weeksSinceBirth === null || !modalManager.birthDate || !this.hasWeekStarted()) {
+      this.section.style.display = 'none';
+      return;
+    }
+    this.section.style.display = 'flex';
+
+    let reflection = this.getReflection();
+    let display = document.getElementById('week-reflection-display');
+    let form = document.getElementById('week-reflection-form');
+    let editBtn = document.getElementById('week-reflection-edit-btn');
+
+    if (display) {
+      display.style.display = this.editing || !reflection ? 'none' : 'flex';
+    }
+    if (form) {
+      form.style.display = this.editing ? 'flex' : 'none';
+    }
+    if (editBtn) {
+      editBtn.style.display = this.editing ? 'none' : 'inline-block';
+      editBtn.textContent = reflection ? 'Edit' : 'Reflect';
+    }
+
+    if (reflection && !this.editing) {
+      let ratingEl = document.getElementById('week-reflection-rating');
+      if (ratingEl) {
+        ratingEl.textContent = reflection.rating !== null ? getReflectionRatingLabel(reflection.rating) : '';
+        ratingEl.style.display = reflection.rating !== null ? 'inline-block' : 'none';
+        if (reflection.rating !== null) {
+          ratingEl.style.setProperty('--rating-colour', getRatingColour(reflection.rating));
+        }
+      }
+      let summaryEl = document.getElementById('week-reflection-summary');
+      if (summaryEl) {
+        summaryEl.textContent = reflection.summary;
+        summaryEl.style.display = reflection.summary ? 'block' : 'none';
+      }
+    }
+  }
+
+  /**
+   * startEditing()
+   * Opens the form with the saved reflection filled in
+   */
+  startEditing() {
+    let reflection = this.getReflection();
+    this.editing = true;
+    this.render();
+
+    let input = document.getElementById('week-reflection-input');
+    if (input) {
+      input.value = reflection ? reflection.summary : '';
+      input.focus();
+    }
+    this.setDraftRating(reflection ? reflection.rating : null);
+
+    let removeBtn = document.getElementById('week-reflection-remove-btn');
+    if (removeBtn) {
+      removeBtn.style.display = reflection ? 'inline-block' : 'none';
+    }
+  }
+
+  /**
+   * setDraftRating()
+   * Selects a rating button in the form
+   * @param {number|null} rating - Rating from 1 to 5, or null for none
+   */
+  setDraftRating(rating) {
+    this.draftRating = rating;
+    document.querySelectorAll('.reflection-rating-btn').forEach(function(button) {
+      button.classList.toggle('selected', Number(button.dataset.rating) === rating);
+    });
+  }
+
+  /**
+   * save()
+   * Saves the form and shows the result
+   */
+  save() {
+    if (this.weeksSinceBirth === null) return;
+    let input = document.getElementById('week-reflection-input');
+    let summary = input ? input.value.trim().slice(0, MAX_REFLECTION_LENGTH) : '';
+
+    if (!summary && this.draftRating === null) {
+      alert('Pick a rating or write a few words about the week.');
+      return;
+    }
+
+    setWeekReflection(this.weeksSinceBirth, summary, this.draftRating);
+    this.editing = false;
+    this.render();
+  }
+
+  /**
+   * remove()
+   * Deletes the week's reflection after confirming
+   */
+  remove() {
+    if (this.weeksSinceBirth === null) return;
+    if (!confirm('Remove the reflection for this week?')) return;
+
+    setWeekReflection(this.weeksSinceBirth, '', null);
+    this.editing = false;
+    this.render();
+  }
+
+  /**
+   * reset()
+   * Forgets the shown week (called when the entry modal closes)
+   */
+  reset() {
+    this.weeksSinceBirth = null;
+    this.editing = false;
+    this.draftRating = null;
+  }
+}
+
+// Global week reflection instance
+let weekReflection = new WeekReflection();
@@ -0,0 +1,278 @@
+/**
+ * WeeklyReminder.js
+ * Opt-in weekly notification asking "What will you remember from week N?"
+ *
+ * The schedule (weekday and time) is saved in the 'weeklyReminder' setting
+ * and handed to the service worker (service-worker.js), which decides when
+ * to show the notification. Clicking it opens the current week's modal.
+ */
+
+const REMINDER_SETTING_KEY = 'weeklyReminder';
+const REMINDER_CHECK_INTERVAL = 60 * 1000;            // How often an open tab asks the worker to check (ms)
+const REMINDER_SYNC_INTERVAL = 12 * 60 * 60 * 1000;   // Minimum periodic background sync interval (ms)
+const REMINDER_SYNC_TAG = 'weekly-reminder';           // Same tag as in service-worker.js
+const REMINDER_WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const DEFAULT_REMINDER = { enabled: false, weekday: 6, time: '19:00' }; // Sunday evening
+
+/**
+ * getReminderSchedule()
+ * @returns {Object} - { enabled, weekday (0 = Monday), time ('HH:MM') }
+ */
+function getReminderSchedule() {
+  let schedule = getSetting(REMINDER_SETTING_KEY, null);
+  if (!schedule || typeof schedule !== 'object') {
+    return Object.assign({}, DEFAULT_REMINDER);
+  }
+  return {
+    enabled: schedule.enabled === true,
+    weekday: Number.isInteger(schedule.weekday) && schedule.weekday >= 0 && schedule.weekday <= 6
+      ? schedule.weekday : DEFAULT_REMINDER.weekday,
+    time: /^\d{2}:\d{2}$/.test(schedule.time) ? schedule.time : DEFAULT_REMINDER.time
+  };
+}
+
+/**
+ * isReminderSupported()
+ * @returns {boolean} - True if this browser can show reminders from a service worker
+ */
+function isReminderSupported() {
+  return 'serviceWorker' in navigator && 'Notification' in window;
+}
+
+/**
+ * WeeklyReminder Class
+ * The reminder settings modal, the service worker hand-off and the
+ * "open the current week" request coming back from a notification
+ */
+class WeeklyReminder {
+  constructor() {
+    this.modal = null;
+    this.statusEl = null;
+    this.registration = null;        // Service worker registration, once ready
+    this.pendingOpenWeek = false;    // A notification asked to open the current week
+    this.checkTimer = null;
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the reminder button, the modal and messages from the worker
+   */
+  setupListeners() {
+    this.modal = document.getElementById('reminder-modal');
+    this.statusEl = document.getElementById('reminder-status');
+
+    let reminderBtn = document.getElementById('reminder-btn');
+    if (reminderBtn) {
+      reminderBtn.addEventListener('click', () => this.open());
+    }
+
+    let saveBtn = document.getElementById('reminder-save-btn');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.save());
+    }
+
+    let closeBtn = document.getElementById('reminder-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.close();
+        }
+      });
+    }
+
+    // Opened from a notification while no tab was open
+    if (new URLSearchParams(window.location.search).get('reminder') === 'week') {
+      this.pendingOpenWeek = true;
+      history.replaceState(null, '', window.location.pathname);
+    }
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'open-current-week') {
+          this.pendingOpenWeek = true;
+        }
+      });
+    }
+  }
+
+  /**
+   * renderWeekdayOptions()
+   * Lists the weekdays from the preferred first day of the week (see SettingsPanel.js)
+   * @param {HTMLSelectElement|null} weekdayInput - The weekday select
+   */
+  renderWeekdayOptions(weekdayInput) {
+    if (!weekdayInput) return;
+    weekdayInput.innerHTML = '';
+    for (let weekday of getWeekdayOrder()) {
+      let option = document.createElement('option');
+      option.value = weekday;
+      option.textContent = REMINDER_WEEKDAYS[weekday];
+      weekdayInput.appendChild(option);
+    }
+  }
+
+  /**
+   * open()
+   * Shows the reminder modal with the saved schedule
+   */
+  open() {
+    if (!this.modal) return;
+    let schedule = getReminderSchedule();
+
+    let enabledInput = document.getElementById('reminder-enabled-input');
+    let weekdayInput = document.getElementById('reminder-weekday-input');
+    let timeInput = document.getElementById('reminder-time-input');
+    this.renderWeekdayOptions(weekdayInput);
+    if (enabledInput) enabledInput.checked = schedule.enabled;
+    if (weekdayInput) weekdayInput.value = schedule.weekday;
+    if (timeInput) timeInput.value = schedule.time;
+
+    if (!isReminderSupported()) {
+      this.showStatus('This browser can\'t show reminders.', true);
+    } else if (Notification.permission === 'denied') {
+      this.showStatus('Notifications are blocked for this site. Allow them in your browser settings to get reminders.', true);
+    } else {
+      this.showStatus('');
+    }
+    openAppModal(this.modal);
+  }
+
+  /**
+   * close()
+   * Hides the reminder modal
+   */
+  close() {
+    if (!this.modal) return;
+    closeAppModal(this.modal);
+  }
+
+  /**
+   * showStatus()
+   * Shows a status or error line inside the modal
+   * @param {string} message - Text to show (empty hides the line)
+   * @param {boolean} isError - True to style as an error
+   */
+  showStatus(message, isError = false) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.style.display = message ? 'block' : 'none';
+    this.statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * save()
+   * Saves the schedule from the form. Turning reminders on asks for
+   * notification permission first.
+   */
+  async save() {
+    let enabledInput = document.getElementById('reminder-enabled-input');
+    let weekdayInput = document.getElementById('reminder-weekday-input');
+    let timeInput = document.getElementById('reminder-time-input');
+    let schedule = {
+      enabled: Boolean(enabledInput && enabledInput.checked),
+      weekday: weekdayInput ? Number(weekdayInput.value) : DEFAULT_REMINDER.weekday,
+      time: timeInput && timeInput.value ? timeInput.value : DEFAULT_REMINDER.time
+    };
+
+    if (schedule.enabled) {
+      if (!isReminderSupported()) {
+        this.showStatus('This browser can\'t show reminders.', true);
+        return;
+      }
+      let permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        this.showStatus('Reminders need permission to show notifications.', true);
+        return;
+      }
+    }
+
+    try {
+      await setSetting(REMINDER_SETTING_KEY, schedule);
+    } catch (error) {
+      console.error('Error saving reminder:', error);
+      this.showStatus('The reminder could not be saved.', true);
+      return;
+    }
+
+    await this.syncSchedule();
+    this.showStatus(schedule.enabled
+      ? `Reminder set for every ${REMINDER_WEEKDAYS[schedule.weekday]} at ${schedule.time}.`
+      : 'Reminders are off.');
+  }
+
+  /**
+   * syncSchedule()
+   * Hands the saved schedule to the service worker (registered by
+   * ServiceWorkerManager.js) and starts or stops the checks. Called after
+   * storage loads, after saving and after a backup import.
+   * @returns {Promise<void>}
+   */
+  async syncSchedule() {
+    if (!isReminderSupported()) return;
+    let schedule = getReminderSchedule();
+
+    try {
+      this.registration = await serviceWorkerManager.whenActive();
+      if (!this.registration) return;
+      this.registration.active.postMessage({ type: 'reminder-schedule', schedule: schedule });
+      await this.updatePeriodicSync(schedule.enabled);
+    } catch (error) {
+      console.error('Error setting up reminders:', error);
+      return;
+    }
+
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+    if (schedule.enabled) {
+      this.checkTimer = setInterval(() => {
+        if (this.registration && this.registration.active) {
+          this.registration.active.postMessage({ type: 'reminder-check' });
+        }
+      }, REMINDER_CHECK_INTERVAL);
+    }
+  }
+
+  /**
+   * updatePeriodicSync()
+   * Lets the browser wake the worker now and then to check the reminder
+   * while the app is closed (where periodic background sync is supported)
+   * @param {boolean} enabled - True if reminders are on
+   * @returns {Promise<void>}
+   */
+  async updatePeriodicSync(enabled) {
+    if (!('periodicSync' in this.registration)) return;
+    try {
+      if (enabled) {
+        await this.registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: REMINDER_SYNC_INTERVAL });
+      } else {
+        await this.registration.periodicSync.unregister(REMINDER_SYNC_TAG);
+      }
+    } catch (error) {
+      // Usually only allowed for installed apps - the open-tab checks still work
+      console.warn('Periodic background sync unavailable:', error);
+    }
+  }
+
+  /**
+   * openPendingWeek()
+   * Opens the current week's modal after a reminder was clicked. Called
+   * every frame on the main page while no modal is open.
+   * @returns {boolean} - True if the week was opened this frame
+   */
+  openPendingWeek() {
+    if (!this.pendingOpenWeek || !app.birthDate || app.yearTransition.active) return false;
+    this.pendingOpenWeek = false;
+
+    let todayInfo = getISOWeekNumber(new Date());
+    navigateToYear(todayInfo.year);
+    showWeekModal({ weeksSinceBirth: app.getWeeksSinceBirth(todayInfo.weekNumber - 1, todayInfo.year, app.birthDate) });
+    return true;
+  }
+}
+
+// Global weekly reminder instance
+let weeklyReminder = new WeeklyReminder();
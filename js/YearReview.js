@@ -0,0 +1,490 @@
+/**
+ * YearReview.js
+ * "Year in review" page, opened by clicking the year in the header: the
+ * year's memory count, how many lived weeks have a memory, the longest run
+ * of such weeks, a photo collage, tag and mood breakdowns and the goals
+ * achieved.
+ *
+ * The page is drawn into a fixed-size offscreen buffer, so the downloaded
+ * PNG looks the same on every screen; display() scales it to fit the
+ * window. The buffer is redrawn when stored data, tags or the date change,
+ * and again as the collage photos finish loading.
+ */
+
+const YEAR_REVIEW_WIDTH = 1080;      // Size of the drawing and of the exported PNG (4:5 portrait)
+const YEAR_REVIEW_HEIGHT = 1350;
+const YEAR_REVIEW_MARGIN = 60;
+const YEAR_REVIEW_MAX_PHOTOS = 8;    // Collage of 4 x 2, spread over the year when there are more
+const YEAR_REVIEW_MAX_TAGS = 5;      // Most used tags shown in the breakdown
+const YEAR_REVIEW_PANEL_COLOUR = "#FFFFFF";
+
+/**
+ * computeYearReviewStats()
+ * Gathers the numbers shown on the review page. Only weeks from birth up
+ * to the current week count as lived; the current week counts as soon as
+ * it has a memory.
+ * @param {number} year - The ISO year
+ * @param {Date} birthDate - User's birth date
+ * @param {Date} today - The current date
+ * @returns {Object} - { memoryCount, goalCount, goalsAchieved, livedWeeks, coveredWeeks,
+ *   longestStreak, weeks, photos, tags, moods, averageMood }
+ */
+function computeYearReviewStats(year, birthDate, today) {
+  let yearData = loadData(year);
+  let stats = {
+    memoryCount: 0,
+    goalCount: 0,
+    goalsAchieved: 0,
+    livedWeeks: 0,
+    coveredWeeks: 0,
+    longestStreak: 0,
+    weeks: [],        // One entry per ISO week: 'covered', 'lived', 'future' or 'beforeBirth'
+    photos: [],       // { imageData, caption, date } in date order
+    tags: [],         // { name, count }, most used first
+    moods: [],        // Memories per mood, index 0 is mood 1
+    averageMood: null
+  };
+
+  let tagCounts = new Map();
+  let moodCounts = new Array(MOOD_MAX - MOOD_MIN + 1).fill(0);
+  let moodTotal = 0;
+  let streak = 0;
+
+  for (let weekIndex = 0; weekIndex < getISOWeeksInYear(year); weekIndex++) {
+    let entries = (yearData[weekIndex] && yearData[weekIndex].memories) || [];
+    let memories = entries.filter(m => m.type !== ENTRY_TYPE_GOAL);
+    let goals = entries.filter(m => m.type === ENTRY_TYPE_GOAL);
+
+    stats.memoryCount += memories.length;
+    stats.goalCount += goals.length;
+    stats.goalsAchieved += goals.filter(m => m.status === GOAL_STATUS_ACHIEVED).length;
+
+    for (let memory of memories) {
+      for (let image of memory.images || []) {
+        if (image && image.imageData) {
+          stats.photos.push({ imageData: image.imageData, caption: image.caption || '', date: memory.date });
+        }
+      }
+      for (let tag of memory.tags || []) {
+        tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+      }
+      if (isValidMood(memory.mood)) {
+        moodCounts[memory.mood - MOOD_MIN]++;
+        moodTotal += memory.mood;
+      }
+    }
+
+    // Time-based state, with the same rules as the grid
+    let state = WeekCircle.computeWeekState(weekIndex, year, birthDate, today);
+    let weekState;
+    if (state.isBeforeBirth) {
+      weekState = 'beforeBirth';
+    } else if (isWeekInFuture(weekIndex, year, today)) {
+      weekState = 'future';
+    } else if (memories.length > 0) {
+      weekState = 'covered';
+    } else {
+      weekState = 'lived';
+    }
+    stats.weeks.push(weekState);
+
+    if (weekState === 'covered' || weekState === 'lived') {
+      stats.livedWeeks++;
+    }
+    if (weekState === 'covered') {
+      stats.coveredWeeks++;
+      streak++;
+      stats.longestStreak = Math.max(stats.longestStreak, streak);
+    } else {
+      streak = 0;
+    }
+  }
+
+  stats.photos.sort((a, b) => a.date.localeCompare(b.date));
+  stats.tags = Array.from(tagCounts, ([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  stats.moods = moodCounts;
+
+  let moodCount = moodCounts.reduce((sum, count) => sum + count, 0);
+  if (moodCount > 0) {
+    stats.averageMood = moodTotal / moodCount;
+  }
+
+  return stats;
+}
+
+/**
+ * pickCollagePhotos()
+ * Picks photos spread evenly over the year when there are too many
+ * @param {Object[]} photos - Every photo, in date order
+ * @returns {Object[]} - At most YEAR_REVIEW_MAX_PHOTOS photos
+ */
+function pickCollagePhotos(photos) {
+  if (photos.length <= YEAR_REVIEW_MAX_PHOTOS) return photos;
+  let picked = [];
+  for (let i = 0; i < YEAR_REVIEW_MAX_PHOTOS; i++) {
+    picked.push(photos[Math.floor(i * photos.length / YEAR_REVIEW_MAX_PHOTOS)]);
+  }
+  return picked;
+}
+
+/**
+ * YearReview Class
+ * The review page: its offscreen drawing, the collage images and the
+ * download / back controls
+ */
+class YearReview {
+  constructor() {
+    this.year = null;
+    this.buffer = null;          // p5.Graphics of YEAR_REVIEW_WIDTH x YEAR_REVIEW_HEIGHT
+    this.needsRebuild = true;
+    this.cacheKey = null;        // What the buffer was drawn from (see display())
+    this.builtForTags = null;    // Tag list the buffer was drawn with (colours can change)
+    this.images = new Map();     // Collage images by data URL: p5.Image, 'loading' or null if broken
+    this.controls = null;        // Download and back buttons (DOM)
+    this.controlsVisible = false;
+    this.fadeStartTime = null;   // millis() when the page was opened, for the fade-in
+    this.fadeDuration = 300;
+  }
+
+  /**
+   * setupListeners()
+   * Wires up the download and back buttons
+   */
+  setupListeners() {
+    this.controls = document.getElementById('year-review-controls');
+
+    let exportBtn = document.getElementById('year-review-export-btn');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.exportPng());
+    }
+
+    let backBtn = document.getElementById('year-review-back-btn');
+    if (backBtn) {
+      backBtn.addEventListener('click', () => showYearView(this.year));
+    }
+  }
+
+  /**
+   * setControlsVisible()
+   * Called every frame with whether the review page is showing
+   * @param {boolean} visible - True to show the controls
+   */
+  setControlsVisible(visible) {
+    if (!this.controls || visible === this.controlsVisible) return;
+    this.controlsVisible = visible;
+    this.controls.style.display = visible ? 'flex' : 'none';
+  }
+
+  /**
+   * open()
+   * Shows the review of a year, fading it in
+   * @param {number} year - The ISO year
+   */
+  open(year) {
+    if (year !== this.year) {
+      this.year = year;
+      this.invalidate();
+    }
+    this.fadeStartTime = getAnimationStartTime(this.fadeDuration);
+  }
+
+  /**
+   * invalidate()
+   * Marks the cached drawing as stale
+   */
+  invalidate() {
+    this.needsRebuild = true;
+  }
+
+  /**
+   * getImage()
+   * Starts loading a collage photo the first time it is asked for
+   * @param {string} imageData - The photo's data URL
+   * @returns {p5.Image|null} - The image, or null while loading or if broken
+   */
+  getImage(imageData) {
+    if (!this.images.has(imageData)) {
+      this.images.set(imageData, 'loading');
+      loadImage(imageData, (img) => {
+        this.images.set(imageData, img);
+        this.invalidate();
+      }, () => {
+        this.images.set(imageData, null);
+      });
+    }
+    let img = this.images.get(imageData);
+    return img === 'loading' ? null : img;
+  }
+
+  /**
+   * rebuild()
+   * Draws the whole review page into the offscreen buffer
+   * @param {Date} birthDate - User's birth date
+   * @param {Date} today - The current date
+   */
+  rebuild(birthDate, today) {
+    if (!this.buffer) {
+      this.buffer = createGraphics(YEAR_REVIEW_WIDTH, YEAR_REVIEW_HEIGHT);
+      this.buffer.pixelDensity(1);
+    }
+
+    let stats = computeYearReviewStats(this.year, birthDate, today);
+    let g = this.buffer;
+    let contentWidth = YEAR_REVIEW_WIDTH - YEAR_REVIEW_MARGIN * 2;
+
+    g.background(app.backgroundColour);
+    g.textFont('Inter');
+    g.noStroke();
+
+    // Title
+    g.fill(WEEK_COLOURS.memory);
+    g.textAlign(LEFT, TOP);
+    g.textStyle(BOLD);
+    g.textSize(56);
+    g.text(`${this.year} in review`, YEAR_REVIEW_MARGIN, YEAR_REVIEW_MARGIN);
+    g.textStyle(ITALIC);
+    g.textSize(22);
+    g.fill(WEEK_COLOURS.emptyPast);
+    g.text('Momentry', YEAR_REVIEW_MARGIN, YEAR_REVIEW_MARGIN + 72);
+
+    // Stat tiles
+    let coverage = stats.livedWeeks > 0 ? Math.round(stats.coveredWeeks / stats.livedWeeks * 100) : 0;
+    let tiles = [
+      { value: stats.memoryCount.toLocaleString(), label: stats.memoryCount === 1 ? 'memory' : 'memories' },
+      { value: `${stats.coveredWeeks}/${stats.livedWeeks}`, label: `weeks with memories (${coverage}%)` },
+      { value: String(stats.longestStreak), label: stats.longestStreak === 1 ? 'week longest streak' : 'weeks longest streak' },
+      { value: `${stats.goalsAchieved}/${stats.goalCount}`, label: 'goals achieved' }
+    ];
+    let tileGap = 20;
+    let tileWidth = (contentWidth - tileGap * (tiles.length - 1)) / tiles.length;
+    let tileTop = 180;
+    tiles.forEach((tile, i) => {
+      let x = YEAR_REVIEW_MARGIN + i * (tileWidth + tileGap);
+      this.drawPanel(x, tileTop, tileWidth, 140);
+      g.fill(WEEK_COLOURS.memory);
+      g.textAlign(CENTER, TOP);
+      g.textStyle(BOLD);
+      g.textSize(48);
+      g.text(tile.value, x + tileWidth / 2, tileTop + 24);
+      g.textStyle(NORMAL);
+      g.textSize(18);
+      g.text(tile.label, x + 10, tileTop + 88, tileWidth - 20);
+    });
+
+    // Coverage strip, one dot per week
+    let stripTop = 360;
+    this.drawSectionTitle('Weeks with memories', stripTop);
+    let cell = contentWidth / LIFE_VIEW_COLUMNS;
+    g.stroke(WEEK_COLOURS.border);
+    g.strokeWeight(0.5);
+    stats.weeks.forEach(function(weekState, weekIndex) {
+      if (weekState === 'beforeBirth') return;
+      let colours = { covered: WEEK_COLOURS.memory, lived: WEEK_COLOURS.emptyPast, future: WEEK_COLOURS.empty };
+      g.fill(colours[weekState]);
+      g.circle(YEAR_REVIEW_MARGIN + weekIndex * cell + cell / 2, stripTop + 56, cell * 0.78);
+    });
+    g.noStroke();
+
+    // Photo collage
+    let collageTop = 460;
+    this.drawSectionTitle(stats.photos.length > 0 ? `Photos (${stats.photos.length})` : 'Photos', collageTop);
+    this.drawCollage(pickCollagePhotos(stats.photos), collageTop + 44, contentWidth);
+
+    // Tag and mood breakdowns side by side
+    let breakdownTop = 900;
+    let columnGap = 40;
+    let columnWidth = (contentWidth - columnGap) / 2;
+    let tagBars = stats.tags.slice(0, YEAR_REVIEW_MAX_TAGS).map(tag => ({
+      label: `#${tag.name}`, count: tag.count, colour: getTagColour(tag.name)
+    }));
+    let moodBars = stats.moods.map((count, i) => ({
+      label: `${getMoodEmoji(i + MOOD_MIN)} ${getMoodLabel(i + MOOD_MIN)}`, count: count, colour: MOOD_COLOURS[i]
+    })).reverse();
+    let hasMoods = stats.averageMood !== null;
+
+    this.drawSectionTitle('Tags', breakdownTop);
+    this.drawBars(tagBars, YEAR_REVIEW_MARGIN, breakdownTop + 44, columnWidth, 'No tags this year');
+
+    let moodX = YEAR_REVIEW_MARGIN + columnWidth + columnGap;
+    this.drawSectionTitle(hasMoods ? `Moods · average ${getMoodLabel(Math.round(stats.averageMood)).toLowerCase()}` : 'Moods', breakdownTop, moodX);
+    this.drawBars(hasMoods ? moodBars : [], moodX, breakdownTop + 44, columnWidth, 'No moods this year');
+
+    // Footer
+    g.fill(WEEK_COLOURS.emptyPast);
+    g.textAlign(CENTER, BOTTOM);
+    g.textStyle(ITALIC);
+    g.textSize(18);
+    g.text(`Made with Momentry · ${formatDateForDisplay(formatDateForInput(today))}`, YEAR_REVIEW_WIDTH / 2, YEAR_REVIEW_HEIGHT - 40);
+
+    this.builtForTags = getTags();
+    this.needsRebuild = false;
+  }
+
+  /**
+   * drawPanel()
+   * Draws a white rounded panel behind a tile or photo
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} w - Width
+   * @param {number} h - Height
+   */
+  drawPanel(x, y, w, h) {
+    let g = this.buffer;
+    g.stroke(WEEK_COLOURS.emptyPast);
+    g.strokeWeight(1);
+    g.fill(YEAR_REVIEW_PANEL_COLOUR);
+    g.rect(x, y, w, h, 12);
+    g.noStroke();
+  }
+
+  /**
+   * drawSectionTitle()
+   * @param {string} title - Section heading
+   * @param {number} y - Top edge
+   * @param {number} [x] - Left edge (defaults to the page margin)
+   */
+  drawSectionTitle(title, y, x = YEAR_REVIEW_MARGIN) {
+    let g = this.buffer;
+    g.fill(WEEK_COLOURS.memory);
+    g.textAlign(LEFT, TOP);
+    g.textStyle(BOLD);
+    g.textSize(26);
+    g.text(title, x, y);
+  }
+
+  /**
+   * drawCollage()
+   * Draws up to 8 photos in a 4 x 2 grid, cropped to fill their cells
+   * @param {Object[]} photos - { imageData, caption, date }
+   * @param {number} top - Top edge of the grid
+   * @param {number} gridWidth - Width of the grid
+   */
+  drawCollage(photos, top, gridWidth) {
+    let g = this.buffer;
+    let gap = 12;
+    let columns = 4;
+    let cellWidth = (gridWidth - gap * (columns - 1)) / columns;
+    let cellHeight = cellWidth * 0.75;
+
+    if (photos.length === 0) {
+      g.fill(WEEK_COLOURS.emptyPast);
+      g.textAlign(LEFT, TOP);
+      g.textStyle(ITALIC);
+      g.textSize(20);
+      g.text('No photos this year', YEAR_REVIEW_MARGIN, top);
+      return;
+    }
+
+    photos.forEach((photo, i) => {
+      let x = YEAR_REVIEW_MARGIN + (i % columns) * (cellWidth + gap);
+      let y = top + Math.floor(i / columns) * (cellHeight + gap);
+      this.drawPanel(x, y, cellWidth, cellHeight);
+
+      let img = this.getImage(photo.imageData);
+      if (!img || img.width === 0 || img.height === 0) return;
+
+      // Crop the middle of the photo to the cell's shape
+      let scale = Math.max(cellWidth / img.width, cellHeight / img.height);
+      let sw = cellWidth / scale;
+      let sh = cellHeight / scale;
+      g.image(img, x, y, cellWidth, cellHeight, (img.width - sw) / 2, (img.height - sh) / 2, sw, sh);
+    });
+  }
+
+  /**
+   * drawBars()
+   * Draws a small horizontal bar chart
+   * @param {Object[]} bars - { label, count, colour }
+   * @param {number} x - Left edge
+   * @param {number} top - Top edge
+   * @param {number} w - Width of the chart
+   * @param {string} emptyText - Shown instead when there are no bars
+   */
+  drawBars(bars, x, top, w, emptyText) {
+    let g = this.buffer;
+    g.textSize(20);
+
+    if (bars.length === 0) {
+      g.fill(WEEK_COLOURS.emptyPast);
+      g.textAlign(LEFT, TOP);
+      g.textStyle(ITALIC);
+      g.text(emptyText, x, top);
+      return;
+    }
+
+    let labelWidth = 160;
+    let countWidth = 44;
+    let barHeight = 26;
+    let rowHeight = 40;
+    let trackWidth = w - labelWidth - countWidth;
+    let maxCount = Math.max(1, ...bars.map(bar => bar.count));
+
+    bars.forEach(function(bar, i) {
+      let y = top + i * rowHeight;
+      g.fill(WEEK_COLOURS.memory);
+      g.textStyle(NORMAL);
+      g.textAlign(LEFT, CENTER);
+      g.text(bar.label, x, y + barHeight / 2);
+
+      g.fill(WEEK_COLOURS.empty);
+      g.rect(x + labelWidth, y, trackWidth, barHeight, 6);
+      if (bar.count > 0) {
+        g.fill(bar.colour);
+        g.rect(x + labelWidth, y, Math.max(barHeight / 2, trackWidth * bar.count / maxCount), barHeight, 6);
+      }
+
+      g.fill(WEEK_COLOURS.memory);
+      g.textAlign(RIGHT, CENTER);
+      g.text(bar.count, x + w, y + barHeight / 2);
+    });
+  }
+
+  /**
+   * display()
+   * Draws the review page scaled to fit below the header
+   * @param {Date} birthDate - User's birth date
+   * @param {Date} today - The current date (passed from draw())
+   * @param {number} alpha - Opacity (0-255) for the main page fade-in
+   */
+  display(birthDate, today, alpha = 255) {
+    if (!birthDate || this.year === null) return;
+
+    let cacheKey = [getDataRevision(), this.year, formatDateForInput(today), birthDate.getTime(), getDateLocale()].join('|');
+    if (this.needsRebuild || cacheKey !== this.cacheKey || this.builtForTags !== getTags()) {
+      this.cacheKey = cacheKey;
+      this.rebuild(birthDate, today);
+    }
+
+    // Combine the main page fade-in with the page switch fade-in
+    if (this.fadeStartTime !== null) {
+      let fadeAlpha = map(millis() - this.fadeStartTime, 0, this.fadeDuration, 0, 255, true);
+      alpha = Math.min(alpha, fadeAlpha);
+      if (fadeAlpha >= 255) {
+        this.fadeStartTime = null;
+      }
+    }
+
+    // Same header space as the life view, and room for the controls at the bottom
+    let top = windowWidth < 600 ? 80 : windowWidth < 900 ? 110 : 150;
+    let bottom = windowWidth < 600 ? 60 : 80;
+    let availableWidth = width - (windowWidth < 600 ? 20 : 80);
+    let scale = Math.min(availableWidth / YEAR_REVIEW_WIDTH, (height - top - bottom) / YEAR_REVIEW_HEIGHT);
+    let w = YEAR_REVIEW_WIDTH * scale;
+    let h = YEAR_REVIEW_HEIGHT * scale;
+
+    push();
+    drawingContext.globalAlpha = alpha / 255;
+    image(this.buffer, (width - w) / 2, top, w, h);
+    pop();
+  }
+
+  /**
+   * exportPng()
+   * Downloads the review page at full size
+   */
+  exportPng() {
+    if (!this.buffer || this.year === null) return;
+    saveCanvas(this.buffer, `momentry-${this.year}-in-review`, 'png');
+  }
+}
@@ -25,6 +25,11 @@ class App {
     // Week and year navigation
     this.currentWeekIndex = null;
     this.currentDisplayYear = null;
+    this.viewMode = 'year';               // 'year' (one year's honeycomb), 'life' (every week of life) or 'review' (year in review)
+    this.lifeView = null;
+    this.yearReview = null;
+    this.yearHeaderBounds = null;         // Clickable year text in the header (opens the year in review)
+    this.yearHeaderHovered = false;
     
     // Birth date and age calculation
     this.birthDate = null;
@@ -32,10 +37,12 @@ class App {
     this.weeksLived = 0;
     this.showStartingPage = true;
     this.startingPage = null;
+    this.storageReady = false;            // Set once initStorage() has loaded saved data
     
-    // Mouse trail and goal countdown
+    // Mouse trail, goal countdown and "On this day" panel
     this.mouseTrail = null;
     this.goalCountdown = null;
+    this.onThisDay = null;
     
     // Rain particles for soulful background effect
     this.rainParticles = [];
@@ -68,6 +75,7 @@ class App {
     
     // Cached DOM elements (to avoid querying every frame)
     this.cachedHomeBtn = null;
+    this.cachedMainPageBtns = [];    // Buttons only shown on the main page (home, backup, ...)
     this.cachedModal = null;
     this.cachedCanvas = null;
     this.cachedModalOpen = false;
@@ -88,13 +96,13 @@ class App {
     
     // Mouse press tracking to prevent drag-onto-element behavior
     this.mousePressTarget = null; // Stores what was pressed: 'circle', 'goal', or null
-    this.mousePressTargetId = null; // Stores the specific ID (week.id or goal memoryId) for matching
+    this.mousePressTargetId = null; // Stores the specific ID (week.id or goal card key) for matching
   }
   
   /**
    * getWeeksSinceBirth()
    * Calculates weeks since birth for a given week index and year
-   * @param {number} weekIndex - The week index (0-51)
+   * @param {number} weekIndex - The week index (0-52)
    * @param {number} year - The year to calculate for
    * @param {Date} [providedBirthDate] - Optional birth date (uses this.birthDate if not provided)
    * @returns {number} - Weeks since birth
@@ -133,6 +141,11 @@ class App {
    * @param {number} year - The year to refresh data for
    */
   refreshCircleData(year) {
+    // The life view shows every year, so it always needs redrawing
+    if (this.lifeView) {
+      this.lifeView.invalidate();
+    }
+    
     // Only refresh if we're viewing the same year
     if (year !== this.currentDisplayYear) {
       return;
@@ -181,23 +194,43 @@ function calculateAgeAndWeeks() {
 
 /**
  * getParticleCountForWidth()
- * Returns the appropriate particle count based on window width using discrete thresholds
+ * Returns the appropriate particle count based on window width using discrete
+ * thresholds, scaled by the particle density setting (see SettingsPanel.js)
  * @param {number} width - Current window width
  * @returns {number} - Particle count for this width
  */
 function getParticleCountForWidth(width) {
   // Discrete thresholds for particle scaling
   // Only recreates when crossing these breakpoints
+  let count;
   if (width < 600) {
-    return 500;   // Mobile
+    count = 500;   // Mobile
   } else if (width < 800) {
-    return 1000;  // Small tablet
+    count = 1000;  // Small tablet
   } else if (width < 1000) {
-    return 1500;  // Large tablet
+    count = 1500;  // Large tablet
   } else if (width < 1200) {
-    return 2000;  // Small desktop
+    count = 2000;  // Small desktop
   } else {
-    return 2500;  // Large desktop
+    count = 2500;  // Large desktop
+  }
+  return Math.round(count * PARTICLE_DENSITIES[getParticleDensity()]);
+}
+
+/**
+ * updateRainParticles()
+ * Recreates the rain particles when the window width crosses a threshold or
+ * the particle density changes
+ */
+function updateRainParticles() {
+  let targetParticles = getParticleCountForWidth(windowWidth);
+  // Only recreate particles if the count has changed
+  if (app.currentParticleCount !== targetParticles) {
+    app.rainParticles = [];
+    for (let i = 0; i < targetParticles; i++) {
+      app.rainParticles.push(new RainParticle());
+    }
+    app.currentParticleCount = targetParticles; // Update tracked count
   }
 }
 
@@ -247,18 +280,15 @@ function setup() {
   // Initialize starting page
   app.startingPage = new StartingPage();
   
-  // Check if birth date already exists
-  if (StartingPage.checkIfBirthDateExists()) {
-    // Birth date exists - skip intro and go directly to transition
-    app.birthDate = StartingPage.getSavedBirthDate();
-    calculateAgeAndWeeks();
-    // Start transition immediately
-    app.startingPage.startTransitionFromExisting();
-    app.showStartingPage = true; // Still show starting page to display transition
-  } else {
-    // No birth date - show intro sequence
-    app.showStartingPage = true;
-  }
+  // --- Profile Button and Modal Setup --- (From Profiles.js)
+  // Set up first: with several profiles, the profile to open is asked for before any data loads
+  profileManager.setupListeners();
+  
+  // Saved data loads asynchronously (IndexedDB), so the birth date check
+  // waits for it. draw() shows a blank intro screen until storage is ready.
+  profileManager.chooseAtStartup()
+    .then(() => initStorage(profileManager.getActiveNamespace()))
+    .then(startFromStoredData);
 
   // --- Audio Setup ---
   app.osc = new p5.Oscillator("sine");
@@ -273,12 +303,8 @@ function setup() {
   audioManager.startBackgroundMusic();
   
   // --- Modal Event Listeners --- (From ModalManager.js)
+  // (modalManager receives the birthDate once storage has loaded it)
   modalManager.setupListeners();
-  
-  // Initialize modalManager with birthDate (will be set when birthDate is available)
-  if (app.birthDate) {
-    modalManager.setBirthDate(app.birthDate);
-  }
   modalManager.setRefreshCallback(app.refreshCircleData.bind(app));
   
   // --- Music Toggle Button Setup ---
@@ -299,9 +325,81 @@ function setup() {
     });
   }
   
+  // Cache buttons that are only shown on the main page
+  app.cachedMainPageBtns = Array.from(document.querySelectorAll('.main-page-btn'));
+  
   // Cache modal element
   app.cachedModal = document.getElementById('entry-modal');
   
+  // --- Backup Button and Modal Setup --- (From BackupManager.js)
+  backupManager.setupListeners();
+  
+  // --- Printable Journal Setup --- (From JournalExport.js)
+  journalExport.setupListeners();
+  
+  // --- Vault Unlock and Settings Modal Setup --- (From Vault.js)
+  vaultManager.setupListeners();
+  
+  // --- Storage Warning and Modal Setup --- (From StorageHealth.js)
+  storageHealth.setupListeners();
+  
+  // --- Goal Countdown Settings Modal Setup --- (From GoalCountdown.js)
+  goalCountdownSettings.setupListeners();
+  
+  // --- Goal Review Modal Setup --- (From GoalReview.js)
+  goalReview.setupListeners();
+  
+  // --- Search Button and Panel Setup --- (From SearchPanel.js)
+  searchPanel.setupListeners();
+  
+  // --- Tag Filter Button and Panel Setup --- (From TagManager.js)
+  tagFilter.setupListeners();
+  
+  // --- Image Lightbox Setup --- (From ImageLightbox.js)
+  imageLightbox.setupListeners();
+  
+  // --- Week Reflection Section and Rating Shading Setup --- (From WeekReflection.js)
+  weekReflection.setupListeners();
+  
+  // --- Mood Heatmap Toggle and Legend Setup --- (From MoodHeatmap.js)
+  moodHeatmap.setupListeners();
+  
+  // --- Recurring Goal and Anniversary Modal Setup --- (From RecurringEntries.js)
+  recurringPanel.setupListeners();
+  
+  // --- Offline Support and Update Banner Setup --- (From ServiceWorkerManager.js)
+  serviceWorkerManager.setupListeners();
+  
+  // --- Weekly Reminder Button and Modal Setup --- (From WeeklyReminder.js)
+  weeklyReminder.setupListeners();
+  
+  // --- Settings Button and Modal Setup --- (From SettingsPanel.js)
+  settingsPanel.setupListeners();
+  
+  // --- Life View Button and Controls Setup --- (From LifeView.js)
+  app.lifeView = new LifeView();
+  app.lifeView.setupListeners();
+  let lifeViewBtn = document.getElementById('life-view-btn');
+  if (lifeViewBtn) {
+    lifeViewBtn.addEventListener('click', function() {
+      if (app.viewMode === 'life') {
+        showYearView(app.currentDisplayYear);
+      } else {
+        showLifeView();
+      }
+    });
+  }
+  
+  // --- Year in Review Controls Setup --- (From YearReview.js)
+  app.yearReview = new YearReview();
+  app.yearReview.setupListeners();
+  
+  // --- Poster Modal Setup --- (From PosterExport.js)
+  posterExport.setupListeners();
+
+  // --- Entry Drag and Drop Setup --- (From EntryDrag.js)
+  entryDrag.setupListeners();
+  
   // --- Year Navigation Buttons Setup ---
   let yearPrevBtn = document.getElementById('year-prev-btn');
   if (yearPrevBtn) {
@@ -321,17 +419,16 @@ function setup() {
   app.mouseTrail = new MouseTrail();
   app.mouseTrail.initialize();
 
-  // Initialize goal countdown
+  // Initialize goal countdown and the "On this day" panel
   app.goalCountdown = new GoalCountdown();
+  app.onThisDay = new OnThisDay();
   
   // Initialize rain particles - create a few hundred for subtle background effect
   // Use fewer particles on mobile for better performance, scaling up with screen size
+  // (recreated with the profile's particle density once its settings have loaded)
   app.rainParticles = [];
-  let numParticles = getParticleCountForWidth(windowWidth);
-  app.currentParticleCount = numParticles; // Track initial count
-  for (let i = 0; i < numParticles; i++) {
-    app.rainParticles.push(new RainParticle());
-  }
+  app.currentParticleCount = 0;
+  updateRainParticles();
 }
 
 /**
@@ -339,22 +436,29 @@ function setup() {
  * Runs 60 times per second.
  */
 function draw() {
+  // Nothing to show until saved data (including the birth date) has loaded
+  if (!app.storageReady) {
+    background(app.startingPage.introBackgroundColor);
+    return;
+  }
+  
   // Background is set by StartingPage during intro, or by backgroundColour in main app
   if (!app.showStartingPage) {
     background(app.backgroundColour);
     
     // Draw rain particles first (behind everything else)
-    // Apply fade-in alpha if active
+    // Apply fade-in alpha if active; there is no rain with reduced motion
+    let rainParticles = isReducedMotion() ? [] : app.rainParticles;
     if (app.mainPageFadeIn.active) {
       push();
       drawingContext.globalAlpha = app.mainPageFadeIn.alpha / 255;
-      for (let particle of app.rainParticles) {
+      for (let particle of rainParticles) {
         particle.update();
         particle.display();
       }
       pop();
     } else {
-      for (let particle of app.rainParticles) {
+      for (let particle of rainParticles) {
         particle.update();
         particle.display();
       }
@@ -370,7 +474,11 @@ function draw() {
     app.startingPage.display();
     
     // Check if intro sequence is complete
-    if (app.startingPage.isComplete()) {
+    if (app.startingPage.isComplete() && isVaultLocked()) {
+      // Encrypted data needs the passphrase before the main page can show it
+      background(app.startingPage.mainBackgroundColor);
+      vaultManager.showUnlockPrompt();
+    } else if (app.startingPage.isComplete()) {
       // Transition complete, initialize main app
       app.birthDate = StartingPage.getSavedBirthDate();
       if (app.birthDate) {
@@ -383,7 +491,7 @@ function draw() {
         // Start fade-in animation
         app.mainPageFadeIn.active = true;
         app.mainPageFadeIn.alpha = 0;
-        app.mainPageFadeIn.startTime = millis();
+        app.mainPageFadeIn.startTime = getAnimationStartTime(app.mainPageFadeIn.duration);
       }
     }
     
@@ -391,19 +499,15 @@ function draw() {
     if (app.mouseTrail) {
       app.mouseTrail.display(app.showStartingPage);
     }
-    // Hide home button and navigation buttons on starting page
-    if (app.cachedHomeBtn) {
-      app.cachedHomeBtn.style.display = 'none';
-    }
+    // Hide home/backup buttons and navigation buttons on starting page
+    setMainPageButtonsVisible(false);
     // Navigation buttons hidden on starting page
     updateNavigationButtons();
     return;
   }
   
-  // Show home button when not on starting page
-  if (app.cachedHomeBtn) {
-    app.cachedHomeBtn.style.display = 'flex';
-  }
+  // Show home/backup buttons when not on starting page
+  setMainPageButtonsVisible(true);
   
   // Update navigation buttons visibility
   updateNavigationButtons();
@@ -423,6 +527,12 @@ function draw() {
 
   // Create today date once per frame (used by multiple components)
   let today = new Date();
+  
+  // Open the current week if a reminder was clicked, otherwise ask about
+  // goals whose week has passed (once per day, never over another modal)
+  if (!modalOpen && !weeklyReminder.openPendingWeek()) {
+    goalReview.update(today);
+  }
 
   // Cache interaction coordinates once per frame (avoid checking touches.length 52 times)
   // This is a performance optimization for mobile browsers
@@ -439,8 +549,45 @@ function draw() {
     interactionY = mouseY;
   }
 
+  // The life view replaces the yearly grid (and the goal cards, which would cover it)
+  if (app.viewMode === 'life') {
+    if (!modalOpen) {
+      app.lifeView.checkHover(interactionX, interactionY);
+    } else {
+      app.lifeView.hoveredYear = null;
+    }
+    
+    updateMainPageFadeIn();
+    let lifeViewAlpha = app.mainPageFadeIn.active ? app.mainPageFadeIn.alpha : 255;
+    app.lifeView.display(app.birthDate, today, lifeViewAlpha);
+    
+    if (app.mouseTrail) {
+      app.mouseTrail.display(app.showStartingPage);
+    }
+    return;
+  }
+
+  // The year in review replaces the grid in the same way
+  if (app.viewMode === 'review') {
+    updateMainPageFadeIn();
+    let reviewAlpha = app.mainPageFadeIn.active ? app.mainPageFadeIn.alpha : 255;
+    app.yearReview.display(app.birthDate, today, reviewAlpha);
+    
+    if (app.mouseTrail) {
+      app.mouseTrail.display(app.showStartingPage);
+    }
+    return;
+  }
+
+  // A dragged entry hovers the week under it (the modal it came from closed as the drag began)
+  let draggingEntry = entryDrag.isDragging();
+  if (draggingEntry) {
+    interactionX = entryDrag.x;
+    interactionY = entryDrag.y;
+  }
+
   // Only check hover states if modal is NOT open and NOT transitioning
-  if (!modalOpen && !app.yearTransition.active) {
+  if ((!modalOpen || draggingEntry) && !app.yearTransition.active) {
     for (let week of app.weeks) {
       week.checkHover(interactionX, interactionY);
     }
@@ -489,24 +636,100 @@ function draw() {
       app.goalCountdown.display();
     }
   }
+  
+  // Past memories from this week (drawn after the goal countdown, which it avoids on phones)
+  if (!app.showStartingPage && app.onThisDay && app.birthDate) {
+    app.onThisDay.update(app.birthDate, today);
+    let goalPanelTop = app.goalCountdown ? app.goalCountdown.panelTop : null;
+    if (app.mainPageFadeIn.active) {
+      push();
+      drawingContext.globalAlpha = app.mainPageFadeIn.alpha / 255;
+      app.onThisDay.display(goalPanelTop);
+      pop();
+    } else {
+      app.onThisDay.display(goalPanelTop);
+    }
+  }
+}
+
+/**
+ * setMainPageButtonsVisible()
+ * Shows or hides the buttons that only belong on the main page
+ * @param {boolean} visible - True to show the buttons
+ */
+function setMainPageButtonsVisible(visible) {
+  for (let btn of app.cachedMainPageBtns) {
+    btn.style.display = visible ? 'flex' : 'none';
+  }
+  // The storage warning is only shown when needed, but also only on the main page
+  storageHealth.setWarningAllowed(visible);
+  // Profiles are switched from the starting page
+  profileManager.setStartingButtonVisible(!visible);
+  if (app.lifeView) {
+    app.lifeView.setControlsVisible(visible && app.viewMode === 'life');
+  }
+  if (app.yearReview) {
+    app.yearReview.setControlsVisible(visible && app.viewMode === 'review');
+  }
+  // The tag filter only applies to the year grid
+  tagFilter.setPanelAllowed(visible && app.viewMode === 'year');
+  // The mood legend explains the heatmap colours in both grid views
+  moodHeatmap.setLegendAllowed(visible && app.viewMode !== 'review');
+}
+
+/**
+ * setWeekColourMode()
+ * Switches how weeks are coloured (by entries, rating or mood) and updates
+ * the toggles and the life view to match
+ * @param {string} mode - One of the WEEK_COLOUR_MODE_* values (see WeekCircle.js)
+ */
+function setWeekColourMode(mode) {
+  setSetting(WEEK_COLOUR_MODE_SETTING_KEY, mode).catch(function(error) {
+    console.error('Error saving week colour mode:', error);
+  });
+  weekReflection.updateShadeButton();
+  moodHeatmap.updateToggle();
+  if (app.lifeView) {
+    app.lifeView.invalidate();
+  }
+}
+
+/**
+ * applyTagFilterToWeeks()
+ * Updates every week circle after the tag filter (or a tag colour) changed
+ */
+function applyTagFilterToWeeks() {
+  for (let week of app.weeks) {
+    week.tagHighlight = tagFilter.getHighlight(week.data);
+  }
+}
+
+/**
+ * applyRecurringToWeeks()
+ * Updates every week circle after a recurring goal or anniversary changed
+ */
+function applyRecurringToWeeks() {
+  for (let week of app.weeks) {
+    week.recurringCount = WeekCircle.getRecurringCount(week.id, app.currentDisplayYear);
+  }
 }
 
 /**
  * isModalOpen()
- * Checks if the modal is currently open (cached, only checks periodically)
- * @returns {boolean} - True if modal is open
+ * Checks if the entry modal or any secondary .app-modal is currently open
+ * (cached, only checks periodically)
+ * @returns {boolean} - True if a modal is open
  */
 function isModalOpen() {
   // Only check modal state periodically to avoid DOM queries every frame
   let now = millis();
   if (now - app.lastModalCheck > app.MODAL_CHECK_INTERVAL) {
-    if (app.cachedModal) {
-      app.cachedModalOpen = app.cachedModal.classList.contains('show');
-    } else {
+    if (!app.cachedModal) {
       // Fallback if cached modal is null
       app.cachedModal = document.getElementById('entry-modal');
-      app.cachedModalOpen = app.cachedModal && app.cachedModal.classList.contains('show');
     }
+    app.cachedModalOpen = Boolean((app.cachedModal && app.cachedModal.classList.contains('show')) ||
+                                  document.querySelector('.app-modal.show'));
     app.lastModalCheck = now;
   }
   return app.cachedModalOpen;
@@ -604,7 +827,7 @@ function isClickOnCircle(week, x, y) {
  * Identifies what interactive element (if any) is at the given position
  * @param {number} x - X coordinate
  * @param {number} y - Y coordinate
- * @returns {Object|null} - {type: 'circle', id: week.id} or {type: 'goal', id: goal.memoryId} or null
+ * @returns {Object|null} - {type: 'circle', id: week.id}, {type: 'goal', id: goal.goalKey}, {type: 'year-header', id: year} or null
  */
 function identifyElementAtPosition(x, y) {
   // Skip if modal is open or on starting page
@@ -617,11 +840,38 @@ function identifyElementAtPosition(x, y) {
     return null;
   }
   
-  // Check if a goal countdown card was clicked
+  // In the life view only the year rows are interactive
+  if (app.viewMode === 'life') {
+    let year = app.lifeView.getYearAt(x, y);
+    return year !== null ? { type: 'year', id: year } : null;
+  }
+  
+  // The review page is only controlled by its buttons
+  if (app.viewMode === 'review') {
+    return null;
+  }
+  
+  // Check if the year in the header was clicked
+  if (isOverYearHeader(x, y)) {
+    return { type: 'year-header', id: app.currentDisplayYear };
+  }
+  
+  // Check if a goal countdown card (or its settings button) was clicked
   if (app.goalCountdown) {
+    if (app.goalCountdown.checkSettingsClick(x, y)) {
+      return { type: 'goal-settings', id: null };
+    }
     let clickedGoal = app.goalCountdown.checkClick(x, y);
     if (clickedGoal) {
-      return { type: 'goal', id: clickedGoal.memoryId };
+      return { type: 'goal', id: clickedGoal.goalKey };
+    }
+  }
+  
+  // Check if an "On this day" card was clicked
+  if (app.onThisDay) {
+    let clickedCard = app.onThisDay.checkClick(x, y);
+    if (clickedCard) {
+      return { type: 'on-this-day', id: clickedCard.key };
     }
   }
   
@@ -644,6 +894,9 @@ function identifyElementAtPosition(x, y) {
  * @param {number} y - Y coordinate
  */
 function handleInteraction(x, y) {
+  // Ignore clicks until saved data has loaded
+  if (!app.storageReady) return;
+  
   // Skip click processing if modal is open
   if (isModalOpen()) return;
   
@@ -660,31 +913,53 @@ function handleInteraction(x, y) {
   userStartAudio();
   audioManager.startBackgroundMusic();
   
+  // Clicking a year row in the life view drills into that year
+  if (app.viewMode === 'life') {
+    let year = app.lifeView.getYearAt(x, y);
+    if (year !== null) {
+      showYearView(year);
+    }
+    return;
+  }
+  
+  if (app.viewMode === 'review') return;
+  
+  // Clicking the year in the header opens its review
+  if (isOverYearHeader(x, y)) {
+    showYearReview(app.currentDisplayYear);
+    return;
+  }
+  
   // Check if a goal countdown card was clicked
   if (app.goalCountdown) {
+    if (app.goalCountdown.checkSettingsClick(x, y)) {
+      goalCountdownSettings.open();
+      return;
+    }
     let clickedGoal = app.goalCountdown.checkClick(x, y);
+    if (clickedGoal && clickedGoal.occurrence) {
+      // Recurring goals and anniversaries open in their own modal
+      recurringPanel.openOccurrence(clickedGoal.occurrence.entryId, clickedGoal.occurrence.occurrenceDate);
+      return;
+    }
     if (clickedGoal) {
       // Open the memory in view mode
-      if (typeof viewMemory === 'function' && clickedGoal.weeksSinceBirth !== undefined && clickedGoal.memoryId) {
-        // Set the selected week to open the modal
-        modalManager.selectedWeeksSinceBirth = clickedGoal.weeksSinceBirth;
-        // Show the modal
-        let modal = document.getElementById('entry-modal');
-        if (modal) {
-          modal.style.display = 'flex';
-          modal.classList.add('show');
-          // Disable canvas interaction
-          if (app.cachedCanvas) {
-            app.cachedCanvas.style.pointerEvents = 'none';
-          }
-        }
-        // View the specific memory
-        viewMemory(clickedGoal.weeksSinceBirth, clickedGoal.memoryId);
+      if (clickedGoal.weeksSinceBirth !== undefined && clickedGoal.memoryId) {
+        openMemoryView(clickedGoal.weeksSinceBirth, clickedGoal.memoryId);
         return; // Skip circle click detection
       }
     }
   }
   
+  // Check if an "On this day" card was clicked - open the memory in view mode
+  if (app.onThisDay) {
+    let clickedCard = app.onThisDay.checkClick(x, y);
+    if (clickedCard) {
+      openMemoryView(clickedCard.weeksSinceBirth, clickedCard.memoryId);
+      return;
+    }
+  }
+  
   // Check which circle was clicked
   for (let week of app.weeks) {
     if (week.isBeforeBirth) continue;
@@ -1019,18 +1294,14 @@ function showWeekModal(week) {
   }
   
   // Set modal title based on week type
-  let currentYear = new Date().getFullYear();
-  let isFutureWeek = (yearWeekInfo.year > currentYear) || 
-                     (yearWeekInfo.year === currentYear && yearWeekInfo.weekIndex > app.currentWeekIndex);
-  
-  // Display week number within the year (1-52)
-  modalTitle.textContent = isFutureWeek 
-    ? `Week ${yearWeekInfo.weekIndex + 1} - Goals`
-    : `Week ${yearWeekInfo.weekIndex + 1} - Memories`;
+  updateWeekModalTitle(yearWeekInfo);
   
   // Reset editing state
   modalManager.editingMemoryId = null;
   
+  // New entries default to goals in future weeks and memories otherwise
+  applyDefaultEntryType();
+  
   // Update save button text
   let saveBtn = document.getElementById('modal-save-btn');
   if (saveBtn) {
@@ -1043,6 +1314,9 @@ function showWeekModal(week) {
   // Display existing memories list (using weeks since birth)
   displayMemoriesList(week.weeksSinceBirth);
   
+  // Show the week's reflection above its entries
+  weekReflection.show(week.weeksSinceBirth);
+  
   // Clear all hover states before showing modal
   clearAllHoverStates();
   
@@ -1061,6 +1335,64 @@ function showWeekModal(week) {
   showModal(modal, textInput);
 }
 
+/**
+ * updateWeekModalTitle()
+ * Sets the entry modal title for a week, e.g. "Week 12 - Memories"
+ * @param {Object} yearWeekInfo - Object with year and weekIndex
+ */
+function updateWeekModalTitle(yearWeekInfo) {
+  let modalTitle = document.getElementById('modal-title');
+  if (!modalTitle) return;
+  
+  // Compare against the ISO week of today (app.currentWeekIndex is -1 outside the current year)
+  let todayInfo = getISOWeekNumber(new Date());
+  let currentYear = todayInfo.year;
+  let currentWeekIndex = todayInfo.weekNumber - 1;
+  let isFutureWeek = (yearWeekInfo.year > currentYear) || 
+                     (yearWeekInfo.year === currentYear && yearWeekInfo.weekIndex > currentWeekIndex);
+  
+  let isCurrentWeek = (yearWeekInfo.year === currentYear && yearWeekInfo.weekIndex === currentWeekIndex);
+  
+  // Display week number within the year (1-53)
+  // The current week can hold both memories and goals
+  let weekLabel = isFutureWeek ? 'Goals' : isCurrentWeek ? 'Memories & Goals' : 'Memories';
+  modalTitle.textContent = `Week ${yearWeekInfo.weekIndex + 1} - ${weekLabel}`;
+}
+
+/**
+ * openMemoryView()
+ * Opens the entry modal straight into view mode for one entry
+ * (used by the goal cards, the "On this day" cards and search results).
+ * Closing the view shows the rest of that week's entries.
+ * @param {number} weeksSinceBirth - The entry's week
+ * @param {string} memoryId - The ID of the entry
+ */
+function openMemoryView(weeksSinceBirth, memoryId) {
+  let yearWeekInfo = getYearAndWeekIndexFromWeeksSinceBirth(weeksSinceBirth, app.birthDate);
+  if (!yearWeekInfo) return;
+  
+  // Set the selected week to open the modal
+  modalManager.selectedWeeksSinceBirth = weeksSinceBirth;
+  updateWeekModalTitle(yearWeekInfo);
+  setupDateInput(yearWeekInfo);
+  weekReflection.show(weeksSinceBirth); // Shown with the list once the view closes
+  
+  // Show the modal
+  let modal = document.getElementById('entry-modal');
+  if (modal) {
+    modal.style.display = 'flex';
+    modal.classList.add('show');
+    clearAllHoverStates();
+    // Disable canvas interaction
+    if (app.cachedCanvas) {
+      app.cachedCanvas.style.pointerEvents = 'none';
+    }
+  }
+  
+  // View the specific memory
+  viewMemory(weeksSinceBirth, memoryId);
+}
+
 /**
  * setupDateInput()
  * Sets up the date input field with min/max and default value
@@ -1139,11 +1471,13 @@ function returnToHome() {
   // Clear the weeks array
   app.weeks = [];
   
-  // Reset state variables (but keep birth date in localStorage)
+  // Reset state variables (but keep the saved birth date)
   app.birthDate = null;
   app.userAge = 0;
   app.weeksLived = 0;
   app.showStartingPage = true;
+  app.viewMode = 'year';
+  updateLifeViewButton();
   
   // Reset fade-in state
   app.mainPageFadeIn.active = false;
@@ -1154,6 +1488,194 @@ function returnToHome() {
   app.startingPage = new StartingPage();
 }
 
+/**
+ * startFromStoredData()
+ * Called once a profile's data has loaded (at startup and after switching
+ * profiles): skips the intro if the profile already has a birth date
+ */
+function startFromStoredData() {
+  app.storageReady = true;
+  
+  // Put back entries that failed to save before the tab was reloaded
+  // (with a locked vault this waits until it is unlocked, see Vault.js)
+  if (!isVaultLocked()) {
+    storageHealth.restoreDrafts();
+  }
+  storageHealth.checkQuota();
+  settingsPanel.applyPreferences();
+  weekReflection.updateShadeButton();
+  moodHeatmap.updateToggle();
+  weeklyReminder.syncSchedule();
+  
+  // Check if birth date already exists
+  if (StartingPage.checkIfBirthDateExists()) {
+    // Birth date exists - skip intro and go directly to transition
+    app.birthDate = StartingPage.getSavedBirthDate();
+    calculateAgeAndWeeks();
+    modalManager.setBirthDate(app.birthDate);
+    // Start transition immediately
+    app.startingPage.startTransitionFromExisting();
+    app.showStartingPage = true; // Still show starting page to display transition
+  } else {
+    // No birth date - show intro sequence
+    app.showStartingPage = true;
+  }
+}
+
+/**
+ * switchProfile()
+ * Loads another profile's data and starts again from the starting page
+ * @param {string} profileId - Profile id (see Profiles.js)
+ * @returns {Promise<boolean>} - False if the user kept the current profile
+ */
+function switchProfile(profileId) {
+  if (getUnsavedYears().length > 0 &&
+      !confirm('Some changes in this profile could not be saved and will be lost. Switch anyway?')) {
+    return Promise.resolve(false);
+  }
+  
+  profileManager.setActive(profileId);
+  returnToHome();
+  app.storageReady = false;
+  app.currentDisplayYear = null;
+  vaultManager.hideUnlockPrompt();
+  
+  // Lists built from the previous profile's data
+  tagFilter.selected = [];
+  tagFilter.updatePanel();
+  searchIndex.invalidate();
+  goalReview.recheck();
+  if (app.lifeView) {
+    app.lifeView.invalidate();
+  }
+  
+  return initStorage(profileManager.getActiveNamespace()).then(function() {
+    startFromStoredData();
+    return true;
+  });
+}
+
+/**
+ * reloadAppData()
+ * Re-reads the birth date and redraws the current year after stored data
+ * changed outside the normal add/edit/delete flow (e.g. a backup import)
+ */
+function reloadAppData() {
+  let savedBirthDate = StartingPage.getSavedBirthDate();
+  
+  // Without a birth date the main view can't be shown - go back to the intro
+  if (!savedBirthDate) {
+    returnToHome();
+    return;
+  }
+  
+  app.birthDate = savedBirthDate;
+  calculateAgeAndWeeks();
+  modalManager.setBirthDate(app.birthDate);
+  
+  // Weeks since birth are counted from the birth date, which may have
+  // changed - forget the week the entry modal was opened for
+  let entryModal = document.getElementById('entry-modal');
+  if (entryModal && entryModal.classList.contains('show')) {
+    hideModal();
+  }
+  modalManager.selectedWeeksSinceBirth = null;
+  modalManager.editingMemoryId = null;
+  
+  // Imported goals may need a review, and the search index is out of date
+  goalReview.recheck();
+  searchIndex.invalidate();
+  weekReflection.updateShadeButton();
+  moodHeatmap.updateToggle();
+  weeklyReminder.syncSchedule();
+  settingsPanel.applyPreferences();
+  
+  // Nothing else to redraw while the starting page is showing
+  if (app.showStartingPage) return;
+  
+  app.lifeView.invalidate();
+  app.weeks = [];
+  initializeMainApp(app.currentDisplayYear || undefined);
+}
+
+/**
+ * showLifeView()
+ * Switches from the yearly grid to the whole-life view
+ */
+function showLifeView() {
+  if (app.viewMode === 'life' || app.yearTransition.active || !app.birthDate) return;
+  
+  clearAllHoverStates();
+  app.viewMode = 'life';
+  app.lifeView.hoveredYear = null;
+  updateLifeViewButton();
+  updateNavigationButtons();
+  
+  // Fade the life grid in
+  app.lifeView.startFadeIn();
+}
+
+/**
+ * showYearReview()
+ * Replaces the grid with the review page of a year
+ * @param {number} year - The ISO year to review
+ */
+function showYearReview(year) {
+  if (app.yearTransition.active || !app.birthDate) return;
+  
+  // Keep the navigation buttons and header in step with the reviewed year
+  if (year !== app.currentDisplayYear) {
+    app.weeks = [];
+    initializeMainApp(year);
+  }
+  
+  clearAllHoverStates();
+  app.viewMode = 'review';
+  app.yearHeaderHovered = false;
+  app.lifeView.hoveredYear = null;
+  updateLifeViewButton();
+  updateNavigationButtons();
+  
+  app.yearReview.open(app.currentDisplayYear);
+}
+
+/**
+ * showYearView()
+ * Leaves the life view or the year in review and shows the honeycomb for a year
+ * @param {number} year - The ISO year to show
+ */
+function showYearView(year) {
+  if (app.viewMode === 'year') return;
+  
+  app.viewMode = 'year';
+  app.lifeView.hoveredYear = null;
+  updateLifeViewButton();
+  
+  app.weeks = [];
+  initializeMainApp(year);
+  
+  // Fade the new circles in using the second half of the year transition
+  for (let week of app.weeks) {
+    week.alpha = 0;
+  }
+  app.yearTransition.active = true;
+  app.yearTransition.phase = 'fadeIn';
+  app.yearTransition.startTime = getAnimationStartTime(app.yearTransition.duration);
+}
+
+/**
+ * updateLifeViewButton()
+ * Updates the life view button to show which view it switches to
+ */
+function updateLifeViewButton() {
+  let lifeViewBtn = document.getElementById('life-view-btn');
+  if (!lifeViewBtn) return;
+  
+  let inLifeView = app.viewMode === 'life';
+  lifeViewBtn.classList.toggle('active', inLifeView);
+  lifeViewBtn.title = inLifeView ? 'Back to Year View' : 'Life in Weeks';
+}
+
 /**
  * navigateToYear()
  * Navigates to a different year with a smooth fade transition
@@ -1162,6 +1684,20 @@ function returnToHome() {
 function navigateToYear(year) {
   if (!app.birthDate) return; // Can't navigate without birth date
   
+  // From the life view, go straight into the year's grid
+  if (app.viewMode === 'life') {
+    showYearView(year);
+    return;
+  }
+  
+  // The review page moves on to the review of the other year
+  if (app.viewMode === 'review') {
+    if (year >= getISOWeekNumber(app.birthDate).year) {
+      showYearReview(year);
+    }
+    return;
+  }
+  
   // Get ISO birth year to prevent navigating before the actual first lived week
   let isoBirthYear = getISOWeekNumber(app.birthDate).year;
   
@@ -1190,7 +1726,7 @@ function navigateToYear(year) {
   app.yearTransition.active = true;
   app.yearTransition.phase = 'fadeOut';
   app.yearTransition.alpha = 0;
-  app.yearTransition.startTime = millis();
+  app.yearTransition.startTime = getAnimationStartTime(app.yearTransition.duration);
   app.yearTransition.targetYear = year;
 }
 
@@ -1224,7 +1760,7 @@ function updateYearTransition() {
       }
       
       app.yearTransition.phase = 'fadeIn';
-      app.yearTransition.startTime = millis();
+      app.yearTransition.startTime = getAnimationStartTime(app.yearTransition.duration);
     }
   } else if (phase === 'fadeIn') {
     // Fade in: alpha goes from 0 to 255
@@ -1280,8 +1816,8 @@ function updateNavigationButtons() {
   
   if (!prevBtn || !nextBtn || !app.currentDisplayYear) return;
   
-  // Show buttons only when not on starting page
-  if (app.showStartingPage) {
+  // Show buttons only when not on starting page (the life view shows every year at once)
+  if (app.showStartingPage || app.viewMode === 'life') {
     prevBtn.style.display = 'none';
     nextBtn.style.display = 'none';
     return;
@@ -1307,11 +1843,66 @@ function updateNavigationButtons() {
   nextBtn.disabled = false;
 }
 
+/**
+ * getHoneycombPositions()
+ * Lays out the honeycomb independently of the canvas (shared with the
+ * poster export, see PosterExport.js).
+ * The grid always has 7 rows alternating between 7 and 8 circles:
+ * 52-week years use 7-8-7-8-7-8-7, while 53-week ISO years start with
+ * a wide row (8-7-8-7-8-7-8) to fit the extra week.
+ * @param {number} numWeeks - Number of weeks in the year (52 or 53)
+ * @param {number} numRows - Number of rows
+ * @param {number} xSpacing - Distance between circle centres in a row
+ * @param {number} ySpacing - Distance between rows
+ * @returns {Object[]} - Array of { x, y } centres, one per week index, with the
+ * grid's left edge at x = 0 and the first row at y = 0 (the grid is 8 * xSpacing wide)
+ */
+function getHoneycombPositions(numWeeks, numRows, xSpacing, ySpacing) {
+  let positions = [];
+  let startsWide = numWeeks > 52;
+  
+  // Loop through alternating 7 and 8 circle rows
+  for (let r = 0; r < numRows; r++) {
+    let y = r * ySpacing;
+    let isWideRow = (r % 2 === 0) === startsWide;
+    let numCols = isWideRow ? 8 : 7;
+    let xOffset = isWideRow ? xSpacing / 2 : xSpacing;
+
+    for (let c = 0; c < numCols && positions.length < numWeeks; c++) {
+      positions.push({ x: xOffset + c * xSpacing, y: y });
+    }
+  }
+  
+  return positions;
+}
+
+/**
+ * calculateGridPositions()
+ * Calculates the on-screen position of every week circle, centring the
+ * honeycomb (see getHoneycombPositions()) below the header
+ * @param {number} numWeeks - Number of weeks in the year (52 or 53)
+ * @returns {Object[]} - Array of { x, y } positions, one per week index
+ */
+function calculateGridPositions(numWeeks) {
+  // Calculate the total grid dimensions to center it
+  let gridWidth = 8 * app.xSpacing;
+  let gridHeight = app.numRows * app.ySpacing;
+  let startX = (width - gridWidth) / 2;
+  
+  // Responsive header offset
+  let headerOffset = windowWidth < 600 ? 50 : windowWidth < 900 ? 70 : 80;
+  let startY = (height - gridHeight) / 2 + headerOffset; // Offset for header
+  
+  return getHoneycombPositions(numWeeks, app.numRows, app.xSpacing, app.ySpacing)
+    .map(position => ({ x: startX + position.x, y: startY + position.y }));
+}
+
 function initializeMainApp(year) {
   // Initialize the main app
-  // If no year specified, use current year
+  // If no year specified, use the current ISO year (early January days can
+  // still belong to week 53 of the previous year)
   if (year === undefined) {
-    year = new Date().getFullYear();
+    year = getISOWeekNumber(new Date()).year;
   }
   
   // Prevent navigation before birth year
@@ -1336,39 +1927,22 @@ function initializeMainApp(year) {
 
   app.yearData = loadData(year);
 
-  let weekID = 0;
-  
-  // Calculate the total grid dimensions to center it
-  let gridWidth = 8 * app.xSpacing;
-  let gridHeight = 7 * app.ySpacing;
-  let startX = (width - gridWidth) / 2 + (app.xSpacing / 2);
-  
-  // Responsive header offset
-  let headerOffset = windowWidth < 600 ? 50 : windowWidth < 900 ? 70 : 80;
-  let startY = (height - gridHeight) / 2 + headerOffset; // Offset for header
-
   // Reuse now as today (same value, no need to create new Date)
   let today = now;
 
-  // Loop through 7 and 8rows
-  for (let r = 0; r < app.numRows; r++) {
-    let y = startY + r * app.ySpacing;
-    let isEvenRow = (r % 2 === 0);
-    let numCols = isEvenRow ? 7 : 8;
-    let xOffset = isEvenRow ? app.xSpacing / 2 : 0;
+  // One circle per ISO week - 52 or 53 depending on the year
+  let positions = calculateGridPositions(getISOWeeksInYear(year));
 
-    for (let c = 0; c < numCols; c++) {
-      let x = startX + xOffset + c * app.xSpacing;
-      let dataForThisWeek = app.yearData[weekID];
-      let weeksSinceBirth = app.getWeeksSinceBirth(weekID, year);
-      let newWeek = new WeekCircle(x, y, app.circleSize, weekID, weeksSinceBirth, dataForThisWeek);
+  for (let weekID = 0; weekID < positions.length; weekID++) {
+    let { x, y } = positions[weekID];
+    let dataForThisWeek = app.yearData[weekID];
+    let weeksSinceBirth = app.getWeeksSinceBirth(weekID, year);
+    let newWeek = new WeekCircle(x, y, app.circleSize, weekID, weeksSinceBirth, dataForThisWeek);
 
-      // Calculate and cache state once when circle is created
-      newWeek.updateState(year, app.birthDate, today);
+    // Calculate and cache state once when circle is created
+    newWeek.updateState(year, app.birthDate, today);
 
-      app.weeks.push(newWeek);
-      weekID++;
-    }
+    app.weeks.push(newWeek);
   }
   
   // Update navigation button visibility
@@ -1387,45 +1961,22 @@ function windowResized() {
   
   // Dynamically adjust rain particles if crossing any threshold
   // Only adjust if app is initialized (not on starting page)
-  if (!app.showStartingPage && app.rainParticles.length > 0) {
-    let targetParticles = getParticleCountForWidth(windowWidth);
-    // Only recreate particles if we've crossed a threshold
-    if (app.currentParticleCount !== targetParticles) {
-      app.rainParticles = [];
-      for (let i = 0; i < targetParticles; i++) {
-        app.rainParticles.push(new RainParticle());
-      }
-      app.currentParticleCount = targetParticles; // Update tracked count
-    }
+  if (!app.showStartingPage) {
+    updateRainParticles();
+  }
+  
+  // The life view redraws its cached grid at the new size
+  if (app.lifeView) {
+    app.lifeView.invalidate();
   }
   
   // Update existing circles if the app is initialized
   if (!app.showStartingPage && app.weeks.length > 0) {
-    // Calculate new grid layout
-    let gridWidth = 8 * app.xSpacing;
-    let gridHeight = 7 * app.ySpacing;
-    let startX = (width - gridWidth) / 2 + (app.xSpacing / 2);
-    
-    // Responsive header offset
-    let headerOffset = windowWidth < 600 ? 50 : windowWidth < 900 ? 70 : 80;
-    let startY = (height - gridHeight) / 2 + headerOffset;
-    
-    // Update each circle's position and size
-    let weekID = 0;
-    for (let r = 0; r < app.numRows; r++) {
-      let y = startY + r * app.ySpacing;
-      let isEvenRow = (r % 2 === 0);
-      let numCols = isEvenRow ? 7 : 8;
-      let xOffset = isEvenRow ? app.xSpacing / 2 : 0;
-
-      for (let c = 0; c < numCols; c++) {
-        let x = startX + xOffset + c * app.xSpacing;
-        if (weekID < app.weeks.length) {
-          // Update existing circle's layout
-          app.weeks[weekID].updateLayout(x, y, app.circleSize);
-        }
-        weekID++;
-      }
+    // Calculate new grid layout and update each circle's position and size
+    let positions = calculateGridPositions(app.weeks.length);
+    for (let weekID = 0; weekID < app.weeks.length; weekID++) {
+      let { x, y } = positions[weekID];
+      app.weeks[weekID].updateLayout(x, y, app.circleSize);
     }
   }
 }
@@ -1451,6 +2002,32 @@ function getOrdinalSuffix(num) {
   return 'th';
 }
 
+/**
+ * getAgeHeaderText()
+ * The first header line (also printed on posters, see PosterExport.js)
+ * @returns {string} - e.g. 'You are 30 years old. This is your 1,565th week.'
+ */
+function getAgeHeaderText() {
+  // Format week number with ordinal suffix and comma formatting
+  let weekFormatted = app.weeksLived.toLocaleString();
+  let weekOrdinal = weekFormatted + getOrdinalSuffix(app.weeksLived);
+  return `You are ${app.userAge} years old. This is your ${weekOrdinal} week.`;
+}
+
+/**
+ * isOverYearHeader()
+ * Checks if a position is over the year in the header (see drawHeader())
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {boolean} - True if over the year text
+ */
+function isOverYearHeader(x, y) {
+  let bounds = app.yearHeaderBounds;
+  if (!bounds || app.viewMode !== 'year') return false;
+  return x >= bounds.x && x <= bounds.x + bounds.width &&
+         y >= bounds.y && y <= bounds.y + bounds.height;
+}
+
 /**
  * drawHeader()
  * Draws the header showing age and weeks lived, and current year
@@ -1472,17 +2049,35 @@ function drawHeader() {
     let topMargin = windowWidth < 600 ? 20 : windowWidth < 900 ? 40 : 60;
     let yearMargin = topMargin + (windowWidth < 600 ? 25 : windowWidth < 900 ? 30 : 55);
     
-    // Format week number with ordinal suffix and comma formatting
-    let weekFormatted = app.weeksLived.toLocaleString();
-    let weekOrdinal = weekFormatted + getOrdinalSuffix(app.weeksLived);
-    text(`You are ${app.userAge} years old. This is your ${weekOrdinal} week.`, 
-          width / 2, topMargin);
+    text(getAgeHeaderText(), width / 2, topMargin);
     
-    // Show current year being displayed
-    if (app.currentDisplayYear) {
+    // Show current year being displayed (or the life total in the life view)
+    if (app.viewMode === 'life') {
       textStyle(BOLD);
       textSize(yearTextSize);
-      let yearText = `Year ${app.currentDisplayYear}`;
+      let lifeText = app.lifeView.totalWeeks > 0
+        ? `Life in weeks · ${app.weeksLived.toLocaleString()} of ${app.lifeView.totalWeeks.toLocaleString()}`
+        : 'Life in weeks';
+      text(lifeText, width / 2, yearMargin);
+    } else if (app.viewMode === 'review') {
+      textStyle(BOLD);
+      textSize(yearTextSize);
+      text(`Year ${app.currentDisplayYear} in review`, width / 2, yearMargin);
+    } else if (app.currentDisplayYear) {
+      textStyle(BOLD);
+      textSize(yearTextSize);
+      // The year opens its review - a chevron hints that it can be clicked
+      let yearText = `Year ${app.currentDisplayYear} ›`;
+      let yearTextWidth = textWidth(yearText);
+      app.yearHeaderBounds = { x: width / 2 - yearTextWidth / 2, y: yearMargin, width: yearTextWidth, height: yearTextSize * 1.2 };
+      
+      let isHovered = !isModalOpen() && !app.yearTransition.active && isOverYearHeader(mouseX, mouseY);
+      if (isHovered && !app.yearHeaderHovered) {
+        audioManager.playTick();
+      }
+      app.yearHeaderHovered = isHovered;
+      
+      fill(isHovered ? WEEK_COLOURS.currentWeek : "#525349");
       text(yearText, width / 2, yearMargin);
     }
     
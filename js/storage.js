@@ -1,8 +1,425 @@
+/**
+ * storage.js
+ * Persistence layer for year data and settings
+ *
+ * All reads are served synchronously from an in-memory cache that initStorage()
+ * fills once at startup. Writes update the cache immediately and are persisted
+ * asynchronously through a pluggable backend (see StorageBackends.js):
+ * IndexedDB when available, localStorage otherwise.
+ *
+ * With the vault on (see Vault.js) years, and the settings that hold entry
+ * text, are written sealed. Sealed records are held back from the cache
+ * until unlockVault() is given the passphrase, and none of them can be
+ * written while the vault is locked.
+ */
+
+// Entry types - a record is either a memory (something that happened) or a goal (something planned)
+const ENTRY_TYPE_MEMORY = 'memory';
+const ENTRY_TYPE_GOAL = 'goal';
+
+// Goal statuses - a goal is open until it is reviewed after its week has passed
+const GOAL_STATUS_OPEN = 'open';
+const GOAL_STATUS_ACHIEVED = 'achieved';
+const GOAL_STATUS_MISSED = 'missed';
+const GOAL_STATUS_RESCHEDULED = 'rescheduled'; // Moved to a later week, waiting for review again
+
+// Week reflections - an optional { summary, rating, timestamp } on a week slot,
+// separate from its entries. Ratings go from 1 (hard week) to 5 (great week).
+const REFLECTION_RATING_MIN = 1;
+const REFLECTION_RATING_MAX = 5;
+const MAX_REFLECTION_LENGTH = 500;
+
+// Memory moods - how a memory felt, from 1 (very low) to 5 (very good), or null if not set
+const MOOD_MIN = 1;
+const MOOD_MAX = 5;
+
+/**
+ * StorageManager Class
+ * Owns the active backend and the in-memory caches
+ */
+class StorageManager {
+    constructor() {
+        this.backend = null;             // Active backend (IndexedDBBackend or LocalStorageBackend)
+        this.namespace = DEFAULT_STORAGE_NAMESPACE; // Profile namespace the backend belongs to (see Profiles.js)
+        this.yearCache = new Map();      // year -> week-data array
+        this.settingsCache = new Map();  // setting key -> value
+        this.ready = false;
+        this.writeQueue = Promise.resolve(); // Writes are applied to the backend in order
+        this.unsavedYears = new Set();   // Years whose latest cached data failed to persist
+        this.dataRevision = 0;           // Bumped whenever cached year data changes (see getDataRevision())
+        this.vaultKey = null;            // AES-GCM key while the vault is unlocked (see Vault.js)
+        this.lockedYears = new Map();    // year -> sealed record not decrypted yet (never overwritten)
+        this.lockedSettings = new Map(); // setting key -> sealed record not decrypted yet (never overwritten)
+    }
+    
+    /**
+     * init()
+     * Opens the preferred backend for a namespace, migrates localStorage data
+     * into IndexedDB on first run and loads everything into the cache. Called
+     * again to switch profiles: queued writes finish first, and the vault of
+     * the new namespace starts locked. Never rejects - falls back to
+     * localStorage if IndexedDB cannot be used.
+     * @param {string} namespace - Storage namespace of the profile
+     * @returns {Promise<void>}
+     */
+    async init(namespace = DEFAULT_STORAGE_NAMESPACE) {
+        await this.writeQueue;
+        if (this.backend) {
+            this.backend.close();
+        }
+        this.ready = false;
+        this.namespace = namespace;
+        this.vaultKey = null;
+        this.unsavedYears.clear();
+        
+        let backend = null;
+        
+        if (IndexedDBBackend.isSupported()) {
+            try {
+                let idbBackend = new IndexedDBBackend(namespace);
+                await idbBackend.open();
+                
+                if (!(await idbBackend.getMeta('migratedFromLocalStorage'))) {
+                    await this.migrateFromLocalStorage(idbBackend);
+                }
+                backend = idbBackend;
+            } catch (error) {
+                console.error('IndexedDB unavailable, falling back to localStorage:', error);
+            }
+        }
+        
+        if (!backend) {
+            backend = new LocalStorageBackend(namespace);
+            await backend.open();
+        }
+        
+        await this.useBackend(backend);
+    }
+    
+    /**
+     * useBackend()
+     * Switches to a backend and reloads the caches from it
+     * @param {Object} backend - An opened backend implementing the StorageBackends.js interface
+     * @returns {Promise<void>}
+     */
+    async useBackend(backend) {
+        this.backend = backend;
+        this.yearCache.clear();
+        this.settingsCache.clear();
+        this.dataRevision++;
+        
+        let loaded;
+        try {
+            loaded = await backend.loadAll();
+        } catch (error) {
+            console.error(`Error loading data from ${backend.name}:`, error);
+            loaded = { years: new Map(), settings: new Map() };
+        }
+        
+        this.lockedSettings.clear();
+        for (let [key, value] of loaded.settings) {
+            if (isSealedRecord(value)) {
+                // Sealed settings wait for the passphrase like sealed years
+                this.lockedSettings.set(key, value);
+            } else {
+                this.settingsCache.set(key, value);
+            }
+        }
+        
+        this.lockedYears.clear();
+        for (let [year, data] of loaded.years) {
+            if (isSealedRecord(data)) {
+                // Sealed years wait for unlockVault(), or are opened now if the vault is already unlocked
+                this.lockedYears.set(year, data);
+            } else {
+                this.cacheYear(year, data);
+            }
+        }
+        if (this.vaultKey) {
+            await this.openLockedSettings(this.vaultKey);
+            await this.openLockedYears(this.vaultKey);
+        }
+        
+        this.ready = true;
+    }
+    
+    /**
+     * cacheYear()
+     * Normalizes loaded year data into the cache, re-saving it if it was migrated
+     * @param {number} year - The year
+     * @param {object[]} data - The stored week-data array
+     */
+    cacheYear(year, data) {
+        let normalized = normalizeYearData(data, year);
+        this.yearCache.set(year, normalized.data);
+        if (normalized.changed) {
+            this.persistYear(year).catch(function(error) {
+                console.error(`Error saving migrated data for year ${year}:`, error);
+            });
+        }
+    }
+    
+    /**
+     * isVaultLocked()
+     * @returns {boolean} - True while the vault is on and its passphrase hasn't been entered
+     */
+    isVaultLocked() {
+        return this.settingsCache.has(VAULT_SETTING_KEY) && !this.vaultKey;
+    }
+    
+    /**
+     * openLockedYears()
+     * Decrypts the sealed years into the cache. Years that fail to decrypt
+     * stay sealed, and writes to them are refused so they are never lost.
+     * @param {CryptoKey} key - The vault key
+     * @returns {Promise<number[]>} - Years that could not be decrypted
+     */
+    async openLockedYears(key) {
+        let unreadable = [];
+        for (let [year, record] of Array.from(this.lockedYears)) {
+            try {
+                let data = await openVaultValue(record, key);
+                this.lockedYears.delete(year);
+                this.cacheYear(year, data);
+            } catch (error) {
+                console.error(`Error decrypting data for year ${year}:`, error);
+                unreadable.push(year);
+            }
+        }
+        this.dataRevision++;
+        return unreadable;
+    }
+    
+    /**
+     * openLockedSettings()
+     * Decrypts the sealed settings into the cache. Settings that fail to
+     * decrypt stay sealed, and writes to them are refused.
+     * @param {CryptoKey} key - The vault key
+     */
+    async openLockedSettings(key) {
+        for (let [settingKey, record] of Array.from(this.lockedSettings)) {
+            try {
+                this.settingsCache.set(settingKey, await openVaultValue(record, key));
+                this.lockedSettings.delete(settingKey);
+            } catch (error) {
+                console.error(`Error decrypting setting ${settingKey}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * unlockVault()
+     * Checks the passphrase and decrypts every sealed year and setting. A wrong
+     * passphrase rejects before anything is decrypted or written.
+     * @param {string} passphrase - The vault passphrase
+     * @returns {Promise<number[]>} - Years that could not be decrypted (normally none)
+     */
+    async unlockVault(passphrase) {
+        let settings = this.settingsCache.get(VAULT_SETTING_KEY);
+        if (!settings) return [];
+        
+        let key = await openVaultKey(passphrase, settings);
+        this.vaultKey = key;
+        await this.openLockedSettings(key);
+        return this.openLockedYears(key);
+    }
+    
+    /**
+     * enableVault()
+     * Turns the vault on: saves the 'vault' setting, then re-saves every
+     * year and sealed setting sealed. Both are loaded whether sealed or not, so
+     * if a write fails part way the rest are simply sealed on their next save.
+     * @param {string} passphrase - The new passphrase
+     * @returns {Promise<void>} - Rejects if the vault could not be turned on or a year could not be re-saved
+     */
+    async enableVault(passphrase) {
+        if (this.settingsCache.has(VAULT_SETTING_KEY)) {
+            throw new Error('The vault is already on.');
+        }
+        
+        let { settings, key } = await createVaultSettings(passphrase);
+        await this.enqueue(async () => {
+            await this.backend.putSetting(VAULT_SETTING_KEY, settings);
+            this.settingsCache.set(VAULT_SETTING_KEY, settings);
+            this.vaultKey = key;
+        });
+        
+        let sealedSettings = VAULT_SEALED_SETTING_KEYS.filter(key => this.settingsCache.has(key));
+        await Promise.all([
+            ...Array.from(this.yearCache.keys()).map(year => this.persistYear(year)),
+            ...sealedSettings.map(key => this.enqueue(() => this.writeSetting(key, this.settingsCache.get(key))))
+        ]);
+    }
+    
+    /**
+     * disableVault()
+     * Turns the vault off after checking the passphrase: re-saves every year
+     * and sealed setting unencrypted, then removes the 'vault' setting. If a write fails the
+     * vault stays on, with the years written so far readable either way.
+     * @param {string} passphrase - The current passphrase
+     * @returns {Promise<void>}
+     */
+    async disableVault(passphrase) {
+        let settings = this.settingsCache.get(VAULT_SETTING_KEY);
+        if (!settings) return;
+        
+        await openVaultKey(passphrase, settings);
+        let locked = [...this.lockedYears.keys(), ...this.lockedSettings.keys()];
+        if (locked.length > 0) {
+            throw new Error(`the data for ${locked.join(', ')} could not be decrypted.`);
+        }
+        
+        // One queued task, so no other write can seal a year in between
+        await this.enqueue(async () => {
+            for (let [year, data] of this.yearCache) {
+                await this.backend.putYear(year, data);
+                this.unsavedYears.delete(year);
+            }
+            for (let key of VAULT_SEALED_SETTING_KEYS) {
+                if (this.settingsCache.has(key)) {
+                    await this.backend.putSetting(key, this.settingsCache.get(key));
+                }
+            }
+            await this.backend.deleteSetting(VAULT_SETTING_KEY);
+            this.settingsCache.delete(VAULT_SETTING_KEY);
+            this.vaultKey = null;
+        });
+    }
+    
+    /**
+     * migrateFromLocalStorage()
+     * Copies every `momentryData_<year>` key and the birth date/settings of
+     * the current namespace into the target backend. The localStorage keys are only removed once
+     * everything has been written and the migration flag is set.
+     * @param {IndexedDBBackend} target - The backend to migrate into
+     * @returns {Promise<void>}
+     */
+    async migrateFromLocalStorage(target) {
+        let source = new LocalStorageBackend(this.namespace);
+        let { years, settings } = await source.loadAll();
+        
+        for (let [year, data] of years) {
+            await target.putYear(year, data);
+        }
+        for (let [key, value] of settings) {
+            await target.putSetting(key, value);
+        }
+        await target.putMeta('migratedFromLocalStorage', new Date().toISOString());
+        
+        source.removeAll();
+    }
+    
+    /**
+     * enqueue()
+     * Queues a backend write after all previously queued writes
+     * @param {Function} write - Returns a Promise performing the write
+     * @returns {Promise<void>} - Settles when this write has finished
+     */
+    enqueue(write) {
+        let result = this.writeQueue.then(write);
+        // Keep the queue going even if this write fails
+        this.writeQueue = result.catch(function() {});
+        return result;
+    }
+    
+    /**
+     * persistYear()
+     * Writes the cached data for a year to the backend
+     * @param {number} year - The year to persist
+     * @returns {Promise<void>}
+     */
+    persistYear(year) {
+        return this.persistYears([year]);
+    }
+    
+    /**
+     * persistYears()
+     * Writes the cached data for several years to the backend in one write,
+     * so either all of them are stored or none is
+     * @param {number[]} years - The years to persist
+     * @returns {Promise<void>}
+     */
+    persistYears(years) {
+        if (years.length === 0) {
+            return Promise.resolve();
+        }
+        return this.enqueue(() => this.writeYears(years))
+            .then(() => {
+                for (let year of years) {
+                    this.unsavedYears.delete(year);
+                }
+            }, (error) => {
+                // The cache still holds the data, so a later retry can write it
+                for (let year of years) {
+                    this.unsavedYears.add(year);
+                }
+                throw error;
+            });
+    }
+    
+    /**
+     * writeYears()
+     * Writes years' cached data as it is, or sealed while the vault is on
+     * @param {number[]} years - The years to write
+     * @returns {Promise<void>} - Rejects while the vault is locked, since that would replace sealed data
+     */
+    async writeYears(years) {
+        let entries = [];
+        for (let year of years) {
+            if (this.lockedYears.has(year) || this.isVaultLocked()) {
+                throw new Error(`The vault is locked, so ${year} can't be saved.`);
+            }
+            let data = this.yearCache.get(year);
+            if (this.vaultKey) {
+                data = await sealVaultValue(data, this.vaultKey);
+            }
+            entries.push({ year: year, data: data });
+        }
+        return this.backend.putYears(entries);
+    }
+    
+    /**
+     * writeSetting()
+     * Writes a setting as it is, or sealed while the vault is on if it is
+     * one of VAULT_SEALED_SETTING_KEYS
+     * @param {string} key - Setting name
+     * @param {*} value - JSON-serialisable value
+     * @returns {Promise<void>} - Rejects if such a setting can't be sealed yet (vault locked)
+     */
+    async writeSetting(key, value) {
+        if (!isVaultSealedSetting(key) || !this.settingsCache.has(VAULT_SETTING_KEY)) {
+            return this.backend.putSetting(key, value);
+        }
+        if (this.lockedSettings.has(key) || this.isVaultLocked()) {
+            throw new Error(`The vault is locked, so ${key} can't be saved.`);
+        }
+        return this.backend.putSetting(key, await sealVaultValue(value, this.vaultKey));
+    }
+}
+
+// Global storage manager instance
+let storageManager = new StorageManager();
+
+/**
+ * initStorage()
+ * Loads all stored data of a profile into memory. Must resolve before
+ * loadData(), saveData() or the settings helpers are used. Calling it again
+ * switches to another profile's data.
+ * @param {string} namespace - Storage namespace of the profile (see getProfileNamespace())
+ * @returns {Promise<void>}
+ */
+function initStorage(namespace) {
+    return storageManager.init(namespace);
+}
+
 /**
  * saveData()
- * Saves the entire yearData array to the browser's local storage.
- * @param {object[]} data - The array of 52 week-data objects.
+ * Saves the entire yearData array. The cache is updated immediately so
+ * loadData() sees the change straight away; the returned promise settles
+ * once the backend write has finished (and rejects if it fails).
+ * @param {object[]} data - The array of week-data objects (52 or 53, one per ISO week).
  * @param {number} year - The year to save data for (defaults to current year)
+ * @returns {Promise<void>}
  */
 function saveData(data, year) {
     // If no year specified, use current year
@@ -10,48 +427,243 @@ function saveData(data, year) {
         year = new Date().getFullYear();
     }
     
-    // Store data with year-specific key
-    let storageKey = `momentryData_${year}`;
-    localStorage.setItem(storageKey, JSON.stringify(data));
+    storageManager.yearCache.set(year, data);
+    storageManager.dataRevision++;
+    return storageManager.persistYear(year);
+}
+
+/**
+ * saveYears()
+ * Saves several years' data arrays in one write: either every year is
+ * stored or, if the write fails, none of them changes in storage (e.g. a
+ * memory moved to another year is never stored twice or lost). The cache is
+ * updated immediately, like saveData().
+ * @param {Map<number, object[]>} dataByYear - Year -> week-data array
+ * @returns {Promise<void>}
+ */
+function saveYears(dataByYear) {
+    for (let [year, data] of dataByYear) {
+        storageManager.yearCache.set(year, data);
+    }
+    storageManager.dataRevision++;
+    return storageManager.persistYears(Array.from(dataByYear.keys()));
+}
+
+/**
+ * deleteData()
+ * Removes all saved data for a year
+ * @param {number} year - The year to delete
+ * @returns {Promise<void>}
+ */
+function deleteData(year) {
+    storageManager.yearCache.delete(year);
+    storageManager.unsavedYears.delete(year);
+    storageManager.dataRevision++;
+    return storageManager.enqueue(() => storageManager.backend.deleteYear(year));
+}
+
+/**
+ * getDataRevision()
+ * A number that changes every time year data is saved, deleted or reloaded.
+ * Lists built from the cache (e.g. the goal countdown) compare it to know
+ * when they are out of date instead of rebuilding every frame.
+ * @returns {number} - The current revision
+ */
+function getDataRevision() {
+    return storageManager.dataRevision;
+}
+
+/**
+ * getStoredYears()
+ * Lists every year that has saved data, in ascending order
+ * @returns {number[]} - Years with saved data
+ */
+function getStoredYears() {
+    return Array.from(storageManager.yearCache.keys()).sort((a, b) => a - b);
+}
+
+/**
+ * getUnsavedYears()
+ * Lists the years whose latest changes only exist in memory because
+ * the last write failed (e.g. the storage quota was exceeded)
+ * @returns {number[]} - Years with unsaved changes
+ */
+function getUnsavedYears() {
+    return Array.from(storageManager.unsavedYears).sort((a, b) => a - b);
+}
+
+/**
+ * retryUnsavedWrites()
+ * Writes every year with unsaved changes again
+ * @returns {Promise<void>} - Rejects with the first error if any write still fails
+ */
+function retryUnsavedWrites() {
+    // In one write, since the years may hold the two halves of a move
+    return storageManager.persistYears(getUnsavedYears());
+}
+
+/**
+ * isQuotaExceededError()
+ * Checks whether a storage error means the browser's quota is full.
+ * Browsers report this with different names and codes.
+ * @param {*} error - The error from a failed write
+ * @returns {boolean} - True for quota errors
+ */
+function isQuotaExceededError(error) {
+    if (!error) return false;
+    return error.name === 'QuotaExceededError' ||
+           error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || // Firefox
+           error.code === 22 ||
+           error.code === 1014;
+}
+
+/**
+ * getSetting()
+ * Reads a setting from the cache
+ * @param {string} key - Setting name
+ * @param {*} defaultValue - Returned if the setting has never been saved
+ * @returns {*} - The stored value or defaultValue
+ */
+function getSetting(key, defaultValue = null) {
+    return storageManager.settingsCache.has(key) ? storageManager.settingsCache.get(key) : defaultValue;
+}
+
+/**
+ * setSetting()
+ * Updates a setting in the cache and persists it
+ * @param {string} key - Setting name
+ * @param {*} value - JSON-serialisable value
+ * @returns {Promise<void>}
+ */
+function setSetting(key, value) {
+    storageManager.settingsCache.set(key, value);
+    return storageManager.enqueue(() => storageManager.writeSetting(key, value));
+}
+
+/**
+ * removeSetting()
+ * Removes a setting from the cache and the backend
+ * @param {string} key - Setting name
+ * @returns {Promise<void>}
+ */
+function removeSetting(key) {
+    storageManager.settingsCache.delete(key);
+    storageManager.lockedSettings.delete(key);
+    return storageManager.enqueue(() => storageManager.backend.deleteSetting(key));
+}
+
+/**
+ * isVaultEnabled()
+ * @returns {boolean} - True if years are stored encrypted
+ */
+function isVaultEnabled() {
+    return storageManager.settingsCache.has(VAULT_SETTING_KEY);
+}
+
+/**
+ * isVaultLocked()
+ * @returns {boolean} - True until the vault passphrase has been entered (false without a vault)
+ */
+function isVaultLocked() {
+    return storageManager.isVaultLocked();
+}
+
+/**
+ * unlockVault()
+ * Decrypts the stored years with the vault passphrase
+ * @param {string} passphrase - The vault passphrase
+ * @returns {Promise<number[]>} - Years that could not be decrypted; rejects
+ * with VaultPassphraseError (and changes nothing) if the passphrase is wrong
+ */
+function unlockVault(passphrase) {
+    return storageManager.unlockVault(passphrase);
+}
+
+/**
+ * enableVault()
+ * Turns the vault on and re-saves every year encrypted
+ * @param {string} passphrase - The new passphrase
+ * @returns {Promise<void>}
+ */
+function enableVault(passphrase) {
+    return storageManager.enableVault(passphrase);
+}
+
+/**
+ * disableVault()
+ * Turns the vault off and re-saves every year unencrypted
+ * @param {string} passphrase - The current passphrase (checked first)
+ * @returns {Promise<void>}
+ */
+function disableVault(passphrase) {
+    return storageManager.disableVault(passphrase);
 }
 
 /**
  * migrateOldDataFormat()
  * Migrates old data format (single memory string) to new format (memories array)
+ * and makes sure every entry has the current required fields, including its type
+ * (and, for goals, its status). A single imageData string becomes a one-image gallery.
+ * Week reflections are kept if usable and dropped otherwise.
+ * Fields added by newer features are kept as they are.
  * @param {object[]} data - The old data format
  * @returns {object[]} - The new data format
  */
 function migrateOldDataFormat(data) {
     let migratedData = [];
     for (let i = 0; i < data.length; i++) {
-        let week = data[i];
+        let week = data[i] || {}; // Treat missing weeks as empty
         
         // Check if it's old format (has 'memory' property as string)
         if (week.memory !== undefined && typeof week.memory === 'string') {
             // Migrate: convert single memory string to memories array
+            let date = new Date().toISOString().split('T')[0];     // Today's date as default
             migratedData.push({
                 memories: week.memory ? [{
                     id: generateMemoryId(),
+                    type: inferEntryType(date),                   // Dated today, so always a memory
                     title: null,                                  // No title for old format
                     text: week.memory,                            // Memory text
-                    date: new Date().toISOString().split('T')[0], // Today's date as default
+                    date: date,
+                    tags: [],                                     // No tags for old format
+                    mood: null,                                   // No mood for old format
                     timestamp: new Date().toISOString(),          // Current timestamp
-                    imageData: null                               // No image for old format
+                    images: []                                    // No images for old format
                 }] : []
             });
         } else if (week.memories !== undefined) {
             // Already in new format, but ensure all memories have required fields
             let migratedMemories = week.memories.map(mem => {
-                return {
+                let date = mem.date || new Date().toISOString().split('T')[0];
+                // Entries saved before types existed were goals only because their week was in the future
+                let type = isValidEntryType(mem.type) ? mem.type : inferEntryType(date);
+                let migratedMemory = Object.assign({}, mem, {
                     id: mem.id || generateMemoryId(),
+                    type: type,
                     title: mem.title || null,                     
                     text: mem.text || '',                         
-                    date: mem.date || new Date().toISOString().split('T')[0],
+                    date: date,
+                    tags: Array.isArray(mem.tags) ? mem.tags.filter(tag => typeof tag === 'string') : [],
+                    // Only memories have a mood - goals haven't happened yet
+                    mood: type !== ENTRY_TYPE_GOAL && isValidMood(mem.mood) ? mem.mood : null,
                     timestamp: mem.timestamp || new Date().toISOString(),
-                    imageData: mem.imageData || null
-                };
+                    images: migrateMemoryImages(mem)
+                });
+                delete migratedMemory.imageData; // Replaced by the gallery
+                // Goals saved before statuses existed have not been reviewed yet
+                if (migratedMemory.type === ENTRY_TYPE_GOAL && !isValidGoalStatus(migratedMemory.status)) {
+                    migratedMemory.status = GOAL_STATUS_OPEN;
+                }
+                return migratedMemory;
             });
-            migratedData.push({ memories: migratedMemories });
+            let migratedWeek = Object.assign({}, week, { memories: migratedMemories });
+            let reflection = migrateWeekReflection(week.reflection);
+            if (reflection) {
+                migratedWeek.reflection = reflection;
+            } else {
+                delete migratedWeek.reflection;
+            }
+            migratedData.push(migratedWeek);
         } else {
             // Empty week
             migratedData.push({ memories: [] });
@@ -60,6 +672,142 @@ function migrateOldDataFormat(data) {
     return migratedData;
 }
 
+/**
+ * migrateMemoryImages()
+ * Builds an entry's gallery. Entries saved before galleries existed had a
+ * single imageData string, which becomes the only image.
+ * @param {Object} mem - The stored entry
+ * @returns {Object[]} - Array of { imageData, caption }
+ */
+function migrateMemoryImages(mem) {
+    if (Array.isArray(mem.images)) {
+        return mem.images
+            .filter(image => image && typeof image.imageData === 'string' && image.imageData)
+            .map(image => ({
+                imageData: image.imageData,
+                caption: typeof image.caption === 'string' ? image.caption : ''
+            }));
+    }
+    return mem.imageData ? [{ imageData: mem.imageData, caption: '' }] : [];
+}
+
+/**
+ * migrateWeekReflection()
+ * Cleans up a stored week reflection
+ * @param {*} reflection - The stored reflection (may be missing or malformed)
+ * @returns {Object|null} - { summary, rating, timestamp } or null if there is nothing usable
+ */
+function migrateWeekReflection(reflection) {
+    if (!reflection || typeof reflection !== 'object') return null;
+    if (isValidReflection(reflection)) return reflection;
+
+    let summary = typeof reflection.summary === 'string' ? reflection.summary.trim().slice(0, MAX_REFLECTION_LENGTH) : '';
+    let rating = isValidReflectionRating(reflection.rating) ? reflection.rating : null;
+    if (!summary && rating === null) return null;
+    return {
+        summary: summary,
+        rating: rating,
+        timestamp: typeof reflection.timestamp === 'string' ? reflection.timestamp : new Date().toISOString()
+    };
+}
+
+/**
+ * isValidReflection()
+ * @param {*} reflection - A stored week reflection
+ * @returns {boolean} - True if it has a summary string, a valid or null rating
+ *                      (at least one of them filled in) and a timestamp
+ */
+function isValidReflection(reflection) {
+    return Boolean(reflection) && typeof reflection.summary === 'string' &&
+           reflection.summary.length <= MAX_REFLECTION_LENGTH &&
+           (reflection.rating === null || isValidReflectionRating(reflection.rating)) &&
+           (reflection.summary !== '' || reflection.rating !== null) &&
+           typeof reflection.timestamp === 'string';
+}
+
+/**
+ * isValidReflectionRating()
+ * @param {*} rating - A stored rating value
+ * @returns {boolean} - True for a whole number from 1 to 5
+ */
+function isValidReflectionRating(rating) {
+    return Number.isInteger(rating) && rating >= REFLECTION_RATING_MIN && rating <= REFLECTION_RATING_MAX;
+}
+
+/**
+ * isValidMood()
+ * @param {*} mood - A stored mood value
+ * @returns {boolean} - True for a whole number from 1 to 5
+ */
+function isValidMood(mood) {
+    return Number.isInteger(mood) && mood >= MOOD_MIN && mood <= MOOD_MAX;
+}
+
+/**
+ * isValidEntryType()
+ * @param {*} type - A stored type value
+ * @returns {boolean} - True for 'memory' or 'goal'
+ */
+function isValidEntryType(type) {
+    return type === ENTRY_TYPE_MEMORY || type === ENTRY_TYPE_GOAL;
+}
+
+/**
+ * isValidGoalStatus()
+ * @param {*} status - A stored goal status value
+ * @returns {boolean} - True for 'open', 'achieved', 'missed' or 'rescheduled'
+ */
+function isValidGoalStatus(status) {
+    return status === GOAL_STATUS_OPEN || status === GOAL_STATUS_ACHIEVED ||
+           status === GOAL_STATUS_MISSED || status === GOAL_STATUS_RESCHEDULED;
+}
+
+/**
+ * isGoalPending()
+ * Checks whether a goal still waits for an outcome (open or rescheduled)
+ * @param {Object} memory - The entry to check
+ * @returns {boolean} - True for goals that have not been marked achieved or missed
+ */
+function isGoalPending(memory) {
+    return memory.type === ENTRY_TYPE_GOAL &&
+           memory.status !== GOAL_STATUS_ACHIEVED && memory.status !== GOAL_STATUS_MISSED;
+}
+
+/**
+ * inferEntryType()
+ * Works out the type of an entry saved before types existed, using the rule
+ * the app used to apply: entries in a week after the current week are goals
+ * @param {string} dateString - The entry date (YYYY-MM-DD)
+ * @returns {string} - ENTRY_TYPE_GOAL or ENTRY_TYPE_MEMORY
+ */
+function inferEntryType(dateString) {
+    let slot = getYearAndWeekIndexFromDate(dateString);
+    if (!slot) {
+        return ENTRY_TYPE_MEMORY;
+    }
+    return isWeekInFuture(slot.weekIndex, slot.year) ? ENTRY_TYPE_GOAL : ENTRY_TYPE_MEMORY;
+}
+
+/**
+ * needsMigration()
+ * Checks whether stored year data predates the current format
+ * @param {object[]} data - The stored year data
+ * @returns {boolean} - True if migrateOldDataFormat() should be applied
+ */
+function needsMigration(data) {
+    return data.some(function(week) {
+        if (!week) return true;
+        if (week.memory !== undefined && typeof week.memory === 'string') return true;
+        if (week.reflection !== undefined && !isValidReflection(week.reflection)) return true;
+        return Array.isArray(week.memories) && week.memories.some(mem =>
+            !isValidEntryType(mem.type) || !Array.isArray(mem.tags) ||
+            !Array.isArray(mem.images) || mem.imageData !== undefined ||
+            (mem.mood !== null && !isValidMood(mem.mood)) ||
+            (mem.type === ENTRY_TYPE_GOAL && mem.mood !== null) ||
+            (mem.type === ENTRY_TYPE_GOAL && !isValidGoalStatus(mem.status)));
+    });
+}
+
 /**
  * generateMemoryId()
  * Generates a unique ID for a memory
@@ -69,12 +817,80 @@ function generateMemoryId() {
     return 'mem_' + Date.now() + '_' + Math.random().toString(36).slice(2, 11);
 }
 
+/**
+ * createEmptyYearData()
+ * Creates an empty data structure with one slot per ISO week of the year
+ * @param {number} year - The ISO year
+ * @returns {object[]} - Array of 52 or 53 empty week-data objects
+ */
+function createEmptyYearData(year) {
+    let newData = [];
+    let weeksInYear = getISOWeeksInYear(year);
+    for (let i = 0; i < weeksInYear; i++) {
+        // Each week is an object with an empty memories array
+        newData.push({
+            memories: []
+        });
+    }
+    return newData;
+}
+
+/**
+ * ensureWeekSlots()
+ * Pads year data saved before 53-week support (always 52 slots) so that
+ * every ISO week of the year has a slot. Never removes existing slots.
+ * @param {object[]} data - The year data array
+ * @param {number} year - The ISO year the data belongs to
+ * @returns {boolean} - True if slots were added
+ */
+function ensureWeekSlots(data, year) {
+    let weeksInYear = getISOWeeksInYear(year);
+    let padded = false;
+    while (data.length < weeksInYear) {
+        data.push({ memories: [] });
+        padded = true;
+    }
+    return padded;
+}
+
+/**
+ * normalizeYearData()
+ * Brings stored year data up to the current format: converts the old
+ * single-string format and adds missing week slots
+ * @param {object[]} data - The stored year data
+ * @param {number} year - The ISO year the data belongs to
+ * @returns {Object} - { data, changed } where changed means it should be re-saved
+ */
+function normalizeYearData(data, year) {
+    if (!Array.isArray(data)) {
+        console.error(`Discarding invalid data for year ${year}`);
+        return { data: createEmptyYearData(year), changed: true };
+    }
+    
+    let changed = false;
+    
+    // Check if migration is needed (old single-string format, entries without a type or tags, or goals without a status)
+    if (needsMigration(data)) {
+        data = migrateOldDataFormat(data);
+        changed = true;
+    }
+    
+    // Older saves only had 52 slots - add week 53 for long ISO years
+    if (ensureWeekSlots(data, year)) {
+        changed = true;
+    }
+    
+    return { data, changed };
+}
+
 /**
  * loadData()
- * Loads the data from local storage. If no data is found,
- * it creates a new, empty array for 52 weeks.
+ * Loads a year's data from the in-memory cache. If no data is found,
+ * it creates a new, empty array with one slot per ISO week (52 or 53).
+ * The returned array is the live cached copy - call saveData() after
+ * changing it. The result can also be awaited like an async call.
  * @param {number} year - The year to load data for (defaults to current year)
- * @returns {object[]} - The array of 52 week-data objects.
+ * @returns {object[]} - The array of week-data objects.
  */
 function loadData(year) {
     // If no year specified, use current year
@@ -82,65 +898,11 @@ function loadData(year) {
         year = new Date().getFullYear();
     }
     
-    // First, try to migrate old data format (stored without year key)
-    let oldData = localStorage.getItem('momentryData');
-    if (oldData) {
-        try {
-            let parsedData = JSON.parse(oldData);
-            
-            // Check if migration is needed (old format detection)
-            if (parsedData.length > 0 && parsedData[0].memory !== undefined && typeof parsedData[0].memory === 'string') {
-                parsedData = migrateOldDataFormat(parsedData);
-            }
-            
-            // Save to year-specific key (use current year as default for old data)
-            let currentYear = new Date().getFullYear();
-            saveData(parsedData, currentYear);
-            
-            // Remove old key
-            localStorage.removeItem('momentryData');
-            
-            // If requested year is current year, return migrated data
-            if (year === currentYear) {
-                return parsedData;
-            }
-        } catch (error) {
-            console.error('Error parsing old data format:', error);
-            // Clear corrupted data
-            localStorage.removeItem('momentryData');
-        }
+    let cachedData = storageManager.yearCache.get(year);
+    if (cachedData) {
+        return cachedData;
     }
     
-    // Try to load year-specific data
-    let storageKey = `momentryData_${year}`;
-    let savedData = localStorage.getItem(storageKey);
-
-    if (savedData) {
-        try {
-            // If we found data, parse it and return it
-            let parsedData = JSON.parse(savedData);
-            
-            // Check if migration is needed
-            if (parsedData.length > 0 && parsedData[0].memory !== undefined && typeof parsedData[0].memory === 'string') {
-                parsedData = migrateOldDataFormat(parsedData);
-                saveData(parsedData, year);
-            }
-            
-            return parsedData;
-        } catch (error) {
-            console.error(`Error parsing data for year ${year}:`, error);
-            // Clear corrupted data and return empty structure
-            localStorage.removeItem(storageKey);
-        }
-    } else {
-      // If no data, create a brand new empty structure
-        let newData = [];
-        for (let i = 0; i < 52; i++) {
-            // Each week is an object with an empty memories array
-        newData.push({
-                memories: []
-        });
-        }
-        return newData;
-    }
-}
\ No newline at end of file
+    // If no data, create a brand new empty structure (cached once saved)
+    return createEmptyYearData(year);
+}
@@ -0,0 +1,264 @@
+/**
+ * service-worker.js
+ * Offline support and weekly reflection reminders, without a server
+ *
+ * Every file the app needs is precached on install into a cache named after
+ * APP_CACHE_VERSION and served from there, so Momentry starts offline and
+ * can be installed to a home screen. Bump APP_CACHE_VERSION whenever a
+ * cached file changes (and add new files to PRECACHE_URLS): the browser then
+ * installs the new version next to the old one, and the page offers to
+ * reload (see ServiceWorkerManager.js). Fonts from Google are cached the
+ * first time they load.
+ *
+ * Reminders: the page sends the reminder schedule here (see
+ * WeeklyReminder.js). The worker keeps it in the Cache API, since workers
+ * can't read localStorage, and checks whether this week's reminder is due
+ * whenever it is woken: every minute while the app is open in a tab, and on
+ * periodic background sync where the browser supports it (installed apps in
+ * Chromium browsers). Each week's reminder is shown at most once.
+ */
+
+importScripts('js/DateUtils.js');
+
+const APP_CACHE_VERSION = 'v12';
+const APP_CACHE_NAME = `momentry-app-${APP_CACHE_VERSION}`;
+const FONT_CACHE_NAME = 'momentry-fonts';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/style.css',
+  'libraries/p5.min.js',
+  'libraries/p5.sound.min.js',
+  'assets/images/momentry_icon.png',
+  'assets/audio/bg_music.mp3',
+  'js/DateUtils.js',
+  'js/StorageBackends.js',
+  'js/Vault.js',
+  'js/storage.js',
+  'js/Profiles.js',
+  'js/WeekCircle.js',
+  'js/StartingPage.js',
+  'js/MouseTrail.js',
+  'js/RainParticle.js',
+  'js/ModalManager.js',
+  'js/ImageLightbox.js',
+  'js/AudioManager.js',
+  'js/GoalCountdown.js',
+  'js/OnThisDay.js',
+  'js/LifeView.js',
+  'js/YearReview.js',
+  'js/PosterExport.js',
+  'js/BackupManager.js',
+  'js/JournalExport.js',
+  'js/StorageHealth.js',
+  'js/GoalReview.js',
+  'js/SearchIndex.js',
+  'js/SearchPanel.js',
+  'js/TagManager.js',
+  'js/WeekReflection.js',
+  'js/MoodHeatmap.js',
+  'js/RecurringEntries.js',
+  'js/WeeklyReminder.js',
+  'js/BirthDateMigration.js',
+  'js/SettingsPanel.js',
+  'js/EntryDrag.js',
+  'js/ServiceWorkerManager.js',
+  'js/sketch.js'
+];
+
+const REMINDER_CACHE_NAME = 'momentry-reminders';
+const REMINDER_STATE_URL = 'reminder-state.json';  // Cache key of { schedule, lastShownWeek }
+const REMINDER_SYNC_TAG = 'weekly-reminder';
+const REMINDER_NOTIFICATION_TAG = 'weekly-reminder';
+const REMINDER_ICON = 'assets/images/momentry_icon.png';
+
+self.addEventListener('install', function(event) {
+  // A new version waits until the page asks for it ('skip-waiting')
+  event.waitUntil(caches.open(APP_CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', function(event) {
+  // Drop the files of older versions (the font and reminder caches stay)
+  event.waitUntil(caches.keys().then(function(names) {
+    let oldNames = names.filter(name => name.startsWith('momentry-app-') && name !== APP_CACHE_NAME);
+    return Promise.all(oldNames.map(name => caches.delete(name)));
+  }).then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', function(event) {
+  let request = event.request;
+  if (request.method !== 'GET') return;
+
+  let url = new URL(request.url);
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, FONT_CACHE_NAME));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(serveAppFile(request));
+  }
+});
+
+self.addEventListener('message', function(event) {
+  let message = event.data || {};
+  if (message.type === 'skip-waiting') {
+    self.skipWaiting();
+  } else if (message.type === 'reminder-schedule') {
+    event.waitUntil(saveReminderSchedule(message.schedule).then(checkReminder));
+  } else if (message.type === 'reminder-check') {
+    event.waitUntil(checkReminder());
+  }
+});
+
+self.addEventListener('periodicsync', function(event) {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(checkReminder());
+  }
+});
+
+self.addEventListener('notificationclick', function(event) {
+  if (event.notification.tag !== REMINDER_NOTIFICATION_TAG) return;
+  event.notification.close();
+  event.waitUntil(openCurrentWeek());
+});
+
+/**
+ * serveAppFile()
+ * Answers from the precache, falling back to the network. Page loads
+ * (e.g. ?reminder=week) get the cached index.html while offline.
+ * @param {Request} request - A same-origin GET request
+ * @returns {Promise<Response>}
+ */
+function serveAppFile(request) {
+  return caches.open(APP_CACHE_NAME).then(function(cache) {
+    return cache.match(request, { ignoreSearch: request.mode === 'navigate' }).then(function(cached) {
+      if (cached) return cached;
+      return fetch(request).catch(function(error) {
+        if (request.mode === 'navigate') {
+          return cache.match('index.html');
+        }
+        throw error;
+      });
+    });
+  });
+}
+
+/**
+ * cacheFirst()
+ * Answers from a cache, fetching and storing the response the first time
+ * @param {Request} request - The request
+ * @param {string} cacheName - The cache to use
+ * @returns {Promise<Response>}
+ */
+function cacheFirst(request, cacheName) {
+  return caches.open(cacheName).then(function(cache) {
+    return cache.match(request).then(function(cached) {
+      if (cached) return cached;
+      return fetch(request).then(function(response) {
+        // Opaque (cross-origin, no-cors) responses can be cached but not inspected
+        if (response.ok || response.type === 'opaque') {
+          cache.put(request, response.clone());
+        }
+        return response;
+      });
+    });
+  });
+}
+
+/**
+ * loadReminderState()
+ * @returns {Promise<Object>} - { schedule, lastShownWeek } (schedule is null until the page sends one)
+ */
+function loadReminderState() {
+  return caches.open(REMINDER_CACHE_NAME)
+    .then(cache => cache.match(REMINDER_STATE_URL))
+    .then(response => response ? response.json() : null)
+    .then(state => state || { schedule: null, lastShownWeek: null })
+    .catch(() => ({ schedule: null, lastShownWeek: null }));
+}
+
+/**
+ * saveReminderState()
+ * @param {Object} state - { schedule, lastShownWeek }
+ * @returns {Promise<void>}
+ */
+function saveReminderState(state) {
+  return caches.open(REMINDER_CACHE_NAME).then(function(cache) {
+    let response = new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } });
+    return cache.put(REMINDER_STATE_URL, response);
+  });
+}
+
+/**
+ * saveReminderSchedule()
+ * Stores a new schedule, keeping track of the week already reminded about
+ * @param {Object} schedule - { enabled, weekday (0 = Monday), time ('HH:MM') }
+ * @returns {Promise<void>}
+ */
+function saveReminderSchedule(schedule) {
+  return loadReminderState().then(function(state) {
+    state.schedule = schedule;
+    return saveReminderState(state);
+  });
+}
+
+/**
+ * getReminderDueDate()
+ * @param {Object} schedule - { weekday (0 = Monday), time ('HH:MM') }
+ * @param {Date} now - The current date and time
+ * @returns {Date} - When the reminder is due in the ISO week of now
+ */
+function getReminderDueDate(schedule, now) {
+  let [hours, minutes] = schedule.time.split(':').map(Number);
+  let due = new Date(now);
+  // getDay() is 0 on Sunday; ISO weeks start on Monday
+  let daysSinceMonday = (now.getDay() + 6) % 7;
+  due.setDate(now.getDate() - daysSinceMonday + schedule.weekday);
+  due.setHours(hours, minutes, 0, 0);
+  return due;
+}
+
+/**
+ * checkReminder()
+ * Shows this week's reminder once its time has come (once per week)
+ * @returns {Promise<void>}
+ */
+function checkReminder() {
+  return loadReminderState().then(function(state) {
+    let schedule = state.schedule;
+    if (!schedule || !schedule.enabled || Notification.permission !== 'granted') return;
+
+    let now = new Date();
+    let weekInfo = getISOWeekNumber(now);
+    let weekKey = `${weekInfo.year}-W${weekInfo.weekNumber}`;
+    if (state.lastShownWeek === weekKey || now < getReminderDueDate(schedule, now)) return;
+
+    state.lastShownWeek = weekKey;
+    return saveReminderState(state).then(function() {
+      return self.registration.showNotification('Momentry', {
+        body: `What will you remember from week ${weekInfo.weekNumber}?`,
+        icon: REMINDER_ICON,
+        badge: REMINDER_ICON,
+        tag: REMINDER_NOTIFICATION_TAG
+      });
+    });
+  });
+}
+
+/**
+ * openCurrentWeek()
+ * Brings the app to the front with the current week open. An open tab is
+ * told by message; otherwise a new one starts with ?reminder=week.
+ * @returns {Promise<void>}
+ */
+function openCurrentWeek() {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function(windowClients) {
+    let client = windowClients.find(c => new URL(c.url).pathname.startsWith(new URL(self.registration.scope).pathname));
+    if (client) {
+      client.postMessage({ type: 'open-current-week' });
+      return client.focus();
+    }
+    return self.clients.openWindow('./?reminder=week');
+  });
+}